@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+
+// Локальная ось носа корабля
+const FORWARD = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Автопилот - исполнение узлов маневра
+ *
+ * Разворачивает корабль по импульсу ближайшего узла и включает основной двигатель
+ * так, чтобы середина работы двигателя пришлась на момент узла. Тяга дросселируется
+ * на последних шагах, чтобы не перебрать требуемую скорость.
+ */
+export class AutopilotController {
+    /**
+     * @param {SpaceShip} spaceShip - Корабль
+     * @param {ManeuverPlanner} planner - Планировщик маневров
+     * @param {SimulationClock} clock - Часы симуляции
+     */
+    constructor(spaceShip, planner, clock) {
+        this.spaceShip = spaceShip;
+        this.planner = planner;
+        this.clock = clock;
+
+        this.enabled = false;
+
+        // Состояние: 'idle', 'waiting', 'aligning', 'burning'
+        this.status = 'idle';
+        this.activeNode = null;
+
+        // Оставшийся импульс текущего маневра в мировых координатах (единицы симуляции)
+        this.remainingDeltaV = new THREE.Vector3();
+        this.initialDeltaV = 0;
+
+        // Допустимое отклонение оси корабля от направления импульса (рад)
+        this.alignmentTolerance = THREE.MathUtils.degToRad(3);
+
+        // Доля импульса, при которой маневр считается выполненным
+        this.completionThreshold = 0.001;
+
+        this.targetQuaternion = new THREE.Quaternion();
+
+        // Колбэки событий автопилота
+        this.callbacks = {
+            burnStart: [],
+            burnComplete: [],
+            abort: []
+        };
+    }
+
+    /**
+     * Включить/выключить автопилот
+     * @param {boolean} enabled - Включить автопилот
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Переключить автопилот
+     * @returns {boolean} Включен ли автопилот
+     */
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    /**
+     * Сброс текущего маневра
+     */
+    reset() {
+        this.status = 'idle';
+        this.activeNode = null;
+        this.remainingDeltaV.set(0, 0, 0);
+        this.initialDeltaV = 0;
+    }
+
+    /**
+     * Обновление автопилота
+     * @param {number} deltaTime - Реальное время шага (с)
+     */
+    update(deltaTime) {
+        if (!this.enabled || this.clock.isPaused || this.clock.direction < 0) return;
+
+        const now = this.clock.getTime();
+        const timeScale = this.clock.timeScale;
+
+        // Узел, исполнение которого уже началось, ведется до конца
+        if (this.status !== 'burning') {
+            let node = this.planner.getNextNode(now);
+
+            // При большом ускорении момент узла может оказаться между кадрами - такой узел исполняется с опозданием
+            const isPending = this.activeNode && this.planner.nodes.includes(this.activeNode);
+            if (isPending && (!node || this.activeNode.time < node.time)) {
+                node = this.activeNode;
+            }
+
+            if (!node || !node.frame) {
+                this.reset();
+                return;
+            }
+            this.activeNode = node;
+            this.remainingDeltaV.copy(this.planner.getWorldDeltaV(node));
+            this.initialDeltaV = this.remainingDeltaV.length();
+        } else if (!this.planner.nodes.includes(this.activeNode)) {
+            // Узел удален во время работы двигателя
+            this.reset();
+            return;
+        }
+
+        if (this.initialDeltaV === 0) {
+            this.completeBurn();
+            return;
+        }
+
+        // Разворот по направлению импульса
+        const direction = this.remainingDeltaV.clone().normalize();
+        this.targetQuaternion.setFromUnitVectors(FORWARD, direction);
+        const quaternion = this.spaceShip.mesh.quaternion;
+        quaternion.rotateTowards(this.targetQuaternion, this.spaceShip.maxAngularSpeed * deltaTime);
+        this.spaceShip.angularVelocity.set(0, 0, 0);
+        const isAligned = quaternion.angleTo(this.targetQuaternion) <= this.alignmentTolerance;
+
+        if (this.status !== 'burning') {
+            // Двигатель включается за половину времени работы до узла
+            const burnTime = this.spaceShip.getBurnTime(this.initialDeltaV * timeScale) * timeScale;
+            if (!Number.isFinite(burnTime)) {
+                this.abort('Недостаточно топлива для маневра');
+                return;
+            }
+
+            const startTime = this.activeNode.time - burnTime / 2;
+            if (now < startTime) {
+                this.status = 'waiting';
+                return;
+            }
+            if (!isAligned) {
+                this.status = 'aligning';
+                return;
+            }
+
+            this.status = 'burning';
+            this.callbacks.burnStart.forEach(callback => callback(this.activeNode));
+        }
+
+        this.burn(deltaTime, timeScale);
+    }
+
+    /**
+     * Работа основного двигателя с дросселированием на последнем шаге
+     * @param {number} deltaTime - Реальное время шага (с)
+     * @param {number} timeScale - Ускорение времени
+     */
+    burn(deltaTime, timeScale) {
+        if (!this.spaceShip.canThrust()) {
+            this.abort('Топливо закончилось');
+            return;
+        }
+
+        // Шаг нулевой длины не дает импульса, а сила остатка на нем не определена
+        if (deltaTime <= 0) return;
+
+        // Оставшийся импульс в реальных единицах корабля
+        const remaining = this.remainingDeltaV.length() * timeScale;
+        const mass = this.spaceShip.getMass();
+        const force = Math.min(this.spaceShip.thrust, (remaining / deltaTime) * mass);
+
+        // Тяга вдоль текущей оси корабля: остаток импульса сокращается на фактически приложенную скорость
+        const applied = this.spaceShip.getForward().multiplyScalar((force / mass) * deltaTime / timeScale);
+        this.spaceShip.applyLocalThrust(FORWARD, force);
+        this.remainingDeltaV.sub(applied);
+
+        // Маневр окончен, когда остаток мал или направлен назад
+        const forward = this.spaceShip.getForward();
+        if (this.remainingDeltaV.length() <= this.initialDeltaV * this.completionThreshold
+            || this.remainingDeltaV.dot(forward) <= 0) {
+            this.completeBurn();
+        }
+    }
+
+    /**
+     * Завершение маневра: узел удаляется из плана
+     */
+    completeBurn() {
+        const node = this.activeNode;
+        this.planner.removeNode(node);
+        this.reset();
+        this.callbacks.burnComplete.forEach(callback => callback(node));
+    }
+
+    /**
+     * Прерывание маневра
+     * @param {string} reason - Причина
+     */
+    abort(reason) {
+        const node = this.activeNode;
+        this.setEnabled(false);
+        console.warn(`Автопилот: ${reason}`);
+        this.callbacks.abort.forEach(callback => callback(node, reason));
+    }
+
+    /**
+     * Добавить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    addCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            this.callbacks[eventType].push(callback);
+        }
+    }
+
+    /**
+     * Удалить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    removeCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            const index = this.callbacks[eventType].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[eventType].splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Получить состояние автопилота
+     * @returns {Object} {enabled, status, progress}
+     */
+    getState() {
+        return {
+            enabled: this.enabled,
+            status: this.status,
+            progress: this.initialDeltaV > 0 ? 1 - this.remainingDeltaV.length() / this.initialDeltaV : 0
+        };
+    }
+}
@@ -1,40 +1,197 @@
 import * as THREE from 'three';
 
+// Временные векторы режима сближения
+const _approachCenter = new THREE.Vector3();
+const _approachOffset = new THREE.Vector3();
+
+// Временные векторы переходов
+const _arcStart = new THREE.Vector3();
+const _arcEnd = new THREE.Vector3();
+const _arcAxis = new THREE.Vector3();
+const _segmentPoint = new THREE.Vector3();
+const _presetDirection = new THREE.Vector3();
+
+// Временные объекты следования
+const _followPosition = new THREE.Vector3();
+const _followQuaternion = new THREE.Quaternion();
+const _followRotation = new THREE.Quaternion();
+const _followRelative = new THREE.Vector3();
+const _followLook = new THREE.Vector3();
+const _chaseForward = new THREE.Vector3();
+const _chaseRight = new THREE.Vector3();
+const _chaseUp = new THREE.Vector3();
+const _chaseOffset = new THREE.Vector3();
+
+// Углы и повороты взгляда свободной камеры
+const _lookEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _yawQuaternion = new THREE.Quaternion();
+const _pitchQuaternion = new THREE.Quaternion();
+const _rollQuaternion = new THREE.Quaternion();
+const _axisX = new THREE.Vector3(1, 0, 0);
+const _axisY = new THREE.Vector3(0, 1, 0);
+const _axisZ = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Действия движения камеры, которые прерывают переход
+ */
+const MOVE_ACTIONS = ['moveForward', 'moveBackward', 'moveLeft', 'moveRight', 'moveUp', 'moveDown'];
+
+/**
+ * Режимы следования камеры
+ * chase - позади цели по направлению ее скорости,
+ * orbit - сохраняет угол и расстояние, выбранные мышью, относительно движущейся цели,
+ * surface - то же, но вращается вместе с целью
+ */
+export const FOLLOW_MODES = ['chase', 'orbit', 'surface'];
+
+/**
+ * Названия режимов следования для интерфейса
+ */
+export const FOLLOW_MODE_LABELS = {
+    chase: 'Погоня',
+    orbit: 'Орбитальная привязка',
+    surface: 'Вращение с поверхностью'
+};
+
 /**
  * Контроллер камеры - расширенное управление камерой
  */
 export class CameraController {
-    constructor(camera, orbitControls, inputManager = null) {
+    constructor(camera, orbitControls, actionManager = null) {
         this.camera = camera;
         this.orbitControls = orbitControls;
-        this.inputManager = inputManager;
+        this.actionManager = actionManager;
+        this.inputManager = actionManager ? actionManager.inputManager : null; // Мышь для обзора в захвате указателя
         
         // WASD управление
         this.wasdEnabled = true;
-        this.moveSpeed = 50; // Скорость движения
+        this.moveSpeed = 50; // Скорость движения у поверхности тел
+        this.maxMoveSpeed = 50; // Скорость движения вдали от тел
+        this.speedAltitudeFactor = 0.5; // Между ними скорость - доля высоты над ближайшим телом в секунду
+        this.speedBodies = [];
         this.fastMoveMultiplier = 3; // Множитель для быстрого движения (Shift)
         this.velocity = new THREE.Vector3();
         this.direction = new THREE.Vector3();
         
-        // Пресеты камеры
+        // Пресеты камеры: неподвижные {position, target} в координатах вселенной и привязанные к телам {object, radius}
         this.presets = {
-            overview: { position: [0, 100, 200], target: [0, 0, 0] },
-            sun: { position: [0, 20, 50], target: [0, 0, 0] },
-            earth: { position: [45, 10, 20], target: [45, 0, 0] },
-            saturn: { position: [110, 30, 60], target: [110, 0, 0] }
+            overview: { position: [0, 100, 200], target: [0, 0, 0] }
         };
+        this.presetFramingFactor = 4; // Расстояние до тела в радиусах при угле обзора 75°
+        this.presetElevation = THREE.MathUtils.degToRad(20);
         
-        // Состояние анимации
-        this.isAnimating = false;
+        // Переходы камеры: текущий и очередь следующих
+        this.transition = null;
+        this.transitionQueue = [];
         this.animationDuration = 2000; // 2 секунды
         
+        // Тело, которое переходы облетают по дуге, а не проходят насквозь
+        this.transitionObstacle = null;
+        this.transitionClearance = 0;
+        
+        // Вращение мышью прерывает переход
+        this.orbitControls.addEventListener('start', () => this.cancelTransition());
+        
         // Автоследование за объектом
         this.followTarget = null;
+        this.followMode = 'orbit';
         this.followOffset = new THREE.Vector3(10, 10, 10);
-        this.followSpeed = 0.02;
+        this.followSpeed = 0.1; // Доля сближения с желаемым положением за кадр при 60 FPS
+        this.followSettling = false;
+        this.followPrevPosition = new THREE.Vector3();
+        this.followPrevQuaternion = new THREE.Quaternion();
+        this.followVelocity = new THREE.Vector3();
+        this.chaseMinSpeed = 0.5; // Медленнее камера смотрит по носу цели, а не по скорости
         
         // Режимы управления
         this.controlMode = 'orbit'; // 'orbit' или 'free'
+        this.lookSpeed = 1.5; // Скорость поворота взгляда в свободном режиме (рад/с при полном отклонении)
+        this.maxLookPitch = Math.PI / 2 - 0.01; // Предел наклона взгляда, чтобы камера не переворачивалась
+        this.rollSpeed = 1; // Скорость крена в свободном режиме (рад/с)
+        
+        // Обзор мышью в захвате указателя (настройки приходят из ActionManager)
+        this.mouseSensitivity = 0.002; // Поворот на пиксель сдвига мыши (рад/px)
+        this.invertY = false;
+        this.mouseSmoothing = 0.5; // Доля прошлого сдвига, остающаяся за кадр при 60 FPS: 0 - без сглаживания
+        this.smoothedMouseDelta = new THREE.Vector2();
+        
+        // Касания в свободном режиме (в орбитальном их обрабатывают OrbitControls)
+        this.touchLookSpeed = 0.005; // Поворот взгляда пальцем (рад/px)
+        this.touchPanFactor = 0.005; // Сдвиг двумя пальцами: секунд полета на пиксель
+        this.touchPinchFactor = 1; // Сведение пальцев: секунд полета на единицу ln(масштаба)
+        
+        // Режим сближения: камера движется вместе с телом и может опуститься к поверхности
+        this.approachBody = null;
+        this.approachCenter = new THREE.Vector3();
+        this.approachAltitude = Infinity;
+        this.surfaceClearance = 0.005; // Минимальная высота над поверхностью (доля радиуса)
+        this.approachSpeedFactor = 2; // Скорость WASD у поверхности - высота в секунду × множитель
+        this.savedLimits = null;
+        
+        // Воспроизведение пути камеры
+        this.activePath = null;
+        this.pathTime = 0;
+        this.pathResolveAnchor = null;
+        this.pathResolve = null;
+        this.pathState = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: 75, roll: 0 };
+        
+        // Плавающее начало координат сцены: неподвижные пресеты и ключи путей заданы во вселенной
+        this.floatingOrigin = null;
+    }
+
+    /**
+     * Установить плавающее начало координат сцены
+     * @param {FloatingOrigin|null} floatingOrigin - Начало координат
+     */
+    setFloatingOrigin(floatingOrigin) {
+        this.floatingOrigin = floatingOrigin;
+    }
+
+    /**
+     * Перевод точки вселенной в мировые координаты
+     * @param {THREE.Vector3} point - Точка во вселенной (изменяется)
+     * @returns {THREE.Vector3} Мировая точка
+     */
+    universeToWorld(point) {
+        return this.floatingOrigin ? this.floatingOrigin.universeToWorld(point, point) : point;
+    }
+
+    /**
+     * Перевод мировой точки в координаты вселенной
+     * @param {THREE.Vector3} point - Мировая точка (изменяется)
+     * @returns {THREE.Vector3} Точка во вселенной
+     */
+    worldToUniverse(point) {
+        return this.floatingOrigin ? this.floatingOrigin.worldToUniverse(point, point) : point;
+    }
+
+    /**
+     * Перенос камеры и ее состояния при сдвиге начала координат
+     * @param {THREE.Vector3} delta - Сдвиг мира
+     */
+    shiftOrigin(delta) {
+        this.camera.position.add(delta);
+        this.orbitControls.target.add(delta);
+        this.approachCenter.add(delta);
+        this.followPrevPosition.add(delta);
+        this.pathState.position.add(delta);
+        this.pathState.target.add(delta);
+        
+        // Переходы: текущий вместе с началом и центром дуги, затем очередь
+        if (this.transition) {
+            const { startPosition, startTarget, arcCenter } = this.transition;
+            startPosition.add(delta);
+            startTarget.add(delta);
+            if (arcCenter) {
+                arcCenter.add(delta);
+            }
+        }
+        [this.transition, ...this.transitionQueue].forEach(request => {
+            if (request) {
+                request.position.add(delta);
+                request.target.add(delta);
+            }
+        });
     }
 
     /**
@@ -64,10 +221,50 @@ export class CameraController {
 
     /**
      * Установить скорость движения
-     * @param {number} speed - Скорость движения
+     * @param {number} speed - Скорость движения у поверхности тел
+     * @param {number} [maxSpeed] - Скорость движения вдали от тел
      */
-    setMoveSpeed(speed) {
+    setMoveSpeed(speed, maxSpeed = Math.max(speed, this.maxMoveSpeed)) {
         this.moveSpeed = speed;
+        this.maxMoveSpeed = maxSpeed;
+    }
+
+    /**
+     * Установить тела, по высоте над которыми подбирается скорость движения
+     * @param {Planet[]} bodies - Тела сцены
+     */
+    setSpeedBodies(bodies) {
+        this.speedBodies = bodies;
+    }
+
+    /**
+     * Скорость движения по высоте над ближайшим телом
+     * @returns {number} Скорость (ед/с)
+     */
+    getAdaptiveMoveSpeed() {
+        let altitude = Infinity;
+        this.speedBodies.forEach(body => {
+            altitude = Math.min(altitude, body.getAltitude(this.camera.position));
+        });
+        
+        if (altitude === Infinity) {
+            return this.moveSpeed;
+        }
+        return THREE.MathUtils.clamp(altitude * this.speedAltitudeFactor, this.moveSpeed, this.maxMoveSpeed);
+    }
+
+    /**
+     * Скорость ручного движения: по высоте над телами, а при сближении - не быстрее высоты
+     * @returns {number} Скорость (ед/с)
+     */
+    getManualMoveSpeed() {
+        const speed = this.getAdaptiveMoveSpeed();
+        
+        // У поверхности скорость пропорциональна высоте
+        if (this.approachBody) {
+            return Math.min(speed, Math.max(this.approachAltitude, 0.01) * this.approachSpeedFactor);
+        }
+        return speed;
     }
 
     /**
@@ -75,20 +272,118 @@ export class CameraController {
      * @param {number} deltaTime - Время с последнего кадра
      */
     update(deltaTime) {
+        // Путь камеры полностью управляет ей до конца воспроизведения
+        if (this.activePath) {
+            this.updatePath(deltaTime);
+            return;
+        }
+        
+        // Переход прерывается ручным движением камеры
+        if (this.transition) {
+            if (this.wasdEnabled && this.hasManualMovement()) {
+                this.cancelTransition();
+            } else {
+                this.updateTransition(deltaTime);
+            }
+        }
+        
         // WASD движение (работает в любом режиме)
-        if (this.wasdEnabled && this.inputManager) {
+        if (this.wasdEnabled && this.actionManager) {
             this.updateWASDMovement(deltaTime);
+            
+            // Поворот взгляда - только в свободном режиме, в орбитальном камера смотрит на цель
+            if (this.controlMode === 'free' && !this.followTarget) {
+                this.updateLook(deltaTime);
+            }
         }
         
         // Автоследование за объектом
         if (this.followTarget && !this.isAnimating) {
-            this.updateFollowTarget();
+            this.updateFollowTarget(deltaTime);
         }
         
         // Обновление OrbitControls только в орбитальном режиме
         if (this.controlMode === 'orbit') {
             this.orbitControls.update();
         }
+        
+        // Сближение - после всех перемещений, чтобы камера не ушла под поверхность
+        if (this.approachBody && !this.isAnimating) {
+            this.updateApproach();
+        }
+    }
+
+    /**
+     * Включить режим сближения с телом или выключить его
+     * @param {Planet|null} body - Тело или null
+     */
+    setApproachBody(body) {
+        if (body && !this.savedLimits) {
+            this.savedLimits = {
+                minDistance: this.orbitControls.minDistance,
+                near: this.camera.near
+            };
+        }
+        
+        this.approachBody = body;
+        this.approachAltitude = Infinity;
+        
+        if (body) {
+            this.stopFollowing();
+            body.mesh.getWorldPosition(this.approachCenter);
+            // Ограничение снизу задает поверхность тела, а не расстояние до цели
+            this.orbitControls.minDistance = 0;
+            console.log(`Режим сближения: ${body.name}`);
+        } else if (this.savedLimits) {
+            this.orbitControls.minDistance = this.savedLimits.minDistance;
+            this.camera.near = this.savedLimits.near;
+            this.camera.updateProjectionMatrix();
+            this.savedLimits = null;
+            console.log('Режим сближения выключен');
+        }
+    }
+
+    /**
+     * Обновление режима сближения
+     */
+    updateApproach() {
+        const body = this.approachBody;
+        const center = body.mesh.getWorldPosition(_approachCenter);
+        
+        // Камера переносится вместе с телом
+        const shift = _approachOffset.subVectors(center, this.approachCenter);
+        this.camera.position.add(shift);
+        if (this.controlMode === 'orbit') {
+            this.orbitControls.target.copy(center);
+        }
+        this.approachCenter.copy(center);
+        
+        // Камера не опускается ниже поверхности с рельефом
+        const offset = _approachOffset.subVectors(this.camera.position, center);
+        const surfaceRadius = body.getSurfaceRadiusAt(this.camera.position);
+        const minRadius = surfaceRadius + body.radius * this.surfaceClearance;
+        if (offset.length() < minRadius) {
+            offset.setLength(minRadius);
+            this.camera.position.copy(center).add(offset);
+        }
+        this.approachAltitude = offset.length() - surfaceRadius;
+        
+        // Ближняя плоскость отсечения уменьшается у поверхности
+        const near = THREE.MathUtils.clamp(this.approachAltitude * 0.5, 0.001, this.savedLimits.near);
+        if (Math.abs(near - this.camera.near) > this.camera.near * 0.1) {
+            this.camera.near = near;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * Проверка действий движения камеры
+     * @returns {boolean} Удерживается ли хотя бы одно действие движения
+     */
+    hasManualMovement() {
+        if (!this.actionManager) return false;
+        
+        return MOVE_ACTIONS.some(action => this.actionManager.isActionActive(action));
     }
 
     /**
@@ -96,12 +391,10 @@ export class CameraController {
      * @param {number} deltaTime - Время с последнего кадра
      */
     updateWASDMovement(deltaTime) {
-        if (!this.inputManager) return;
+        if (!this.actionManager) return;
         
-        const wasdState = this.inputManager.getWASDState();
-        const isShiftPressed = this.inputManager.isKeyPressed('ShiftLeft') || this.inputManager.isKeyPressed('ShiftRight');
-        const isSpacePressed = this.inputManager.isKeyPressed('Space');
-        const isCtrlPressed = this.inputManager.isKeyPressed('ControlLeft') || this.inputManager.isKeyPressed('ControlRight');
+        const actions = this.actionManager;
+        const isFastMove = actions.isActionActive('moveFast');
         
         // Получаем направления камеры
         const forward = new THREE.Vector3(0, 0, -1);
@@ -115,22 +408,20 @@ export class CameraController {
         // Сброс направления движения
         this.direction.set(0, 0, 0);
         
-        // WASD движение
-        if (wasdState.forward) this.direction.add(forward);
-        if (wasdState.backward) this.direction.sub(forward);
-        if (wasdState.left) this.direction.sub(right);
-        if (wasdState.right) this.direction.add(right);
+        // Движение вперед-назад и вбок (по умолчанию WASD)
+        this.direction.addScaledVector(forward, actions.getAxis('moveForward', 'moveBackward'));
+        this.direction.addScaledVector(right, actions.getAxis('moveRight', 'moveLeft'));
         
         // Вертикальное движение
-        if (isSpacePressed) this.direction.add(up);
-        if (isCtrlPressed) this.direction.sub(up);
+        this.direction.addScaledVector(up, actions.getAxis('moveUp', 'moveDown'));
         
-        // Нормализация и применение скорости
+        // Ограничение длины и применение скорости: отклонение стика сохраняет долю скорости
         if (this.direction.length() > 0) {
-            this.direction.normalize();
+            this.direction.clampLength(0, 1);
+            
+            let currentSpeed = this.getManualMoveSpeed();
             
-            let currentSpeed = this.moveSpeed;
-            if (isShiftPressed) {
+            if (isFastMove) {
                 currentSpeed *= this.fastMoveMultiplier;
             }
             
@@ -145,71 +436,478 @@ export class CameraController {
         }
     }
 
+    /**
+     * Поворот взгляда действиями look* и roll* и мышью в захвате указателя
+     * @param {number} deltaTime - Время с последнего кадра
+     */
+    updateLook(deltaTime) {
+        const actions = this.actionManager;
+        let yaw = actions.getAxis('lookLeft', 'lookRight') * this.lookSpeed * deltaTime;
+        let pitch = actions.getAxis('lookUp', 'lookDown') * this.lookSpeed * deltaTime;
+        const roll = actions.getAxis('rollViewLeft', 'rollViewRight') * this.rollSpeed * deltaTime;
+        
+        // Сдвиг мыши за кадр сглаживается экспоненциально, независимо от частоты кадров
+        if (this.inputManager && this.inputManager.isPointerLocked()) {
+            const delta = this.inputManager.getMouseDelta();
+            const blend = 1 - Math.pow(this.mouseSmoothing, deltaTime * 60);
+            this.smoothedMouseDelta.x += (delta.x - this.smoothedMouseDelta.x) * blend;
+            this.smoothedMouseDelta.y += (delta.y - this.smoothedMouseDelta.y) * blend;
+            
+            yaw -= this.smoothedMouseDelta.x * this.mouseSensitivity;
+            pitch -= this.smoothedMouseDelta.y * this.mouseSensitivity * (this.invertY ? -1 : 1);
+        } else {
+            this.smoothedMouseDelta.set(0, 0);
+        }
+        
+        if (yaw === 0 && pitch === 0 && roll === 0) return;
+        
+        this.rotateView(yaw, pitch, roll);
+    }
+
+    /**
+     * Поворот взгляда камеры
+     *
+     * Ориентация раскладывается на рыскание вокруг мировой вертикали, тангаж и крен
+     * (углы Эйлера YXZ) и собирается обратно произведением кватернионов, поэтому
+     * рыскание не зависит от наклона, а тангаж ограничен и камера не переворачивается.
+     * @param {number} yaw - Поворот вокруг вертикали (рад), положительный - влево
+     * @param {number} pitch - Изменение наклона (рад), положительный - вверх
+     * @param {number} [roll] - Изменение крена (рад), положительный - влево
+     */
+    rotateView(yaw, pitch, roll = 0) {
+        _lookEuler.setFromQuaternion(this.camera.quaternion);
+        
+        _yawQuaternion.setFromAxisAngle(_axisY, _lookEuler.y + yaw);
+        _pitchQuaternion.setFromAxisAngle(_axisX, THREE.MathUtils.clamp(_lookEuler.x + pitch, -this.maxLookPitch, this.maxLookPitch));
+        _rollQuaternion.setFromAxisAngle(_axisZ, _lookEuler.z + roll);
+        
+        this.camera.quaternion.copy(_yawQuaternion).multiply(_pitchQuaternion).multiply(_rollQuaternion);
+    }
+
+    /**
+     * Применить настройки обзора мышью
+     * @param {Object} settings - {mouseSensitivity, invertY, mouseSmoothing}
+     */
+    setMouseLookSettings(settings) {
+        this.mouseSensitivity = settings.mouseSensitivity;
+        this.invertY = settings.invertY;
+        this.mouseSmoothing = THREE.MathUtils.clamp(settings.mouseSmoothing, 0, 0.95);
+    }
+
+    /**
+     * Управляют ли касания камерой: только свободная камера без следования, пути и перехода
+     * @returns {boolean} Применять ли жесты
+     */
+    isTouchControlActive() {
+        return this.controlMode === 'free' && this.wasdEnabled && !this.followTarget && !this.activePath && !this.isAnimating;
+    }
+
+    /**
+     * Поворот взгляда движением пальца
+     * @param {number} dx - Сдвиг пальца вправо (px)
+     * @param {number} dy - Сдвиг пальца вниз (px)
+     */
+    applyTouchLook(dx, dy) {
+        if (!this.isTouchControlActive()) return;
+        
+        this.rotateView(-dx * this.touchLookSpeed, -dy * this.touchLookSpeed);
+    }
+
+    /**
+     * Сдвиг камеры двумя пальцами: мир следует за пальцами
+     * @param {number} dx - Сдвиг центра пальцев вправо (px)
+     * @param {number} dy - Сдвиг центра пальцев вниз (px)
+     */
+    applyTouchPan(dx, dy) {
+        if (!this.isTouchControlActive()) return;
+        
+        const distance = this.getManualMoveSpeed() * this.touchPanFactor;
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.camera.quaternion);
+        this.camera.position.addScaledVector(right, -dx * distance).addScaledVector(up, dy * distance);
+    }
+
+    /**
+     * Движение вперед-назад сведением пальцев: разведение - вперед
+     * @param {number} scale - Отношение расстояния между пальцами к прошлому
+     */
+    applyPinch(scale) {
+        if (!this.isTouchControlActive() || scale <= 0) return;
+        
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        this.camera.position.addScaledVector(forward, Math.log(scale) * this.getManualMoveSpeed() * this.touchPinchFactor);
+    }
+
+    /**
+     * Идет ли переход камеры
+     * @returns {boolean} Есть ли текущий переход
+     */
+    get isAnimating() {
+        return this.transition !== null;
+    }
+
     /**
      * Анимированный переход к пресету камеры
+     *
+     * Переход к пресету тела догоняет тело по орбите и заканчивается привязкой к нему.
      * @param {string} presetName - Имя пресета
-     * @returns {Promise} Промис завершения анимации
+     * @param {Object} options - Параметры перехода {duration, queue, followMode}; followMode - режим
+     * привязки к телу по прибытии ('orbit' по умолчанию)
+     * @returns {Promise<boolean>} Промис окончания: true, если переход завершен, false - если прерван
      */
-    async animateToPreset(presetName) {
+    animateToPreset(presetName, options = {}) {
         const preset = this.presets[presetName];
         if (!preset) {
             console.warn(`Пресет камеры "${presetName}" не найден`);
-            return;
+            return Promise.resolve(false);
+        }
+
+        if (!preset.object) {
+            return this.animateToPosition(
+                this.universeToWorld(new THREE.Vector3(...preset.position)),
+                this.universeToWorld(new THREE.Vector3(...preset.target)),
+                options
+            );
         }
 
-        return this.animateToPosition(
-            new THREE.Vector3(...preset.position),
-            new THREE.Vector3(...preset.target)
-        );
+        const position = new THREE.Vector3();
+        const target = new THREE.Vector3();
+        this.getBodyPresetPose(preset, position, target);
+        
+        const resolveEnd = (endPosition, endTarget) => this.getBodyPresetPose(preset, endPosition, endTarget);
+        return this.animateToPosition(position, target, { ...options, resolveEnd }).then((completed) => {
+            // Следующий переход из очереди уже начался - привязка ему не нужна
+            if (completed && !this.transition) {
+                this.followObject(preset.object, null, options.followMode || 'orbit');
+            }
+            return completed;
+        });
+    }
+
+    /**
+     * Добавить пресет, кадрирующий тело по его текущему положению
+     * @param {string} name - Имя пресета
+     * @param {THREE.Object3D} object - Объект тела
+     * @param {number} radius - Радиус тела
+     */
+    addBodyPreset(name, object, radius) {
+        this.presets[name] = { object, radius };
+    }
+
+    /**
+     * Положение камеры для пресета тела: освещенная сторона, немного сверху
+     * @param {Object} preset - Пресет {object, radius}
+     * @param {THREE.Vector3} position - Вектор для положения камеры
+     * @param {THREE.Vector3} target - Вектор для цели
+     */
+    getBodyPresetPose(preset, position, target) {
+        preset.object.getWorldPosition(target);
+        
+        // Направление на звезду; для самой звезды - на наблюдателя по умолчанию
+        const direction = _presetDirection.set(0, 0, 1);
+        if (this.transitionObstacle) {
+            this.transitionObstacle.getWorldPosition(direction).sub(target);
+            if (direction.lengthSq() < 1e-8) {
+                direction.set(0, 0, 1);
+            }
+        }
+        direction.y = 0;
+        if (direction.lengthSq() < 1e-8) {
+            direction.set(0, 0, 1);
+        }
+        direction.normalize().multiplyScalar(Math.cos(this.presetElevation));
+        direction.y = Math.sin(this.presetElevation);
+        
+        // Чем уже угол обзора, тем дальше камера
+        const fovScale = Math.tan(THREE.MathUtils.degToRad(37.5)) / Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        const distance = preset.radius * this.presetFramingFactor * fovScale;
+        position.copy(target).addScaledVector(direction, distance);
     }
 
     /**
      * Анимированный переход к позиции
+     *
+     * Новый переход заменяет текущий и очищает очередь; с queue он начнется после
+     * уже запланированных. Переход идет в update() и прерывается мышью, WASD или cancelTransition().
      * @param {THREE.Vector3} targetPosition - Целевая позиция камеры
      * @param {THREE.Vector3} targetLookAt - Точка, на которую смотрит камера
-     * @returns {Promise} Промис завершения анимации
+     * @param {Object} options - Параметры {duration (мс), queue, resolveEnd}; resolveEnd(position, target)
+     * обновляет конечную точку на каждом кадре, чтобы догнать движущуюся цель
+     * @returns {Promise<boolean>} Промис окончания: true, если переход завершен, false - если прерван
+     */
+    animateToPosition(targetPosition, targetLookAt, options = {}) {
+        let resolve;
+        const promise = new Promise((done) => {
+            resolve = done;
+        });
+        const request = {
+            position: targetPosition.clone(),
+            target: targetLookAt.clone(),
+            duration: options.duration || this.animationDuration,
+            resolveEnd: options.resolveEnd || null,
+            resolve,
+            promise
+        };
+
+        if (options.queue && this.transition) {
+            this.transitionQueue.push(request);
+            return promise;
+        }
+
+        this.cancelTransition();
+        this.startTransition(request);
+        return promise;
+    }
+
+    /**
+     * Сменить цель текущего перехода, не прерывая его промис
+     * @param {THREE.Vector3} targetPosition - Новая позиция камеры
+     * @param {THREE.Vector3} targetLookAt - Новая точка взгляда
+     * @returns {Promise<boolean>} Промис текущего перехода или нового, если перехода нет
+     */
+    retargetTransition(targetPosition, targetLookAt) {
+        if (!this.transition) {
+            return this.animateToPosition(targetPosition, targetLookAt);
+        }
+
+        // Переход продолжается от текущего положения с полной длительностью
+        const { duration, resolve, promise } = this.transition;
+        this.startTransition({
+            position: targetPosition.clone(),
+            target: targetLookAt.clone(),
+            duration,
+            resolveEnd: null,
+            resolve,
+            promise
+        });
+        return promise;
+    }
+
+    /**
+     * Прервать текущий переход и очистить очередь
+     */
+    cancelTransition() {
+        const cancelled = this.transition ? [this.transition, ...this.transitionQueue] : this.transitionQueue;
+        this.transition = null;
+        this.transitionQueue = [];
+        cancelled.forEach(request => request.resolve(false));
+    }
+
+    /**
+     * Начать переход из текущего положения камеры
+     * @param {Object} request - Запрос {position, target, duration, resolve, promise}
      */
-    animateToPosition(targetPosition, targetLookAt) {
-        return new Promise((resolve) => {
-            if (this.isAnimating) {
-                resolve();
-                return;
+    startTransition(request) {
+        this.stopFollowing(); // Останавливаем следование
+
+        const transition = {
+            ...request,
+            startPosition: this.camera.position.clone(),
+            startTarget: this.orbitControls.target.clone(),
+            elapsed: 0,
+            arcCenter: null
+        };
+
+        // Путь, проходящий слишком близко к препятствию, идет по дуге вокруг него
+        if (this.transitionObstacle) {
+            const center = this.transitionObstacle.getWorldPosition(new THREE.Vector3());
+            const segment = new THREE.Line3(transition.startPosition, transition.position);
+            if (segment.closestPointToPoint(center, true, _segmentPoint).distanceTo(center) < this.transitionClearance) {
+                transition.arcCenter = center;
             }
+        }
 
-            this.isAnimating = true;
-            this.stopFollowing(); // Останавливаем следование
+        this.transition = transition;
+    }
 
-            const startPosition = this.camera.position.clone();
-            const startTarget = this.orbitControls.target.clone();
+    /**
+     * Обновление текущего перехода
+     * @param {number} deltaTime - Время с последнего кадра
+     */
+    updateTransition(deltaTime) {
+        const transition = this.transition;
+        transition.elapsed += deltaTime * 1000;
+        const progress = Math.min(transition.elapsed / transition.duration, 1);
+        
+        // Конечная точка движется вместе с целью
+        if (transition.resolveEnd) {
+            transition.resolveEnd(transition.position, transition.target);
+        }
+        
+        // Используем easing функцию для плавности
+        const easeProgress = this.easeInOutCubic(progress);
+
+        // Интерполяция позиции камеры - по прямой или по дуге вокруг препятствия
+        if (transition.arcCenter) {
+            this.interpolateArc(transition, easeProgress, this.camera.position);
+        } else {
+            this.camera.position.lerpVectors(transition.startPosition, transition.position, easeProgress);
+        }
+        
+        // Интерполяция цели
+        this.orbitControls.target.lerpVectors(transition.startTarget, transition.target, easeProgress);
+
+        if (progress >= 1) {
+            this.transition = null;
+            transition.resolve(true);
             
-            const startTime = Date.now();
-
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / this.animationDuration, 1);
-                
-                // Используем easing функцию для плавности
-                const easeProgress = this.easeInOutCubic(progress);
-
-                // Интерполяция позиции камеры
-                this.camera.position.lerpVectors(startPosition, targetPosition, easeProgress);
-                
-                // Интерполяция цели
-                this.orbitControls.target.lerpVectors(startTarget, targetLookAt, easeProgress);
-                
-                // Обновление контроллеров
-                this.orbitControls.update();
-
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    this.isAnimating = false;
-                    resolve();
-                }
-            };
+            // Следующий переход из очереди
+            const next = this.transitionQueue.shift();
+            if (next) {
+                this.startTransition(next);
+            }
+        }
+    }
+
+    /**
+     * Точка дуги вокруг центра препятствия: направление поворачивается, расстояние меняется линейно
+     * @param {Object} transition - Переход с arcCenter
+     * @param {number} t - Прогресс от 0 до 1
+     * @param {THREE.Vector3} result - Вектор для результата
+     * @returns {THREE.Vector3} Точка дуги
+     */
+    interpolateArc(transition, t, result) {
+        const center = transition.arcCenter;
+        const start = _arcStart.subVectors(transition.startPosition, center);
+        const end = _arcEnd.subVectors(transition.position, center);
+        const startRadius = start.length();
+        const endRadius = end.length();
+        start.divideScalar(startRadius);
+        end.divideScalar(endRadius);
+
+        // Для противоположных направлений ось поворота берется перпендикулярно вертикали
+        const angle = start.angleTo(end);
+        _arcAxis.crossVectors(start, end);
+        if (_arcAxis.lengthSq() < 1e-12) {
+            _arcAxis.crossVectors(start, this.camera.up);
+            if (_arcAxis.lengthSq() < 1e-12) {
+                _arcAxis.set(1, 0, 0);
+            }
+        }
+        _arcAxis.normalize();
 
-            animate();
+        return result.copy(start)
+            .applyAxisAngle(_arcAxis, angle * t)
+            .multiplyScalar(THREE.MathUtils.lerp(startRadius, endRadius, t))
+            .add(center);
+    }
+
+    /**
+     * Задать тело, которое переходы облетают по дуге
+     * @param {THREE.Object3D|null} object - Объект препятствия
+     * @param {number} clearance - Минимальное расстояние от центра препятствия
+     */
+    setTransitionObstacle(object, clearance = 0) {
+        this.transitionObstacle = object;
+        this.transitionClearance = clearance;
+    }
+
+    /**
+     * Воспроизвести путь камеры
+     * @param {CameraPath} path - Путь из двух и более ключей
+     * @param {Function} resolveAnchor - Поиск объекта сцены по имени для привязанных ключей
+     * @returns {Promise<boolean>} Промис окончания: true, если путь пройден до конца
+     */
+    playPath(path, resolveAnchor = () => null) {
+        if (path.keyframes.length < 2 || path.getDuration() <= 0) {
+            console.warn(`В пути камеры "${path.name}" меньше двух ключей`);
+            return Promise.resolve(false);
+        }
+        
+        this.stopPath();
+        this.cancelTransition();
+        this.stopFollowing();
+        this.setApproachBody(null);
+        
+        this.activePath = path;
+        this.pathTime = 0;
+        this.pathResolveAnchor = resolveAnchor;
+        this.orbitControls.enabled = false;
+        
+        console.log(`🎬 Путь камеры "${path.name}": ${path.getDuration().toFixed(1)} с`);
+        
+        const finished = new Promise((resolve) => {
+            this.pathResolve = resolve;
         });
+        this.updatePath(0);
+        return finished;
+    }
+
+    /**
+     * Остановить воспроизведение пути
+     * @param {boolean} completed - Путь пройден до конца
+     */
+    stopPath(completed = false) {
+        if (!this.activePath) return;
+        
+        // Орбитальное управление продолжается от последней точки пути
+        this.orbitControls.target.copy(this.pathState.target);
+        this.orbitControls.enabled = this.controlMode === 'orbit';
+        this.activePath = null;
+        
+        const resolve = this.pathResolve;
+        this.pathResolve = null;
+        if (resolve) resolve(completed);
+    }
+
+    /**
+     * Обновление воспроизведения пути
+     * @param {number} deltaTime - Время с последнего кадра
+     */
+    updatePath(deltaTime) {
+        const path = this.activePath;
+        const duration = path.getDuration();
+        
+        this.pathTime += deltaTime;
+        if (path.loop && this.pathTime > duration) {
+            this.pathTime %= duration;
+        }
+        
+        const origin = this.floatingOrigin ? this.floatingOrigin.origin : null;
+        const state = path.evaluate(this.pathTime, this.pathResolveAnchor, this.pathState, origin);
+        this.camera.position.copy(state.position);
+        this.camera.lookAt(state.target);
+        this.camera.rotateZ(THREE.MathUtils.degToRad(state.roll));
+        if (this.camera.fov !== state.fov) {
+            this.camera.fov = state.fov;
+            this.camera.updateProjectionMatrix();
+        }
+        
+        if (!path.loop && this.pathTime >= duration) {
+            this.stopPath(true);
+        }
+    }
+
+    /**
+     * Ключевой кадр из текущего положения камеры
+     * @param {number} time - Время ключа от начала пути (с)
+     * @param {THREE.Object3D} anchor - Объект привязки или null
+     * @returns {Object} Ключ для CameraPath.addKeyframe
+     */
+    captureKeyframe(time, anchor = null) {
+        // Цель - по направлению взгляда, чтобы ключ записывался и в свободном режиме
+        const position = this.camera.position.clone();
+        const distance = Math.max(position.distanceTo(this.orbitControls.target), 1);
+        const target = this.camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(distance).add(position);
+        
+        if (anchor) {
+            const anchorPosition = anchor.getWorldPosition(new THREE.Vector3());
+            position.sub(anchorPosition);
+            target.sub(anchorPosition);
+        } else {
+            this.worldToUniverse(position);
+            this.worldToUniverse(target);
+        }
+        
+        return {
+            time,
+            position: position.toArray(),
+            target: target.toArray(),
+            fov: this.camera.fov,
+            roll: 0,
+            anchor: anchor ? anchor.name : null,
+            easing: 'easeInOut'
+        };
     }
 
     /**
@@ -224,15 +922,47 @@ export class CameraController {
     /**
      * Начать следование за объектом
      * @param {THREE.Object3D} target - Объект для следования
-     * @param {THREE.Vector3} offset - Смещение от объекта
+     * @param {THREE.Vector3} offset - Смещение от объекта: в режиме chase - в осях движения
+     * (x вправо, y вверх, z вперед), в остальных - в мировых осях на момент захвата.
+     * Без смещения камера остается на текущем расстоянии и угле
+     * @param {string} mode - Режим следования из FOLLOW_MODES
      */
-    followObject(target, offset = null) {
+    followObject(target, offset = null, mode = this.followMode) {
+        if (!FOLLOW_MODES.includes(mode)) {
+            console.warn(`Неизвестный режим следования: ${mode}`);
+            return;
+        }
+        
+        this.cancelTransition();
         this.followTarget = target;
+        this.followMode = mode;
+        this.followSettling = offset !== null && mode !== 'chase';
+        target.getWorldPosition(this.followPrevPosition);
+        target.getWorldQuaternion(this.followPrevQuaternion);
+        
         if (offset) {
             this.followOffset.copy(offset);
+            // Вращающаяся камера выходит на смещение в осях цели
+            if (mode === 'surface') {
+                this.followOffset.applyQuaternion(_followRotation.copy(this.followPrevQuaternion).invert());
+            }
         }
+        this.followVelocity.set(0, 0, 0);
+        
+        console.log(`Камера начала следование за объектом: ${target.name || 'Unknown'} (${mode})`);
+    }
+
+    /**
+     * Сменить режим следования, не меняя цель
+     * @param {string} mode - Режим следования из FOLLOW_MODES
+     */
+    setFollowMode(mode) {
+        if (!FOLLOW_MODES.includes(mode)) return;
         
-        console.log(`Камера начала следование за объектом: ${target.name || 'Unknown'}`);
+        this.followMode = mode;
+        if (this.followTarget) {
+            this.followTarget.getWorldQuaternion(this.followPrevQuaternion);
+        }
     }
 
     /**
@@ -242,29 +972,80 @@ export class CameraController {
         if (this.followTarget) {
             console.log('Следование камеры остановлено');
             this.followTarget = null;
+            this.followSettling = false;
         }
     }
 
     /**
      * Обновление следования за целью
+     * @param {number} deltaTime - Время с последнего кадра
      */
-    updateFollowTarget() {
+    updateFollowTarget(deltaTime) {
         if (!this.followTarget) return;
 
-        // Получаем мировую позицию цели
-        const targetWorldPosition = new THREE.Vector3();
-        this.followTarget.getWorldPosition(targetWorldPosition);
-
-        // Вычисляем желаемую позицию камеры
-        const desiredPosition = targetWorldPosition.clone().add(this.followOffset);
+        const position = this.followTarget.getWorldPosition(_followPosition);
+        const quaternion = this.followTarget.getWorldQuaternion(_followQuaternion);
+        
+        // Сглаживание не зависит от частоты кадров
+        const blend = 1 - Math.pow(1 - this.followSpeed, deltaTime * 60);
         
-        // Плавно перемещаем камеру
-        this.camera.position.lerp(desiredPosition, this.followSpeed);
+        // Смещения камеры и точки взгляда от цели на прошлом кадре, с учетом вращения мышью
+        const relative = _followRelative.subVectors(this.camera.position, this.followPrevPosition);
+        const look = _followLook.subVectors(this.orbitControls.target, this.followPrevPosition);
         
-        // Плавно поворачиваем камеру к цели
-        this.orbitControls.target.lerp(targetWorldPosition, this.followSpeed);
+        if (this.followMode === 'chase') {
+            // Скорость цели по смещению за кадр, чтобы режим работал для любого объекта
+            if (deltaTime > 0) {
+                _chaseOffset.subVectors(position, this.followPrevPosition).divideScalar(deltaTime);
+                this.followVelocity.lerp(_chaseOffset, blend);
+            }
+            
+            const forward = this.followVelocity.length() > this.chaseMinSpeed
+                ? _chaseForward.copy(this.followVelocity).normalize()
+                : _chaseForward.set(0, 0, 1).applyQuaternion(quaternion);
+            _chaseRight.crossVectors(forward, this.camera.up);
+            if (_chaseRight.lengthSq() < 1e-8) {
+                _chaseRight.set(1, 0, 0).applyQuaternion(quaternion);
+            }
+            _chaseRight.normalize();
+            _chaseUp.crossVectors(_chaseRight, forward);
+            
+            _chaseOffset.set(0, 0, 0)
+                .addScaledVector(_chaseRight, this.followOffset.x)
+                .addScaledVector(_chaseUp, this.followOffset.y)
+                .addScaledVector(forward, this.followOffset.z);
+            relative.lerp(_chaseOffset, blend);
+            look.set(0, 0, 0);
+        } else {
+            // Вращение цели за кадр переносится на камеру
+            if (this.followMode === 'surface') {
+                _followRotation.copy(this.followPrevQuaternion).invert().premultiply(quaternion);
+                relative.applyQuaternion(_followRotation);
+                look.applyQuaternion(_followRotation);
+            }
+            
+            // После захвата цели камера плавно выходит на заданное смещение, затем следует жестко
+            if (this.followSettling) {
+                const offset = _chaseOffset.copy(this.followOffset);
+                if (this.followMode === 'surface') {
+                    offset.applyQuaternion(quaternion);
+                }
+                relative.lerp(offset, blend);
+                look.multiplyScalar(1 - blend);
+                if (relative.distanceTo(offset) < offset.length() * 0.01 && look.length() < 0.01) {
+                    this.followSettling = false;
+                }
+            }
+        }
+        
+        this.camera.position.copy(position).add(relative);
+        this.orbitControls.target.copy(position).add(look);
+        this.followPrevPosition.copy(position);
+        this.followPrevQuaternion.copy(quaternion);
         
-        this.orbitControls.update();
+        if (this.followMode === 'chase') {
+            this.camera.lookAt(position);
+        }
     }
 
     /**
@@ -278,8 +1059,8 @@ export class CameraController {
     /**
      * Добавить новый пресет камеры
      * @param {string} name - Имя пресета
-     * @param {Array} position - Позиция камеры [x, y, z]
-     * @param {Array} target - Цель камеры [x, y, z]
+     * @param {Array} position - Позиция камеры во вселенной [x, y, z]
+     * @param {Array} target - Цель камеры во вселенной [x, y, z]
      */
     addPreset(name, position, target) {
         this.presets[name] = {
@@ -294,16 +1075,8 @@ export class CameraController {
      * @param {string} name - Имя пресета
      */
     saveCurrentAsPreset(name) {
-        const position = [
-            this.camera.position.x,
-            this.camera.position.y,
-            this.camera.position.z
-        ];
-        const target = [
-            this.orbitControls.target.x,
-            this.orbitControls.target.y,
-            this.orbitControls.target.z
-        ];
+        const position = this.worldToUniverse(this.camera.position.clone()).toArray();
+        const target = this.worldToUniverse(this.orbitControls.target.clone()).toArray();
         
         this.addPreset(name, position, target);
     }
@@ -345,6 +1118,75 @@ export class CameraController {
         this.orbitControls.autoRotateSpeed = speed;
     }
 
+    /**
+     * Сериализация состояния камеры
+     * @returns {Object} Состояние для сохранения
+     */
+    serialize() {
+        return {
+            position: this.camera.position.toArray(),
+            quaternion: this.camera.quaternion.toArray(),
+            fov: this.camera.fov,
+            target: this.orbitControls.target.toArray(),
+            followTarget: this.followTarget ? this.followTarget.name : null,
+            followMode: this.followMode,
+            followOffset: this.followOffset.toArray(),
+            controlMode: this.controlMode,
+            wasdEnabled: this.wasdEnabled,
+            approachBody: this.approachBody ? this.approachBody.name : null
+        };
+    }
+
+    /**
+     * Восстановление состояния камеры
+     * @param {Object} data - Сохраненное состояние
+     * @param {Function} resolveObject - Поиск объекта сцены по имени для цели следования
+     */
+    deserialize(data, resolveObject = () => null) {
+        this.stopPath();
+        this.cancelTransition();
+        this.stopFollowing();
+        this.setApproachBody(null);
+        
+        this.setControlMode(data.controlMode);
+        this.setWASDEnabled(data.wasdEnabled);
+
+        // Инерция движения и сглаживание мыши не сохраняются - загруженный вид неподвижен
+        this.velocity.set(0, 0, 0);
+        this.smoothedMouseDelta.set(0, 0);
+
+        this.camera.position.fromArray(data.position);
+        this.camera.quaternion.fromArray(data.quaternion);
+        if (data.fov !== undefined) {
+            this.camera.fov = data.fov;
+            this.camera.updateProjectionMatrix();
+        }
+        this.orbitControls.target.fromArray(data.target);
+        
+        if (data.followTarget) {
+            const target = resolveObject(data.followTarget);
+            if (target) {
+                // Камера уже на месте - следование продолжается без выхода на смещение
+                this.followObject(target, null, data.followMode || 'orbit');
+                this.followOffset.fromArray(data.followOffset);
+            } else {
+                console.warn(`Цель следования "${data.followTarget}" не найдена`);
+            }
+        }
+        
+        // Режим сближения восстанавливается после положения камеры
+        if (data.approachBody) {
+            const object = resolveObject(data.approachBody);
+            if (object && object.userData.planet) {
+                this.setApproachBody(object.userData.planet);
+            }
+        }
+        
+        if (this.controlMode === 'orbit') {
+            this.orbitControls.update();
+        }
+    }
+
     /**
      * Получить информацию о текущем состоянии камеры
      * @returns {Object} Информация о камере
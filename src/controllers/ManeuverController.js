@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+
+/**
+ * Контроллер узлов маневров - выбор узлов, перетаскивание ручек импульса
+ * и добавление узлов на линии прогноза
+ *
+ * Указатель здесь только выбирает, что делать: выбор узла и новый импульс уходят командами
+ * InputManager (selectManeuverNode, setManeuverDeltaV) и попадают в запись повтора.
+ */
+export class ManeuverController {
+    /**
+     * @param {SpaceScene} spaceScene - Космическая сцена
+     * @param {THREE.Camera} camera - Камера
+     * @param {HTMLElement} domElement - Элемент отрисовки
+     * @param {OrbitControls} controls - Орбитальные контролы (отключаются на время перетаскивания)
+     * @param {InputManager} inputManager - Менеджер ввода: положение мыши и отправка команд
+     */
+    constructor(spaceScene, camera, domElement, controls, inputManager) {
+        this.spaceScene = spaceScene;
+        this.planner = spaceScene.getManeuverPlanner();
+        this.camera = camera;
+        this.domElement = domElement;
+        this.controls = controls;
+        this.inputManager = inputManager;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.lastPointer = { x: 0, y: 0 };
+
+        // Перетаскиваемая ручка {node, gizmo, config}
+        this.drag = null;
+
+        // Изменение импульса на пиксель перетаскивания как доля орбитальной скорости
+        this.dragSensitivity = 0.001;
+
+        this.setupEvents();
+    }
+
+    /**
+     * Подписка на события указателя
+     */
+    setupEvents() {
+        // Фаза перехвата: решение принимается до обработки нажатия орбитальными контролами
+        this.domElement.addEventListener('pointerdown', (event) => this.onPointerDown(event), true);
+        window.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        window.addEventListener('pointerup', () => this.onPointerUp());
+    }
+
+    /**
+     * Установить координаты указателя для луча
+     * @param {number} x - Координата X в окне (px)
+     * @param {number} y - Координата Y в окне (px)
+     */
+    setPointer(x, y) {
+        this.pointer.x = (x / window.innerWidth) * 2 - 1;
+        this.pointer.y = -(y / window.innerHeight) * 2 + 1;
+    }
+
+    /**
+     * Узел маневра или его ручка под указателем
+     * @param {number} x - Координата X в окне (px)
+     * @param {number} y - Координата Y в окне (px)
+     * @returns {Object|null} Данные объекта {maneuverGizmo, handle} или null
+     */
+    pickGizmo(x, y) {
+        this.setPointer(x, y);
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const intersects = this.raycaster.intersectObjects(this.spaceScene.getManeuverPickables(), false);
+        return intersects.length > 0 ? intersects[0].object.userData : null;
+    }
+
+    /**
+     * Пришлось ли касание на узел маневра: такое касание не меняет выделение планеты
+     *
+     * Проверка идет по координатам касания, а не по отметке из обработчика нажатия,
+     * поэтому в повторе ответ тот же, что и при записи.
+     * @param {number} x - Координата X в окне (px)
+     * @param {number} y - Координата Y в окне (px)
+     * @returns {boolean} Есть ли узел под указателем
+     */
+    hitsNode(x, y) {
+        return this.pickGizmo(x, y) !== null;
+    }
+
+    /**
+     * Нажатие: выбор узла или начало перетаскивания ручки
+     * @param {PointerEvent} event - Событие указателя
+     */
+    onPointerDown(event) {
+        // Во время воспроизведения повтора узлы меняет только записанный ввод
+        if (event.button !== 0 || !this.inputManager.liveInput) return;
+
+        const picked = this.pickGizmo(event.clientX, event.clientY);
+        if (!picked) return;
+
+        const { maneuverGizmo, handle } = picked;
+        const node = maneuverGizmo.node;
+        this.inputManager.sendCommand('selectManeuverNode', node.id);
+
+        if (handle) {
+            this.drag = { node, gizmo: maneuverGizmo, config: handle };
+            this.lastPointer.x = event.clientX;
+            this.lastPointer.y = event.clientY;
+            this.controls.enabled = false;
+        }
+    }
+
+    /**
+     * Перетаскивание ручки: смещение указателя вдоль экранной проекции оси
+     * @param {PointerEvent} event - Событие указателя
+     */
+    onPointerMove(event) {
+        if (!this.drag) return;
+
+        const dx = event.clientX - this.lastPointer.x;
+        const dy = event.clientY - this.lastPointer.y;
+        this.lastPointer.x = event.clientX;
+        this.lastPointer.y = event.clientY;
+
+        const { node, gizmo, config } = this.drag;
+        if (!node.frame) return;
+
+        // Направление ручки на экране (в пикселях)
+        const origin = node.frame.position.clone().project(this.camera);
+        const tip = node.frame.position.clone()
+            .addScaledVector(gizmo.getHandleDirection(config), gizmo.group.scale.x)
+            .project(this.camera);
+        const screenDirection = new THREE.Vector2(
+            (tip.x - origin.x) * window.innerWidth,
+            -(tip.y - origin.y) * window.innerHeight
+        );
+        if (screenDirection.lengthSq() === 0) return;
+        screenDirection.normalize();
+
+        const pixels = dx * screenDirection.x + dy * screenDirection.y;
+        const speed = Math.max(node.frame.relativeSpeed, 1e-9);
+
+        const deltaV = node.deltaV.clone();
+        deltaV[config.axis] += config.sign * pixels * this.dragSensitivity * speed;
+        this.inputManager.sendCommand('setManeuverDeltaV', node.id, deltaV.toArray());
+    }
+
+    /**
+     * Окончание перетаскивания
+     */
+    onPointerUp() {
+        if (!this.drag) return;
+
+        this.drag = null;
+        this.controls.enabled = true;
+    }
+
+    /**
+     * Добавить узел в точке прогноза, ближайшей к указателю мыши на экране
+     * @returns {Object|null} Узел или null, если прогноза нет
+     */
+    addNodeAtCursor() {
+        const predictor = this.spaceScene.trajectoryPredictor;
+        if (!predictor || !predictor.enabled || predictor.points.length < 2) return null;
+
+        // Положение мыши из InputManager - в повторе оно тоже записанное
+        const mouse = this.inputManager.mousePosition;
+        this.setPointer(mouse.x, mouse.y);
+
+        const path = predictor.getPathPoints();
+        const projected = new THREE.Vector3();
+        let bestIndex = -1;
+        let bestDistance = Infinity;
+
+        // Первая точка - текущее положение корабля, узел ставится только в будущем
+        for (let i = 1; i < path.length; i++) {
+            projected.copy(path[i]).project(this.camera);
+            if (projected.z > 1) continue;
+
+            const distance = Math.hypot(projected.x - this.pointer.x, projected.y - this.pointer.y);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        }
+
+        if (bestIndex === -1) return null;
+        return this.planner.addNode(predictor.points[bestIndex].time);
+    }
+
+    /**
+     * Удалить выбранный узел
+     * @returns {boolean} Был ли удален узел
+     */
+    removeSelectedNode() {
+        if (!this.planner.selectedNode) return false;
+
+        this.planner.removeNode(this.planner.selectedNode);
+        return true;
+    }
+}
@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+
+/**
+ * Контроллер корабля - управление полетом с шестью степенями свободы
+ */
+export class ShipController {
+    constructor(spaceShip, actionManager) {
+        this.spaceShip = spaceShip;
+        this.actionManager = actionManager;
+
+        // Управление активно только в режиме полета на корабле
+        this.enabled = false;
+
+        // Множитель тяги при форсаже
+        this.boostMultiplier = 2;
+
+        this.localThrust = new THREE.Vector3();
+    }
+
+    /**
+     * Включить/выключить управление кораблем
+     * @param {boolean} enabled - Включить управление
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+
+        if (!enabled) {
+            this.spaceShip.setBraking(false);
+        }
+    }
+
+    /**
+     * Переключить модель полета между инерциальной и аркадной
+     * @returns {string} Новая модель полета
+     */
+    toggleFlightModel() {
+        const model = this.spaceShip.flightModel === 'arcade' ? 'newtonian' : 'arcade';
+        this.spaceShip.setFlightModel(model);
+        return model;
+    }
+
+    /**
+     * Обновление контроллера
+     * @param {number} deltaTime - Время с последнего кадра
+     */
+    update(deltaTime) {
+        if (!this.enabled || !this.actionManager) return;
+
+        const actions = this.actionManager;
+        const isBoosting = actions.isActionActive('boost');
+
+        // Основная тяга (по умолчанию W/S или курки) - вдоль оси корабля; аналоговый ввод дросселирует
+        const mainThrust = actions.getAxis('thrustForward', 'thrustBackward');
+        if (mainThrust !== 0) {
+            const magnitude = this.spaceShip.thrust * Math.abs(mainThrust) * (isBoosting ? this.boostMultiplier : 1);
+            this.spaceShip.applyLocalThrust(this.localThrust.set(0, 0, mainThrust), magnitude);
+        }
+
+        // Боковые маневровые двигатели: A/D - вбок, Space/Ctrl - вверх/вниз
+        const strafeX = actions.getAxis('strafeLeft', 'strafeRight');
+        const strafeY = actions.getAxis('strafeUp', 'strafeDown');
+        if (strafeX !== 0 || strafeY !== 0) {
+            this.localThrust.set(strafeX, strafeY, 0);
+            this.spaceShip.applyLocalThrust(this.localThrust, this.spaceShip.strafeThrust * Math.min(this.localThrust.length(), 1));
+        }
+
+        // Вращение: стрелки (правый стик) - тангаж и рыскание, Q/E - крен
+        const pitch = actions.getAxis('pitchUp', 'pitchDown');
+        const yaw = actions.getAxis('yawLeft', 'yawRight');
+        const roll = actions.getAxis('rollRight', 'rollLeft');
+        if (pitch !== 0 || yaw !== 0 || roll !== 0) {
+            this.spaceShip.applyRotation(pitch, yaw, roll);
+        }
+
+        // Торможение маневровыми двигателями (X)
+        this.spaceShip.setBraking(actions.isActionActive('brake'));
+    }
+
+    /**
+     * Получить информацию о полете
+     * @returns {Object} Скорость и модель полета
+     */
+    getFlightInfo() {
+        return {
+            speed: this.spaceShip.velocity.length(),
+            angularSpeed: this.spaceShip.angularVelocity.length(),
+            flightModel: this.spaceShip.flightModel,
+            isBraking: this.spaceShip.isBraking
+        };
+    }
+}
@@ -0,0 +1,269 @@
+import * as THREE from 'three';
+
+/**
+ * Версия формата пути камеры
+ */
+export const CAMERA_PATH_FORMAT_VERSION = 1;
+
+/**
+ * Функции плавности сегментов пути
+ */
+export const CAMERA_PATH_EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOut: (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+/**
+ * Способы интерполяции между ключами
+ */
+export const CAMERA_PATH_INTERPOLATIONS = ['catmullRom', 'bezier'];
+
+/**
+ * Сплайн Катмулла-Рома на отрезке p1-p2
+ */
+function catmullRom(t, p0, p1, p2, p3) {
+    const v0 = (p2 - p0) * 0.5;
+    const v1 = (p3 - p1) * 0.5;
+    const t2 = t * t;
+    const t3 = t * t2;
+    return (2 * p1 - 2 * p2 + v0 + v1) * t3 + (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 + v0 * t + p1;
+}
+
+/**
+ * Кубическая кривая Безье
+ */
+function cubicBezier(t, p0, p1, p2, p3) {
+    const k = 1 - t;
+    return k * k * k * p0 + 3 * k * k * t * p1 + 3 * k * t * t * p2 + t * t * t * p3;
+}
+
+// Временные векторы для вычисления точек сегмента
+const _points = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+const _anchor = new THREE.Vector3();
+const _handleOut = new THREE.Vector3();
+const _handleIn = new THREE.Vector3();
+
+/**
+ * Путь камеры из ключевых кадров
+ *
+ * Ключ задает время от начала пути (с), положение камеры, точку, на которую она смотрит,
+ * угол обзора и крен. Ключ может быть привязан к телу: тогда положение и цель задаются
+ * смещением от тела и при воспроизведении следуют за ним по орбите, иначе - в координатах
+ * вселенной, не зависящих от сдвигов плавающего начала координат. Плавность ключа
+ * действует на сегмент от него до следующего ключа. Зацикленный путь начинается заново
+ * после последнего ключа, поэтому для плавного цикла последний ключ повторяет первый.
+ */
+export class CameraPath {
+    /**
+     * @param {Object} options - Параметры {name, interpolation, loop}
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'path';
+        this.interpolation = options.interpolation || 'catmullRom';
+        this.loop = options.loop || false;
+        this.keyframes = [];
+    }
+
+    /**
+     * Добавить ключевой кадр
+     * @param {Object} keyframe - Ключ {time, position, target, fov, roll, anchor, easing, handleIn, handleOut}
+     * @returns {Object} Добавленный ключ
+     */
+    addKeyframe(keyframe) {
+        const key = {
+            time: keyframe.time,
+            position: new THREE.Vector3().fromArray(keyframe.position),
+            target: new THREE.Vector3().fromArray(keyframe.target),
+            fov: keyframe.fov !== undefined ? keyframe.fov : 75,
+            roll: keyframe.roll || 0,
+            anchor: keyframe.anchor || null,
+            easing: keyframe.easing || 'linear',
+            handleIn: keyframe.handleIn ? new THREE.Vector3().fromArray(keyframe.handleIn) : null,
+            handleOut: keyframe.handleOut ? new THREE.Vector3().fromArray(keyframe.handleOut) : null
+        };
+
+        if (!CAMERA_PATH_EASINGS[key.easing]) {
+            throw new Error(`Неизвестная плавность ключа: ${key.easing}`);
+        }
+
+        this.keyframes.push(key);
+        this.keyframes.sort((a, b) => a.time - b.time);
+        return key;
+    }
+
+    /**
+     * Удалить все ключи
+     */
+    clear() {
+        this.keyframes = [];
+    }
+
+    /**
+     * Длительность пути
+     * @returns {number} Время последнего ключа (с)
+     */
+    getDuration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+    }
+
+    /**
+     * Мировая точка ключа с учетом привязки к телу
+     * @param {Object} key - Ключ
+     * @param {string} field - 'position' или 'target'
+     * @param {Function} resolveAnchor - Поиск объекта сцены по имени
+     * @param {THREE.Vector3} result - Вектор для результата
+     * @param {THREE.Vector3|null} origin - Положение мирового нуля во вселенной для ключей без привязки
+     * @returns {THREE.Vector3} Точка в мировых координатах
+     */
+    resolvePoint(key, field, resolveAnchor, result, origin = null) {
+        result.copy(key[field]);
+
+        const anchor = key.anchor ? resolveAnchor(key.anchor) : null;
+        if (anchor) {
+            result.add(anchor.getWorldPosition(_anchor));
+        } else if (origin) {
+            result.sub(origin);
+        }
+        return result;
+    }
+
+    /**
+     * Ключ с индексом, ограниченным краями пути
+     * @param {number} index - Индекс
+     * @returns {Object} Ключ
+     */
+    getKey(index) {
+        return this.keyframes[THREE.MathUtils.clamp(index, 0, this.keyframes.length - 1)];
+    }
+
+    /**
+     * Интерполяция точки сегмента
+     * @param {number} index - Индекс первого ключа сегмента
+     * @param {number} t - Прогресс по сегменту от 0 до 1
+     * @param {string} field - 'position' или 'target'
+     * @param {Function} resolveAnchor - Поиск объекта сцены по имени
+     * @param {THREE.Vector3} result - Вектор для результата
+     * @param {THREE.Vector3|null} origin - Положение мирового нуля во вселенной
+     * @returns {THREE.Vector3} Точка пути
+     */
+    interpolatePoint(index, t, field, resolveAnchor, result, origin = null) {
+        const [p0, p1, p2, p3] = _points;
+        const start = this.getKey(index);
+        const end = this.getKey(index + 1);
+        this.resolvePoint(this.getKey(index - 1), field, resolveAnchor, p0, origin);
+        this.resolvePoint(start, field, resolveAnchor, p1, origin);
+        this.resolvePoint(end, field, resolveAnchor, p2, origin);
+        this.resolvePoint(this.getKey(index + 2), field, resolveAnchor, p3, origin);
+
+        if (this.interpolation === 'bezier') {
+            // Ручки положения можно задать в ключе, иначе они сглаживаются по соседним ключам
+            const handleOut = field === 'position' && start.handleOut
+                ? _handleOut.copy(p1).add(start.handleOut)
+                : _handleOut.subVectors(p2, p0).multiplyScalar(1 / 6).add(p1);
+            const handleIn = field === 'position' && end.handleIn
+                ? _handleIn.copy(p2).add(end.handleIn)
+                : _handleIn.subVectors(p1, p3).multiplyScalar(1 / 6).add(p2);
+
+            return result.set(
+                cubicBezier(t, p1.x, handleOut.x, handleIn.x, p2.x),
+                cubicBezier(t, p1.y, handleOut.y, handleIn.y, p2.y),
+                cubicBezier(t, p1.z, handleOut.z, handleIn.z, p2.z)
+            );
+        }
+
+        return result.set(
+            catmullRom(t, p0.x, p1.x, p2.x, p3.x),
+            catmullRom(t, p0.y, p1.y, p2.y, p3.y),
+            catmullRom(t, p0.z, p1.z, p2.z, p3.z)
+        );
+    }
+
+    /**
+     * Состояние камеры в момент пути
+     * @param {number} time - Время от начала пути (с)
+     * @param {Function} resolveAnchor - Поиск объекта сцены по имени
+     * @param {Object} result - Объект для результата {position, target, fov, roll}
+     * @param {THREE.Vector3|null} origin - Положение мирового нуля во вселенной
+     * @returns {Object} Состояние {position, target, fov, roll} в мировых координатах
+     */
+    evaluate(time, resolveAnchor, result, origin = null) {
+        const keys = this.keyframes;
+        const last = keys.length - 1;
+
+        // Сегмент, в который попадает время, и прогресс по нему
+        let index = 0;
+        let t = 0;
+        if (time <= keys[0].time) {
+            t = 0;
+        } else if (time >= keys[last].time) {
+            index = Math.max(last - 1, 0);
+            t = 1;
+        } else {
+            while (index < last - 1 && time >= keys[index + 1].time) {
+                index++;
+            }
+            t = (time - keys[index].time) / (keys[index + 1].time - keys[index].time);
+        }
+
+        const start = this.getKey(index);
+        const end = this.getKey(index + 1);
+        const eased = CAMERA_PATH_EASINGS[start.easing](t);
+
+        this.interpolatePoint(index, eased, 'position', resolveAnchor, result.position, origin);
+        this.interpolatePoint(index, eased, 'target', resolveAnchor, result.target, origin);
+        result.fov = catmullRom(eased, this.getKey(index - 1).fov, start.fov, end.fov, this.getKey(index + 2).fov);
+        result.roll = catmullRom(eased, this.getKey(index - 1).roll, start.roll, end.roll, this.getKey(index + 2).roll);
+        return result;
+    }
+
+    /**
+     * Экспорт пути в JSON
+     * @returns {Object} Описание пути
+     */
+    toJSON() {
+        return {
+            version: CAMERA_PATH_FORMAT_VERSION,
+            name: this.name,
+            interpolation: this.interpolation,
+            loop: this.loop,
+            keyframes: this.keyframes.map(key => {
+                const data = {
+                    time: key.time,
+                    position: key.position.toArray(),
+                    target: key.target.toArray(),
+                    fov: key.fov,
+                    roll: key.roll,
+                    easing: key.easing
+                };
+                if (key.anchor) data.anchor = key.anchor;
+                if (key.handleIn) data.handleIn = key.handleIn.toArray();
+                if (key.handleOut) data.handleOut = key.handleOut.toArray();
+                return data;
+            })
+        };
+    }
+
+    /**
+     * Создание пути из JSON
+     * @param {Object} data - Описание пути
+     * @returns {CameraPath} Путь
+     * @throws {Error} Если формат не поддерживается
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.keyframes)) {
+            throw new Error('Описание не является путем камеры');
+        }
+        if (data.version !== undefined && data.version !== CAMERA_PATH_FORMAT_VERSION) {
+            throw new Error(`Неподдерживаемая версия пути камеры: ${data.version}`);
+        }
+        if (data.interpolation && !CAMERA_PATH_INTERPOLATIONS.includes(data.interpolation)) {
+            throw new Error(`Неизвестная интерполяция пути камеры: ${data.interpolation}`);
+        }
+
+        const path = new CameraPath(data);
+        data.keyframes.forEach(keyframe => path.addKeyframe(keyframe));
+        return path;
+    }
+}
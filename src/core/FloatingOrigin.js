@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+
+// Сдвиг мира при переносе начала координат
+const _delta = new THREE.Vector3();
+
+/**
+ * Плавающее начало координат
+ *
+ * GPU считает в float32: в тысячах единиц от нуля шаг представимых чисел становится
+ * заметен, и меши корабля и планет начинают дрожать. Когда камера уходит от нуля дальше
+ * порога, весь мир сдвигается так, чтобы камера оказалась в нуле. Подсистемы переносят
+ * свои мировые координаты в колбэке rebase; положение мирового нуля во вселенной копится
+ * в origin, поэтому координаты вселенной (закладки, пресеты, сохранения) от сдвигов не зависят.
+ */
+export class FloatingOrigin {
+    /**
+     * @param {Object} options - Параметры {enabled, threshold}
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        this.threshold = options.threshold || 1000; // Расстояние камеры от нуля, после которого мир сдвигается (ед.)
+
+        // Положение мирового нуля в координатах вселенной
+        this.origin = new THREE.Vector3();
+        this.rebaseCount = 0;
+
+        // Колбэки сдвига мира
+        this.callbacks = {
+            rebase: []
+        };
+    }
+
+    /**
+     * Проверка положения камеры
+     * @param {THREE.Vector3} focus - Мировая точка, вокруг которой нужна точность (камера)
+     * @returns {boolean} Был ли сдвинут мир
+     */
+    update(focus) {
+        if (!this.enabled || focus.lengthSq() <= this.threshold * this.threshold) {
+            return false;
+        }
+
+        this.rebase(focus.clone());
+        return true;
+    }
+
+    /**
+     * Перенести начало координат в мировую точку
+     * @param {THREE.Vector3} point - Мировая точка, которая станет нулем
+     */
+    rebase(point) {
+        if (point.lengthSq() === 0) return;
+
+        this.origin.add(point);
+        this.rebaseCount++;
+
+        // Колбэки получают общий вектор сдвига и не должны его сохранять
+        _delta.copy(point).negate();
+        this.callbacks.rebase.forEach(callback => {
+            callback(_delta);
+        });
+    }
+
+    /**
+     * Перенести начало координат в точку вселенной (например, при загрузке сохранения)
+     * @param {THREE.Vector3|Array<number>} origin - Новое положение мирового нуля во вселенной
+     */
+    setOrigin(origin) {
+        const target = Array.isArray(origin) ? new THREE.Vector3().fromArray(origin) : origin.clone();
+        this.rebase(target.sub(this.origin));
+    }
+
+    /**
+     * Перевод мировой точки в координаты вселенной
+     * @param {THREE.Vector3} point - Мировая точка
+     * @param {THREE.Vector3} target - Вектор для результата
+     * @returns {THREE.Vector3} Точка во вселенной
+     */
+    worldToUniverse(point, target = new THREE.Vector3()) {
+        return target.copy(point).add(this.origin);
+    }
+
+    /**
+     * Перевод точки вселенной в мировые координаты
+     * @param {THREE.Vector3} point - Точка во вселенной
+     * @param {THREE.Vector3} target - Вектор для результата
+     * @returns {THREE.Vector3} Мировая точка
+     */
+    universeToWorld(point, target = new THREE.Vector3()) {
+        return target.copy(point).sub(this.origin);
+    }
+
+    /**
+     * Добавить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    addCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            this.callbacks[eventType].push(callback);
+        }
+    }
+
+    /**
+     * Удалить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    removeCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            const index = this.callbacks[eventType].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[eventType].splice(index, 1);
+            }
+        }
+    }
+}
@@ -1,14 +1,53 @@
+/**
+ * Режимы шага игрового цикла
+ */
+export const STEP_MODES = ['fixed', 'variable', 'semi-fixed'];
+
+/**
+ * Названия режимов шага для интерфейса
+ */
+export const STEP_MODE_LABELS = {
+    'fixed': 'Фиксированный',
+    'variable': 'Переменный',
+    'semi-fixed': 'Полуфиксированный'
+};
+
 /**
  * Игровой цикл - управляет обновлениями и рендерингом сцены
+ *
+ * Режимы шага:
+ * - fixed - шаги длиной frameTime из накопителя; остаток кадра передается в рендеринг
+ *   как alpha (0..1) для интерполяции между двумя последними шагами
+ * - variable - один шаг на кадр длиной в прошедшее время
+ * - semi-fixed - прошедшее время делится на шаги не длиннее frameTime
+ *
+ * Число шагов за кадр ограничено maxStepsPerFrame: если обновления не успевают за временем,
+ * лишнее время отбрасывается и копится в droppedTime вместо лавины шагов в следующих кадрах.
  */
 export class GameLoop {
-    constructor() {
+    /**
+     * @param {Object} options - Параметры {targetFPS, stepMode, maxStepsPerFrame}
+     */
+    constructor(options = {}) {
         this.isRunning = false;
         this.lastTime = 0;
-        this.targetFPS = 60;
+        this.targetFPS = options.targetFPS || 60;
         this.frameTime = 1000 / this.targetFPS;
         this.accumulator = 0;
         this.currentTime = 0;
+        this.frameDelta = 0;
+        
+        // Режим шага и защита от лавины шагов после долгого кадра
+        this.stepMode = options.stepMode || 'fixed';
+        this.maxStepsPerFrame = options.maxStepsPerFrame || 5;
+        this.droppedTime = 0; // Отброшенное время (мс)
+        
+        // Доля накопленного, но еще не отработанного шага для интерполяции рендеринга
+        this.alpha = 1;
+        
+        // Номер шага и время симуляции по шагам, а не по часам системы
+        this.tick = 0;
+        this.simulatedTime = 0; // мс
         
         // Колбэки
         this.updateCallback = null;
@@ -20,8 +59,8 @@ export class GameLoop {
 
     /**
      * Запуск игрового цикла
-     * @param {Function} updateCallback - Функция обновления логики
-     * @param {Function} renderCallback - Функция рендеринга
+     * @param {Function} updateCallback - Функция обновления логики (deltaTime в секундах)
+     * @param {Function} renderCallback - Функция рендеринга (alpha от 0 до 1)
      */
     start(updateCallback, renderCallback) {
         if (this.isRunning) {
@@ -54,28 +93,97 @@ export class GameLoop {
         if (!this.isRunning) return;
 
         this.currentTime = timestamp;
-        let deltaTime = this.currentTime - this.lastTime;
+        this.frameDelta = Math.max(this.currentTime - this.lastTime, 0);
         this.lastTime = this.currentTime;
 
-        // Ограничение deltaTime для предотвращения больших скачков
-        deltaTime = Math.min(deltaTime, 50); // максимум 50ms
+        switch (this.stepMode) {
+            case 'variable':
+                this.stepVariable(this.frameDelta);
+                break;
+            case 'semi-fixed':
+                this.stepSemiFixed(this.frameDelta);
+                break;
+            default:
+                this.stepFixed(this.frameDelta);
+        }
+
+        // Рендеринг всегда происходит с максимальной частотой
+        if (this.renderCallback) {
+            this.renderCallback(this.alpha);
+        }
 
+        requestAnimationFrame(this.loop);
+    }
+
+    /**
+     * Фиксированный шаг обновления для стабильности физики
+     * @param {number} deltaTime - Время кадра (мс)
+     */
+    stepFixed(deltaTime) {
         this.accumulator += deltaTime;
 
-        // Фиксированный шаг обновления для стабильности физики
-        while (this.accumulator >= this.frameTime) {
-            if (this.updateCallback) {
-                this.updateCallback(this.frameTime / 1000); // передаем в секундах
-            }
+        let steps = 0;
+        while (this.accumulator >= this.frameTime && steps < this.maxStepsPerFrame) {
+            this.step(this.frameTime);
             this.accumulator -= this.frameTime;
+            steps++;
         }
+        
+        // Целые шаги сверх лимита отбрасываются, доля шага остается для интерполяции
+        if (this.accumulator >= this.frameTime) {
+            const excess = this.accumulator - this.accumulator % this.frameTime;
+            this.droppedTime += excess;
+            this.accumulator -= excess;
+        }
+        
+        this.alpha = this.accumulator / this.frameTime;
+    }
 
-        // Рендеринг всегда происходит с максимальной частотой
-        if (this.renderCallback) {
-            this.renderCallback();
+    /**
+     * Один шаг на кадр длиной в прошедшее время
+     * @param {number} deltaTime - Время кадра (мс)
+     */
+    stepVariable(deltaTime) {
+        // Кадр нулевой длины не дает шага, как и в полуфиксированном режиме
+        if (deltaTime <= 0) return;
+        
+        const maxDelta = this.frameTime * this.maxStepsPerFrame;
+        if (deltaTime > maxDelta) {
+            this.droppedTime += deltaTime - maxDelta;
         }
+        
+        this.step(Math.min(deltaTime, maxDelta));
+        this.alpha = 1;
+    }
 
-        requestAnimationFrame(this.loop);
+    /**
+     * Прошедшее время делится на шаги не длиннее frameTime
+     * @param {number} deltaTime - Время кадра (мс)
+     */
+    stepSemiFixed(deltaTime) {
+        let remaining = deltaTime;
+        let steps = 0;
+        while (remaining > 0 && steps < this.maxStepsPerFrame) {
+            const stepTime = Math.min(remaining, this.frameTime);
+            this.step(stepTime);
+            remaining -= stepTime;
+            steps++;
+        }
+        
+        this.droppedTime += remaining;
+        this.alpha = 1;
+    }
+
+    /**
+     * Шаг обновления
+     * @param {number} stepTime - Длина шага (мс)
+     */
+    step(stepTime) {
+        if (this.updateCallback) {
+            this.updateCallback(stepTime / 1000); // передаем в секундах
+        }
+        this.tick++;
+        this.simulatedTime += stepTime;
     }
 
     /**
@@ -83,7 +191,15 @@ export class GameLoop {
      * @returns {number} Текущий FPS
      */
     getCurrentFPS() {
-        return Math.round(1000 / (this.currentTime - this.lastTime));
+        return this.frameDelta > 0 ? Math.round(1000 / this.frameDelta) : 0;
+    }
+
+    /**
+     * Время от запуска цикла по сумме шагов
+     * @returns {number} Время в секундах
+     */
+    getElapsedTime() {
+        return this.simulatedTime / 1000;
     }
 
     /**
@@ -94,4 +210,50 @@ export class GameLoop {
         this.targetFPS = fps;
         this.frameTime = 1000 / this.targetFPS;
     }
-} 
\ No newline at end of file
+
+    /**
+     * Установить режим шага
+     * @param {string} mode - Режим из STEP_MODES
+     */
+    setStepMode(mode) {
+        if (!STEP_MODES.includes(mode)) {
+            console.warn(`Неизвестный режим шага: ${mode}`);
+            return;
+        }
+        
+        this.stepMode = mode;
+        this.accumulator = 0;
+        this.alpha = 1;
+        console.log(`⏱️ Режим шага: ${STEP_MODE_LABELS[mode]}`);
+    }
+
+    /**
+     * Переключить режим шага на следующий
+     * @returns {string} Новый режим
+     */
+    cycleStepMode() {
+        this.setStepMode(STEP_MODES[(STEP_MODES.indexOf(this.stepMode) + 1) % STEP_MODES.length]);
+        return this.stepMode;
+    }
+
+    /**
+     * Установить предел шагов за кадр
+     * @param {number} steps - Число шагов (не меньше 1)
+     */
+    setMaxStepsPerFrame(steps) {
+        this.maxStepsPerFrame = Math.max(1, Math.floor(steps));
+    }
+
+    /**
+     * Состояние цикла для интерфейса
+     * @returns {Object} {stepMode, maxStepsPerFrame, droppedTime, alpha}
+     */
+    getStatus() {
+        return {
+            stepMode: this.stepMode,
+            maxStepsPerFrame: this.maxStepsPerFrame,
+            droppedTime: this.droppedTime,
+            alpha: this.alpha
+        };
+    }
+}
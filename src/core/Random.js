@@ -0,0 +1,86 @@
+/**
+ * Зерно мира по умолчанию
+ */
+export const DEFAULT_SEED = 1;
+
+/**
+ * Хеш строки (FNV-1a)
+ * @param {string} text - Строка
+ * @returns {number} 32-битное беззнаковое целое
+ */
+export function hashString(text) {
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Зерно из значения параметра: целое число берется как есть, остальные строки хешируются
+ * @param {number|string} value - Число или строка (например, из адреса ?seed=...)
+ * @returns {number} 32-битное беззнаковое зерно
+ */
+export function parseSeed(value) {
+    if (typeof value === 'number') return value >>> 0;
+
+    const text = String(value).trim();
+    return /^\d+$/.test(text) ? Number(text) >>> 0 : hashString(text);
+}
+
+/**
+ * Генератор псевдослучайных чисел с зерном (mulberry32)
+ *
+ * Одно зерно дает одну и ту же последовательность в любом браузере. Генераторы сцены получают
+ * не общий поток, а ответвления по имени (fork): звезды или текстура тела не меняются, если
+ * в сцене добавилось тело или другой генератор взял больше чисел.
+ */
+export class Random {
+    /**
+     * @param {number|string} seed - Зерно
+     */
+    constructor(seed = DEFAULT_SEED) {
+        this.seed = parseSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Следующее число
+     * @returns {number} Число от 0 (включительно) до 1
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Число в диапазоне
+     * @param {number} min - Нижняя граница (включительно)
+     * @param {number} max - Верхняя граница
+     * @returns {number} Число от min до max
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Случайный элемент массива
+     * @param {Array} items - Массив
+     * @returns {*} Элемент
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Независимый генератор для именованного потребителя; не сдвигает этот генератор
+     * @param {string} key - Имя потребителя
+     * @returns {Random} Новый генератор
+     */
+    fork(key) {
+        return new Random(Math.imul(this.seed ^ hashString(key), 0x9e3779b1) >>> 0);
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * Эпоха J2000 (1 января 2000 года, 12:00 UTC) - начало отсчета времени симуляции
+ */
+export const J2000_EPOCH = Date.UTC(2000, 0, 1, 12, 0, 0);
+
+/**
+ * Часы симуляции - ускорение, пауза, обратный ход и переход к дате
+ */
+export class SimulationClock {
+    /**
+     * @param {Object} options - Параметры часов
+     * @param {number} [options.timeScale=100000] - Начальное ускорение времени
+     * @param {Date} [options.startDate] - Начальная дата симуляции
+     */
+    constructor(options = {}) {
+        // Время симуляции в секундах от эпохи J2000
+        this.time = 0;
+
+        // Ускорение времени
+        this.minTimeScale = 1;
+        this.maxTimeScale = 1000000;
+        this.warpSteps = [1, 10, 100, 1000, 10000, 100000, 1000000];
+        this.timeScale = this.clampTimeScale(options.timeScale || 100000);
+
+        // Направление хода времени: 1 - вперед, -1 - назад
+        this.direction = 1;
+        this.isPaused = false;
+
+        // Шаг симуляции за последний кадр (с учетом ускорения и направления)
+        this.delta = 0;
+
+        // Время эффектов - учитывает паузу и направление, но не ускорение
+        this.animationDelta = 0;
+        this.animationTime = 0;
+
+        // Колбэки изменения состояния часов
+        this.callbacks = {
+            change: []
+        };
+
+        if (options.startDate) {
+            this.setDate(options.startDate);
+        }
+    }
+
+    /**
+     * Обновление часов
+     * @param {number} deltaTime - Реальное время с последнего кадра в секундах
+     */
+    update(deltaTime) {
+        if (this.isPaused) {
+            this.delta = 0;
+            this.animationDelta = 0;
+            return;
+        }
+
+        this.animationDelta = deltaTime * this.direction;
+        this.animationTime += this.animationDelta;
+
+        this.delta = this.animationDelta * this.timeScale;
+        this.time += this.delta;
+    }
+
+    /**
+     * Поставить на паузу
+     */
+    pause() {
+        this.isPaused = true;
+        this.notifyChange();
+    }
+
+    /**
+     * Снять с паузы
+     */
+    resume() {
+        this.isPaused = false;
+        this.notifyChange();
+    }
+
+    /**
+     * Переключить паузу
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Изменить направление хода времени
+     */
+    reverse() {
+        this.direction = -this.direction;
+        this.notifyChange();
+    }
+
+    /**
+     * Установить ускорение времени
+     * @param {number} scale - Ускорение (от 1 до 1 000 000)
+     */
+    setTimeScale(scale) {
+        this.timeScale = this.clampTimeScale(scale);
+        this.notifyChange();
+    }
+
+    /**
+     * Ограничение ускорения допустимым диапазоном
+     * @param {number} scale - Ускорение
+     * @returns {number} Ограниченное ускорение
+     */
+    clampTimeScale(scale) {
+        return Math.max(this.minTimeScale, Math.min(this.maxTimeScale, scale));
+    }
+
+    /**
+     * Перейти к следующей ступени ускорения
+     */
+    increaseWarp() {
+        const next = this.warpSteps.find(step => step > this.timeScale);
+        this.setTimeScale(next !== undefined ? next : this.maxTimeScale);
+    }
+
+    /**
+     * Перейти к предыдущей ступени ускорения
+     */
+    decreaseWarp() {
+        const previous = [...this.warpSteps].reverse().find(step => step < this.timeScale);
+        this.setTimeScale(previous !== undefined ? previous : this.minTimeScale);
+    }
+
+    /**
+     * Установить абсолютную дату симуляции
+     * @param {Date|number|string} date - Дата
+     */
+    setDate(date) {
+        const timestamp = new Date(date).getTime();
+        if (Number.isNaN(timestamp)) {
+            console.warn(`Некорректная дата: ${date}`);
+            return;
+        }
+
+        this.time = (timestamp - J2000_EPOCH) / 1000;
+        this.notifyChange();
+    }
+
+    /**
+     * Получить текущую дату симуляции
+     * @returns {Date} Дата
+     */
+    getDate() {
+        return new Date(J2000_EPOCH + this.time * 1000);
+    }
+
+    /**
+     * Получить время симуляции
+     * @returns {number} Секунды от эпохи J2000
+     */
+    getTime() {
+        return this.time;
+    }
+
+    /**
+     * Получить шаг симуляции за последний кадр
+     * @returns {number} Шаг в секундах
+     */
+    getDelta() {
+        return this.delta;
+    }
+
+    /**
+     * Добавить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    addCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            this.callbacks[eventType].push(callback);
+        }
+    }
+
+    /**
+     * Удалить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    removeCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            const index = this.callbacks[eventType].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[eventType].splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Оповещение об изменении состояния
+     */
+    notifyChange() {
+        this.callbacks.change.forEach(callback => {
+            callback(this.getState());
+        });
+    }
+
+    /**
+     * Сериализация состояния часов
+     * @returns {Object} Состояние для сохранения
+     */
+    serialize() {
+        return {
+            time: this.time,
+            timeScale: this.timeScale,
+            direction: this.direction,
+            isPaused: this.isPaused,
+            animationTime: this.animationTime
+        };
+    }
+
+    /**
+     * Восстановление состояния часов
+     * @param {Object} data - Сохраненное состояние
+     */
+    deserialize(data) {
+        this.time = data.time;
+        this.timeScale = this.clampTimeScale(data.timeScale);
+        this.direction = data.direction < 0 ? -1 : 1;
+        this.isPaused = Boolean(data.isPaused);
+        this.animationTime = data.animationTime || 0;
+        this.delta = 0;
+        this.animationDelta = 0;
+        this.notifyChange();
+    }
+
+    /**
+     * Получить информацию о состоянии часов
+     * @returns {Object} Состояние часов
+     */
+    getState() {
+        return {
+            date: this.getDate(),
+            time: this.time,
+            timeScale: this.timeScale,
+            direction: this.direction,
+            isPaused: this.isPaused
+        };
+    }
+}
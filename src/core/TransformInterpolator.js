@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+
+/**
+ * Интерполяция положения объектов между шагами фиксированного цикла
+ *
+ * Перед каждым шагом запоминается положение, поворот и масштаб объектов (capture). При рендеринге
+ * объекты ставятся в промежуточное положение между прошлым и текущим шагом по alpha (apply),
+ * а после кадра возвращаются в состояние симуляции (restore): логика всегда работает с точным
+ * положением, а движение на экране не дергается, когда частота кадров не кратна частоте шагов.
+ */
+export class TransformInterpolator {
+    constructor() {
+        // Объект -> {position, quaternion, scale} на начало последнего шага
+        this.previous = new Map();
+
+        // Объект -> состояние симуляции, сохраненное на время кадра
+        this.current = new Map();
+        this.isApplied = false;
+    }
+
+    /**
+     * Создать запись состояния объекта
+     * @param {THREE.Object3D} object - Объект
+     * @param {Object} [state] - Запись для повторного использования
+     * @returns {Object} Состояние {position, quaternion, scale}
+     */
+    copyState(object, state = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), scale: new THREE.Vector3() }) {
+        state.position.copy(object.position);
+        state.quaternion.copy(object.quaternion);
+        state.scale.copy(object.scale);
+        return state;
+    }
+
+    /**
+     * Запомнить состояние объектов перед шагом; объекты не из списка забываются
+     * @param {Array<THREE.Object3D>} objects - Интерполируемые объекты
+     */
+    capture(objects) {
+        const previous = new Map();
+        objects.forEach(object => {
+            previous.set(object, this.copyState(object, this.previous.get(object)));
+        });
+        this.previous = previous;
+
+        this.current.forEach((state, object) => {
+            if (!previous.has(object)) {
+                this.current.delete(object);
+            }
+        });
+    }
+
+    /**
+     * Забыть прошлые состояния: после телепорта или загрузки объекты рисуются без интерполяции,
+     * пока следующий шаг их не запомнит
+     */
+    reset() {
+        this.previous.clear();
+    }
+
+    /**
+     * Перенести запомненные положения при сдвиге начала координат
+     * @param {THREE.Vector3} delta - Сдвиг мира
+     */
+    shiftOrigin(delta) {
+        // Вложенные объекты сдвигаются вместе с родителем, их локальные координаты не меняются
+        this.previous.forEach((state, object) => {
+            if (!object.parent || object.parent.isScene) {
+                state.position.add(delta);
+            }
+        });
+    }
+
+    /**
+     * Поставить объекты в промежуточное положение на время кадра
+     * @param {number} alpha - Доля шага от прошлого состояния к текущему (0..1)
+     */
+    apply(alpha) {
+        if (alpha >= 1 || this.isApplied) return;
+
+        this.isApplied = true;
+        this.previous.forEach((state, object) => {
+            const current = this.copyState(object, this.current.get(object));
+            this.current.set(object, current);
+
+            object.position.lerpVectors(state.position, current.position, alpha);
+            object.quaternion.slerpQuaternions(state.quaternion, current.quaternion, alpha);
+            object.scale.lerpVectors(state.scale, current.scale, alpha);
+        });
+    }
+
+    /**
+     * Вернуть объектам состояние симуляции после кадра
+     */
+    restore() {
+        if (!this.isApplied) return;
+
+        this.isApplied = false;
+        this.previous.forEach((state, object) => {
+            const current = this.current.get(object);
+            object.position.copy(current.position);
+            object.quaternion.copy(current.quaternion);
+            object.scale.copy(current.scale);
+        });
+    }
+}
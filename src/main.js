@@ -1,10 +1,31 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { SpaceScene } from './scene/SpaceScene.js';
-import { CameraController } from './controllers/CameraController.js';
+import { CameraController, FOLLOW_MODES, FOLLOW_MODE_LABELS } from './controllers/CameraController.js';
+import { ShipController } from './controllers/ShipController.js';
+import { ManeuverController } from './controllers/ManeuverController.js';
+import { AutopilotController } from './controllers/AutopilotController.js';
 import { InputManager } from './managers/InputManager.js';
+import { ActionManager, ACTIONS, formatBinding } from './managers/ActionManager.js';
 import { UIManager } from './managers/UIManager.js';
-import { GameLoop } from './core/GameLoop.js';
+import { GameLoop, STEP_MODE_LABELS } from './core/GameLoop.js';
+import { TransformInterpolator } from './core/TransformInterpolator.js';
+import { SaveManager } from './managers/SaveManager.js';
+import { BookmarkManager } from './managers/BookmarkManager.js';
+import { ReplayManager } from './managers/ReplayManager.js';
+import { CameraPath } from './core/CameraPath.js';
+import { INTEGRATOR_LABELS } from './physics/Integrators.js';
+import { SCALE_MODE_LABELS } from './scene/SceneScale.js';
+
+/**
+ * Действия, которые не выполняются при воспроизведении повтора: файлы, хранилище и сами повторы
+ */
+const REPLAY_SKIPPED_ACTIONS = ['quickSave', 'quickLoad', 'saveScreenshot', 'exportCameraPath', 'toggleRecording', 'toggleReplayPanel'];
+
+/**
+ * Задержка появления нового корабля после разрушения (с)
+ */
+const RESPAWN_DELAY = 3;
 
 /**
  * Three.js Space Game Template
@@ -20,14 +41,45 @@ class SpaceGameApp {
         this.gameLoop = null;
         this.uiManager = null;
         this.inputManager = null;
+        this.actionManager = null;
         this.cameraController = null;
+        this.shipController = null;
+        this.maneuverController = null;
+        this.autopilot = null;
+        this.saveManager = null;
+        this.bookmarkManager = null;
+        this.replayManager = null;
+        
+        // Плавное движение тел, корабля и камеры между шагами цикла
+        this.interpolator = new TransformInterpolator();
+        
+        // Привязки пользователя на время воспроизведения повтора с его привязками
+        this.replayConfig = null;
+        
+        // Время до появления нового корабля после разрушения (с) или null
+        this.respawnTimer = null;
+        
+        // Пути камеры: из описания сцены и записываемый клавишей K
+        this.cameraPaths = {};
+        this.recordedPath = new CameraPath({ name: 'recorded' });
+        
+        // Режим полета: 'camera' - свободная камера, 'ship' - управление кораблем
+        this.flightMode = 'camera';
+        
+        // Пресеты камеры на клавишах 0-9
+        this.presetHotkeys = ['overview'];
+        
+        // Неподвижные пресеты в стилизованной схеме - растягиваются при смене масштаба
+        this.staticPresets = {};
+        
+        // Режим следования за телом по клику (null - клик только выбирает тело)
+        this.planetFollowMode = null;
         
         // Статистика
         this.stats = {
             fps: 0,
             frameCount: 0,
-            lastTime: 0,
-            startTime: Date.now()
+            lastTime: 0
         };
         
         this.init();
@@ -65,15 +117,19 @@ class SpaceGameApp {
             
         } catch (error) {
             console.error('❌ Ошибка инициализации:', error);
+            this.showLoadingError(error);
         }
     }
 
     initRenderer() {
         const container = document.getElementById('canvas-container');
         
+        // Логарифмический буфер глубины различает тела и в реальном масштабе,
+        // где дальняя плоскость в миллиард раз дальше ближней
         this.renderer = new THREE.WebGLRenderer({
             antialias: true,
-            powerPreference: 'high-performance'
+            powerPreference: 'high-performance',
+            logarithmicDepthBuffer: true
         });
         
         this.renderer.setSize(window.innerWidth, window.innerHeight);
@@ -122,50 +178,655 @@ class SpaceGameApp {
     initManagers() {
         this.uiManager = new UIManager();
         this.inputManager = new InputManager();
+        this.actionManager = new ActionManager(this.inputManager);
+        this.saveManager = new SaveManager();
+        this.bookmarkManager = new BookmarkManager();
+        this.replayManager = new ReplayManager(this.inputManager);
+        this.replayManager.watchOrbitControls(this.controls);
         
-        // Инициализация контроллера камеры с InputManager
-        this.cameraController = new CameraController(this.camera, this.controls, this.inputManager);
+        // Инициализация контроллера камеры с ActionManager
+        this.cameraController = new CameraController(this.camera, this.controls, this.actionManager);
         
         // Обработчик изменения размера окна
         window.addEventListener('resize', () => this.onWindowResize());
         
-        // Добавление горячих клавиш
+        // Добавление горячих клавиш и панели их настройки
         this.setupHotkeys();
+        this.setupBindings();
+        
+        // Касания и жесты на холсте
+        this.setupTouch();
+        
+        // Команды панелей интерфейса идут через поток ввода и попадают в повтор
+        this.inputManager.addCallback('command', (name, args) => this.handleCommand(name, args));
+        
+        // Уведомления о подключении геймпада
+        this.inputManager.addCallback('gamepadConnected', (gamepad) => {
+            const layout = gamepad.mapping === 'standard' ? '' : ' (нестандартная раскладка)';
+            this.showNotification(`Геймпад подключен: ${gamepad.id}${layout}`);
+        });
+        this.inputManager.addCallback('gamepadDisconnected', () => this.showNotification('Геймпад отключен'));
     }
     
     /**
      * Настройка горячих клавиш
      */
     setupHotkeys() {
-        this.inputManager.addCallback('keyDown', (keyCode) => {
-            switch (keyCode) {
-                case 'KeyC':
+        this.actionManager.addCallback('action', (action, event) => {
+            if (this.replayManager.isPlaying() && REPLAY_SKIPPED_ACTIONS.includes(action)) return;
+            
+            // Пресеты камеры: 0 - обзор, 1-9 - тела (Shift - в очередь после текущего перехода)
+            if (action.startsWith('cameraPreset')) {
+                const preset = this.presetHotkeys[Number(action.slice(12))];
+                if (preset) {
+                    this.cameraController.animateToPreset(preset, { queue: Boolean(event.shiftKey) });
+                }
+                return;
+            }
+            
+            switch (action) {
+                case 'toggleCameraMode':
                     // Переключение режима камеры
-                    const newMode = this.cameraController.controlMode === 'orbit' ? 'free' : 'orbit';
-                    this.cameraController.setControlMode(newMode);
-                    this.showNotification(`Режим камеры: ${newMode === 'orbit' ? 'Орбитальный' : 'Свободный'}`);
+                    this.toggleCameraMode();
                     break;
-                case 'KeyV':
+                case 'toggleWASD':
                     // Переключение WASD
                     this.cameraController.setWASDEnabled(!this.cameraController.wasdEnabled);
                     this.showNotification(`WASD: ${this.cameraController.wasdEnabled ? 'Включено' : 'Выключено'}`);
                     break;
-                case 'Digit1':
-                    this.cameraController.animateToPreset('overview');
+                case 'toggleBodyPalette':
+                    // Палитра перехода к телу
+                    event.preventDefault();
+                    this.uiManager.toggleBodyPalette();
+                    break;
+                case 'togglePause':
+                    // Пауза симуляции
+                    if (this.spaceScene) {
+                        this.spaceScene.clock.togglePause();
+                    }
+                    break;
+                case 'increaseWarp':
+                    // Ускорение времени
+                    if (this.spaceScene) {
+                        this.spaceScene.clock.increaseWarp();
+                    }
+                    break;
+                case 'decreaseWarp':
+                    // Замедление времени
+                    if (this.spaceScene) {
+                        this.spaceScene.clock.decreaseWarp();
+                    }
+                    break;
+                case 'reverseTime':
+                    // Обратный ход времени
+                    if (this.spaceScene) {
+                        this.spaceScene.clock.reverse();
+                        this.showNotification(`Время идет ${this.spaceScene.clock.direction > 0 ? 'вперед' : 'назад'}`);
+                    }
+                    break;
+                case 'toggleTimePanel':
+                    // Панель управления временем
+                    this.uiManager.toggleTimePanel();
                     break;
-                case 'Digit2':
-                    this.cameraController.animateToPreset('sun');
+                case 'toggleFlightMode':
+                    // Переключение между полетом камеры и корабля
+                    this.setFlightMode(this.flightMode === 'camera' ? 'ship' : 'camera');
                     break;
-                case 'Digit3':
-                    this.cameraController.animateToPreset('earth');
+                case 'toggleFlightModel':
+                    // Переключение модели полета корабля
+                    if (this.shipController) {
+                        const model = this.shipController.toggleFlightModel();
+                        this.showNotification(`Модель полета: ${model === 'arcade' ? 'Аркадная' : 'Инерциальная'}`);
+                    }
                     break;
-                case 'Digit4':
-                    this.cameraController.animateToPreset('saturn');
+                case 'togglePhysics':
+                    // Переключение гравитационной симуляции N тел
+                    if (this.spaceScene) {
+                        const enabled = this.spaceScene.togglePhysics();
+                        this.showNotification(`Гравитация N тел: ${enabled ? 'Включена' : 'Выключена'}`);
+                    }
                     break;
+                case 'cycleIntegrator':
+                    // Смена интегратора гравитационной симуляции
+                    if (this.spaceScene) {
+                        const integrator = this.spaceScene.getGravitySimulation().cycleIntegrator();
+                        this.showNotification(`Интегратор: ${INTEGRATOR_LABELS[integrator]}`);
+                    }
+                    break;
+                case 'cycleStepMode':
+                    // Режим шага игрового цикла
+                    this.cycleStepMode();
+                    break;
+                case 'addManeuverNode':
+                    // Узел маневра в точке прогноза под курсором
+                    if (this.maneuverController) {
+                        const node = this.maneuverController.addNodeAtCursor();
+                        this.showNotification(node ? 'Узел маневра добавлен' : 'Нет прогноза траектории');
+                    }
+                    break;
+                case 'removeManeuverNode':
+                    // Удаление выбранного узла маневра
+                    if (this.maneuverController && this.maneuverController.removeSelectedNode()) {
+                        this.showNotification('Узел маневра удален');
+                    }
+                    break;
+                case 'toggleApproach':
+                    // Сближение камеры с выбранным телом
+                    if (this.spaceScene) {
+                        this.toggleApproach();
+                    }
+                    break;
+                case 'cycleFollowMode':
+                    // Режим следования камеры
+                    if (this.spaceScene) {
+                        this.cycleFollowMode();
+                    }
+                    break;
+                case 'addCameraPathKey':
+                    // Запись ключа пути камеры
+                    this.addCameraPathKey();
+                    break;
+                case 'clearCameraPath':
+                    // Очистка записанного пути
+                    this.recordedPath.clear();
+                    this.showNotification('Путь камеры очищен');
+                    break;
+                case 'toggleCameraPath':
+                    // Воспроизведение пути камеры
+                    this.toggleCameraPath();
+                    break;
+                case 'exportCameraPath':
+                    // Экспорт пути камеры в JSON
+                    this.exportCameraPath();
+                    break;
+                case 'toggleAutopilot':
+                    // Автопилот исполнения маневров
+                    if (this.autopilot) {
+                        this.toggleAutopilot();
+                    }
+                    break;
+                case 'quickSave':
+                    // Быстрое сохранение
+                    event.preventDefault();
+                    this.saveToSlot('quicksave');
+                    break;
+                case 'toggleSavesPanel':
+                    // Панель сохранений
+                    event.preventDefault();
+                    this.uiManager.toggleSavesPanel();
+                    break;
+                case 'toggleBookmarksPanel':
+                    // Панель закладок камеры
+                    this.uiManager.toggleBookmarksPanel();
+                    break;
+                case 'toggleBindingsPanel':
+                    // Панель настройки управления
+                    event.preventDefault();
+                    this.uiManager.toggleBindingsPanel();
+                    break;
+                case 'toggleScaleMode':
+                    // Стилизованный или реальный масштаб
+                    if (this.spaceScene) {
+                        this.setScaleMode(this.spaceScene.scaleMode === 'real' ? 'stylised' : 'real');
+                    }
+                    break;
+                case 'quickLoad':
+                    // Быстрая загрузка
+                    event.preventDefault();
+                    this.loadFromSlot('quicksave');
+                    break;
+                case 'toggleRecording':
+                    // Запись повтора
+                    event.preventDefault();
+                    this.toggleRecording();
+                    break;
+                case 'toggleReplayPanel':
+                    // Панель повторов
+                    event.preventDefault();
+                    this.uiManager.toggleReplayPanel();
+                    break;
+                case 'toggleHelp':
+                    this.uiManager.toggleHelp();
+                    break;
+                case 'toggleFullscreen':
+                    this.uiManager.toggleFullscreen();
+                    break;
+                case 'saveScreenshot':
+                    event.preventDefault();
+                    this.uiManager.saveScreenshot();
+                    break;
+                case 'hidePanels':
+                    this.uiManager.hideAllPanels();
+                    // Панель повтора остается: только с нее можно остановить воспроизведение
+                    if (this.replayManager.isPlaying()) {
+                        this.uiManager.toggleReplayPanel(true);
+                    }
+                    break;
+            }
+        });
+    }
+    
+    /**
+     * Выполнение команды интерфейса (см. InputManager.sendCommand)
+     * @param {string} name - Имя команды
+     * @param {Array} args - Аргументы команды
+     */
+    handleCommand(name, args) {
+        if (!this.spaceScene) return;
+        
+        const clock = this.spaceScene.clock;
+        const planner = this.spaceScene.getManeuverPlanner();
+        
+        switch (name) {
+            case 'reverseTime':
+                clock.reverse();
+                break;
+            case 'decreaseWarp':
+                clock.decreaseWarp();
+                break;
+            case 'togglePause':
+                clock.togglePause();
+                break;
+            case 'increaseWarp':
+                clock.increaseWarp();
+                break;
+            case 'setDate':
+                // Дата приходит строкой ISO: "Сейчас" берется в момент нажатия, а не при повторе
+                clock.setDate(args[0]);
+                this.showNotification(`Дата симуляции: ${this.uiManager.formatDate(clock.getDate())}`);
+                break;
+            case 'selectBody': {
+                const body = this.spaceScene.getPlanetByName(args[0]);
+                if (body) {
+                    this.spaceScene.selectPlanet(body);
+                }
+                break;
+            }
+            case 'goToBody':
+                if (this.spaceScene.getPlanetByName(args[0])) {
+                    this.goToBody(args[0]);
+                }
+                break;
+            case 'approachBody': {
+                const body = this.spaceScene.getPlanetByName(args[0]);
+                if (!body) break;
+                
+                if (this.flightMode === 'ship') {
+                    this.setFlightMode('camera');
+                }
+                this.spaceScene.selectPlanet(body);
+                this.cameraController.setApproachBody(null);
+                this.toggleApproach();
+                break;
+            }
+            case 'cameraPreset':
+                this.cameraController.animateToPreset(args[0]);
+                break;
+            case 'toggleCameraMode':
+                this.toggleCameraMode();
+                break;
+            case 'restoreBookmark':
+                this.applyBookmarkView(args[0]);
+                break;
+            case 'selectManeuverNode':
+                planner.selectNode(planner.getNodeById(args[0]));
+                break;
+            case 'removeManeuverNode':
+                planner.removeNode(planner.getNodeById(args[0]));
+                break;
+            case 'shiftManeuverNode': {
+                const node = planner.getNodeById(args[0]);
+                if (node) {
+                    planner.shiftNode(node, args[1]);
+                }
+                break;
+            }
+            case 'setManeuverDeltaV': {
+                const node = planner.getNodeById(args[0]);
+                if (node) {
+                    planner.setNodeDeltaV(node, new THREE.Vector3().fromArray(args[1]));
+                }
+                break;
+            }
+            case 'toggleAutopilot':
+                if (this.autopilot) {
+                    this.toggleAutopilot();
+                }
+                break;
+            default:
+                console.warn(`Неизвестная команда: ${name}`);
+        }
+    }
+    
+    /**
+     * Настройка касаний: выбор тел, контекстное меню, жесты свободной камеры и экранный джойстик
+     * В орбитальном режиме вращение, сведение и сдвиг пальцами обрабатывают OrbitControls
+     */
+    setupTouch() {
+        const input = this.inputManager;
+        input.setGestureElement(this.renderer.domElement);
+        
+        input.addCallback('tap', (event) => {
+            // Нажатие на узел маневра не снимает выделение планеты
+            if (!this.spaceScene || (this.maneuverController && this.maneuverController.hitsNode(event.clientX, event.clientY))) return;
+            
+            // В свободном режиме клик мышью захватывает указатель для обзора, в захвате курсора нет
+            if (this.cameraController.controlMode === 'free' && this.flightMode === 'camera' && event.pointerType === 'mouse') {
+                input.requestPointerLock();
+                return;
+            }
+            this.spaceScene.onTap(event);
+        });
+        input.addCallback('pointerLockChange', (locked) => {
+            if (locked) {
+                this.showNotification('Обзор мышью: Esc - освободить курсор');
+            }
+        });
+        input.addCallback('contextMenu', (event) => this.openContextMenu(event.clientX, event.clientY));
+        input.addCallback('drag', (dx, dy) => this.cameraController.applyTouchLook(dx, dy));
+        input.addCallback('pan', (dx, dy) => this.cameraController.applyTouchPan(dx, dy));
+        input.addCallback('pinch', (scale) => this.cameraController.applyPinch(scale));
+        
+        this.uiManager.createVirtualJoystick((x, y) => input.setTouchAxes(x, y));
+    }
+    
+    /**
+     * Контекстное меню по долгому касанию или правому клику: действия с телом под указателем
+     * @param {number} x - Координата X в окне (px)
+     * @param {number} y - Координата Y в окне (px)
+     */
+    openContextMenu(x, y) {
+        if (!this.spaceScene) return;
+        
+        const input = this.inputManager;
+        const body = this.spaceScene.pickBody(x, y);
+        if (body) {
+            this.uiManager.showContextMenu(x, y, body.name, [
+                { label: 'Выбрать', action: () => input.sendCommand('selectBody', body.name) },
+                { label: 'Перейти', action: () => input.sendCommand('goToBody', body.name) },
+                { label: 'Сближение', action: () => input.sendCommand('approachBody', body.name) }
+            ]);
+            return;
+        }
+        
+        this.uiManager.showContextMenu(x, y, 'Камера', [
+            { label: 'Обзор', action: () => input.sendCommand('cameraPreset', 'overview') },
+            { label: this.cameraController.controlMode === 'orbit' ? 'Свободная камера' : 'Орбитальная камера', action: () => input.sendCommand('toggleCameraMode') },
+            { label: 'Закладки', action: () => this.uiManager.toggleBookmarksPanel() },
+            { label: 'Настройка управления', action: () => this.uiManager.toggleBindingsPanel() }
+        ]);
+    }
+    
+    /**
+     * Переключение орбитального и свободного режима камеры
+     */
+    toggleCameraMode() {
+        const newMode = this.cameraController.controlMode === 'orbit' ? 'free' : 'orbit';
+        this.cameraController.setControlMode(newMode);
+        
+        if (newMode === 'orbit') {
+            this.inputManager.exitPointerLock();
+            this.showNotification('Режим камеры: Орбитальный');
+        } else {
+            this.showNotification('Режим камеры: Свободный (клик - обзор мышью)');
+        }
+    }
+    
+    /**
+     * Настройка панели переназначения управления
+     */
+    setupBindings() {
+        const actions = this.actionManager;
+        
+        this.uiManager.createBindingsPanel({
+            listGroups: () => actions.getActionGroups(),
+            getCapture: () => actions.capture,
+            getConflicts: () => actions.getConflicts(),
+            getSettings: () => actions.settings,
+            setSetting: (name, value) => actions.setSetting(name, value),
+            startCapture: (action, slot) => actions.startCapture(action, slot),
+            clear: (action) => actions.clearBindings(action),
+            reset: () => {
+                actions.resetBindings();
+                this.showNotification('Управление сброшено по умолчанию');
+            }
+        });
+        
+        // Настройки мыши - в камеру; панель перерисовывается при захвате и изменении привязок
+        this.cameraController.setMouseLookSettings(actions.settings);
+        actions.addCallback('change', (bindings, settings) => {
+            this.cameraController.setMouseLookSettings(settings);
+            this.uiManager.renderBindingsPanel();
+        });
+        actions.addCallback('capture', (capture, result) => {
+            this.uiManager.renderBindingsPanel();
+            
+            if (result && result.conflicts.length > 0) {
+                const labels = result.conflicts.map(action => ACTIONS[action].label).join(', ');
+                this.showNotification(`${formatBinding(result.binding)} снята с: ${labels}`);
+            }
+        });
+    }
+    
+    /**
+     * Установить режим полета
+     * @param {string} mode - 'camera' или 'ship'
+     */
+    setFlightMode(mode) {
+        if (mode === 'ship' && !this.shipController) {
+            this.showNotification('В сцене нет корабля');
+            return;
+        }
+        
+        this.flightMode = mode;
+        
+        // Клавиши движения переходят к кораблю или камере
+        this.actionManager.setContextActive('camera', mode === 'camera');
+        this.actionManager.setContextActive('ship', mode === 'ship');
+        
+        // Прогноз траектории нужен только пилоту
+        this.spaceScene.setTrajectoryVisible(mode === 'ship');
+        
+        // Высоту над поверхностью показывает корабль или камера
+        this.spaceScene.setSurfaceObserver(
+            mode === 'ship' ? this.spaceScene.spaceShip.getMesh() : this.camera,
+            mode === 'ship' ? this.spaceScene.spaceShip : null
+        );
+        
+        if (mode === 'ship') {
+            // WASD переходит к кораблю, камера следует за ним
+            this.inputManager.exitPointerLock();
+            this.cameraController.stopPath();
+            this.cameraController.setApproachBody(null);
+            this.cameraController.setWASDEnabled(false);
+            this.shipController.setEnabled(true);
+            this.cameraController.followObject(this.spaceScene.spaceShip.getMesh(), new THREE.Vector3(0, 8, -20), 'chase');
+        } else {
+            if (this.shipController) {
+                this.shipController.setEnabled(false);
             }
+            this.cameraController.stopFollowing();
+            this.cameraController.setWASDEnabled(true);
+        }
+        
+        this.showNotification(`Режим полета: ${mode === 'ship' ? 'Корабль' : 'Камера'}`);
+    }
+    
+    /**
+     * Палитра перехода к телу: поиск по имени, спутники подписаны именем планеты
+     */
+    setupBodyPalette() {
+        this.uiManager.createBodyPalette({
+            listBodies: () => this.spaceScene.getAllBodies().map(body => {
+                const hotkey = this.presetHotkeys.indexOf(body.name);
+                return {
+                    name: body.name,
+                    label: body.parentBody ? `${body.name} (${body.parentBody.name})` : body.name,
+                    hotkey: hotkey > 0 ? this.actionManager.getBindingLabel(`cameraPreset${hotkey}`) : ''
+                };
+            }),
+            goTo: (name) => this.inputManager.sendCommand('goToBody', name)
         });
     }
     
+    /**
+     * Перелет камеры к телу с выбором тела и следованием за ним
+     * @param {string} name - Имя тела
+     */
+    goToBody(name) {
+        if (this.flightMode === 'ship') {
+            this.setFlightMode('camera');
+        }
+        this.spaceScene.selectPlanet(this.spaceScene.getPlanetByName(name));
+        this.cameraController.animateToPreset(name, {
+            followMode: this.planetFollowMode === 'surface' ? 'surface' : 'orbit'
+        });
+    }
+    
+    /**
+     * Смена режима следования
+     * За кораблем - по кругу режимов; в полете камеры - режим следования за телом по клику,
+     * включая выключенный, с немедленным применением к выбранному телу
+     */
+    cycleFollowMode() {
+        if (this.flightMode === 'ship') {
+            const mode = FOLLOW_MODES[(FOLLOW_MODES.indexOf(this.cameraController.followMode) + 1) % FOLLOW_MODES.length];
+            this.cameraController.setFollowMode(mode);
+            this.showNotification(`Камера корабля: ${FOLLOW_MODE_LABELS[mode]}`);
+            return;
+        }
+        
+        const modes = [null, ...FOLLOW_MODES];
+        this.planetFollowMode = modes[(modes.indexOf(this.planetFollowMode) + 1) % modes.length];
+        
+        if (!this.planetFollowMode) {
+            this.cameraController.stopFollowing();
+            this.showNotification('Следование за телом по клику: Выключено');
+            return;
+        }
+        
+        this.showNotification(`Следование за телом по клику: ${FOLLOW_MODE_LABELS[this.planetFollowMode]}`);
+        if (this.spaceScene.selectedPlanet) {
+            this.followPlanet(this.spaceScene.selectedPlanet);
+        }
+    }
+    
+    /**
+     * Следовать камерой за телом в выбранном режиме
+     * @param {Planet} planet - Тело
+     */
+    followPlanet(planet) {
+        const mode = this.planetFollowMode;
+        const distance = planet.radius * 6;
+        
+        // Камера выходит на орбиту тела с той стороны, откуда на него смотрит
+        const offset = mode === 'chase'
+            ? new THREE.Vector3(0, distance * 0.3, -distance)
+            : this.camera.position.clone().sub(planet.mesh.getWorldPosition(new THREE.Vector3())).setLength(distance);
+        
+        this.cameraController.setApproachBody(null);
+        this.cameraController.followObject(planet.mesh, offset, mode);
+    }
+    
+    /**
+     * Включить или выключить сближение камеры с выбранным телом
+     */
+    toggleApproach() {
+        if (this.cameraController.approachBody) {
+            this.cameraController.setApproachBody(null);
+            this.showNotification('Сближение выключено');
+            return;
+        }
+        
+        const body = this.spaceScene.selectedPlanet;
+        if (!body) {
+            this.showNotification('Выберите тело для сближения');
+            return;
+        }
+        
+        // Издалека камера переносится на расстояние, где уже виден рельеф
+        const center = body.mesh.getWorldPosition(new THREE.Vector3());
+        const offset = this.camera.position.clone().sub(center);
+        const approachDistance = body.radius * 2.5;
+        if (offset.length() > approachDistance) {
+            this.camera.position.copy(center).add(offset.setLength(approachDistance));
+        }
+        this.controls.target.copy(center);
+        this.cameraController.setApproachBody(body);
+        
+        this.showNotification(`Сближение: ${body.name}`);
+    }
+    
+    /**
+     * Добавить ключ пути камеры из текущего положения
+     * Ключ привязывается к выбранному телу и ставится через 3 секунды после предыдущего
+     */
+    addCameraPathKey() {
+        const path = this.recordedPath;
+        const time = path.keyframes.length > 0 ? path.getDuration() + 3 : 0;
+        const body = this.spaceScene ? this.spaceScene.selectedPlanet : null;
+        
+        path.addKeyframe(this.cameraController.captureKeyframe(time, body ? body.mesh : null));
+        this.showNotification(`Ключ пути ${path.keyframes.length}${body ? ` (${body.name})` : ''}: ${time} с`);
+    }
+    
+    /**
+     * Путь для воспроизведения и экспорта: записанный или первый путь сцены
+     * @returns {CameraPath|null} Путь
+     */
+    getActiveCameraPath() {
+        if (this.recordedPath.keyframes.length >= 2) {
+            return this.recordedPath;
+        }
+        return Object.values(this.cameraPaths)[0] || null;
+    }
+    
+    /**
+     * Запустить или остановить путь камеры
+     */
+    toggleCameraPath() {
+        if (this.cameraController.activePath) {
+            this.cameraController.stopPath();
+            this.showNotification('Путь камеры остановлен');
+            return;
+        }
+        
+        const path = this.getActiveCameraPath();
+        if (!path) {
+            this.showNotification('Нет пути камеры: добавьте ключи клавишей K');
+            return;
+        }
+        
+        if (this.flightMode === 'ship') {
+            this.setFlightMode('camera');
+        }
+        this.playCameraPath(path);
+    }
+    
+    /**
+     * Воспроизвести путь камеры
+     * @param {CameraPath} path - Путь
+     * @returns {Promise<boolean>} Промис окончания пути
+     */
+    playCameraPath(path) {
+        this.showNotification(`Путь камеры: ${path.name}`);
+        return this.cameraController.playPath(path, (name) => this.scene.getObjectByName(name));
+    }
+    
+    /**
+     * Экспорт пути камеры в JSON-файл
+     */
+    exportCameraPath() {
+        const path = this.getActiveCameraPath();
+        if (!path) {
+            this.showNotification('Нет пути камеры для экспорта');
+            return;
+        }
+        
+        this.saveManager.downloadJSON(path.toJSON(), `camera-path-${path.name}.json`);
+        this.showNotification(`Путь камеры "${path.name}" экспортирован`);
+    }
+    
     /**
      * Показать уведомление
      */
@@ -206,40 +867,689 @@ class SpaceGameApp {
     }
 
     async createSpaceScene() {
-        this.spaceScene = new SpaceScene(this.scene, this.renderer);
+        // Зерно мира можно задать параметром адреса: ?seed=42 или ?seed=andromeda
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        this.spaceScene = new SpaceScene(this.scene, this.renderer, { seed: seed !== null ? seed : undefined });
         this.spaceScene.setCamera(this.camera);
-        await this.spaceScene.init();
+        
+        // Камера переносится вместе с миром при сдвиге начала координат
+        const floatingOrigin = this.spaceScene.getFloatingOrigin();
+        this.cameraController.setFloatingOrigin(floatingOrigin);
+        floatingOrigin.addCallback('rebase', (delta) => {
+            this.cameraController.shiftOrigin(delta);
+            this.interpolator.shiftOrigin(delta);
+        });
+        
+        // Сцену можно выбрать параметром адреса: ?scene=/scenes/my-system.json
+        const sceneUrl = new URLSearchParams(window.location.search).get('scene') || undefined;
+        await this.spaceScene.init(sceneUrl);
+        
+        // Управление кораблем, если он есть в сцене
+        if (this.spaceScene.spaceShip) {
+            this.shipController = new ShipController(this.spaceScene.spaceShip, this.actionManager);
+            this.setupManeuvers();
+            this.setupCollisions();
+        }
+        
+        // Пресеты камеры из описания сцены поверх обзорного по умолчанию
+        this.staticPresets = {
+            overview: this.cameraController.presets.overview,
+            ...this.spaceScene.cameraPresets
+        };
+        
+        // Клик по телу включает следование за ним, если выбран режим
+        this.spaceScene.addCallback('planetSelected', (planet) => {
+            if (this.planetFollowMode && this.flightMode === 'camera') {
+                this.followPlanet(planet);
+            }
+        });
+        
+        // Камера, туман и пресеты тел - под масштаб сцены
+        this.cameraController.setSpeedBodies(this.spaceScene.getAllBodies());
+        this.applyScaleView();
+        
+        // Первые девять планет - на клавишах 1-9
+        this.presetHotkeys = ['overview', ...this.spaceScene.getPlanets().slice(0, 9).map(planet => planet.name)];
+        this.setupBodyPalette();
+        
+        // Пути камеры из описания сцены
+        Object.entries(this.spaceScene.cameraPaths).forEach(([name, path]) => {
+            this.cameraPaths[name] = CameraPath.fromJSON({ ...path, name });
+        });
+        
+        // Панель управления временем симуляции
+        const input = this.inputManager;
+        this.uiManager.createTimePanel(this.spaceScene.clock, {
+            reverse: () => input.sendCommand('reverseTime'),
+            decreaseWarp: () => input.sendCommand('decreaseWarp'),
+            togglePause: () => input.sendCommand('togglePause'),
+            increaseWarp: () => input.sendCommand('increaseWarp'),
+            setDate: (date) => input.sendCommand('setDate', date.toISOString())
+        });
+        
+        // Ссылки на родителя и спутники в панели информации
+        this.spaceScene.addCallback('bodyLink', (name) => input.sendCommand('selectBody', name));
+        
+        // Закладки камеры
+        this.setupBookmarks();
+        
+        // Запись и воспроизведение повторов
+        this.setupReplays();
+        
+        // Сохранения
+        const restored = this.setupSaves();
+        
+        // Путь "intro" открывает новый сеанс; ключи путей заданы в стилизованной схеме
+        if (!restored && this.cameraPaths.intro && this.spaceScene.scaleMode === 'stylised') {
+            this.playCameraPath(this.cameraPaths.intro);
+        }
+    }
+
+    /**
+     * Настройка камеры, тумана и пресетов под масштаб сцены
+     */
+    applyScaleView() {
+        const settings = this.spaceScene.getViewSettings();
+        
+        // Сближение хранит ближнюю плоскость прежнего масштаба
+        this.cameraController.setApproachBody(null);
+        
+        this.camera.near = settings.near;
+        this.camera.far = settings.far;
+        this.camera.updateProjectionMatrix();
+        this.scene.fog = settings.fog ? new THREE.Fog(0x000011, settings.fog.near, settings.fog.far) : null;
+        this.controls.minDistance = settings.minDistance;
+        this.controls.maxDistance = settings.maxDistance;
+        this.cameraController.setMoveSpeed(settings.moveSpeed, settings.maxMoveSpeed);
+        
+        // Переходы камеры облетают звезду, а не проходят сквозь нее
+        const star = this.spaceScene.getPlanets().find(planet => planet.isStar);
+        if (star) {
+            this.cameraController.setTransitionObstacle(star.mesh, star.radius * 2.5);
+        }
+        
+        // Пресеты для каждого тела по его текущему положению
+        this.spaceScene.getAllBodies().forEach(body => {
+            this.cameraController.addBodyPreset(body.name, body.getMesh(), body.radius);
+        });
+        
+        // Неподвижные пресеты растягиваются вместе с орбитами
+        const distanceScale = this.spaceScene.getDistanceScale();
+        Object.entries(this.staticPresets).forEach(([name, preset]) => {
+            this.cameraController.addPreset(
+                name,
+                preset.position.map(value => value * distanceScale),
+                preset.target.map(value => value * distanceScale)
+            );
+        });
+    }
+
+    /**
+     * Сменить масштаб сцены, сохранив положение камеры относительно ближайшего тела
+     * @param {string} mode - 'stylised' или 'real'
+     * @returns {boolean} Сменился ли масштаб
+     */
+    setScaleMode(mode) {
+        if (mode === this.spaceScene.scaleMode) return true;
+        
+        if (!this.spaceScene.isScaleModeAvailable(mode)) {
+            this.showNotification('Реальный масштаб недоступен: не у всех тел заданы реальные размеры');
+            return false;
+        }
+        
+        // Переходы и пути рассчитаны на прежние размеры
+        this.cameraController.stopPath();
+        this.cameraController.cancelTransition();
+        
+        this.spaceScene.setScaleMode(mode, [this.camera.position, this.controls.target]);
+        this.applyScaleView();
+        
+        // Цель следования переместилась вместе с камерой - следование продолжается от нового положения
+        const { followTarget, followMode } = this.cameraController;
+        if (followTarget) {
+            this.cameraController.followObject(followTarget, null, followMode);
+        }
+        
+        this.showNotification(`Масштаб: ${SCALE_MODE_LABELS[mode]}`);
+        return true;
+    }
+
+    /**
+     * Настройка узлов маневров, автопилота и их панели
+     */
+    setupManeuvers() {
+        const planner = this.spaceScene.getManeuverPlanner();
+        
+        this.maneuverController = new ManeuverController(this.spaceScene, this.camera, this.renderer.domElement, this.controls, this.inputManager);
+        this.autopilot = new AutopilotController(this.spaceScene.spaceShip, planner, this.spaceScene.clock);
+        
+        this.autopilot.addCallback('burnStart', () => this.showNotification('Автопилот: включение двигателя'));
+        this.autopilot.addCallback('burnComplete', () => this.showNotification('Автопилот: маневр выполнен'));
+        this.autopilot.addCallback('abort', (node, reason) => this.showNotification(`Автопилот отключен: ${reason}`));
+        
+        const input = this.inputManager;
+        this.uiManager.createManeuverPanel({
+            selectNode: (id) => input.sendCommand('selectManeuverNode', id),
+            removeNode: (id) => input.sendCommand('removeManeuverNode', id),
+            shiftNode: (id, seconds) => input.sendCommand('shiftManeuverNode', id, seconds),
+            toggleAutopilot: () => input.sendCommand('toggleAutopilot')
+        });
+    }
+
+    /**
+     * Реакция игры на столкновения корабля
+     */
+    setupCollisions() {
+        const collisions = this.spaceScene.getCollisionSystem();
+        
+        collisions.addCallback('collision', (event) => {
+            const speed = event.relativeSpeed.toFixed(1);
+            switch (event.response) {
+                case 'destroy':
+                    this.showNotification(`Корабль разрушен: ${event.body.name} (${speed} ед/с)`);
+                    if (this.autopilot) {
+                        this.autopilot.setEnabled(false);
+                    }
+                    // Новый корабль появляется на старте через несколько секунд (см. step)
+                    this.respawnTimer = RESPAWN_DELAY;
+                    break;
+                case 'land':
+                    this.showNotification(`Посадка: ${event.body.name} (${speed} ед/с)`);
+                    break;
+                default:
+                    this.showNotification(`Столкновение: ${event.body.name}, ${event.part}`);
+            }
+        });
+        collisions.addCallback('takeoff', (body) => this.showNotification(`Взлет: ${body.name}`));
+    }
+
+    /**
+     * Переключить автопилот
+     */
+    toggleAutopilot() {
+        const enabled = this.autopilot.toggle();
+        this.showNotification(`Автопилот: ${enabled ? 'Включен' : 'Выключен'}`);
+    }
+
+    /**
+     * Настройка сохранений: панель, автосохранение при закрытии и возобновление сеанса
+     * @returns {boolean} Восстановлен ли прошлый сеанс
+     */
+    setupSaves() {
+        this.uiManager.createSavesPanel({
+            listSlots: () => this.saveManager.listSlots(),
+            save: (slot) => this.saveToSlot(slot),
+            load: (slot) => this.loadFromSlot(slot),
+            remove: (slot) => this.saveManager.deleteSlot(slot),
+            exportFile: () => this.saveManager.exportToFile(this.getSaveState()),
+            importFile: async (file) => {
+                try {
+                    this.applySaveState(await this.saveManager.importFromFile(file));
+                    this.showNotification(`Загружено из файла "${file.name}"`);
+                } catch (error) {
+                    console.error('❌ Ошибка импорта:', error);
+                    this.showNotification(`Ошибка импорта: ${error.message}`);
+                }
+            }
+        });
+        
+        window.addEventListener('beforeunload', () => {
+            this.saveManager.save('autosave', this.getSaveState());
+        });
+        
+        const autosave = this.saveManager.load('autosave');
+        if (autosave) {
+            try {
+                this.applySaveState(autosave);
+                this.showNotification('Сеанс восстановлен');
+                return true;
+            } catch (error) {
+                console.error('❌ Не удалось восстановить сеанс:', error);
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Получить полное состояние приложения для сохранения
+     * @returns {Object} Состояние
+     */
+    getSaveState() {
+        return {
+            scene: this.spaceScene.serialize(),
+            camera: this.cameraController.serialize(),
+            flightMode: this.flightMode,
+            respawnTimer: this.respawnTimer
+        };
+    }
+
+    /**
+     * Применить сохраненное состояние
+     * @param {Object} state - Состояние
+     */
+    applySaveState(state) {
+        // Запись повтора не может продолжиться после загрузки: загруженного состояния в ней нет
+        if (this.replayManager.isRecording()) {
+            this.stopRecording();
+        }
+        
+        const scaleMode = this.spaceScene.scaleMode;
+        this.spaceScene.deserialize(state.scene);
+        if (this.spaceScene.scaleMode !== scaleMode) {
+            this.applyScaleView();
+        }
+        
+        if (state.flightMode && state.flightMode !== this.flightMode) {
+            this.setFlightMode(state.flightMode);
+        }
+        this.cameraController.deserialize(state.camera, (name) => this.scene.getObjectByName(name));
+        this.interpolator.reset();
+        this.respawnTimer = state.respawnTimer !== undefined ? state.respawnTimer : null;
+    }
+
+    /**
+     * Настройка панели повторов и возврата управления после воспроизведения
+     */
+    setupReplays() {
+        const replays = this.replayManager;
+        
+        this.uiManager.createReplayPanel({
+            getStatus: () => replays.getStatus(),
+            toggleRecording: () => this.toggleRecording(),
+            play: () => this.playReplay(replays.replay),
+            togglePause: () => replays.setPaused(!replays.isPaused),
+            seek: (tick) => this.seekReplay(tick),
+            stop: () => replays.stopPlayback(),
+            exportFile: () => {
+                const replay = replays.replay;
+                this.saveManager.downloadJSON(replays.encode(replay), `replay-${replay.createdAt.slice(0, 10)}.json`, false);
+            },
+            importFile: async (file) => {
+                try {
+                    this.playReplay(await replays.importFromFile(file));
+                } catch (error) {
+                    console.error('❌ Ошибка импорта повтора:', error);
+                    this.showNotification(`Ошибка импорта: ${error.message}`);
+                }
+            }
+        });
+        
+        // Конец воспроизведения: вернуть холст и привязки пользователя
+        replays.addCallback('change', (status) => {
+            if (status.mode !== 'playing' && this.replayConfig) {
+                this.actionManager.setConfig(this.replayConfig, false);
+                this.replayConfig = null;
+                this.renderer.domElement.style.pointerEvents = '';
+                this.showNotification('Повтор завершен, управление возвращено');
+            }
+            this.uiManager.renderReplayPanel();
+        });
+    }
+
+    /**
+     * Начать или остановить запись повтора
+     */
+    toggleRecording() {
+        if (!this.spaceScene || this.replayManager.isPlaying()) return;
+        
+        if (this.replayManager.isRecording()) {
+            this.stopRecording();
+            return;
+        }
+        
+        this.useFixedStep();
+        this.stopOrbitMomentum();
+        this.replayManager.startRecording(this.getSaveState(), {
+            frameTime: this.gameLoop.frameTime,
+            startTick: this.gameLoop.tick,
+            config: this.actionManager.getConfig()
+        });
+        this.showNotification('Запись повтора: F8 - остановить');
+    }
+
+    /**
+     * Остановить запись повтора
+     */
+    stopRecording() {
+        const replay = this.replayManager.stopRecording();
+        if (replay) {
+            this.showNotification(`Повтор записан: ${this.uiManager.formatReplayTime(replay.ticks, replay.frameTime)} (Shift+F8 - повторы)`);
+        }
+    }
+
+    /**
+     * Воспроизвести повтор: ввод устройств отключается, привязки и состояние берутся из повтора
+     * @param {Object} replay - Повтор
+     */
+    playReplay(replay) {
+        if (!this.spaceScene || !replay) return;
+        
+        if (this.replayManager.isRecording()) {
+            this.stopRecording();
+        }
+        
+        // Холст не передает указатель орбитальным контролам и ручкам маневров
+        if (!this.replayConfig) {
+            this.replayConfig = this.actionManager.getConfig();
+        }
+        this.actionManager.setConfig(replay.config, false);
+        this.renderer.domElement.style.pointerEvents = 'none';
+        this.useFixedStep();
+        
+        this.replayManager.startPlayback(replay);
+        this.restartReplay();
+        this.uiManager.toggleReplayPanel(true);
+    }
+
+    /**
+     * Вернуть воспроизводимый повтор к начальному состоянию
+     */
+    restartReplay() {
+        this.stopOrbitMomentum();
+        this.applySaveState(this.replayManager.replay.startState);
+        this.replayManager.rewind();
+    }
+
+    /**
+     * Перемотать воспроизводимый повтор
+     * @param {number} tick - Шаг от начала повтора
+     */
+    seekReplay(tick) {
+        if (this.replayManager.seek(tick)) {
+            this.restartReplay();
+        }
+    }
+
+    /**
+     * Переключить режим шага игрового цикла
+     */
+    cycleStepMode() {
+        if (!this.gameLoop) return;
+        
+        // Повтор записан фиксированными шагами и воспроизводится только ими
+        if (this.replayManager.isRecording() || this.replayManager.isPlaying()) {
+            this.showNotification('Режим шага не меняется во время записи и воспроизведения повтора');
+            return;
+        }
+        
+        const mode = this.gameLoop.cycleStepMode();
+        this.interpolator.reset();
+        this.showNotification(`Шаг цикла: ${STEP_MODE_LABELS[mode]}`);
+    }
+
+    /**
+     * Включить фиксированный шаг для записи и воспроизведения повтора
+     */
+    useFixedStep() {
+        if (this.gameLoop.stepMode === 'fixed') return;
+        
+        this.gameLoop.setStepMode('fixed');
+        this.showNotification(`Шаг цикла: ${STEP_MODE_LABELS.fixed} (нужен для повторов)`);
+    }
+
+    /**
+     * Погасить инерцию орбитальных контролов: ее нет в состоянии сохранения и повтора
+     */
+    stopOrbitMomentum() {
+        this.controls.enableDamping = false;
+        this.controls.update();
+        this.controls.enableDamping = true;
+    }
+
+    /**
+     * Настройка панели закладок камеры
+     */
+    setupBookmarks() {
+        this.uiManager.createBookmarksPanel({
+            list: () => this.bookmarkManager.getAll(),
+            add: (name, withTime) => this.addBookmark(name, withTime),
+            restore: (id) => this.restoreBookmark(id),
+            remove: (id) => this.bookmarkManager.remove(id),
+            move: (id, offset) => this.bookmarkManager.move(id, offset),
+            exportFile: () => this.saveManager.downloadJSON(this.bookmarkManager.exportData(), 'camera-bookmarks.json'),
+            importFile: async (file) => {
+                try {
+                    const count = await this.bookmarkManager.importFromFile(file);
+                    this.showNotification(`Импортировано закладок: ${count}`);
+                } catch (error) {
+                    console.error('❌ Ошибка импорта закладок:', error);
+                    this.showNotification(`Ошибка импорта: ${error.message}`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Добавить закладку с текущим видом
+     * @param {string} name - Название закладки
+     * @param {boolean} withTime - Запомнить дату симуляции
+     */
+    addBookmark(name, withTime) {
+        const floatingOrigin = this.spaceScene.getFloatingOrigin();
+        const bookmark = this.bookmarkManager.add({
+            name,
+            position: floatingOrigin.worldToUniverse(this.camera.position).toArray(),
+            target: floatingOrigin.worldToUniverse(this.controls.target).toArray(),
+            fov: this.camera.fov,
+            simDate: withTime ? this.spaceScene.clock.getDate().toISOString() : null,
+            scaleMode: this.spaceScene.scaleMode,
+            thumbnail: this.captureThumbnail()
+        });
+        this.showNotification(`Закладка "${bookmark.name}" сохранена`);
+    }
+
+    /**
+     * Перейти к закладке
+     * Вид закладки уходит командой целиком: в повторе закладок из хранилища браузера может не быть
+     * @param {number} id - Идентификатор закладки
+     */
+    restoreBookmark(id) {
+        const bookmark = this.bookmarkManager.get(id);
+        if (!bookmark) return;
+        
+        const { position, target, fov, simDate, scaleMode } = bookmark;
+        this.inputManager.sendCommand('restoreBookmark', { position, target, fov, simDate, scaleMode });
+    }
+
+    /**
+     * Перейти к виду закладки: дата восстанавливается сразу, камера перелетает к виду
+     * @param {Object} bookmark - Вид {position, target, fov, simDate, scaleMode}
+     */
+    applyBookmarkView(bookmark) {
+        if (this.flightMode === 'ship') {
+            this.setFlightMode('camera');
+        }
+        // Закладки без масштаба сделаны до его появления - в стилизованной схеме
+        if (!this.setScaleMode(bookmark.scaleMode || 'stylised')) return;
+        if (bookmark.simDate) {
+            this.spaceScene.clock.setDate(bookmark.simDate);
+        }
+        if (this.camera.fov !== bookmark.fov) {
+            this.camera.fov = bookmark.fov;
+            this.camera.updateProjectionMatrix();
+        }
+        
+        // Закладка хранит координаты вселенной, не зависящие от сдвигов начала координат
+        const floatingOrigin = this.spaceScene.getFloatingOrigin();
+        this.cameraController.setApproachBody(null);
+        this.cameraController.animateToPosition(
+            floatingOrigin.universeToWorld(new THREE.Vector3().fromArray(bookmark.position)),
+            floatingOrigin.universeToWorld(new THREE.Vector3().fromArray(bookmark.target))
+        );
+    }
+
+    /**
+     * Миниатюра текущего кадра
+     * Кадр рисуется заново и сразу копируется, поэтому буфер рендерера не нужно сохранять
+     * @returns {string} Изображение в формате data URL
+     */
+    captureThumbnail() {
+        // Только отрисовка: render() считает кадр в статистике и обновляет интерфейс
+        this.renderer.render(this.scene, this.camera);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = 160;
+        canvas.height = 90;
+        
+        // Центральная часть кадра с соотношением сторон миниатюры
+        const source = this.renderer.domElement;
+        const scale = Math.min(source.width / canvas.width, source.height / canvas.height);
+        const width = canvas.width * scale;
+        const height = canvas.height * scale;
+        canvas.getContext('2d').drawImage(
+            source,
+            (source.width - width) / 2, (source.height - height) / 2, width, height,
+            0, 0, canvas.width, canvas.height
+        );
+        return canvas.toDataURL('image/jpeg', 0.7);
+    }
+
+    /**
+     * Сохранить состояние в слот
+     * @param {string} slot - Имя слота
+     */
+    saveToSlot(slot) {
+        if (!this.spaceScene) return;
+        
+        if (this.saveManager.save(slot, this.getSaveState())) {
+            this.showNotification(`Сохранено: ${slot}`);
+        } else {
+            this.showNotification('Не удалось сохранить');
+        }
+    }
+
+    /**
+     * Загрузить состояние из слота
+     * @param {string} slot - Имя слота
+     */
+    loadFromSlot(slot) {
+        if (!this.spaceScene) return;
+        
+        const state = this.saveManager.load(slot);
+        if (!state) {
+            this.showNotification(`Слот "${slot}" пуст`);
+            return;
+        }
+        
+        try {
+            this.applySaveState(state);
+            this.showNotification(`Загружено: ${slot}`);
+        } catch (error) {
+            console.error('❌ Ошибка загрузки:', error);
+            this.showNotification(`Ошибка загрузки: ${error.message}`);
+        }
     }
 
     startGameLoop() {
         this.gameLoop = new GameLoop();
-        this.gameLoop.start((deltaTime) => this.update(deltaTime), () => this.render());
+        this.gameLoop.start((deltaTime) => this.update(deltaTime), (alpha) => this.render(alpha));
     }
 
+    /**
+     * Шаг игрового цикла: обычно один шаг приложения, при воспроизведении повтора - ни одного
+     * на паузе или несколько при перемотке
+     * @param {number} deltaTime - Длина шага цикла (с)
+     */
     update(deltaTime) {
+        const steps = this.replayManager.getStepCount();
+        const stepTime = this.replayManager.isPlaying() ? this.replayManager.replay.frameTime / 1000 : deltaTime;
+        
+        // Без шага интерполировать не между чем: кадр показывает текущее состояние
+        if (steps === 0) {
+            this.interpolator.reset();
+        }
+        
+        for (let i = 0; i < steps; i++) {
+            this.step(stepTime);
+        }
+    }
+
+    /**
+     * Объекты, положение которых интерполируется при рендеринге
+     * @returns {THREE.Object3D[]} Камера, тела и корабль
+     */
+    getInterpolatedObjects() {
+        const objects = this.spaceScene ? this.spaceScene.getInterpolatedObjects() : [];
+        objects.push(this.camera);
+        return objects;
+    }
+
+    /**
+     * Шаг приложения: зависит только от прошлого состояния и ввода шага, без часов системы
+     * и случайных чисел, поэтому записанный ввод повторяет сеанс
+     * @param {number} deltaTime - Фиксированный шаг (с)
+     */
+    step(deltaTime) {
+        // Положение объектов до шага - начало интерполяции при рендеринге
+        this.interpolator.capture(this.getInterpolatedObjects());
+        
+        // Ввод повтора этого шага, сдвиг мыши и опрос геймпада - до контроллеров, которые их читают
+        this.replayManager.beginTick();
+        this.inputManager.update(deltaTime);
+        
         // Обновление контроллеров
         this.controls.update();
+        this.replayManager.syncOrbit(this.camera, this.controls);
         this.cameraController.update(deltaTime);
         
+        // Управление кораблем
+        if (this.shipController) {
+            this.shipController.update(deltaTime);
+        }
+        
+        // Автопилот ведет корабль поверх ручного управления
+        if (this.autopilot) {
+            this.autopilot.update(deltaTime);
+        }
+        
         // Обновление космической сцены
         if (this.spaceScene) {
             this.spaceScene.update(deltaTime);
         }
         
-        // Обновление статистики
-        this.updateStats();
+        // Новый корабль после разрушения
+        if (this.respawnTimer !== null) {
+            this.respawnTimer -= deltaTime;
+            if (this.respawnTimer <= 0) {
+                this.respawnTimer = null;
+                if (this.spaceScene.spaceShip.isDestroyed) {
+                    this.spaceScene.respawnShip();
+                    this.interpolator.reset();
+                }
+            }
+        }
         
-        // Обновление UI
+        this.replayManager.endTick();
+    }
+
+    /**
+     * Отрисовка кадра
+     * @param {number} alpha - Доля шага с последнего обновления (1 - без интерполяции)
+     */
+    render(alpha = 1) {
+        // Статистика и интерфейс - по кадрам отрисовки, вне шага приложения
+        this.updateStats();
         this.uiManager.update({
             fps: this.stats.fps,
             objects: this.scene.children.length,
             triangles: this.renderer.info.render.triangles,
-            time: ((Date.now() - this.stats.startTime) / 1000).toFixed(1)
+            time: this.gameLoop.getElapsedTime().toFixed(1),
+            simDate: this.spaceScene ? this.spaceScene.clock.getDate() : undefined,
+            clock: this.spaceScene ? this.spaceScene.clock.getState() : undefined,
+            trajectory: this.spaceScene ? this.spaceScene.getTrajectoryInfo() : undefined,
+            maneuvers: this.spaceScene && this.spaceScene.getManeuverPlanner()
+                ? this.spaceScene.getManeuverPlanner().getSummary(this.spaceScene.clock)
+                : undefined,
+            autopilot: this.autopilot ? this.autopilot.getState() : undefined,
+            surface: this.spaceScene ? this.spaceScene.getSurfaceInfo() : undefined,
+            replay: this.replayManager.getStatus(),
+            loop: this.gameLoop.getStatus()
         });
-    }
-
-    render() {
+        
+        // Промежуточное положение объектов только на время отрисовки
+        this.interpolator.apply(alpha);
         this.renderer.render(this.scene, this.camera);
+        this.interpolator.restore();
     }
 
     updateStats() {
@@ -259,6 +1569,19 @@ class SpaceGameApp {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
     }
 
+    /**
+     * Показать ошибку на экране загрузки
+     * @param {Error} error - Ошибка инициализации
+     */
+    showLoadingError(error) {
+        const loadingText = document.querySelector('#loading .loading-text');
+        if (loadingText) {
+            loadingText.style.whiteSpace = 'pre-line';
+            loadingText.style.color = '#ff6666';
+            loadingText.textContent = error.message;
+        }
+    }
+
     hideLoading() {
         const loadingElement = document.getElementById('loading');
         if (loadingElement) {
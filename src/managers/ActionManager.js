@@ -0,0 +1,703 @@
+/**
+ * Версия формата сохраненных привязок
+ */
+export const BINDINGS_FORMAT_VERSION = 1;
+
+/**
+ * Контексты действий: global действует всегда, camera - в полете камеры, ship - в полете корабля
+ */
+export const ACTION_CONTEXTS = ['global', 'camera', 'ship'];
+
+/**
+ * Названия контекстов для интерфейса
+ */
+export const ACTION_CONTEXT_LABELS = {
+    global: 'Общие',
+    camera: 'Полет камеры',
+    ship: 'Полет корабля'
+};
+
+/**
+ * Модификаторы привязок в порядке записи: 'Control+Shift+KeyS'
+ */
+export const BINDING_MODIFIERS = ['Control', 'Alt', 'Shift', 'Meta'];
+
+/**
+ * Настройки управления по умолчанию
+ */
+export const DEFAULT_CONTROL_SETTINGS = {
+    mouseSensitivity: 0.002, // Поворот взгляда мышью (рад/px)
+    invertY: false, // Инверсия вертикали мыши
+    mouseSmoothing: 0.5 // Сглаживание мыши: 0 - нет, ближе к 1 - плавнее и с большей задержкой
+};
+
+/**
+ * Действия: контекст, название и привязки по умолчанию
+ *
+ * Привязка - строка с кодом ввода и необязательными модификаторами через '+'.
+ * Клавиши записываются кодами KeyboardEvent.code ('KeyW', 'Space', 'ShiftLeft'),
+ * кнопки мыши - 'Mouse0'...'Mouse2', кнопки геймпада - 'Gamepad0'..., направления
+ * осей геймпада - 'GamepadAxis1+' и 'GamepadAxis1-'. Геймпад - в стандартной раскладке:
+ * левый стик - оси 0 и 1, правый - 2 и 3, курки LT и RT - кнопки 6 и 7. Экранный джойстик
+ * дает направления 'TouchAxis0±' (вбок) и 'TouchAxis1±' (вперед-назад).
+ */
+export const ACTIONS = {
+    // Полет камеры
+    moveForward: { context: 'camera', label: 'Вперед', bindings: ['KeyW', 'GamepadAxis1-', 'TouchAxis1-'] },
+    moveBackward: { context: 'camera', label: 'Назад', bindings: ['KeyS', 'GamepadAxis1+', 'TouchAxis1+'] },
+    moveLeft: { context: 'camera', label: 'Влево', bindings: ['KeyA', 'GamepadAxis0-', 'TouchAxis0-'] },
+    moveRight: { context: 'camera', label: 'Вправо', bindings: ['KeyD', 'GamepadAxis0+', 'TouchAxis0+'] },
+    moveUp: { context: 'camera', label: 'Вверх', bindings: ['Space', 'Gamepad7'] },
+    moveDown: { context: 'camera', label: 'Вниз', bindings: ['ControlLeft', 'ControlRight', 'Gamepad6'] },
+    moveFast: { context: 'camera', label: 'Быстрое движение', bindings: ['ShiftLeft', 'ShiftRight', 'Gamepad10'] },
+    lookUp: { context: 'camera', label: 'Взгляд вверх (свободный режим)', bindings: ['ArrowUp', 'GamepadAxis3-'] },
+    lookDown: { context: 'camera', label: 'Взгляд вниз (свободный режим)', bindings: ['ArrowDown', 'GamepadAxis3+'] },
+    lookLeft: { context: 'camera', label: 'Взгляд влево (свободный режим)', bindings: ['ArrowLeft', 'GamepadAxis2-'] },
+    lookRight: { context: 'camera', label: 'Взгляд вправо (свободный режим)', bindings: ['ArrowRight', 'GamepadAxis2+'] },
+    rollViewLeft: { context: 'camera', label: 'Крен влево (свободный режим)', bindings: ['KeyQ', 'Gamepad4'] },
+    rollViewRight: { context: 'camera', label: 'Крен вправо (свободный режим)', bindings: ['KeyE', 'Gamepad5'] },
+    toggleApproach: { context: 'camera', label: 'Сближение с выбранным телом', bindings: ['KeyJ', 'Gamepad0'] },
+
+    // Полет корабля
+    thrustForward: { context: 'ship', label: 'Тяга вперед', bindings: ['KeyW', 'Gamepad7', 'TouchAxis1-'] },
+    thrustBackward: { context: 'ship', label: 'Тяга назад', bindings: ['KeyS', 'Gamepad6', 'TouchAxis1+'] },
+    strafeLeft: { context: 'ship', label: 'Маневр влево', bindings: ['KeyA', 'GamepadAxis0-', 'TouchAxis0-'] },
+    strafeRight: { context: 'ship', label: 'Маневр вправо', bindings: ['KeyD', 'GamepadAxis0+', 'TouchAxis0+'] },
+    strafeUp: { context: 'ship', label: 'Маневр вверх', bindings: ['Space', 'GamepadAxis1-'] },
+    strafeDown: { context: 'ship', label: 'Маневр вниз', bindings: ['ControlLeft', 'ControlRight', 'GamepadAxis1+'] },
+    boost: { context: 'ship', label: 'Форсаж', bindings: ['ShiftLeft', 'ShiftRight', 'Gamepad10'] },
+    pitchUp: { context: 'ship', label: 'Тангаж вверх', bindings: ['ArrowDown', 'GamepadAxis3+'] },
+    pitchDown: { context: 'ship', label: 'Тангаж вниз', bindings: ['ArrowUp', 'GamepadAxis3-'] },
+    yawLeft: { context: 'ship', label: 'Рыскание влево', bindings: ['ArrowLeft', 'GamepadAxis2-'] },
+    yawRight: { context: 'ship', label: 'Рыскание вправо', bindings: ['ArrowRight', 'GamepadAxis2+'] },
+    rollLeft: { context: 'ship', label: 'Крен влево', bindings: ['KeyQ', 'Gamepad4'] },
+    rollRight: { context: 'ship', label: 'Крен вправо', bindings: ['KeyE', 'Gamepad5'] },
+    brake: { context: 'ship', label: 'Торможение', bindings: ['KeyX', 'Gamepad1'] },
+    toggleFlightModel: { context: 'ship', label: 'Модель полета', bindings: ['KeyM'] },
+    addManeuverNode: { context: 'ship', label: 'Узел маневра под курсором', bindings: ['KeyU'] },
+
+    // Камера
+    toggleCameraMode: { context: 'global', label: 'Режим камеры', bindings: ['KeyC', 'Gamepad8'] },
+    toggleWASD: { context: 'global', label: 'Включить/выключить WASD', bindings: ['KeyV'] },
+    cycleFollowMode: { context: 'global', label: 'Режим следования камеры', bindings: ['KeyO', 'Gamepad2'] },
+    toggleBodyPalette: { context: 'global', label: 'Переход к телу по имени', bindings: ['Slash'] },
+    addCameraPathKey: { context: 'global', label: 'Ключ пути камеры', bindings: ['KeyK'] },
+    clearCameraPath: { context: 'global', label: 'Очистить путь камеры', bindings: ['Shift+KeyK'] },
+    toggleCameraPath: { context: 'global', label: 'Воспроизвести путь камеры', bindings: ['KeyL'] },
+    exportCameraPath: { context: 'global', label: 'Экспорт пути камеры', bindings: ['Shift+KeyL'] },
+    ...Object.fromEntries(Array.from({ length: 10 }, (_, index) => [
+        `cameraPreset${index}`,
+        { context: 'global', label: index === 0 ? 'Пресет: обзор' : `Пресет: тело ${index}`, bindings: [`Digit${index}`] }
+    ])),
+
+    // Время и симуляция
+    togglePause: { context: 'global', label: 'Пауза времени', bindings: ['KeyP', 'Gamepad9'] },
+    increaseWarp: { context: 'global', label: 'Ускорить время', bindings: ['Period'] },
+    decreaseWarp: { context: 'global', label: 'Замедлить время', bindings: ['Comma'] },
+    reverseTime: { context: 'global', label: 'Обратный ход времени', bindings: ['KeyR'] },
+    toggleFlightMode: { context: 'global', label: 'Полет на корабле/камере', bindings: ['KeyG', 'Gamepad3'] },
+    togglePhysics: { context: 'global', label: 'Гравитация N тел', bindings: ['KeyN'] },
+    cycleIntegrator: { context: 'global', label: 'Смена интегратора', bindings: ['KeyI'] },
+    cycleStepMode: { context: 'global', label: 'Режим шага цикла', bindings: ['F4'] },
+    removeManeuverNode: { context: 'global', label: 'Удалить узел маневра', bindings: ['Delete'] },
+    toggleAutopilot: { context: 'global', label: 'Автопилот маневров', bindings: ['KeyZ'] },
+    toggleScaleMode: { context: 'global', label: 'Реальный масштаб', bindings: ['KeyY'] },
+
+    // Интерфейс
+    toggleTimePanel: { context: 'global', label: 'Панель времени', bindings: ['KeyT'] },
+    toggleBookmarksPanel: { context: 'global', label: 'Закладки камеры', bindings: ['KeyB'] },
+    toggleSavesPanel: { context: 'global', label: 'Сохранения', bindings: ['F7'] },
+    toggleBindingsPanel: { context: 'global', label: 'Настройка управления', bindings: ['F2'] },
+    quickSave: { context: 'global', label: 'Быстрое сохранение', bindings: ['F6'] },
+    quickLoad: { context: 'global', label: 'Быстрая загрузка', bindings: ['F9'] },
+    toggleRecording: { context: 'global', label: 'Запись повтора', bindings: ['F8'] },
+    toggleReplayPanel: { context: 'global', label: 'Повторы', bindings: ['Shift+F8'] },
+    toggleHelp: { context: 'global', label: 'Помощь', bindings: ['KeyH'] },
+    toggleFullscreen: { context: 'global', label: 'Полноэкранный режим', bindings: ['KeyF'] },
+    saveScreenshot: { context: 'global', label: 'Скриншот', bindings: ['Control+KeyS'] },
+    hidePanels: { context: 'global', label: 'Закрыть панели', bindings: ['Escape'] }
+};
+
+/**
+ * Названия клавиш, которые не выводятся из кода напрямую
+ */
+const KEY_LABELS = {
+    Space: 'Пробел',
+    ShiftLeft: 'Левый Shift',
+    ShiftRight: 'Правый Shift',
+    ControlLeft: 'Левый Ctrl',
+    ControlRight: 'Правый Ctrl',
+    AltLeft: 'Левый Alt',
+    AltRight: 'Правый Alt',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Period: '.',
+    Comma: ',',
+    Slash: '/',
+    Escape: 'Esc',
+    Control: 'Ctrl',
+    Mouse0: 'Левая кнопка мыши',
+    Mouse1: 'Средняя кнопка мыши',
+    Mouse2: 'Правая кнопка мыши',
+    Gamepad0: 'Геймпад A',
+    Gamepad1: 'Геймпад B',
+    Gamepad2: 'Геймпад X',
+    Gamepad3: 'Геймпад Y',
+    Gamepad4: 'Геймпад LB',
+    Gamepad5: 'Геймпад RB',
+    Gamepad6: 'Геймпад LT',
+    Gamepad7: 'Геймпад RT',
+    Gamepad8: 'Геймпад Back',
+    Gamepad9: 'Геймпад Start',
+    Gamepad10: 'Левый стик (нажатие)',
+    Gamepad11: 'Правый стик (нажатие)',
+    'GamepadAxis0-': 'Левый стик ←',
+    'GamepadAxis0+': 'Левый стик →',
+    'GamepadAxis1-': 'Левый стик ↑',
+    'GamepadAxis1+': 'Левый стик ↓',
+    'GamepadAxis2-': 'Правый стик ←',
+    'GamepadAxis2+': 'Правый стик →',
+    'GamepadAxis3-': 'Правый стик ↑',
+    'GamepadAxis3+': 'Правый стик ↓',
+    'TouchAxis0-': 'Джойстик ←',
+    'TouchAxis0+': 'Джойстик →',
+    'TouchAxis1-': 'Джойстик ↑',
+    'TouchAxis1+': 'Джойстик ↓'
+};
+
+/**
+ * Коды клавиш-модификаторов и модификатор, который они зажимают
+ */
+const MODIFIER_KEYS = {
+    ShiftLeft: 'Shift',
+    ShiftRight: 'Shift',
+    ControlLeft: 'Control',
+    ControlRight: 'Control',
+    AltLeft: 'Alt',
+    AltRight: 'Alt',
+    MetaLeft: 'Meta',
+    MetaRight: 'Meta'
+};
+
+/**
+ * Разбор привязки
+ * @param {string} binding - Привязка, например 'Shift+KeyK'
+ * @returns {Object} {input, modifiers}
+ */
+export function parseBinding(binding) {
+    const parts = binding.split('+');
+    // Знак направления оси геймпада ('GamepadAxis1+') - часть кода ввода
+    if (parts[parts.length - 1] === '' && parts.length > 1) {
+        parts.pop();
+        parts[parts.length - 1] += '+';
+    }
+    const input = parts.pop();
+    return { input, modifiers: parts };
+}
+
+/**
+ * Название привязки для интерфейса
+ * @param {string} binding - Привязка
+ * @returns {string} Название, например 'Shift+K'
+ */
+export function formatBinding(binding) {
+    const { input, modifiers } = parseBinding(binding);
+    const format = (code) => {
+        if (KEY_LABELS[code]) return KEY_LABELS[code];
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit\d$/.test(code)) return code.slice(5);
+        if (/^GamepadAxis\d+[+-]$/.test(code)) return `Ось геймпада ${code.slice(11, -1)}${code.slice(-1)}`;
+        if (/^Gamepad\d+$/.test(code)) return `Кнопка геймпада ${code.slice(7)}`;
+        return code;
+    };
+    return [...modifiers, input].map(format).join('+');
+}
+
+/**
+ * Менеджер действий - именованные действия поверх InputManager
+ *
+ * Код игры спрашивает действия ('moveForward', 'togglePause'), а не клавиши, поэтому
+ * управление можно переназначить. Нажатие вызывает колбэк action у действия с точным
+ * набором модификаторов, а если такого нет - у действия без модификаторов: Shift+K очищает
+ * путь камеры, а Shift+1 остается пресетом 1 (Shift ставит переход в очередь).
+ * Удерживаемые действия (движение) проверяются по состоянию ввода на каждом кадре.
+ * Действие работает, только пока активен его контекст. В настройках хранятся лишь привязки,
+ * отличные от умолчаний, чтобы новые действия получали свои клавиши; рядом хранятся
+ * настройки обзора мышью (DEFAULT_CONTROL_SETTINGS).
+ */
+export class ActionManager {
+    /**
+     * @param {InputManager} inputManager - Менеджер ввода
+     * @param {string} storageKey - Ключ привязок в localStorage
+     */
+    constructor(inputManager, storageKey = 'spaceGame.bindings') {
+        this.inputManager = inputManager;
+        this.storageKey = storageKey;
+        this.storage = this.getStorage();
+
+        // Привязки действий: имя → массив привязок
+        this.bindings = {};
+        this.settings = { ...DEFAULT_CONTROL_SETTINGS };
+        this.resetBindings(false);
+
+        // Активные контексты полета; global активен всегда
+        this.activeContexts = new Set(['camera']);
+
+        // Захват новой привязки: {action, slot, modifier}
+        this.capture = null;
+
+        // Колбэки действий и изменения привязок
+        this.callbacks = {
+            action: [],
+            change: [],
+            capture: []
+        };
+
+        this.load();
+
+        this.inputManager.addCallback('keyDown', (code, event) => this.handleKeyDown(code, event));
+        this.inputManager.addCallback('keyUp', (code) => this.handleKeyUp(code));
+        this.inputManager.addCallback('mouseDown', (button, event) => this.handleInput(`Mouse${button}`, event));
+        this.inputManager.addCallback('gamepadButtonDown', (input, event) => this.handleInput(input, event));
+
+        console.log('🎛️ Action Manager инициализирован');
+    }
+
+    /**
+     * Получить localStorage, если он доступен
+     * @returns {Storage|null} Хранилище или null
+     */
+    getStorage() {
+        try {
+            const storage = window.localStorage;
+            const testKey = `${this.storageKey}.__test__`;
+            storage.setItem(testKey, '1');
+            storage.removeItem(testKey);
+            return storage;
+        } catch (error) {
+            console.warn('localStorage недоступен, привязки управления не будут сохраняться между сеансами');
+            return null;
+        }
+    }
+
+    /**
+     * Загрузка переназначенных привязок из хранилища
+     */
+    load() {
+        if (!this.storage) return;
+
+        const raw = this.storage.getItem(this.storageKey);
+        if (!raw) return;
+
+        try {
+            const data = JSON.parse(raw);
+            if (!data || data.version !== BINDINGS_FORMAT_VERSION || typeof data.bindings !== 'object') {
+                throw new Error(`Неподдерживаемая версия привязок: ${data && data.version}`);
+            }
+
+            Object.entries(data.bindings).forEach(([action, bindings]) => {
+                if (ACTIONS[action] && Array.isArray(bindings) && bindings.every(binding => typeof binding === 'string')) {
+                    this.bindings[action] = [...bindings];
+                }
+            });
+
+            Object.entries(data.settings || {}).forEach(([name, value]) => {
+                if (name in DEFAULT_CONTROL_SETTINGS && typeof value === typeof DEFAULT_CONTROL_SETTINGS[name]) {
+                    this.settings[name] = value;
+                }
+            });
+        } catch (error) {
+            console.error('Ошибка загрузки привязок управления:', error);
+        }
+    }
+
+    /**
+     * Запись переназначенных привязок в хранилище
+     * @returns {boolean} Успешно ли сохранено
+     */
+    persist() {
+        if (!this.storage) return false;
+
+        const changed = Object.fromEntries(Object.entries(this.bindings)
+            .filter(([action, bindings]) => bindings.join() !== ACTIONS[action].bindings.join()));
+        const settings = Object.fromEntries(Object.entries(this.settings)
+            .filter(([name, value]) => value !== DEFAULT_CONTROL_SETTINGS[name]));
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ version: BINDINGS_FORMAT_VERSION, bindings: changed, settings }));
+            return true;
+        } catch (error) {
+            console.error('Ошибка сохранения привязок управления:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Вернуть привязки и настройки по умолчанию
+     * @param {boolean} save - Сохранить и оповестить об изменении
+     */
+    resetBindings(save = true) {
+        Object.entries(ACTIONS).forEach(([action, definition]) => {
+            this.bindings[action] = [...definition.bindings];
+        });
+        Object.assign(this.settings, DEFAULT_CONTROL_SETTINGS);
+
+        if (save) {
+            this.persist();
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Изменить настройку управления
+     * @param {string} name - Имя настройки из DEFAULT_CONTROL_SETTINGS
+     * @param {number|boolean} value - Значение
+     */
+    setSetting(name, value) {
+        if (!(name in DEFAULT_CONTROL_SETTINGS)) {
+            throw new Error(`Неизвестная настройка управления: ${name}`);
+        }
+
+        this.settings[name] = value;
+        this.persist();
+        this.notifyChange();
+    }
+
+    /**
+     * Копия привязок и настроек
+     * @returns {Object} {bindings, settings}
+     */
+    getConfig() {
+        return {
+            bindings: Object.fromEntries(Object.entries(this.bindings).map(([action, bindings]) => [action, [...bindings]])),
+            settings: { ...this.settings }
+        };
+    }
+
+    /**
+     * Применить привязки и настройки целиком, например записанные в повторе
+     *
+     * Действия, которых нет в конфигурации, получают привязки по умолчанию.
+     * @param {Object} config - {bindings, settings}
+     * @param {boolean} save - Сохранить в хранилище
+     */
+    setConfig(config, save = true) {
+        if (this.capture) {
+            this.cancelCapture();
+        }
+        Object.entries(ACTIONS).forEach(([action, definition]) => {
+            this.bindings[action] = [...(config.bindings[action] || definition.bindings)];
+        });
+        Object.assign(this.settings, DEFAULT_CONTROL_SETTINGS, config.settings);
+
+        if (save) {
+            this.persist();
+        }
+        this.notifyChange();
+    }
+
+    /**
+     * Включить или выключить контекст действий
+     * @param {string} context - Контекст из ACTION_CONTEXTS
+     * @param {boolean} active - Активен ли контекст
+     */
+    setContextActive(context, active) {
+        if (context === 'global') return;
+
+        if (active) {
+            this.activeContexts.add(context);
+        } else {
+            this.activeContexts.delete(context);
+        }
+    }
+
+    /**
+     * Проверка, что контекст действия активен
+     * @param {string} action - Имя действия
+     * @returns {boolean} Активен ли контекст
+     */
+    isActionEnabled(action) {
+        const context = ACTIONS[action].context;
+        return context === 'global' || this.activeContexts.has(context);
+    }
+
+    /**
+     * Привязки действия
+     * @param {string} action - Имя действия
+     * @returns {string[]} Привязки
+     */
+    getBindings(action) {
+        return this.bindings[action] || [];
+    }
+
+    /**
+     * Название первой привязки действия для подсказок
+     * @param {string} action - Имя действия
+     * @returns {string} Название или пустая строка, если действие не назначено
+     */
+    getBindingLabel(action) {
+        const [binding] = this.getBindings(action);
+        return binding ? formatBinding(binding) : '';
+    }
+
+    /**
+     * Значение удерживаемого действия
+     * @param {string} action - Имя действия
+     * @returns {number} От 0 до 1: 1 - клавиша нажата, дробное - аналоговый ввод
+     */
+    getActionValue(action) {
+        if (this.capture || !this.isActionEnabled(action)) return 0;
+
+        return this.getBindings(action).reduce((value, binding) => {
+            const { input, modifiers } = parseBinding(binding);
+            if (!modifiers.every(modifier => this.inputManager.isModifierPressed(modifier))) {
+                return value;
+            }
+            return Math.max(value, this.inputManager.getInputValue(input));
+        }, 0);
+    }
+
+    /**
+     * Проверка, удерживается ли действие
+     * @param {string} action - Имя действия
+     * @returns {boolean} Удерживается ли действие
+     */
+    isActionActive(action) {
+        return this.getActionValue(action) > 0;
+    }
+
+    /**
+     * Ось из пары противоположных действий
+     * @param {string} positive - Действие положительного направления
+     * @param {string} negative - Действие отрицательного направления
+     * @returns {number} От -1 до 1
+     */
+    getAxis(positive, negative) {
+        return this.getActionValue(positive) - this.getActionValue(negative);
+    }
+
+    /**
+     * Обработка нажатия клавиши
+     * @param {string} code - Код клавиши
+     * @param {KeyboardEvent} event - Событие клавиатуры
+     */
+    handleKeyDown(code, event) {
+        // Модификатор может быть частью сочетания - привязка одного модификатора ждет его отпускания
+        if (this.capture && MODIFIER_KEYS[code]) {
+            this.capture.modifier = code;
+            return;
+        }
+        this.handleInput(code, event);
+    }
+
+    /**
+     * Обработка отпускания клавиши
+     * @param {string} code - Код клавиши
+     */
+    handleKeyUp(code) {
+        if (this.capture && this.capture.modifier === code) {
+            this.finishCapture(code);
+        }
+    }
+
+    /**
+     * Обработка нажатия: захват привязки или вызов действий
+     *
+     * Открытый источник ввода для InputManager и других устройств.
+     * @param {string} input - Код ввода ('KeyK', 'Mouse2', 'Gamepad0', 'GamepadAxis1-')
+     * @param {Object} event - Событие с полями ctrlKey, altKey, shiftKey, metaKey
+     */
+    handleInput(input, event = {}) {
+        const modifiers = BINDING_MODIFIERS.filter(modifier => event[`${modifier.toLowerCase()}Key`] && MODIFIER_KEYS[input] !== modifier);
+
+        if (this.capture) {
+            // Escape отменяет захват, левая кнопка мыши остается за интерфейсом и выбором тел
+            if (input === 'Escape') {
+                this.cancelCapture();
+            } else if (input !== 'Mouse0') {
+                this.finishCapture([...modifiers, input].join('+'));
+            }
+            if (event.preventDefault) event.preventDefault();
+            return;
+        }
+
+        const matches = (exact) => Object.keys(this.bindings).filter(action => this.isActionEnabled(action) &&
+            this.bindings[action].some(binding => {
+                const parsed = parseBinding(binding);
+                return parsed.input === input && (exact
+                    ? parsed.modifiers.length === modifiers.length && parsed.modifiers.every(modifier => modifiers.includes(modifier))
+                    : parsed.modifiers.length === 0);
+            }));
+
+        const exact = matches(true);
+        const actions = exact.length > 0 ? exact : matches(false);
+        actions.forEach(action => {
+            this.callbacks.action.forEach(callback => {
+                callback(action, event);
+            });
+        });
+    }
+
+    /**
+     * Начать захват новой привязки: следующее нажатие назначается действию
+     * @param {string} action - Имя действия
+     * @param {number} slot - Номер привязки действия (0 - основная)
+     */
+    startCapture(action, slot) {
+        this.capture = { action, slot, modifier: null };
+        this.callbacks.capture.forEach(callback => {
+            callback(this.capture);
+        });
+    }
+
+    /**
+     * Отменить захват привязки
+     */
+    cancelCapture() {
+        this.capture = null;
+        this.callbacks.capture.forEach(callback => {
+            callback(null);
+        });
+    }
+
+    /**
+     * Завершить захват, назначив привязку
+     * @param {string} binding - Захваченная привязка
+     */
+    finishCapture(binding) {
+        const { action, slot } = this.capture;
+        this.capture = null;
+        const conflicts = this.setBinding(action, slot, binding);
+        this.callbacks.capture.forEach(callback => {
+            callback(null, { action, binding, conflicts });
+        });
+    }
+
+    /**
+     * Действия, которые сработают вместе с привязкой в контексте
+     *
+     * Контексты camera и ship не бывают активны одновременно и не конфликтуют между собой,
+     * global конфликтует с обоими.
+     * @param {string} binding - Привязка
+     * @param {string} context - Контекст
+     * @param {string} [except] - Действие, которое не учитывается
+     * @returns {string[]} Имена действий
+     */
+    findConflicts(binding, context, except = null) {
+        return Object.keys(this.bindings).filter(action => {
+            const other = ACTIONS[action].context;
+            return action !== except &&
+                (other === context || other === 'global' || context === 'global') &&
+                this.bindings[action].includes(binding);
+        });
+    }
+
+    /**
+     * Все конфликты текущих привязок
+     * @returns {Array<Object>} Конфликты [{binding, actions}]
+     */
+    getConflicts() {
+        const conflicts = [];
+        Object.entries(this.bindings).forEach(([action, bindings]) => {
+            bindings.forEach(binding => {
+                const others = this.findConflicts(binding, ACTIONS[action].context, action);
+                if (others.length > 0 && !conflicts.some(conflict => conflict.binding === binding && conflict.actions.includes(action))) {
+                    conflicts.push({ binding, actions: [action, ...others] });
+                }
+            });
+        });
+        return conflicts;
+    }
+
+    /**
+     * Назначить привязку действию
+     *
+     * Конфликтующие действия теряют эту привязку, чтобы одно нажатие не вызывало два действия.
+     * @param {string} action - Имя действия
+     * @param {number} slot - Номер привязки действия
+     * @param {string|null} binding - Привязка или null, чтобы снять ее
+     * @returns {string[]} Действия, с которых снята привязка
+     */
+    setBinding(action, slot, binding) {
+        if (!ACTIONS[action]) {
+            throw new Error(`Неизвестное действие: ${action}`);
+        }
+
+        const bindings = this.bindings[action];
+        const conflicts = binding ? this.findConflicts(binding, ACTIONS[action].context, action) : [];
+        conflicts.forEach(other => {
+            this.bindings[other] = this.bindings[other].filter(item => item !== binding);
+        });
+
+        if (binding) {
+            bindings[Math.min(slot, bindings.length)] = binding;
+        } else {
+            bindings.splice(slot, 1);
+        }
+        this.bindings[action] = bindings.filter((item, index) => bindings.indexOf(item) === index);
+
+        this.persist();
+        this.notifyChange();
+        return conflicts;
+    }
+
+    /**
+     * Снять все привязки действия
+     * @param {string} action - Имя действия
+     */
+    clearBindings(action) {
+        this.bindings[action] = [];
+        this.persist();
+        this.notifyChange();
+    }
+
+    /**
+     * Действия, сгруппированные по контекстам, для панели настройки
+     * @returns {Array<Object>} [{context, label, actions: [{action, label, bindings}]}]
+     */
+    getActionGroups() {
+        return ACTION_CONTEXTS.map(context => ({
+            context,
+            label: ACTION_CONTEXT_LABELS[context],
+            actions: Object.entries(ACTIONS)
+                .filter(([, definition]) => definition.context === context)
+                .map(([action, definition]) => ({ action, label: definition.label, bindings: this.getBindings(action) }))
+        }));
+    }
+
+    /**
+     * Добавить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    addCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            this.callbacks[eventType].push(callback);
+        }
+    }
+
+    /**
+     * Удалить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    removeCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            const index = this.callbacks[eventType].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[eventType].splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Оповещение об изменении привязок
+     */
+    notifyChange() {
+        this.callbacks.change.forEach(callback => {
+            callback(this.bindings, this.settings);
+        });
+    }
+}
@@ -0,0 +1,216 @@
+import { SCALE_MODES } from '../scene/SceneScale.js';
+
+/**
+ * Версия формата закладок
+ */
+export const BOOKMARK_FORMAT_VERSION = 1;
+
+/**
+ * Менеджер закладок камеры - именованные виды с миниатюрами в localStorage
+ *
+ * Закладка хранит положение камеры и цель в координатах вселенной, угол обзора, масштаб
+ * сцены и, по желанию, дату симуляции, чтобы вместе с видом восстановить и момент времени.
+ */
+export class BookmarkManager {
+    /**
+     * @param {string} storageKey - Ключ списка закладок в localStorage
+     */
+    constructor(storageKey = 'spaceGame.bookmarks') {
+        this.storageKey = storageKey;
+        this.storage = this.getStorage();
+        this.bookmarks = [];
+        this.nextId = 1;
+
+        this.load();
+
+        console.log('🔖 Bookmark Manager инициализирован');
+    }
+
+    /**
+     * Получить localStorage, если он доступен
+     * @returns {Storage|null} Хранилище или null
+     */
+    getStorage() {
+        try {
+            const storage = window.localStorage;
+            const testKey = `${this.storageKey}.__test__`;
+            storage.setItem(testKey, '1');
+            storage.removeItem(testKey);
+            return storage;
+        } catch (error) {
+            console.warn('localStorage недоступен, закладки не будут сохраняться между сеансами');
+            return null;
+        }
+    }
+
+    /**
+     * Загрузка закладок из хранилища
+     */
+    load() {
+        if (!this.storage) return;
+
+        const raw = this.storage.getItem(this.storageKey);
+        if (!raw) return;
+
+        try {
+            // Идентификаторы живут только в пределах сеанса
+            this.bookmarks = this.validateData(JSON.parse(raw)).bookmarks
+                .map((bookmark, index) => ({ ...bookmark, id: index + 1 }));
+            this.nextId = this.bookmarks.length + 1;
+        } catch (error) {
+            console.error('Ошибка загрузки закладок:', error);
+        }
+    }
+
+    /**
+     * Запись закладок в хранилище
+     * @returns {boolean} Успешно ли сохранено
+     */
+    persist() {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.exportData()));
+            return true;
+        } catch (error) {
+            console.error('Ошибка сохранения закладок:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Проверка закладки
+     * @param {Object} bookmark - Закладка
+     * @returns {boolean} Корректна ли закладка
+     */
+    isValidBookmark(bookmark) {
+        const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+        return Boolean(bookmark) &&
+            typeof bookmark.name === 'string' &&
+            isVector(bookmark.position) &&
+            isVector(bookmark.target) &&
+            Number.isFinite(bookmark.fov) &&
+            (bookmark.scaleMode === undefined || SCALE_MODES.includes(bookmark.scaleMode)) &&
+            (bookmark.simDate === null || bookmark.simDate === undefined || !Number.isNaN(new Date(bookmark.simDate).getTime()));
+    }
+
+    /**
+     * Проверка формата списка закладок
+     * @param {Object} data - Данные {version, bookmarks}
+     * @returns {Object} Данные
+     * @throws {Error} Если формат не поддерживается
+     */
+    validateData(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.bookmarks)) {
+            throw new Error('Файл не является списком закладок');
+        }
+        if (data.version !== BOOKMARK_FORMAT_VERSION) {
+            throw new Error(`Неподдерживаемая версия закладок: ${data.version}`);
+        }
+
+        const invalid = data.bookmarks.findIndex(bookmark => !this.isValidBookmark(bookmark));
+        if (invalid > -1) {
+            throw new Error(`Некорректная закладка №${invalid + 1}`);
+        }
+        return data;
+    }
+
+    /**
+     * Добавить закладку
+     * @param {Object} bookmark - Закладка {name, position, target, fov, scaleMode, simDate, thumbnail}
+     * @returns {Object} Добавленная закладка
+     */
+    add(bookmark) {
+        const entry = {
+            id: this.nextId++,
+            name: bookmark.name,
+            position: [...bookmark.position],
+            target: [...bookmark.target],
+            fov: bookmark.fov,
+            scaleMode: bookmark.scaleMode || 'stylised',
+            simDate: bookmark.simDate || null,
+            thumbnail: bookmark.thumbnail || null,
+            createdAt: bookmark.createdAt || new Date().toISOString()
+        };
+
+        this.bookmarks.push(entry);
+        this.persist();
+        return entry;
+    }
+
+    /**
+     * Получить закладку
+     * @param {number} id - Идентификатор
+     * @returns {Object|null} Закладка или null
+     */
+    get(id) {
+        return this.bookmarks.find(bookmark => bookmark.id === id) || null;
+    }
+
+    /**
+     * Получить все закладки в порядке пользователя
+     * @returns {Array<Object>} Закладки
+     */
+    getAll() {
+        return this.bookmarks;
+    }
+
+    /**
+     * Удалить закладку
+     * @param {number} id - Идентификатор
+     */
+    remove(id) {
+        this.bookmarks = this.bookmarks.filter(bookmark => bookmark.id !== id);
+        this.persist();
+    }
+
+    /**
+     * Переместить закладку в списке
+     * @param {number} id - Идентификатор
+     * @param {number} offset - Сдвиг: -1 - выше, 1 - ниже
+     */
+    move(id, offset) {
+        const index = this.bookmarks.findIndex(bookmark => bookmark.id === id);
+        const newIndex = index + offset;
+        if (index < 0 || newIndex < 0 || newIndex >= this.bookmarks.length) return;
+
+        const [bookmark] = this.bookmarks.splice(index, 1);
+        this.bookmarks.splice(newIndex, 0, bookmark);
+        this.persist();
+    }
+
+    /**
+     * Данные для экспорта
+     * @returns {Object} Список закладок {version, bookmarks}
+     */
+    exportData() {
+        return {
+            version: BOOKMARK_FORMAT_VERSION,
+            bookmarks: this.bookmarks
+        };
+    }
+
+    /**
+     * Импорт закладок из файла: закладки добавляются в конец списка
+     * @param {File} file - JSON-файл закладок
+     * @returns {Promise<number>} Число добавленных закладок
+     */
+    async importFromFile(file) {
+        const text = await file.text();
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Файл "${file.name}" не является корректным JSON`);
+        }
+
+        const { bookmarks } = this.validateData(data);
+        bookmarks.forEach(bookmark => {
+            this.bookmarks.push({ ...bookmark, id: this.nextId++, simDate: bookmark.simDate || null, thumbnail: bookmark.thumbnail || null });
+        });
+        this.persist();
+        return bookmarks.length;
+    }
+}
@@ -1,14 +1,108 @@
 /**
- * Менеджер ввода - обработка клавиатуры и мыши
+ * Пары осей стиков в стандартной раскладке геймпада: левый (0, 1) и правый (2, 3)
+ */
+const GAMEPAD_STICKS = [[0, 1], [2, 3]];
+
+/**
+ * Биты кнопок мыши в PointerEvent.buttons по номеру кнопки в PointerEvent.button
+ */
+const MOUSE_BUTTON_BITS = [1, 4, 2, 8, 16];
+
+/**
+ * Поля событий модификаторов и указателей
+ */
+const MODIFIER_FIELDS = ['ctrlKey', 'altKey', 'shiftKey', 'metaKey'];
+const POINTER_FIELDS = ['pointerId', 'pointerType', 'button', 'buttons', 'clientX', 'clientY', 'movementX', 'movementY', 'onGesture', ...MODIFIER_FIELDS];
+
+/**
+ * Типы сырого ввода и поля, которые из них читаются
+ *
+ * Этих полей достаточно, чтобы повторить обработку события (см. receiveInput и injectInput).
+ * command - команда интерфейса (кнопки панелей, правка узлов мышью, см. sendCommand).
+ * onGesture - нажат ли указатель на элементе жестов. Порядок типов - часть формата повторов.
+ */
+export const INPUT_FIELDS = {
+    keydown: ['code', ...MODIFIER_FIELDS],
+    keyup: ['code', ...MODIFIER_FIELDS],
+    pointerdown: POINTER_FIELDS,
+    pointerup: POINTER_FIELDS,
+    pointercancel: POINTER_FIELDS,
+    pointermove: POINTER_FIELDS,
+    wheel: ['deltaY', 'clientX', 'clientY', 'onGesture', ...MODIFIER_FIELDS],
+    pointerlockchange: ['locked'],
+    blur: [],
+    gamepadconnected: ['index', 'id', 'mapping'],
+    gamepaddisconnected: ['index'],
+    gamepads: ['pads'],
+    touchaxes: ['x', 'y'],
+    command: ['name', 'args']
+};
+
+/**
+ * Мертвая зона и кривая отклика аналогового ввода
+ * @param {number} magnitude - Отклонение от 0 до 1
+ * @param {number} deadZone - Мертвая зона
+ * @param {number} exponent - Показатель кривой: 1 - линейная, больше 1 - точнее у центра
+ * @returns {number} Значение от 0 до 1
+ */
+function shapeAnalog(magnitude, deadZone, exponent) {
+    if (magnitude <= deadZone) return 0;
+    return Math.pow(Math.min((magnitude - deadZone) / (1 - deadZone), 1), exponent);
+}
+
+/**
+ * Менеджер ввода - обработка клавиатуры, указателей (мышь, касания, перо) и геймпада
+ *
+ * Мышь и касания приходят как Pointer Events. Кнопки мыши вызывают колбэки mouseDown/mouseUp,
+ * а указатели, нажатые на элементе жестов (холсте), распознаются как жесты: tap - короткое
+ * касание или клик, contextMenu - долгое касание или правый клик, drag - движение одним
+ * пальцем, pinch и pan - сведение и сдвиг двух пальцев.
+ *
+ * Весь ввод устройств проходит через receiveInput и отдается колбэку input для записи повтора.
+ * Время ввода (долгое касание, окно Esc) считается шагами update, а не часами системы,
+ * поэтому записанный ввод, поданный через injectInput на тех же шагах, дает тот же результат.
  */
 export class InputManager {
     constructor() {
         this.keys = new Set();
         this.mousePosition = { x: 0, y: 0 };
         this.mouseButtons = new Set();
-        this.mouseDelta = { x: 0, y: 0 };
+        this.mouseDelta = { x: 0, y: 0 }; // Сдвиг мыши за прошлый кадр (см. update)
+        this.pendingMouseDelta = { x: 0, y: 0 }; // Сдвиг, накопленный в текущем кадре
         this.lastMousePosition = { x: 0, y: 0 };
         
+        // Источник ввода: устройства или запись повтора (setLiveInput)
+        this.liveInput = true;
+        this.time = 0; // Время ввода (мс) - сумма шагов update
+        
+        // Захват указателя (Pointer Lock) для обзора мышью
+        this.pointerLocked = false;
+        this.pointerLockReleaseTime = -Infinity; // Время ввода при снятии захвата
+        this.escapeReleaseWindow = 250; // Esc в этом окне (мс) после снятия захвата не вызывает действий
+        
+        // Геймпады опрашиваются на каждом кадре (pollGamepads): Gamepad API не присылает событий кнопок
+        this.gamepadSnapshot = []; // Последний опрос: [{index, id, mapping, axes, buttons}] - сырые значения
+        this.gamepadSnapshotKey = '[]'; // Снимок в JSON для поиска изменений
+        this.gamepads = new Map(); // Подключенные геймпады: индекс → id
+        this.gamepadIndex = null; // Активный геймпад - первый подключенный
+        this.nonStandardGamepads = new Set(); // id геймпадов не в стандартной раскладке, о которых уже предупредили
+        this.gamepadAxes = []; // Оси после мертвой зоны и кривой отклика, от -1 до 1
+        this.gamepadButtons = []; // Кнопки и курки, от 0 до 1
+        this.gamepadPressed = new Set(); // Нажатые кнопки и направления осей ('Gamepad0', 'GamepadAxis1-')
+        this.gamepadDeadZone = 0.15; // Мертвая зона стиков (радиальная)
+        this.triggerDeadZone = 0.05; // Мертвая зона курков
+        this.gamepadResponseExponent = 2; // Кривая отклика: 1 - линейная, 2 - квадратичная
+        this.gamepadPressThreshold = 0.5; // Отклонение, с которого курок или ось считаются нажатием
+        
+        // Указатели и жесты
+        this.gestureElement = null; // Жесты распознаются только для указателей, нажатых на этом элементе
+        this.pointers = new Map(); // Нажатые указатели: pointerId → {type, button, x, y, startX, startY, moved, multi, longPressed}
+        this.pinchState = null; // Расстояние и центр двух пальцев на прошлом событии
+        this.longPress = null; // Ожидающее долгое касание {pointerId, target, time}
+        this.tapMaxDistance = 10; // Сдвиг (px), после которого нажатие уже не касание, а перетаскивание
+        this.longPressDuration = 600; // Длительность долгого касания (мс)
+        this.touchAxes = [0, 0]; // Оси экранного джойстика, от -1 до 1
+        
         // Колбэки для событий
         this.callbacks = {
             keyDown: [],
@@ -16,7 +110,19 @@ export class InputManager {
             mouseDown: [],
             mouseUp: [],
             mouseMove: [],
-            wheel: []
+            wheel: [],
+            pointerLockChange: [],
+            tap: [],
+            contextMenu: [],
+            drag: [],
+            pinch: [],
+            pan: [],
+            gamepadConnected: [],
+            gamepadDisconnected: [],
+            gamepadButtonDown: [],
+            gamepadButtonUp: [],
+            command: [],
+            input: []
         };
         
         this.init();
@@ -35,20 +141,157 @@ export class InputManager {
      */
     setupEventListeners() {
         // Клавиатура
-        document.addEventListener('keydown', (event) => this.handleKeyDown(event));
-        document.addEventListener('keyup', (event) => this.handleKeyUp(event));
+        document.addEventListener('keydown', (event) => this.receiveInput('keydown', event));
+        document.addEventListener('keyup', (event) => this.receiveInput('keyup', event));
         
-        // Мышь
-        document.addEventListener('mousedown', (event) => this.handleMouseDown(event));
-        document.addEventListener('mouseup', (event) => this.handleMouseUp(event));
-        document.addEventListener('mousemove', (event) => this.handleMouseMove(event));
-        document.addEventListener('wheel', (event) => this.handleWheel(event));
+        // Мышь, касания и перо
+        ['pointerdown', 'pointerup', 'pointercancel', 'pointermove', 'wheel'].forEach(type => {
+            document.addEventListener(type, (event) => this.receiveInput(type, event));
+        });
         
         // Контекстное меню (отключаем для правой кнопки мыши)
         document.addEventListener('contextmenu', (event) => event.preventDefault());
         
+        // Захват указателя
+        document.addEventListener('pointerlockchange', () => {
+            this.receiveInput('pointerlockchange', { locked: Boolean(document.pointerLockElement) });
+        });
+        
         // Фокус окна (сброс состояния при потере фокуса)
-        window.addEventListener('blur', () => this.resetInput());
+        window.addEventListener('blur', () => this.receiveInput('blur', {}));
+        
+        // Геймпад (Chrome сообщает о подключении только после нажатия кнопки)
+        window.addEventListener('gamepadconnected', (event) => {
+            const { index, id, mapping } = event.gamepad;
+            this.receiveInput('gamepadconnected', { index, id, mapping });
+        });
+        window.addEventListener('gamepaddisconnected', (event) => {
+            this.receiveInput('gamepaddisconnected', { index: event.gamepad.index });
+        });
+    }
+
+    /**
+     * Прием ввода от устройства: запись и обработка
+     *
+     * Пока ввод подается из записи (setLiveInput(false)), события устройств игнорируются.
+     * @param {string} type - Тип ввода из INPUT_FIELDS
+     * @param {Event|Object} event - Событие устройства
+     */
+    receiveInput(type, event) {
+        if (!this.liveInput) return;
+        
+        // Ввод текста в полях формы не управляет сценой и не записывается
+        if (type === 'keydown' && this.isTextInputEvent(event)) return;
+        
+        if (this.callbacks.input.length > 0) {
+            const data = {};
+            INPUT_FIELDS[type].forEach(field => {
+                data[field] = field === 'onGesture' ? event.target === this.gestureElement : event[field];
+            });
+            
+            // Вызов колбэков
+            this.callbacks.input.forEach(callback => {
+                callback(type, data);
+            });
+        }
+        
+        this.processInput(type, event);
+    }
+
+    /**
+     * Подать записанный ввод (воспроизведение повтора)
+     * @param {string} type - Тип ввода из INPUT_FIELDS
+     * @param {Object} data - Поля ввода
+     */
+    injectInput(type, data) {
+        this.processInput(type, {
+            ...data,
+            target: data.onGesture ? this.gestureElement : null,
+            preventDefault() {}
+        });
+    }
+
+    /**
+     * Обработка ввода по типу
+     * @param {string} type - Тип ввода из INPUT_FIELDS
+     * @param {Event|Object} event - Событие устройства или записанные поля
+     */
+    processInput(type, event) {
+        switch (type) {
+            case 'keydown':
+                this.handleKeyDown(event);
+                break;
+            case 'keyup':
+                this.handleKeyUp(event);
+                break;
+            case 'pointerdown':
+                this.handlePointerDown(event);
+                break;
+            case 'pointerup':
+            case 'pointercancel':
+                this.handlePointerUp(event, type === 'pointercancel');
+                break;
+            case 'pointermove':
+                this.handlePointerMove(event);
+                break;
+            case 'wheel':
+                this.handleWheel(event);
+                break;
+            case 'pointerlockchange':
+                this.handlePointerLockChange(event.locked);
+                break;
+            case 'blur':
+                this.resetInput();
+                break;
+            case 'gamepadconnected':
+                this.handleGamepadConnected(event);
+                break;
+            case 'gamepaddisconnected':
+                this.handleGamepadDisconnected(event.index);
+                break;
+            case 'gamepads':
+                this.gamepadSnapshot = event.pads;
+                this.gamepadSnapshotKey = JSON.stringify(event.pads);
+                break;
+            case 'touchaxes':
+                this.touchAxes[0] = event.x;
+                this.touchAxes[1] = event.y;
+                break;
+            case 'command':
+                this.callbacks.command.forEach(callback => {
+                    callback(event.name, event.args);
+                });
+                break;
+            default:
+                console.warn(`Неизвестный тип ввода: ${type}`);
+        }
+    }
+
+    /**
+     * Переключить источник ввода
+     * @param {boolean} live - true - устройства, false - записанный ввод (injectInput)
+     */
+    setLiveInput(live) {
+        if (this.liveInput === live) return;
+        
+        this.exitPointerLock();
+        this.liveInput = live;
+        this.resetSource();
+    }
+
+    /**
+     * Сброс состояния источника ввода - при его смене и перед повтором с начала
+     *
+     * Захват снимается без события, геймпады, которых нет в новом снимке, отключатся
+     * на следующем опросе.
+     */
+    resetSource() {
+        this.pointerLocked = false;
+        this.pointerLockReleaseTime = -Infinity;
+        this.touchAxes = [0, 0];
+        this.gamepadSnapshot = [];
+        this.gamepadSnapshotKey = '[]';
+        this.resetPresses();
     }
 
     /**
@@ -56,6 +299,16 @@ export class InputManager {
      * @param {KeyboardEvent} event - Событие клавиатуры
      */
     handleKeyDown(event) {
+        // Ввод текста в полях формы не должен управлять сценой
+        if (this.isTextInputEvent(event)) return;
+        
+        // Esc только снимает захват указателя: браузер мог уже снять его сам до события клавиши
+        if (event.code === 'Escape' && (this.pointerLocked || this.time - this.pointerLockReleaseTime < this.escapeReleaseWindow)) {
+            this.pointerLockReleaseTime = -Infinity;
+            this.exitPointerLock();
+            return;
+        }
+        
         this.keys.add(event.code);
         
         // Вызов колбэков
@@ -77,11 +330,219 @@ export class InputManager {
         });
     }
 
+    /**
+     * Проверка, что событие пришло из поля ввода текста
+     * @param {Event} event - Событие
+     * @returns {boolean} Пришло ли событие из поля ввода
+     */
+    isTextInputEvent(event) {
+        const target = event.target;
+        if (!target || !target.tagName) return false;
+        
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+    }
+
+    /**
+     * Установить элемент, на котором распознаются жесты
+     * @param {HTMLElement|null} element - Элемент (холст) или null - весь документ
+     */
+    setGestureElement(element) {
+        this.gestureElement = element;
+    }
+
+    /**
+     * Обработка нажатия указателя
+     * @param {PointerEvent} event - Событие указателя
+     */
+    handlePointerDown(event) {
+        if (event.pointerType === 'mouse') {
+            this.handleMouseDown(event);
+        }
+        
+        if (this.gestureElement && event.target !== this.gestureElement) return;
+        
+        const isMulti = this.pointers.size > 0;
+        this.pointers.set(event.pointerId, {
+            type: event.pointerType,
+            button: event.button,
+            x: event.clientX,
+            y: event.clientY,
+            startX: event.clientX,
+            startY: event.clientY,
+            moved: false,
+            multi: isMulti,
+            longPressed: false
+        });
+        
+        // Второй палец превращает касание в жест двумя пальцами
+        this.cancelLongPress();
+        if (isMulti) {
+            this.pointers.forEach(pointer => {
+                pointer.multi = true;
+            });
+        } else if (event.pointerType !== 'mouse') {
+            this.startLongPress(event);
+        }
+        this.pinchState = this.measurePinch();
+    }
+
+    /**
+     * Обработка движения указателя
+     * @param {PointerEvent} event - Событие указателя
+     */
+    handlePointerMove(event) {
+        if (event.pointerType === 'mouse') {
+            // Нажатие второй кнопки при зажатой первой приходит как pointermove с button
+            if (event.button > -1) {
+                if (event.buttons & MOUSE_BUTTON_BITS[event.button]) {
+                    this.handleMouseDown(event);
+                } else {
+                    this.handleMouseUp(event);
+                }
+            }
+            this.handleMouseMove(event);
+        }
+        
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        
+        const dx = event.clientX - pointer.x;
+        const dy = event.clientY - pointer.y;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        
+        if (!pointer.moved && Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > this.tapMaxDistance) {
+            pointer.moved = true;
+            this.cancelLongPress();
+        }
+        
+        // Мышь перетаскивают орбитальные контролы, жесты - только у касаний и пера
+        if (pointer.type === 'mouse') return;
+        
+        if (this.pointers.size === 1 && pointer.moved) {
+            this.callbacks.drag.forEach(callback => {
+                callback(dx, dy, event);
+            });
+        } else if (this.pointers.size === 2 && this.pinchState) {
+            const previous = this.pinchState;
+            this.pinchState = this.measurePinch();
+            const scale = previous.distance > 0 ? this.pinchState.distance / previous.distance : 1;
+            
+            this.callbacks.pinch.forEach(callback => {
+                callback(scale, this.pinchState.center, event);
+            });
+            this.callbacks.pan.forEach(callback => {
+                callback(this.pinchState.center.x - previous.center.x, this.pinchState.center.y - previous.center.y, event);
+            });
+        }
+    }
+
+    /**
+     * Обработка отпускания или отмены указателя
+     * @param {PointerEvent} event - Событие указателя
+     * @param {boolean} cancelled - Указатель отменен браузером (pointercancel)
+     */
+    handlePointerUp(event, cancelled = false) {
+        if (event.pointerType === 'mouse') {
+            this.handleMouseUp(event);
+        }
+        
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        
+        this.pointers.delete(event.pointerId);
+        this.cancelLongPress();
+        this.pinchState = this.measurePinch();
+        
+        // Касание - нажатие без сдвига, второго пальца и долгого удержания
+        if (cancelled || pointer.moved || pointer.multi || pointer.longPressed) return;
+        
+        const eventType = pointer.button === 2 ? 'contextMenu' : pointer.button === 0 ? 'tap' : null;
+        if (!eventType) return;
+        
+        this.callbacks[eventType].forEach(callback => {
+            callback(event);
+        });
+    }
+
+    /**
+     * Расстояние и центр двух нажатых пальцев
+     * @returns {Object|null} {distance, center: {x, y}} или null, если нажат не двумя
+     */
+    measurePinch() {
+        if (this.pointers.size !== 2) return null;
+        
+        const [first, second] = Array.from(this.pointers.values());
+        return {
+            distance: Math.hypot(second.x - first.x, second.y - first.y),
+            center: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 }
+        };
+    }
+
+    /**
+     * Запуск ожидания долгого касания - срабатывает в update по времени ввода
+     * @param {PointerEvent} event - Событие нажатия
+     */
+    startLongPress(event) {
+        this.longPress = {
+            pointerId: event.pointerId,
+            target: event.target,
+            time: this.time + this.longPressDuration
+        };
+    }
+
+    /**
+     * Отмена ожидания долгого касания
+     */
+    cancelLongPress() {
+        this.longPress = null;
+    }
+
+    /**
+     * Срабатывание долгого касания, если его время пришло
+     */
+    updateLongPress() {
+        if (!this.longPress || this.time < this.longPress.time) return;
+        
+        const { pointerId, target } = this.longPress;
+        this.longPress = null;
+        const pointer = this.pointers.get(pointerId);
+        if (!pointer) return;
+        
+        pointer.longPressed = true;
+        const pressEvent = { clientX: pointer.x, clientY: pointer.y, target, pointerType: pointer.type };
+        this.callbacks.contextMenu.forEach(callback => {
+            callback(pressEvent);
+        });
+    }
+
+    /**
+     * Установить оси экранного джойстика
+     * @param {number} x - Отклонение вправо, от -1 до 1
+     * @param {number} y - Отклонение вниз, от -1 до 1
+     */
+    setTouchAxes(x, y) {
+        this.receiveInput('touchaxes', { x, y });
+    }
+
+    /**
+     * Отправить команду интерфейса
+     *
+     * Панели и правка мышью меняют состояние не напрямую, а через поток ввода: команда
+     * записывается в повтор вместе с шагом и выполняется колбэками command.
+     * @param {string} name - Имя команды
+     * @param {...*} args - Аргументы, сохранимые в JSON
+     */
+    sendCommand(name, ...args) {
+        this.receiveInput('command', { name, args });
+    }
+
     /**
      * Обработка нажатия кнопки мыши
      * @param {MouseEvent} event - Событие мыши
      */
     handleMouseDown(event) {
+        if (this.mouseButtons.has(event.button)) return;
         this.mouseButtons.add(event.button);
         
         // Вызов колбэков
@@ -95,7 +556,7 @@ export class InputManager {
      * @param {MouseEvent} event - Событие мыши
      */
     handleMouseUp(event) {
-        this.mouseButtons.delete(event.button);
+        if (!this.mouseButtons.delete(event.button)) return;
         
         // Вызов колбэков
         this.callbacks.mouseUp.forEach(callback => {
@@ -115,13 +576,91 @@ export class InputManager {
         this.mousePosition.x = event.clientX;
         this.mousePosition.y = event.clientY;
         
-        // Вычисление дельты
-        this.mouseDelta.x = this.mousePosition.x - this.lastMousePosition.x;
-        this.mouseDelta.y = this.mousePosition.y - this.lastMousePosition.y;
+        // Вычисление дельты: в захвате курсор стоит на месте и сдвиг приходит в movementX/Y
+        const delta = this.pointerLocked
+            ? { x: event.movementX || 0, y: event.movementY || 0 }
+            : { x: this.mousePosition.x - this.lastMousePosition.x, y: this.mousePosition.y - this.lastMousePosition.y };
+        this.pendingMouseDelta.x += delta.x;
+        this.pendingMouseDelta.y += delta.y;
         
         // Вызов колбэков
         this.callbacks.mouseMove.forEach(callback => {
-            callback(this.mousePosition, this.mouseDelta, event);
+            callback(this.mousePosition, delta, event);
+        });
+    }
+
+    /**
+     * Обновление ввода в начале шага: сдвиг мыши за прошлый шаг, опрос геймпадов и долгое касание
+     * @param {number} deltaTime - Шаг (с)
+     */
+    update(deltaTime) {
+        this.time += deltaTime * 1000;
+        
+        this.mouseDelta.x = this.pendingMouseDelta.x;
+        this.mouseDelta.y = this.pendingMouseDelta.y;
+        this.pendingMouseDelta.x = 0;
+        this.pendingMouseDelta.y = 0;
+        
+        // Снимок геймпадов становится вводом, только когда он изменился
+        if (this.liveInput) {
+            const pads = this.readGamepads();
+            if (JSON.stringify(pads) !== this.gamepadSnapshotKey) {
+                this.receiveInput('gamepads', { pads });
+            }
+        }
+        
+        this.pollGamepads();
+        this.updateLongPress();
+    }
+
+    /**
+     * Запросить захват указателя
+     * @param {HTMLElement} [element] - Элемент захвата, по умолчанию элемент жестов (холст)
+     */
+    requestPointerLock(element = this.gestureElement) {
+        // В воспроизведении захват приходит из записи
+        if (!this.liveInput) return;
+        if (!element || typeof element.requestPointerLock !== 'function') return;
+        
+        // Новые браузеры возвращают промис, который отклоняется без жеста пользователя
+        const result = element.requestPointerLock();
+        if (result && typeof result.catch === 'function') {
+            result.catch(error => console.warn('Захват указателя недоступен:', error.message));
+        }
+    }
+
+    /**
+     * Снять захват указателя
+     */
+    exitPointerLock() {
+        if (this.liveInput && this.pointerLocked && typeof document.exitPointerLock === 'function') {
+            document.exitPointerLock();
+        }
+    }
+
+    /**
+     * Захвачен ли указатель
+     * @returns {boolean} Захвачен ли указатель
+     */
+    isPointerLocked() {
+        return this.pointerLocked;
+    }
+
+    /**
+     * Обработка смены захвата указателя
+     * @param {boolean} locked - Захвачен ли указатель
+     */
+    handlePointerLockChange(locked) {
+        if (locked === this.pointerLocked) return;
+        
+        this.pointerLocked = locked;
+        if (!locked) {
+            this.pointerLockReleaseTime = this.time;
+        }
+        
+        // Вызов колбэков
+        this.callbacks.pointerLockChange.forEach(callback => {
+            callback(locked);
         });
     }
 
@@ -136,6 +675,173 @@ export class InputManager {
         });
     }
 
+    /**
+     * Обработка подключения геймпада
+     * @param {Object} gamepad - Геймпад или его снимок {index, id, mapping}
+     */
+    handleGamepadConnected(gamepad) {
+        if (this.gamepads.has(gamepad.index)) return;
+        
+        this.gamepads.set(gamepad.index, gamepad.id);
+        if (this.gamepadIndex === null) {
+            this.gamepadIndex = gamepad.index;
+        }
+        console.log(`🎮 Геймпад подключен: ${gamepad.id}`);
+        
+        // Такой геймпад работает с привязками по умолчанию, но номера его кнопок и осей могут не совпасть
+        if (gamepad.mapping !== 'standard' && !this.nonStandardGamepads.has(gamepad.id)) {
+            this.nonStandardGamepads.add(gamepad.id);
+            console.warn(`⚠️ Геймпад не в стандартной раскладке, кнопки и оси могут не совпадать с привязками: ${gamepad.id}`);
+        }
+        
+        // Вызов колбэков
+        this.callbacks.gamepadConnected.forEach(callback => {
+            callback(gamepad);
+        });
+    }
+
+    /**
+     * Обработка отключения геймпада
+     * @param {number} index - Индекс геймпада
+     */
+    handleGamepadDisconnected(index) {
+        if (!this.gamepads.has(index)) return;
+        
+        const id = this.gamepads.get(index);
+        this.gamepads.delete(index);
+        
+        // Активным становится следующий геймпад, нажатия отключенного отпускаются
+        if (this.gamepadIndex === index) {
+            this.releaseGamepad();
+            this.gamepadIndex = this.gamepads.size > 0 ? this.gamepads.keys().next().value : null;
+        }
+        console.log(`🎮 Геймпад отключен: ${id}`);
+        
+        // Вызов колбэков
+        this.callbacks.gamepadDisconnected.forEach(callback => {
+            callback(index, id);
+        });
+    }
+
+    /**
+     * Чтение подключенных геймпадов
+     * @returns {Array<Object>} Снимки [{index, id, mapping, axes, buttons}] с сырыми значениями осей и кнопок
+     */
+    readGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') return [];
+        
+        return Array.from(navigator.getGamepads()).filter(Boolean).map(gamepad => ({
+            index: gamepad.index,
+            id: gamepad.id,
+            mapping: gamepad.mapping,
+            axes: Array.from(gamepad.axes),
+            // Курки аналоговые, у цифровых кнопок value равно 0 или 1
+            buttons: Array.from(gamepad.buttons, button => typeof button === 'number' ? button : button.value)
+        }));
+    }
+
+    /**
+     * Обработка снимка геймпадов - вызывается один раз за шаг до обновления контроллеров
+     */
+    pollGamepads() {
+        const gamepads = this.gamepadSnapshot;
+        
+        // Подключение и отключение замечаются и без событий окна
+        gamepads.forEach(gamepad => this.handleGamepadConnected(gamepad));
+        Array.from(this.gamepads.keys())
+            .filter(index => !gamepads.some(gamepad => gamepad.index === index))
+            .forEach(index => this.handleGamepadDisconnected(index));
+        
+        const gamepad = gamepads.find(item => item.index === this.gamepadIndex);
+        if (!gamepad) return;
+        
+        this.readGamepadAxes(gamepad);
+        this.gamepadButtons = gamepad.buttons.map(value => shapeAnalog(value, this.triggerDeadZone, this.gamepadResponseExponent));
+        
+        this.updateGamepadPresses(gamepad);
+    }
+
+    /**
+     * Чтение осей геймпада: у стиков радиальная мертвая зона, чтобы диагонали не срезались
+     * @param {Object} gamepad - Снимок геймпада
+     */
+    readGamepadAxes(gamepad) {
+        const axes = gamepad.axes.map(value => Math.sign(value) * shapeAnalog(Math.abs(value), this.gamepadDeadZone, this.gamepadResponseExponent));
+        
+        GAMEPAD_STICKS.forEach(([xAxis, yAxis]) => {
+            if (yAxis >= gamepad.axes.length) return;
+            
+            const x = gamepad.axes[xAxis];
+            const y = gamepad.axes[yAxis];
+            const magnitude = Math.hypot(x, y);
+            const scale = magnitude > 0 ? shapeAnalog(magnitude, this.gamepadDeadZone, this.gamepadResponseExponent) / magnitude : 0;
+            axes[xAxis] = x * scale;
+            axes[yAxis] = y * scale;
+        });
+        
+        this.gamepadAxes = axes;
+    }
+
+    /**
+     * Нажатия и отпускания кнопок и направлений осей по порогу
+     * @param {Object} gamepad - Снимок геймпада
+     */
+    updateGamepadPresses(gamepad) {
+        const inputs = [
+            ...this.gamepadButtons.map((value, index) => [`Gamepad${index}`, value]),
+            ...this.gamepadAxes.flatMap((value, index) => [[`GamepadAxis${index}+`, value], [`GamepadAxis${index}-`, -value]])
+        ];
+        
+        inputs.forEach(([input, value]) => {
+            const isPressed = value >= this.gamepadPressThreshold;
+            if (isPressed === this.gamepadPressed.has(input)) return;
+            
+            if (isPressed) {
+                this.gamepadPressed.add(input);
+            } else {
+                this.gamepadPressed.delete(input);
+            }
+            
+            // Вызов колбэков
+            const event = this.createGamepadEvent(gamepad);
+            this.callbacks[isPressed ? 'gamepadButtonDown' : 'gamepadButtonUp'].forEach(callback => {
+                callback(input, event);
+            });
+        });
+    }
+
+    /**
+     * Событие геймпада с полями модификаторов, как у событий клавиатуры
+     * @param {Object|null} gamepad - Снимок геймпада
+     * @returns {Object} Событие {gamepad, ctrlKey, altKey, shiftKey, metaKey, preventDefault}
+     */
+    createGamepadEvent(gamepad) {
+        return {
+            gamepad,
+            ctrlKey: this.isModifierPressed('Control'),
+            altKey: this.isModifierPressed('Alt'),
+            shiftKey: this.isModifierPressed('Shift'),
+            metaKey: this.isModifierPressed('Meta'),
+            preventDefault() {}
+        };
+    }
+
+    /**
+     * Сброс состояния геймпада с отпусканием нажатых кнопок
+     */
+    releaseGamepad() {
+        const pressed = Array.from(this.gamepadPressed);
+        this.gamepadPressed.clear();
+        this.gamepadAxes = [];
+        this.gamepadButtons = [];
+        
+        pressed.forEach(input => {
+            this.callbacks.gamepadButtonUp.forEach(callback => {
+                callback(input, this.createGamepadEvent(null));
+            });
+        });
+    }
+
     /**
      * Проверка нажатия клавиши
      * @param {string} keyCode - Код клавиши
@@ -145,6 +851,39 @@ export class InputManager {
         return this.keys.has(keyCode);
     }
 
+    /**
+     * Проверка, зажат ли модификатор (левой или правой клавишей)
+     * @param {string} modifier - 'Control', 'Alt', 'Shift' или 'Meta'
+     * @returns {boolean} Зажат ли модификатор
+     */
+    isModifierPressed(modifier) {
+        return this.keys.has(`${modifier}Left`) || this.keys.has(`${modifier}Right`);
+    }
+
+    /**
+     * Значение ввода по его коду
+     * @param {string} input - Код клавиши, кнопки мыши ('Mouse0'...'Mouse2'), кнопки ('Gamepad0')
+     * или направления оси геймпада ('GamepadAxis1-'), направления экранного джойстика ('TouchAxis1-')
+     * @returns {number} От 0 до 1: клавиши и кнопки мыши - 0 или 1, геймпад и джойстик - аналоговое значение
+     */
+    getInputValue(input) {
+        if (input.startsWith('TouchAxis')) {
+            const value = this.touchAxes[Number(input.slice(9, -1))] || 0;
+            return Math.max(0, input.endsWith('-') ? -value : value);
+        }
+        if (input.startsWith('GamepadAxis')) {
+            const value = this.gamepadAxes[Number(input.slice(11, -1))] || 0;
+            return Math.max(0, input.endsWith('-') ? -value : value);
+        }
+        if (input.startsWith('Gamepad')) {
+            return this.gamepadButtons[Number(input.slice(7))] || 0;
+        }
+        if (input.startsWith('Mouse')) {
+            return this.mouseButtons.has(Number(input.slice(5))) ? 1 : 0;
+        }
+        return this.keys.has(input) ? 1 : 0;
+    }
+
     /**
      * Проверка нажатия кнопки мыши
      * @param {number} button - Номер кнопки мыши (0 - левая, 1 - средняя, 2 - правая)
@@ -163,7 +902,7 @@ export class InputManager {
     }
 
     /**
-     * Получить дельту движения мыши
+     * Получить сдвиг мыши за прошлый кадр (в захвате указателя - по movementX/Y)
      * @returns {Object} Дельта мыши {x, y}
      */
     getMouseDelta() {
@@ -201,8 +940,24 @@ export class InputManager {
     resetInput() {
         this.keys.clear();
         this.mouseButtons.clear();
+        this.pointers.clear();
+        this.pinchState = null;
+        this.cancelLongPress();
         this.mouseDelta.x = 0;
         this.mouseDelta.y = 0;
+        this.pendingMouseDelta.x = 0;
+        this.pendingMouseDelta.y = 0;
+    }
+
+    /**
+     * Сброс нажатий перед записью повтора
+     *
+     * Кнопки геймпада забываются без событий отпускания: кнопка, которую продолжают держать,
+     * сработает на следующем опросе - так же, как при воспроизведении записи с начала.
+     */
+    resetPresses() {
+        this.resetInput();
+        this.gamepadPressed.clear();
     }
 
     /**
@@ -310,7 +1065,10 @@ export class InputManager {
             mousePosition: this.getMousePosition(),
             mouseDelta: this.getMouseDelta(),
             wasd: this.getWASDState(),
-            arrows: this.getArrowState()
+            arrows: this.getArrowState(),
+            gamepad: this.gamepadIndex !== null ? this.gamepads.get(this.gamepadIndex) : null,
+            gamepadAxes: [...this.gamepadAxes],
+            pressedGamepadButtons: Array.from(this.gamepadPressed)
         };
     }
 } 
\ No newline at end of file
@@ -0,0 +1,446 @@
+import { INPUT_FIELDS } from './InputManager.js';
+
+/**
+ * Версия формата повторов
+ */
+export const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Типы ввода по номерам в файле повтора
+ */
+const INPUT_TYPES = Object.keys(INPUT_FIELDS);
+
+/**
+ * Менеджер повторов - запись ввода по шагам игрового цикла и воспроизведение с перемоткой
+ *
+ * Повтор хранит состояние приложения в начале записи, привязки управления и весь сырой ввод
+ * InputManager с номером фиксированного шага от начала записи. Кнопки панелей и правка узлов
+ * маневров мышью тоже идут через InputManager - командами (sendCommand). Шаг приложения зависит
+ * только от прошлого состояния и ввода, поэтому ввод, поданный на тех же шагах после восстановления
+ * начального состояния, повторяет сеанс. OrbitControls читают указатель сами, мимо InputManager,
+ * поэтому для них записывается положение камеры на шагах, где ее двигали орбитальные контролы.
+ * Перемотка назад начинает повтор заново и прогоняет шаги без отрисовки.
+ */
+export class ReplayManager {
+    /**
+     * @param {InputManager} inputManager - Менеджер ввода
+     */
+    constructor(inputManager) {
+        this.inputManager = inputManager;
+
+        // Режим: 'idle', 'recording' или 'playing'
+        this.mode = 'idle';
+
+        // Последняя запись или загруженный повтор
+        this.replay = null;
+
+        // Номер шага от начала записи или воспроизведения
+        this.tick = 0;
+
+        // Воспроизведение: следующие событие и положение камеры, пауза и цель перемотки
+        this.eventIndex = 0;
+        this.orbitIndex = 0;
+        this.isPaused = false;
+        this.seekTarget = null;
+        this.seekStepsPerFrame = 600; // Шагов перемотки за шаг игрового цикла
+
+        // Орбитальные контролы: зажат ли указатель, гаснет ли инерция, двигалась ли камера с прошлого шага
+        this.orbitActive = false;
+        this.orbitSettling = false;
+        this.orbitChanged = false;
+
+        // Колбэки смены режима
+        this.callbacks = {
+            change: []
+        };
+
+        this.inputManager.addCallback('input', (type, data) => this.recordInput(type, data));
+
+        console.log('🎬 Replay Manager инициализирован');
+    }
+
+    /**
+     * Следить за орбитальными контролами, чтобы записывать их движение камеры
+     * @param {OrbitControls} controls - Орбитальные контролы
+     */
+    watchOrbitControls(controls) {
+        controls.addEventListener('start', () => {
+            this.orbitActive = true;
+        });
+        controls.addEventListener('end', () => {
+            // После отпускания камера еще движется по инерции
+            this.orbitActive = false;
+            this.orbitSettling = true;
+        });
+        controls.addEventListener('change', () => {
+            this.orbitChanged = true;
+        });
+    }
+
+    /**
+     * Идет ли запись
+     * @returns {boolean} Идет ли запись
+     */
+    isRecording() {
+        return this.mode === 'recording';
+    }
+
+    /**
+     * Идет ли воспроизведение
+     * @returns {boolean} Идет ли воспроизведение
+     */
+    isPlaying() {
+        return this.mode === 'playing';
+    }
+
+    /**
+     * Начать запись
+     * @param {Object} startState - Состояние приложения в начале записи
+     * @param {Object} options - Параметры {frameTime, startTick, config}: шаг цикла (мс),
+     * номер шага игрового цикла в начале записи и привязки управления ActionManager.getConfig
+     */
+    startRecording(startState, options) {
+        if (this.mode !== 'idle') {
+            throw new Error('Запись или воспроизведение уже идет');
+        }
+
+        this.replay = {
+            version: REPLAY_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            frameTime: options.frameTime,
+            startTick: options.startTick,
+            ticks: 0,
+            config: options.config,
+            startState,
+            events: [],
+            orbit: []
+        };
+        this.mode = 'recording';
+        this.tick = 0;
+
+        // Инерция орбитальной камеры до начала записи тоже записывается
+        this.orbitSettling = true;
+        this.orbitChanged = false;
+
+        // Нажатое до записи забывается, остальное состояние ввода становится первыми событиями
+        const input = this.inputManager;
+        input.resetPresses();
+        this.recordInput('pointerlockchange', { locked: input.pointerLocked });
+        this.recordInput('touchaxes', { x: input.touchAxes[0], y: input.touchAxes[1] });
+        this.recordInput('gamepads', { pads: input.gamepadSnapshot });
+
+        console.log('🎬 Запись повтора начата');
+        this.notifyChange();
+    }
+
+    /**
+     * Остановить запись
+     * @returns {Object|null} Записанный повтор
+     */
+    stopRecording() {
+        if (this.mode !== 'recording') return null;
+
+        this.replay.ticks = this.tick;
+        this.mode = 'idle';
+
+        console.log(`🎬 Запись повтора остановлена: ${this.replay.ticks} шагов, ${this.replay.events.length} событий`);
+        this.notifyChange();
+        return this.replay;
+    }
+
+    /**
+     * Запись ввода с номером текущего шага
+     * @param {string} type - Тип ввода из INPUT_FIELDS
+     * @param {Object} data - Поля ввода
+     */
+    recordInput(type, data) {
+        if (this.mode !== 'recording') return;
+
+        this.replay.events.push([this.tick, type, data]);
+    }
+
+    /**
+     * Начать воспроизведение: ввод устройств отключается до конца повтора
+     *
+     * Начальное состояние приложения восстанавливает вызывающий код - и здесь, и при перемотке
+     * назад перед rewind.
+     * @param {Object} replay - Повтор
+     */
+    startPlayback(replay) {
+        if (this.mode === 'recording') {
+            this.stopRecording();
+        }
+
+        this.replay = replay;
+        this.mode = 'playing';
+        this.isPaused = false;
+        this.seekTarget = null;
+        this.inputManager.setLiveInput(false);
+        this.rewind();
+
+        console.log(`🎬 Воспроизведение повтора: ${replay.ticks} шагов`);
+        this.notifyChange();
+    }
+
+    /**
+     * Вернуть воспроизведение к первому шагу
+     */
+    rewind() {
+        this.tick = 0;
+        this.eventIndex = 0;
+        this.orbitIndex = 0;
+        this.inputManager.resetSource();
+    }
+
+    /**
+     * Остановить воспроизведение и вернуть ввод устройствам
+     */
+    stopPlayback() {
+        if (this.mode !== 'playing') return;
+
+        this.mode = 'idle';
+        this.seekTarget = null;
+        this.inputManager.setLiveInput(true);
+
+        console.log('🎬 Воспроизведение повтора остановлено');
+        this.notifyChange();
+    }
+
+    /**
+     * Пауза воспроизведения
+     * @param {boolean} paused - Поставить на паузу
+     */
+    setPaused(paused) {
+        this.isPaused = paused;
+        this.notifyChange();
+    }
+
+    /**
+     * Перемотать воспроизведение к шагу
+     * @param {number} tick - Шаг от начала повтора
+     * @returns {boolean} Нужно ли начать повтор заново (перемотка назад)
+     */
+    seek(tick) {
+        if (this.mode !== 'playing') return false;
+
+        // Перемотка останавливается до последнего шага, чтобы повтор не закончился посреди нее
+        this.seekTarget = Math.min(Math.max(Math.round(tick), 0), this.replay.ticks - 1);
+        return this.seekTarget < this.tick;
+    }
+
+    /**
+     * Число шагов приложения на шаг игрового цикла
+     * @returns {number} 1 - обычный шаг, 0 - пауза повтора, больше 1 - перемотка
+     */
+    getStepCount() {
+        if (this.mode !== 'playing') return 1;
+
+        if (this.seekTarget !== null) {
+            const steps = Math.min(this.seekTarget - this.tick, this.seekStepsPerFrame);
+            if (steps > 0) return steps;
+            this.seekTarget = null;
+        }
+        return this.isPaused ? 0 : 1;
+    }
+
+    /**
+     * Начало шага приложения: в воспроизведении подается записанный ввод этого шага
+     */
+    beginTick() {
+        if (this.mode !== 'playing') return;
+
+        const events = this.replay.events;
+        while (this.eventIndex < events.length && events[this.eventIndex][0] <= this.tick) {
+            const [, type, data] = events[this.eventIndex++];
+            this.inputManager.injectInput(type, data);
+        }
+    }
+
+    /**
+     * Камера орбитальных контролов после их обновления в шаге: запись, если ее двигали
+     * контролы, или восстановление записанного положения
+     * @param {THREE.Camera} camera - Камера
+     * @param {OrbitControls} controls - Орбитальные контролы
+     */
+    syncOrbit(camera, controls) {
+        if (this.mode === 'recording') {
+            if (this.orbitActive || (this.orbitSettling && this.orbitChanged)) {
+                this.replay.orbit.push([
+                    this.tick,
+                    ...camera.position.toArray(),
+                    ...controls.target.toArray(),
+                    ...camera.quaternion.toArray()
+                ]);
+            } else {
+                this.orbitSettling = false;
+            }
+            this.orbitChanged = false;
+        } else if (this.mode === 'playing') {
+            const orbit = this.replay.orbit;
+            while (this.orbitIndex < orbit.length && orbit[this.orbitIndex][0] < this.tick) {
+                this.orbitIndex++;
+            }
+            if (this.orbitIndex < orbit.length && orbit[this.orbitIndex][0] === this.tick) {
+                const pose = orbit[this.orbitIndex++];
+                camera.position.fromArray(pose, 1);
+                controls.target.fromArray(pose, 4);
+                camera.quaternion.fromArray(pose, 7);
+            }
+        }
+    }
+
+    /**
+     * Конец шага приложения; воспроизведение останавливается после последнего шага
+     */
+    endTick() {
+        if (this.mode === 'idle') return;
+
+        this.tick++;
+        if (this.mode === 'playing' && this.tick >= this.replay.ticks) {
+            this.stopPlayback();
+        }
+    }
+
+    /**
+     * Состояние для интерфейса
+     * @returns {Object} {mode, isPaused, tick, ticks, frameTime, hasReplay}
+     */
+    getStatus() {
+        return {
+            mode: this.mode,
+            isPaused: this.isPaused,
+            tick: this.seekTarget !== null ? this.seekTarget : this.tick,
+            ticks: this.mode === 'recording' ? this.tick : (this.replay ? this.replay.ticks : 0),
+            frameTime: this.replay ? this.replay.frameTime : 0,
+            hasReplay: Boolean(this.replay) && this.mode !== 'recording'
+        };
+    }
+
+    /**
+     * Упаковка повтора для файла
+     *
+     * Событие - массив [шагов от прошлого события, номер типа, ...поля из INPUT_FIELDS],
+     * положение камеры - [шагов от прошлого положения, позиция, цель, кватернион].
+     * @param {Object} replay - Повтор
+     * @returns {Object} Данные файла
+     */
+    encode(replay) {
+        let lastTick = 0;
+        const events = replay.events.map(([tick, type, data]) => {
+            const entry = [tick - lastTick, INPUT_TYPES.indexOf(type), ...INPUT_FIELDS[type].map(field => data[field])];
+            lastTick = tick;
+            return entry;
+        });
+
+        lastTick = 0;
+        const orbit = replay.orbit.map(([tick, ...pose]) => {
+            const entry = [tick - lastTick, ...pose];
+            lastTick = tick;
+            return entry;
+        });
+
+        return { ...replay, events, orbit };
+    }
+
+    /**
+     * Распаковка повтора из файла
+     * @param {Object} data - Данные файла
+     * @returns {Object} Повтор
+     * @throws {Error} Если формат не поддерживается
+     */
+    decode(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.events) || !Array.isArray(data.orbit) || !data.startState) {
+            throw new Error('Файл не является повтором');
+        }
+        if (data.version !== REPLAY_FORMAT_VERSION) {
+            throw new Error(`Неподдерживаемая версия повтора: ${data.version}`);
+        }
+        if (!Number.isInteger(data.ticks) || data.ticks < 1 || !(data.frameTime > 0)) {
+            throw new Error('Повтор не содержит шагов');
+        }
+
+        let tick = 0;
+        const events = data.events.map((entry, index) => {
+            const type = INPUT_TYPES[entry[1]];
+            if (!type || !(entry[0] >= 0)) {
+                throw new Error(`Некорректное событие повтора №${index + 1}`);
+            }
+
+            tick += entry[0];
+            const fields = {};
+            INPUT_FIELDS[type].forEach((field, fieldIndex) => {
+                fields[field] = entry[fieldIndex + 2];
+            });
+            return [tick, type, fields];
+        });
+
+        tick = 0;
+        const orbit = data.orbit.map((entry, index) => {
+            if (entry.length !== 11 || !entry.every(Number.isFinite)) {
+                throw new Error(`Некорректное положение камеры в повторе №${index + 1}`);
+            }
+
+            tick += entry[0];
+            return [tick, ...entry.slice(1)];
+        });
+
+        return {
+            ...data,
+            config: data.config || { bindings: {}, settings: {} },
+            events,
+            orbit
+        };
+    }
+
+    /**
+     * Импорт повтора из файла
+     * @param {File} file - JSON-файл повтора
+     * @returns {Promise<Object>} Повтор
+     */
+    async importFromFile(file) {
+        const text = await file.text();
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Файл "${file.name}" не является корректным JSON`);
+        }
+
+        return this.decode(data);
+    }
+
+    /**
+     * Добавить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    addCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            this.callbacks[eventType].push(callback);
+        }
+    }
+
+    /**
+     * Удалить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    removeCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            const index = this.callbacks[eventType].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[eventType].splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Оповещение о смене режима
+     */
+    notifyChange() {
+        this.callbacks.change.forEach(callback => {
+            callback(this.getStatus());
+        });
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * Версия формата сохранений
+ */
+export const SAVE_FORMAT_VERSION = 1;
+
+/**
+ * Менеджер сохранений - слоты в localStorage и экспорт/импорт файлов
+ */
+export class SaveManager {
+    /**
+     * @param {string} storagePrefix - Префикс ключей в localStorage
+     */
+    constructor(storagePrefix = 'spaceGame.save.') {
+        this.storagePrefix = storagePrefix;
+        this.storage = this.getStorage();
+
+        console.log('💾 Save Manager инициализирован');
+    }
+
+    /**
+     * Получить localStorage, если он доступен
+     * @returns {Storage|null} Хранилище или null
+     */
+    getStorage() {
+        try {
+            const storage = window.localStorage;
+            const testKey = `${this.storagePrefix}__test__`;
+            storage.setItem(testKey, '1');
+            storage.removeItem(testKey);
+            return storage;
+        } catch (error) {
+            console.warn('localStorage недоступен, сохранения в слоты отключены');
+            return null;
+        }
+    }
+
+    /**
+     * Упаковка состояния в формат сохранения
+     * @param {Object} state - Состояние приложения
+     * @param {string} name - Название сохранения
+     * @returns {Object} Сохранение
+     */
+    createSave(state, name) {
+        return {
+            version: SAVE_FORMAT_VERSION,
+            name,
+            savedAt: new Date().toISOString(),
+            state
+        };
+    }
+
+    /**
+     * Проверка формата сохранения
+     * @param {Object} save - Сохранение
+     * @returns {Object} Сохранение
+     * @throws {Error} Если формат не поддерживается
+     */
+    validateSave(save) {
+        if (!save || typeof save !== 'object' || !save.state) {
+            throw new Error('Файл не является сохранением');
+        }
+        if (save.version !== SAVE_FORMAT_VERSION) {
+            throw new Error(`Неподдерживаемая версия сохранения: ${save.version}`);
+        }
+        return save;
+    }
+
+    /**
+     * Сохранить состояние в слот
+     * @param {string} slot - Имя слота
+     * @param {Object} state - Состояние приложения
+     * @returns {boolean} Успешно ли сохранено
+     */
+    save(slot, state) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.storagePrefix + slot, JSON.stringify(this.createSave(state, slot)));
+            return true;
+        } catch (error) {
+            console.error(`Ошибка сохранения в слот "${slot}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Загрузить состояние из слота
+     * @param {string} slot - Имя слота
+     * @returns {Object|null} Состояние приложения или null
+     */
+    load(slot) {
+        if (!this.storage) return null;
+
+        const raw = this.storage.getItem(this.storagePrefix + slot);
+        if (!raw) return null;
+
+        try {
+            return this.validateSave(JSON.parse(raw)).state;
+        } catch (error) {
+            console.error(`Ошибка загрузки слота "${slot}":`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Проверить наличие сохранения в слоте
+     * @param {string} slot - Имя слота
+     * @returns {boolean} Есть ли сохранение
+     */
+    hasSlot(slot) {
+        return Boolean(this.storage && this.storage.getItem(this.storagePrefix + slot));
+    }
+
+    /**
+     * Удалить слот
+     * @param {string} slot - Имя слота
+     */
+    deleteSlot(slot) {
+        if (this.storage) {
+            this.storage.removeItem(this.storagePrefix + slot);
+        }
+    }
+
+    /**
+     * Получить список слотов
+     * @returns {Array<{slot: string, savedAt: string}>} Слоты, от новых к старым
+     */
+    listSlots() {
+        if (!this.storage) return [];
+
+        const slots = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key.startsWith(this.storagePrefix)) continue;
+
+            try {
+                const save = JSON.parse(this.storage.getItem(key));
+                slots.push({ slot: key.slice(this.storagePrefix.length), savedAt: save.savedAt });
+            } catch (error) {
+                // Поврежденные записи пропускаем
+            }
+        }
+
+        return slots.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Экспорт состояния в JSON-файл
+     * @param {Object} state - Состояние приложения
+     * @param {string} name - Название сохранения
+     */
+    exportToFile(state, name = 'space-save') {
+        const save = this.createSave(state, name);
+        this.downloadJSON(save, `${name}-${save.savedAt.slice(0, 10)}.json`);
+    }
+
+    /**
+     * Скачать данные JSON-файлом
+     * @param {Object} data - Данные
+     * @param {string} fileName - Имя файла
+     * @param {boolean} pretty - С отступами; большие файлы (повторы) пишутся без них
+     */
+    downloadJSON(data, fileName, pretty = true) {
+        const blob = new Blob([JSON.stringify(data, null, pretty ? 2 : 0)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Импорт состояния из файла
+     * @param {File} file - JSON-файл сохранения
+     * @returns {Promise<Object>} Состояние приложения
+     */
+    async importFromFile(file) {
+        const text = await file.text();
+
+        let save;
+        try {
+            save = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Файл "${file.name}" не является корректным JSON`);
+        }
+
+        return this.validateSave(save).state;
+    }
+}
@@ -1,3 +1,6 @@
+import { formatBinding } from './ActionManager.js';
+import { STEP_MODE_LABELS } from '../core/GameLoop.js';
+
 /**
  * Менеджер пользовательского интерфейса
  */
@@ -7,9 +10,54 @@ export class UIManager {
             fps: document.getElementById('fps'),
             objects: document.getElementById('objects'),
             triangles: document.getElementById('triangles'),
-            time: document.getElementById('time')
+            time: document.getElementById('time'),
+            simDate: document.getElementById('sim-date'),
+            timeScale: document.getElementById('time-scale'),
+            stepMode: document.getElementById('step-mode'),
+            trajectoryStats: document.getElementById('trajectory-stats'),
+            trajectory: document.getElementById('trajectory'),
+            surfaceStats: document.getElementById('surface-stats'),
+            surface: document.getElementById('surface')
         };
         
+        // Панель управления временем
+        this.timePanel = null;
+        this.clock = null;
+        
+        // Панель сохранений
+        this.savesPanel = null;
+        this.saveActions = null;
+        
+        // Панель закладок камеры
+        this.bookmarksPanel = null;
+        this.bookmarkActions = null;
+        
+        // Панель настройки управления
+        this.bindingsPanel = null;
+        this.bindingActions = null;
+        
+        // Панель записи и воспроизведения повторов
+        this.replayPanel = null;
+        this.replayActions = null;
+        this.replaySlider = null;
+        this.replayTimeLabel = null;
+        this.replaySliderHeld = false;
+        
+        // Экранный джойстик и контекстное меню для сенсорных экранов
+        this.virtualJoystick = null;
+        this.contextMenu = null;
+        
+        // Палитра перехода к телу
+        this.bodyPalette = null;
+        this.bodyPaletteActions = null;
+        this.bodyPaletteIndex = 0;
+        
+        // Панель узлов маневров
+        this.maneuverPanel = null;
+        this.maneuverActions = null;
+        this.maneuverRows = new Map();
+        this.maneuverLayout = '';
+        
         this.lastUpdateTime = 0;
         this.updateInterval = 100; // Обновлять UI каждые 100ms для плавности
         
@@ -28,41 +76,12 @@ export class UIManager {
      * Настройка обработчиков событий
      */
     setupEventListeners() {
-        // Обработчик клавиш для быстрых команд
-        document.addEventListener('keydown', (event) => {
-            this.handleKeyPress(event);
-        });
-
         // Обработчик изменения размера окна
         window.addEventListener('resize', () => {
             this.onWindowResize();
         });
     }
 
-    /**
-     * Обработка нажатий клавиш
-     * @param {KeyboardEvent} event - Событие клавиатуры
-     */
-    handleKeyPress(event) {
-        switch (event.code) {
-            case 'KeyH':
-                this.toggleHelp();
-                break;
-            case 'KeyF':
-                this.toggleFullscreen();
-                break;
-            case 'KeyS':
-                if (event.ctrlKey) {
-                    event.preventDefault();
-                    this.saveScreenshot();
-                }
-                break;
-            case 'Escape':
-                this.hideAllPanels();
-                break;
-        }
-    }
-
     /**
      * Обновление статистики UI
      * @param {Object} stats - Объект со статистикой
@@ -94,6 +113,1316 @@ export class UIManager {
         if (this.elements.time && stats.time !== undefined) {
             this.elements.time.textContent = stats.time;
         }
+
+        if (this.elements.simDate && stats.simDate !== undefined) {
+            this.elements.simDate.textContent = this.formatDate(stats.simDate);
+        }
+
+        if (this.elements.timeScale && stats.clock !== undefined) {
+            this.elements.timeScale.textContent = this.formatTimeScale(stats.clock);
+        }
+        
+        if (this.elements.stepMode && stats.loop !== undefined) {
+            this.elements.stepMode.textContent = this.formatStepMode(stats.loop);
+        }
+
+        if (this.elements.trajectory && stats.trajectory !== undefined) {
+            this.elements.trajectoryStats.style.display = stats.trajectory ? 'block' : 'none';
+            this.elements.trajectory.innerHTML = stats.trajectory ? this.formatTrajectory(stats.trajectory) : '—';
+        }
+
+        if (this.elements.surface && stats.surface !== undefined) {
+            this.elements.surfaceStats.style.display = stats.surface ? 'block' : 'none';
+            this.elements.surface.innerHTML = stats.surface ? this.formatSurface(stats.surface) : '—';
+        }
+
+        if (stats.maneuvers !== undefined) {
+            this.updateManeuverPanel(stats.maneuvers, stats.autopilot);
+        }
+
+        if (stats.replay !== undefined) {
+            this.updateReplayPanel(stats.replay);
+        }
+    }
+
+    /**
+     * Форматирование интервала времени симуляции
+     * @param {number} seconds - Интервал (с)
+     * @returns {string} Интервал в сутках или часах
+     */
+    formatDuration(seconds) {
+        const days = seconds / 86400;
+        return days >= 1 ? `${days.toFixed(1)} сут.` : `${(seconds / 3600).toFixed(1)} ч`;
+    }
+
+    /**
+     * Форматирование прогноза траектории
+     * @param {Object} info - Отметки прогноза {primaryBody, periapsis, apoapsis, closestApproach, impact}
+     * @returns {string} HTML с отметками
+     */
+    formatTrajectory(info) {
+        const lines = [];
+
+        if (info.primaryBody) {
+            lines.push(`вокруг: ${info.primaryBody.name}`);
+        }
+        if (info.periapsis) {
+            lines.push(`Пе ${info.periapsis.altitude.toFixed(2)} ед. через ${this.formatDuration(info.periapsis.timeUntil)}`);
+        }
+        if (info.apoapsis) {
+            lines.push(`Ап ${info.apoapsis.altitude.toFixed(2)} ед. через ${this.formatDuration(info.apoapsis.timeUntil)}`);
+        }
+        if (info.closestApproach) {
+            lines.push(`Сближение с ${info.closestApproach.body.name}: ${info.closestApproach.altitude.toFixed(2)} ед.`);
+        }
+        if (info.impact) {
+            lines.push(`<span style="color: #ff3333;">Удар о ${info.impact.body.name} через ${this.formatDuration(info.impact.timeUntil)}</span>`);
+        }
+
+        return lines.length > 0 ? `<br>${lines.join('<br>')}` : '—';
+    }
+
+    /**
+     * Форматирование показаний у поверхности
+     * @param {Object} info - Показания {body, altitude, groundSpeed, verticalSpeed, isLanded}
+     * @returns {string} HTML с показаниями
+     */
+    formatSurface(info) {
+        const lines = [
+            info.body.name,
+            `высота ${info.altitude.toFixed(3)} ед.`,
+            `путевая скорость ${info.groundSpeed.toFixed(2)} ед./с`,
+            `вертикальная скорость ${info.verticalSpeed.toFixed(2)} ед./с`
+        ];
+
+        if (info.isLanded) {
+            lines.push('<span style="color: #33ff66;">На поверхности</span>');
+        }
+
+        return `<br>${lines.join('<br>')}`;
+    }
+
+    /**
+     * Форматирование даты симуляции
+     * @param {Date} date - Дата
+     * @returns {string} Отформатированная дата (UTC)
+     */
+    formatDate(date) {
+        if (Number.isNaN(date.getTime())) {
+            return '—';
+        }
+        
+        return date.toLocaleString('ru-RU', {
+            timeZone: 'UTC',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }) + ' UTC';
+    }
+
+    /**
+     * Форматирование ускорения времени
+     * @param {Object} clockState - Состояние часов {timeScale, direction, isPaused}
+     * @returns {string} Отформатированное ускорение
+     */
+    formatTimeScale(clockState) {
+        if (clockState.isPaused) {
+            return '⏸ Пауза';
+        }
+        
+        const sign = clockState.direction < 0 ? '−' : '';
+        return `${sign}×${clockState.timeScale.toLocaleString('ru-RU')}`;
+    }
+
+    /**
+     * Форматирование режима шага игрового цикла
+     * @param {Object} loopState - Состояние цикла {stepMode, droppedTime}
+     * @returns {string} Режим и отброшенное время
+     */
+    formatStepMode(loopState) {
+        const label = STEP_MODE_LABELS[loopState.stepMode];
+        if (loopState.droppedTime <= 0) {
+            return label;
+        }
+        
+        return `${label}, потеряно ${(loopState.droppedTime / 1000).toFixed(1)}s`;
+    }
+
+    /**
+     * Создание панели управления временем симуляции
+     * @param {SimulationClock} clock - Часы симуляции (панель только показывает их состояние)
+     * @param {Object} actions - Действия {reverse, decreaseWarp, togglePause, increaseWarp, setDate}
+     * @returns {HTMLElement} Элемент панели
+     */
+    createTimePanel(clock, actions) {
+        this.clock = clock;
+        
+        const panel = document.createElement('div');
+        panel.id = 'time-panel';
+        panel.className = 'ui-panel';
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            background: rgba(0, 0, 0, 0.8);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 10px 15px;
+            border-radius: 10px;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            z-index: 20;
+        `;
+
+        const reverseButton = this.createPanelButton('⏪', 'Обратный ход (R)', () => actions.reverse());
+        const slowerButton = this.createPanelButton('➖', 'Замедлить (,)', () => actions.decreaseWarp());
+        const pauseButton = this.createPanelButton('⏸', 'Пауза (P)', () => actions.togglePause());
+        const fasterButton = this.createPanelButton('➕', 'Ускорить (.)', () => actions.increaseWarp());
+
+        const scaleLabel = document.createElement('span');
+        scaleLabel.style.cssText = 'min-width: 90px; text-align: center; color: #00ffff; font-weight: bold;';
+
+        const dateInput = document.createElement('input');
+        dateInput.type = 'datetime-local';
+        dateInput.style.cssText = `
+            background: rgba(255, 255, 255, 0.1);
+            color: white;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            border-radius: 5px;
+            padding: 4px 6px;
+            color-scheme: dark;
+        `;
+
+        // Панель показывает дату в UTC: значение поля читается и заполняется без часового пояса
+        const jumpButton = this.createPanelButton('Перейти', 'Перейти к дате (UTC)', () => {
+            if (!dateInput.value) return;
+            actions.setDate(new Date(`${dateInput.value}Z`));
+        });
+        const nowButton = this.createPanelButton('Сейчас', 'Текущая дата', () => {
+            actions.setDate(new Date());
+        });
+
+        panel.append(reverseButton, slowerButton, pauseButton, fasterButton, scaleLabel, dateInput, jumpButton, nowButton);
+
+        // Синхронизация панели с состоянием часов
+        const syncPanel = (state) => {
+            pauseButton.textContent = state.isPaused ? '▶' : '⏸';
+            reverseButton.style.background = state.direction < 0 ? 'rgba(255, 170, 0, 0.8)' : 'rgba(0, 255, 255, 0.8)';
+            scaleLabel.textContent = this.formatTimeScale(state);
+            if (document.activeElement !== dateInput) {
+                dateInput.value = clock.getDate().toISOString().slice(0, 16);
+            }
+        };
+        clock.addCallback('change', syncPanel);
+        syncPanel(clock.getState());
+
+        this.timePanel = panel;
+        document.body.appendChild(panel);
+        
+        return panel;
+    }
+
+    /**
+     * Создание кнопки для панели
+     * @param {string} text - Текст кнопки
+     * @param {string} title - Подсказка
+     * @param {Function} callback - Функция обратного вызова
+     * @returns {HTMLElement} Созданная кнопка
+     */
+    createPanelButton(text, title, callback) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.style.cssText = `
+            background: rgba(0, 255, 255, 0.8);
+            color: black;
+            border: none;
+            padding: 5px 10px;
+            border-radius: 5px;
+            cursor: pointer;
+            font-weight: bold;
+        `;
+        
+        button.addEventListener('click', (event) => {
+            // Убираем фокус, чтобы горячие клавиши продолжали работать
+            event.currentTarget.blur();
+            callback();
+        });
+        
+        return button;
+    }
+
+    /**
+     * Создание панели сохранений
+     * @param {Object} actions - Действия {listSlots, save, load, remove, exportFile, importFile}
+     * @returns {HTMLElement} Элемент панели
+     */
+    createSavesPanel(actions) {
+        this.saveActions = actions;
+        
+        const panel = document.createElement('div');
+        panel.id = 'saves-panel';
+        panel.className = 'ui-panel';
+        panel.style.cssText = `
+            position: fixed;
+            top: 90px;
+            left: 20px;
+            width: 280px;
+            max-height: 60vh;
+            overflow-y: auto;
+            background: rgba(0, 0, 0, 0.85);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 15px;
+            border-radius: 10px;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            z-index: 1000;
+            display: none;
+        `;
+        
+        this.savesPanel = panel;
+        document.body.appendChild(panel);
+        
+        return panel;
+    }
+
+    /**
+     * Перерисовка панели сохранений
+     */
+    renderSavesPanel() {
+        const panel = this.savesPanel;
+        const actions = this.saveActions;
+        if (!panel || !actions) return;
+        
+        panel.innerHTML = '<h4 style="margin: 0 0 10px 0; color: #00ffff; font-size: 14px;">Сохранения</h4>';
+        
+        // Новое сохранение
+        const saveRow = document.createElement('div');
+        saveRow.style.cssText = 'display: flex; gap: 6px; margin-bottom: 10px;';
+        const nameInput = document.createElement('input');
+        nameInput.placeholder = 'Название слота';
+        nameInput.style.cssText = `
+            flex: 1;
+            min-width: 0;
+            background: rgba(255, 255, 255, 0.1);
+            color: white;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            border-radius: 5px;
+            padding: 4px 6px;
+        `;
+        const saveButton = this.createPanelButton('Сохранить', 'Сохранить текущее состояние', () => {
+            const name = nameInput.value.trim();
+            if (!name) return;
+            actions.save(name);
+            this.renderSavesPanel();
+        });
+        saveRow.append(nameInput, saveButton);
+        panel.appendChild(saveRow);
+        
+        // Список слотов
+        const slots = actions.listSlots();
+        if (slots.length === 0) {
+            const empty = document.createElement('div');
+            empty.style.cssText = 'opacity: 0.6; margin-bottom: 10px;';
+            empty.textContent = 'Нет сохранений';
+            panel.appendChild(empty);
+        }
+        
+        slots.forEach(({ slot, savedAt }) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 6px;';
+            
+            const label = document.createElement('div');
+            label.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis;';
+            label.innerHTML = `<strong></strong><br><span style="opacity: 0.6;">${new Date(savedAt).toLocaleString('ru-RU')}</span>`;
+            label.querySelector('strong').textContent = slot;
+            
+            const loadButton = this.createPanelButton('Загрузить', `Загрузить "${slot}"`, () => actions.load(slot));
+            const removeButton = this.createPanelButton('✕', `Удалить "${slot}"`, () => {
+                actions.remove(slot);
+                this.renderSavesPanel();
+            });
+            
+            row.append(label, loadButton, removeButton);
+            panel.appendChild(row);
+        });
+        
+        // Экспорт и импорт файлов
+        const fileRow = document.createElement('div');
+        fileRow.style.cssText = 'display: flex; gap: 6px; margin-top: 10px;';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                actions.importFile(fileInput.files[0]);
+            }
+        });
+        const exportButton = this.createPanelButton('Экспорт', 'Сохранить в файл', () => actions.exportFile());
+        const importButton = this.createPanelButton('Импорт', 'Загрузить из файла', () => fileInput.click());
+        fileRow.append(exportButton, importButton, fileInput);
+        panel.appendChild(fileRow);
+    }
+
+    /**
+     * Переключение панели сохранений
+     */
+    toggleSavesPanel() {
+        if (!this.savesPanel) return;
+        
+        const isHidden = this.savesPanel.style.display === 'none';
+        if (isHidden) {
+            this.renderSavesPanel();
+        }
+        this.savesPanel.style.display = isHidden ? 'block' : 'none';
+    }
+
+    /**
+     * Создание панели закладок камеры
+     * @param {Object} actions - Действия {list, add, restore, remove, move, exportFile, importFile}
+     * @returns {HTMLElement} Элемент панели
+     */
+    createBookmarksPanel(actions) {
+        this.bookmarkActions = actions;
+        
+        const panel = document.createElement('div');
+        panel.id = 'bookmarks-panel';
+        panel.className = 'ui-panel';
+        panel.style.cssText = `
+            position: fixed;
+            top: 90px;
+            right: 20px;
+            width: 300px;
+            max-height: 70vh;
+            overflow-y: auto;
+            background: rgba(0, 0, 0, 0.85);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 15px;
+            border-radius: 10px;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            z-index: 1000;
+            display: none;
+        `;
+        
+        this.bookmarksPanel = panel;
+        document.body.appendChild(panel);
+        
+        return panel;
+    }
+
+    /**
+     * Перерисовка панели закладок
+     */
+    renderBookmarksPanel() {
+        const panel = this.bookmarksPanel;
+        const actions = this.bookmarkActions;
+        if (!panel || !actions) return;
+        
+        panel.innerHTML = '<h4 style="margin: 0 0 10px 0; color: #00ffff; font-size: 14px;">Закладки</h4>';
+        
+        // Новая закладка
+        const addRow = document.createElement('div');
+        addRow.style.cssText = 'display: flex; gap: 6px; margin-bottom: 6px;';
+        const nameInput = document.createElement('input');
+        nameInput.placeholder = 'Название вида';
+        nameInput.style.cssText = `
+            flex: 1;
+            min-width: 0;
+            background: rgba(255, 255, 255, 0.1);
+            color: white;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            border-radius: 5px;
+            padding: 4px 6px;
+        `;
+        const timeLabel = document.createElement('label');
+        timeLabel.style.cssText = 'display: block; margin-bottom: 10px; opacity: 0.8;';
+        timeLabel.innerHTML = '<input type="checkbox"> Запомнить дату симуляции';
+        const timeCheckbox = timeLabel.querySelector('input');
+        const addButton = this.createPanelButton('Добавить', 'Сохранить текущий вид', () => {
+            const name = nameInput.value.trim();
+            if (!name) return;
+            actions.add(name, timeCheckbox.checked);
+            this.renderBookmarksPanel();
+        });
+        addRow.append(nameInput, addButton);
+        panel.append(addRow, timeLabel);
+        
+        // Список закладок
+        const bookmarks = actions.list();
+        if (bookmarks.length === 0) {
+            const empty = document.createElement('div');
+            empty.style.cssText = 'opacity: 0.6; margin-bottom: 10px;';
+            empty.textContent = 'Нет закладок';
+            panel.appendChild(empty);
+        }
+        
+        bookmarks.forEach((bookmark, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 6px;';
+            
+            const thumbnail = document.createElement('div');
+            thumbnail.style.cssText = `
+                width: 64px;
+                height: 36px;
+                flex-shrink: 0;
+                border-radius: 4px;
+                background: rgba(255, 255, 255, 0.1) center / cover no-repeat;
+                cursor: pointer;
+            `;
+            if (bookmark.thumbnail) {
+                thumbnail.style.backgroundImage = `url(${bookmark.thumbnail})`;
+            }
+            thumbnail.title = `Перейти к "${bookmark.name}"`;
+            thumbnail.addEventListener('click', () => actions.restore(bookmark.id));
+            
+            const label = document.createElement('div');
+            label.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis;';
+            label.innerHTML = '<strong></strong><br><span style="opacity: 0.6;"></span>';
+            label.querySelector('strong').textContent = bookmark.name;
+            label.querySelector('span').textContent = bookmark.simDate ? this.formatDate(new Date(bookmark.simDate)) : 'без даты';
+            
+            const upButton = this.createPanelButton('↑', 'Выше', () => {
+                actions.move(bookmark.id, -1);
+                this.renderBookmarksPanel();
+            });
+            upButton.disabled = index === 0;
+            const downButton = this.createPanelButton('↓', 'Ниже', () => {
+                actions.move(bookmark.id, 1);
+                this.renderBookmarksPanel();
+            });
+            downButton.disabled = index === bookmarks.length - 1;
+            const removeButton = this.createPanelButton('✕', `Удалить "${bookmark.name}"`, () => {
+                actions.remove(bookmark.id);
+                this.renderBookmarksPanel();
+            });
+            
+            row.append(thumbnail, label, upButton, downButton, removeButton);
+            panel.appendChild(row);
+        });
+        
+        // Экспорт и импорт файлов
+        const fileRow = document.createElement('div');
+        fileRow.style.cssText = 'display: flex; gap: 6px; margin-top: 10px;';
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            if (fileInput.files.length > 0) {
+                await actions.importFile(fileInput.files[0]);
+                this.renderBookmarksPanel();
+            }
+        });
+        const exportButton = this.createPanelButton('Экспорт', 'Сохранить закладки в файл', () => actions.exportFile());
+        const importButton = this.createPanelButton('Импорт', 'Добавить закладки из файла', () => fileInput.click());
+        fileRow.append(exportButton, importButton, fileInput);
+        panel.appendChild(fileRow);
+    }
+
+    /**
+     * Переключение панели закладок
+     */
+    toggleBookmarksPanel() {
+        if (!this.bookmarksPanel) return;
+        
+        const isHidden = this.bookmarksPanel.style.display === 'none';
+        if (isHidden) {
+            this.renderBookmarksPanel();
+        }
+        this.bookmarksPanel.style.display = isHidden ? 'block' : 'none';
+    }
+
+    /**
+     * Создание панели настройки управления
+     * @param {Object} actions - Действия {listGroups, getCapture, getConflicts, getSettings, setSetting, startCapture, clear, reset}
+     * @returns {HTMLElement} Элемент панели
+     */
+    createBindingsPanel(actions) {
+        this.bindingActions = actions;
+        
+        const panel = document.createElement('div');
+        panel.id = 'bindings-panel';
+        panel.className = 'ui-panel';
+        panel.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 480px;
+            max-height: 80vh;
+            overflow-y: auto;
+            background: rgba(0, 0, 0, 0.9);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 15px;
+            border-radius: 10px;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            z-index: 1000;
+            display: none;
+        `;
+        
+        this.bindingsPanel = panel;
+        document.body.appendChild(panel);
+        
+        return panel;
+    }
+
+    /**
+     * Перерисовка панели настройки управления
+     */
+    renderBindingsPanel() {
+        const panel = this.bindingsPanel;
+        const actions = this.bindingActions;
+        if (!panel || !actions) return;
+        
+        panel.innerHTML = '<h4 style="margin: 0 0 6px 0; color: #00ffff; font-size: 14px;">Управление</h4>' +
+            '<div style="opacity: 0.6; margin-bottom: 10px;">Нажмите на привязку и затем новую клавишу. Esc - отмена.</div>';
+        
+        const capture = actions.getCapture();
+        const conflicts = actions.getConflicts();
+        
+        // Обзор мышью в свободном режиме
+        const settings = actions.getSettings();
+        const mouseTitle = document.createElement('div');
+        mouseTitle.style.cssText = 'color: #00ffff; margin: 10px 0 6px 0; font-weight: bold;';
+        mouseTitle.textContent = 'Обзор мышью';
+        panel.appendChild(mouseTitle);
+        
+        const addSlider = (label, name, min, max, step, format) => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 4px;';
+            row.innerHTML = '<span style="flex: 1;"></span><input type="range"><span style="width: 40px; text-align: right;"></span>';
+            const [text, input, output] = row.children;
+            text.textContent = label;
+            Object.assign(input, { min, max, step, value: settings[name] });
+            output.textContent = format(settings[name]);
+            input.addEventListener('input', () => {
+                output.textContent = format(Number(input.value));
+            });
+            input.addEventListener('change', () => actions.setSetting(name, Number(input.value)));
+            panel.appendChild(row);
+        };
+        addSlider('Чувствительность', 'mouseSensitivity', 0.0005, 0.006, 0.0001, value => (value * 1000).toFixed(1));
+        addSlider('Сглаживание', 'mouseSmoothing', 0, 0.9, 0.05, value => value.toFixed(2));
+        
+        const invertLabel = document.createElement('label');
+        invertLabel.style.cssText = 'display: block; margin-bottom: 4px;';
+        invertLabel.innerHTML = '<input type="checkbox"> Инвертировать вертикаль';
+        const invertCheckbox = invertLabel.querySelector('input');
+        invertCheckbox.checked = settings.invertY;
+        invertCheckbox.addEventListener('change', () => actions.setSetting('invertY', invertCheckbox.checked));
+        panel.appendChild(invertLabel);
+        
+        actions.listGroups().forEach(group => {
+            const title = document.createElement('div');
+            title.style.cssText = 'color: #00ffff; margin: 10px 0 6px 0; font-weight: bold;';
+            title.textContent = group.label;
+            panel.appendChild(title);
+            
+            group.actions.forEach(({ action, label, bindings }) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 4px;';
+                
+                const name = document.createElement('div');
+                name.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis;';
+                name.textContent = label;
+                row.appendChild(name);
+                
+                // Привязки действия и кнопка добавления новой
+                const slots = document.createElement('div');
+                slots.style.cssText = 'display: flex; flex-wrap: wrap; justify-content: flex-end; gap: 4px; max-width: 240px;';
+                [...bindings, null].forEach((binding, slot) => {
+                    const isCapturing = capture && capture.action === action && capture.slot === slot;
+                    const text = isCapturing ? 'Нажмите клавишу...' : (binding ? formatBinding(binding) : '+');
+                    const button = this.createPanelButton(text, binding ? 'Переназначить' : 'Добавить привязку', () => actions.startCapture(action, slot));
+                    if (isCapturing) {
+                        button.style.background = 'rgba(0, 255, 255, 0.3)';
+                    } else if (binding && conflicts.some(conflict => conflict.binding === binding && conflict.actions.includes(action))) {
+                        button.style.background = '#ffaa00';
+                        button.title = 'Конфликт с другим действием';
+                    }
+                    slots.appendChild(button);
+                });
+                row.appendChild(slots);
+                
+                const clearButton = this.createPanelButton('✕', `Снять привязки "${label}"`, () => actions.clear(action));
+                clearButton.disabled = bindings.length === 0;
+                row.appendChild(clearButton);
+                
+                panel.appendChild(row);
+            });
+        });
+        
+        const resetRow = document.createElement('div');
+        resetRow.style.cssText = 'display: flex; justify-content: flex-end; margin-top: 10px;';
+        resetRow.appendChild(this.createPanelButton('По умолчанию', 'Вернуть привязки по умолчанию', () => actions.reset()));
+        panel.appendChild(resetRow);
+    }
+
+    /**
+     * Переключение панели настройки управления
+     */
+    toggleBindingsPanel() {
+        if (!this.bindingsPanel) return;
+        
+        const isHidden = this.bindingsPanel.style.display === 'none';
+        if (isHidden) {
+            this.renderBindingsPanel();
+        }
+        this.bindingsPanel.style.display = isHidden ? 'block' : 'none';
+    }
+
+    /**
+     * Создание панели повторов
+     * @param {Object} actions - Действия {getStatus, toggleRecording, play, togglePause, seek, stop, exportFile, importFile}
+     * @returns {HTMLElement} Элемент панели
+     */
+    createReplayPanel(actions) {
+        this.replayActions = actions;
+        
+        const panel = document.createElement('div');
+        panel.id = 'replay-panel';
+        panel.className = 'ui-panel';
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 80px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 440px;
+            background: rgba(0, 0, 0, 0.85);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 15px;
+            border-radius: 10px;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            z-index: 1000;
+            display: none;
+        `;
+        
+        this.replayPanel = panel;
+        document.body.appendChild(panel);
+        
+        return panel;
+    }
+
+    /**
+     * Форматирование длительности повтора
+     * @param {number} ticks - Число шагов
+     * @param {number} frameTime - Шаг (мс)
+     * @returns {string} Длительность в секундах
+     */
+    formatReplayTime(ticks, frameTime) {
+        return `${(ticks * frameTime / 1000).toFixed(1)} с`;
+    }
+
+    /**
+     * Перерисовка панели повторов - при смене режима записи и воспроизведения
+     */
+    renderReplayPanel() {
+        const panel = this.replayPanel;
+        const actions = this.replayActions;
+        if (!panel || !actions) return;
+        
+        const status = actions.getStatus();
+        panel.innerHTML = '<h4 style="margin: 0 0 10px 0; color: #00ffff; font-size: 14px;">Повторы</h4>';
+        
+        this.replayTimeLabel = document.createElement('div');
+        this.replayTimeLabel.style.cssText = 'margin-bottom: 8px;';
+        panel.appendChild(this.replayTimeLabel);
+        
+        // Шкала перемотки - только при воспроизведении
+        this.replaySlider = null;
+        if (status.mode === 'playing') {
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = 0;
+            slider.max = Math.max(status.ticks - 1, 0);
+            slider.step = 1;
+            slider.style.cssText = 'width: 100%; margin-bottom: 8px;';
+            slider.addEventListener('pointerdown', () => {
+                this.replaySliderHeld = true;
+            });
+            slider.addEventListener('input', () => actions.seek(Number(slider.value)));
+            slider.addEventListener('change', () => {
+                this.replaySliderHeld = false;
+            });
+            panel.appendChild(slider);
+            this.replaySlider = slider;
+        }
+        
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px;';
+        if (status.mode === 'playing') {
+            buttons.append(
+                this.createPanelButton(status.isPaused ? '▶' : '⏸', 'Пауза повтора', () => actions.togglePause()),
+                this.createPanelButton('⏹ Остановить', 'Вернуть управление', () => actions.stop())
+            );
+        } else {
+            const isRecording = status.mode === 'recording';
+            const recordButton = this.createPanelButton(isRecording ? '⏹ Остановить запись' : '⏺ Записать', 'Запись ввода (F8)', () => actions.toggleRecording());
+            if (isRecording) {
+                recordButton.style.background = '#ff5555';
+            }
+            buttons.appendChild(recordButton);
+            
+            if (status.hasReplay) {
+                buttons.append(
+                    this.createPanelButton('▶ Воспроизвести', 'Воспроизвести последний повтор', () => actions.play()),
+                    this.createPanelButton('Экспорт', 'Сохранить повтор в файл', () => actions.exportFile())
+                );
+            }
+            
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = 'application/json,.json';
+            fileInput.style.display = 'none';
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    actions.importFile(fileInput.files[0]);
+                }
+            });
+            buttons.append(this.createPanelButton('Импорт', 'Загрузить повтор из файла', () => fileInput.click()), fileInput);
+        }
+        panel.appendChild(buttons);
+        
+        this.updateReplayPanel(status);
+    }
+
+    /**
+     * Обновление времени и шкалы панели повторов
+     * @param {Object} status - Состояние ReplayManager.getStatus
+     */
+    updateReplayPanel(status) {
+        if (!this.replayPanel || this.replayPanel.style.display === 'none' || !this.replayTimeLabel) return;
+        
+        const total = this.formatReplayTime(status.ticks, status.frameTime);
+        if (status.mode === 'recording') {
+            this.replayTimeLabel.innerHTML = '<span style="color: #ff5555;">●</span> Запись: ';
+            this.replayTimeLabel.append(total);
+        } else if (status.mode === 'playing') {
+            this.replayTimeLabel.textContent = `Воспроизведение: ${this.formatReplayTime(status.tick, status.frameTime)} / ${total}`;
+        } else {
+            this.replayTimeLabel.textContent = status.hasReplay ? `Последний повтор: ${total}` : 'Нет повтора';
+        }
+        
+        // Шкалу не двигаем, пока ее тянет пользователь
+        if (this.replaySlider && !this.replaySliderHeld) {
+            this.replaySlider.value = status.tick;
+        }
+    }
+
+    /**
+     * Переключение панели повторов
+     * @param {boolean} [visible] - Показать или скрыть; без параметра - переключить
+     */
+    toggleReplayPanel(visible) {
+        if (!this.replayPanel) return;
+        
+        const show = visible !== undefined ? visible : this.replayPanel.style.display === 'none';
+        this.replayPanel.style.display = show ? 'block' : 'none';
+        if (show) {
+            this.renderReplayPanel();
+        }
+    }
+
+    /**
+     * Создание экранного джойстика
+     * Показывается на сенсорных экранах и после первого касания; отклонение передается в onChange
+     * @param {Function} onChange - Колбэк (x, y): отклонение вправо и вниз от -1 до 1
+     * @returns {HTMLElement} Элемент джойстика
+     */
+    createVirtualJoystick(onChange) {
+        const size = 120;
+        const knobSize = 50;
+        
+        const base = document.createElement('div');
+        base.id = 'virtual-joystick';
+        base.style.cssText = `
+            position: fixed;
+            left: 30px;
+            bottom: 30px;
+            width: ${size}px;
+            height: ${size}px;
+            border-radius: 50%;
+            background: rgba(0, 255, 255, 0.1);
+            border: 2px solid rgba(0, 255, 255, 0.4);
+            touch-action: none;
+            user-select: none;
+            z-index: 1000;
+            display: none;
+        `;
+        
+        const knob = document.createElement('div');
+        knob.style.cssText = `
+            position: absolute;
+            left: ${(size - knobSize) / 2}px;
+            top: ${(size - knobSize) / 2}px;
+            width: ${knobSize}px;
+            height: ${knobSize}px;
+            border-radius: 50%;
+            background: rgba(0, 255, 255, 0.6);
+            pointer-events: none;
+        `;
+        base.appendChild(knob);
+        
+        let activePointer = null;
+        const radius = (size - knobSize) / 2;
+        const setKnob = (x, y) => {
+            knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+            onChange(x, y);
+        };
+        const moveKnob = (event) => {
+            const rect = base.getBoundingClientRect();
+            let x = (event.clientX - rect.left - size / 2) / radius;
+            let y = (event.clientY - rect.top - size / 2) / radius;
+            const length = Math.hypot(x, y);
+            if (length > 1) {
+                x /= length;
+                y /= length;
+            }
+            setKnob(x, y);
+        };
+        
+        // События джойстика не доходят до распознавания жестов сцены
+        base.addEventListener('pointerdown', (event) => {
+            event.stopPropagation();
+            if (activePointer !== null) return;
+            activePointer = event.pointerId;
+            base.setPointerCapture(event.pointerId);
+            moveKnob(event);
+        });
+        base.addEventListener('pointermove', (event) => {
+            event.stopPropagation();
+            if (event.pointerId === activePointer) {
+                moveKnob(event);
+            }
+        });
+        const release = (event) => {
+            event.stopPropagation();
+            if (event.pointerId !== activePointer) return;
+            activePointer = null;
+            setKnob(0, 0);
+        };
+        base.addEventListener('pointerup', release);
+        base.addEventListener('pointercancel', release);
+        
+        // Джойстик нужен только на сенсорных экранах
+        const isCoarse = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+        this.virtualJoystick = base;
+        this.setVirtualJoystickVisible(isCoarse);
+        document.addEventListener('pointerdown', (event) => {
+            if (event.pointerType === 'touch') {
+                this.setVirtualJoystickVisible(true);
+            }
+        });
+        
+        document.body.appendChild(base);
+        return base;
+    }
+
+    /**
+     * Показать или скрыть экранный джойстик
+     * @param {boolean} visible - Видимость
+     */
+    setVirtualJoystickVisible(visible) {
+        if (this.virtualJoystick) {
+            this.virtualJoystick.style.display = visible ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Показать контекстное меню
+     * @param {number} x - Координата X в окне (px)
+     * @param {number} y - Координата Y в окне (px)
+     * @param {string} title - Заголовок меню
+     * @param {Array<Object>} items - Пункты [{label, action}]
+     */
+    showContextMenu(x, y, title, items) {
+        if (!this.contextMenu) {
+            this.contextMenu = document.createElement('div');
+            this.contextMenu.id = 'context-menu';
+            this.contextMenu.className = 'ui-panel';
+            this.contextMenu.style.cssText = `
+                position: fixed;
+                min-width: 160px;
+                background: rgba(0, 0, 0, 0.9);
+                backdrop-filter: blur(10px);
+                color: white;
+                padding: 8px;
+                border-radius: 10px;
+                border: 1px solid rgba(0, 255, 255, 0.3);
+                font-family: Arial, sans-serif;
+                font-size: 13px;
+                z-index: 1001;
+                display: none;
+            `;
+            document.body.appendChild(this.contextMenu);
+            
+            // Нажатие вне меню закрывает его
+            document.addEventListener('pointerdown', (event) => {
+                if (!this.contextMenu.contains(event.target)) {
+                    this.hideContextMenu();
+                }
+            });
+        }
+        
+        const menu = this.contextMenu;
+        menu.innerHTML = '<div style="color: #00ffff; font-weight: bold; margin: 0 4px 6px 4px;"></div>';
+        menu.firstChild.textContent = title;
+        
+        items.forEach(({ label, action }) => {
+            const item = document.createElement('div');
+            item.textContent = label;
+            item.style.cssText = 'padding: 8px; border-radius: 5px; cursor: pointer;';
+            item.addEventListener('pointerenter', () => {
+                item.style.background = 'rgba(0, 255, 255, 0.2)';
+            });
+            item.addEventListener('pointerleave', () => {
+                item.style.background = '';
+            });
+            item.addEventListener('click', () => {
+                this.hideContextMenu();
+                action();
+            });
+            menu.appendChild(item);
+        });
+        
+        // Меню не выходит за край окна
+        menu.style.display = 'block';
+        menu.style.left = `${Math.min(x, window.innerWidth - menu.offsetWidth - 10)}px`;
+        menu.style.top = `${Math.min(y, window.innerHeight - menu.offsetHeight - 10)}px`;
+    }
+
+    /**
+     * Скрыть контекстное меню
+     */
+    hideContextMenu() {
+        if (this.contextMenu) {
+            this.contextMenu.style.display = 'none';
+        }
+    }
+
+    /**
+     * Создание палитры перехода к телу
+     * @param {Object} actions - Действия {listBodies, goTo}; listBodies() возвращает [{name, label, hotkey}]
+     * @returns {HTMLElement} Элемент палитры
+     */
+    createBodyPalette(actions) {
+        this.bodyPaletteActions = actions;
+        
+        const panel = document.createElement('div');
+        panel.id = 'body-palette';
+        panel.className = 'ui-panel';
+        panel.style.cssText = `
+            position: fixed;
+            top: 20%;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 320px;
+            background: rgba(0, 0, 0, 0.9);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 12px;
+            border-radius: 10px;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+            z-index: 1001;
+            display: none;
+        `;
+        
+        const input = document.createElement('input');
+        input.placeholder = 'Перейти к телу...';
+        input.style.cssText = `
+            width: 100%;
+            box-sizing: border-box;
+            background: rgba(255, 255, 255, 0.1);
+            color: white;
+            border: 1px solid rgba(0, 255, 255, 0.3);
+            border-radius: 5px;
+            padding: 6px 8px;
+            margin-bottom: 8px;
+        `;
+        
+        const list = document.createElement('div');
+        list.style.cssText = 'max-height: 50vh; overflow-y: auto;';
+        
+        input.addEventListener('input', () => {
+            this.bodyPaletteIndex = 0;
+            this.renderBodyPalette();
+        });
+        input.addEventListener('keydown', (event) => {
+            const count = list.children.length;
+            switch (event.code) {
+                case 'ArrowDown':
+                    event.preventDefault();
+                    this.bodyPaletteIndex = Math.min(this.bodyPaletteIndex + 1, count - 1);
+                    this.renderBodyPalette();
+                    break;
+                case 'ArrowUp':
+                    event.preventDefault();
+                    this.bodyPaletteIndex = Math.max(this.bodyPaletteIndex - 1, 0);
+                    this.renderBodyPalette();
+                    break;
+                case 'Enter':
+                    if (count > 0) {
+                        this.chooseBodyPaletteItem(list.children[this.bodyPaletteIndex].dataset.name);
+                    }
+                    break;
+                case 'Escape':
+                    this.toggleBodyPalette(false);
+                    break;
+            }
+        });
+        
+        panel.append(input, list);
+        this.bodyPalette = { panel, input, list };
+        document.body.appendChild(panel);
+        
+        return panel;
+    }
+
+    /**
+     * Перерисовка списка палитры по строке поиска
+     */
+    renderBodyPalette() {
+        const { input, list } = this.bodyPalette;
+        const query = input.value.trim().toLowerCase();
+        const items = this.bodyPaletteActions.listBodies()
+            .filter(item => item.label.toLowerCase().includes(query));
+        
+        list.innerHTML = '';
+        if (items.length === 0) {
+            list.innerHTML = '<div style="opacity: 0.6; padding: 4px 6px;">Ничего не найдено</div>';
+            return;
+        }
+        
+        items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.dataset.name = item.name;
+            row.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                padding: 4px 6px;
+                border-radius: 4px;
+                cursor: pointer;
+                background: ${index === this.bodyPaletteIndex ? 'rgba(0, 255, 255, 0.25)' : 'transparent'};
+            `;
+            row.innerHTML = '<span></span><span style="opacity: 0.6;"></span>';
+            row.children[0].textContent = item.label;
+            row.children[1].textContent = item.hotkey || '';
+            row.addEventListener('click', () => this.chooseBodyPaletteItem(item.name));
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Выбор тела в палитре
+     * @param {string} name - Имя тела
+     */
+    chooseBodyPaletteItem(name) {
+        this.toggleBodyPalette(false);
+        this.bodyPaletteActions.goTo(name);
+    }
+
+    /**
+     * Показать или скрыть палитру перехода к телу
+     * @param {boolean} [visible] - Показать; без параметра - переключить
+     */
+    toggleBodyPalette(visible) {
+        if (!this.bodyPalette) return;
+        
+        const { panel, input } = this.bodyPalette;
+        const show = visible !== undefined ? visible : panel.style.display === 'none';
+        panel.style.display = show ? 'block' : 'none';
+        
+        if (show) {
+            input.value = '';
+            this.bodyPaletteIndex = 0;
+            this.renderBodyPalette();
+            input.focus();
+        } else {
+            input.blur();
+        }
+    }
+
+    /**
+     * Создание панели узлов маневров
+     * @param {Object} actions - Действия {selectNode, removeNode, shiftNode, toggleAutopilot}
+     * @returns {HTMLElement} Элемент панели
+     */
+    createManeuverPanel(actions) {
+        this.maneuverActions = actions;
+        
+        const panel = document.createElement('div');
+        panel.id = 'maneuver-panel';
+        panel.className = 'ui-panel';
+        panel.style.cssText = `
+            position: fixed;
+            bottom: 90px;
+            right: 20px;
+            width: 300px;
+            max-height: 50vh;
+            overflow-y: auto;
+            background: rgba(0, 0, 0, 0.85);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 15px;
+            border-radius: 10px;
+            border: 1px solid rgba(255, 170, 0, 0.4);
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            z-index: 20;
+            display: none;
+        `;
+        panel.innerHTML = '<h4 style="margin: 0 0 10px 0; color: #ffaa00; font-size: 14px;">Маневры</h4>';
+        
+        const summary = document.createElement('div');
+        summary.style.cssText = 'margin-bottom: 10px;';
+        
+        const list = document.createElement('div');
+        
+        const autopilotRow = document.createElement('div');
+        autopilotRow.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-top: 10px;';
+        const autopilotLabel = document.createElement('span');
+        autopilotLabel.style.cssText = 'flex: 1;';
+        const autopilotButton = this.createPanelButton('Автопилот', 'Исполнять маневры автоматически (Z)', () => actions.toggleAutopilot());
+        autopilotRow.append(autopilotLabel, autopilotButton);
+        
+        panel.append(summary, list, autopilotRow);
+        
+        this.maneuverPanel = { panel, summary, list, autopilotLabel, autopilotButton };
+        document.body.appendChild(panel);
+        
+        return panel;
+    }
+
+    /**
+     * Обновление панели узлов маневров
+     * @param {Object|null} summary - Сводка планировщика {deltaVBudget, totalDeltaV, fuel, nodes}
+     * @param {Object} [autopilot] - Состояние автопилота {enabled, status, progress}
+     */
+    updateManeuverPanel(summary, autopilot) {
+        if (!this.maneuverPanel) return;
+        
+        const { panel } = this.maneuverPanel;
+        const hasNodes = Boolean(summary) && summary.nodes.length > 0;
+        panel.style.display = hasNodes ? 'block' : 'none';
+        if (!hasNodes) return;
+        
+        // Строки пересоздаются только при изменении списка, чтобы не сбивать нажатия кнопок
+        const layout = summary.nodes.map(node => `${node.id}${node.isSelected ? '*' : ''}`).join(',');
+        if (layout !== this.maneuverLayout) {
+            this.maneuverLayout = layout;
+            this.renderManeuverRows(summary.nodes);
+        }
+        
+        const overBudget = summary.totalDeltaV > summary.deltaVBudget;
+        this.maneuverPanel.summary.innerHTML = `
+            Топливо: ${(summary.fuel * 100).toFixed(0)}%<br>
+            Δv: <span style="color: ${overBudget ? '#ff3333' : '#00ff88'};">${summary.totalDeltaV.toFixed(1)}</span>
+            из ${summary.deltaVBudget.toFixed(1)} ед/с
+        `;
+        
+        summary.nodes.forEach(node => {
+            const info = this.maneuverRows.get(node.id);
+            if (!info) return;
+            
+            const when = node.timeUntil >= 0 ? `через ${this.formatDuration(node.timeUntil)}` : 'пройден';
+            const burn = Number.isFinite(node.burnTime) ? `${node.burnTime.toFixed(1)} с` : '<span style="color: #ff3333;">не хватает топлива</span>';
+            const [prograde, normal, radial] = node.components.toArray().map(value => value.toFixed(1));
+            const orbit = !node.isPredicted ? 'вне прогноза' : node.orbit ? this.formatTrajectory(node.orbit) : '—';
+            
+            info.innerHTML = `
+                ${when}<br>
+                Δv ${node.deltaV.toFixed(1)} ед/с (П ${prograde}, Н ${normal}, Р ${radial})<br>
+                Работа двигателя: ${burn}<br>
+                Орбита: ${orbit}
+            `;
+        });
+        
+        if (autopilot) {
+            const statusLabels = {
+                idle: 'нет задач',
+                waiting: 'ожидание узла',
+                aligning: 'разворот',
+                burning: `работа двигателя ${(autopilot.progress * 100).toFixed(0)}%`
+            };
+            this.maneuverPanel.autopilotLabel.textContent = autopilot.enabled
+                ? `Автопилот: ${statusLabels[autopilot.status]}`
+                : 'Автопилот выключен';
+            this.maneuverPanel.autopilotButton.style.background = autopilot.enabled
+                ? 'rgba(255, 170, 0, 0.8)'
+                : 'rgba(0, 255, 255, 0.8)';
+        }
+    }
+
+    /**
+     * Перерисовка строк узлов маневров
+     * @param {Array<Object>} nodes - Узлы из сводки планировщика
+     */
+    renderManeuverRows(nodes) {
+        const { list } = this.maneuverPanel;
+        const actions = this.maneuverActions;
+        
+        list.innerHTML = '';
+        this.maneuverRows.clear();
+        
+        nodes.forEach(node => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                margin-bottom: 8px;
+                padding: 6px;
+                border-radius: 5px;
+                border: 1px solid ${node.isSelected ? 'rgba(255, 255, 0, 0.6)' : 'rgba(255, 255, 255, 0.1)'};
+            `;
+            
+            const header = document.createElement('div');
+            header.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 4px;';
+            
+            const title = document.createElement('strong');
+            title.style.cssText = 'flex: 1; cursor: pointer;';
+            title.textContent = `Узел ${node.index}`;
+            title.addEventListener('click', () => actions.selectNode(node.id));
+            
+            const earlierButton = this.createPanelButton('−1д', 'Сдвинуть на сутки раньше', () => actions.shiftNode(node.id, -86400));
+            const laterButton = this.createPanelButton('+1д', 'Сдвинуть на сутки позже', () => actions.shiftNode(node.id, 86400));
+            const removeButton = this.createPanelButton('✕', 'Удалить узел', () => actions.removeNode(node.id));
+            header.append(title, earlierButton, laterButton, removeButton);
+            
+            const info = document.createElement('div');
+            info.style.cssText = 'opacity: 0.85;';
+            
+            row.append(header, info);
+            list.appendChild(row);
+            this.maneuverRows.set(node.id, info);
+        });
+    }
+
+    /**
+     * Переключение панели времени
+     */
+    toggleTimePanel() {
+        if (!this.timePanel) return;
+        
+        this.timePanel.style.display = this.timePanel.style.display === 'none' ? 'flex' : 'none';
     }
 
     /**
@@ -234,6 +1563,9 @@ export class UIManager {
                     <div><span style="color: #00ffff;">H:</span> Показать/скрыть помощь</div>
                     <div><span style="color: #00ffff;">F:</span> Полноэкранный режим</div>
                     <div><span style="color: #00ffff;">Ctrl+S:</span> Сохранить скриншот</div>
+                    <div><span style="color: #00ffff;">F6 / F9:</span> Быстрое сохранение/загрузка</div>
+                    <div><span style="color: #00ffff;">F7:</span> Панель сохранений</div>
+                    <div><span style="color: #00ffff;">F2:</span> Настройка управления</div>
                     <div><span style="color: #00ffff;">ESC:</span> Закрыть панели</div>
                     <div><span style="color: #00ffff;">1-9:</span> Быстрый переход к планетам</div>
                 </div>
@@ -265,6 +1597,25 @@ export class UIManager {
         if (helpPanel) {
             helpPanel.style.display = 'none';
         }
+        
+        if (this.savesPanel) {
+            this.savesPanel.style.display = 'none';
+        }
+        
+        if (this.bookmarksPanel) {
+            this.bookmarksPanel.style.display = 'none';
+        }
+        
+        if (this.bindingsPanel) {
+            this.bindingsPanel.style.display = 'none';
+        }
+        
+        if (this.replayPanel) {
+            this.replayPanel.style.display = 'none';
+        }
+        
+        this.hideContextMenu();
+        this.toggleBodyPalette(false);
     }
 
     /**
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+
+/**
+ * Оси ручек узла маневра: ось импульса, знак и цвет
+ */
+export const MANEUVER_HANDLES = [
+    { axis: 'x', sign: 1, frameAxis: 'prograde', color: 0x00ff00 },
+    { axis: 'x', sign: -1, frameAxis: 'prograde', color: 0x008800 },
+    { axis: 'y', sign: 1, frameAxis: 'normal', color: 0xff00ff },
+    { axis: 'y', sign: -1, frameAxis: 'normal', color: 0x880088 },
+    { axis: 'z', sign: 1, frameAxis: 'radial', color: 0x00ffff },
+    { axis: 'z', sign: -1, frameAxis: 'radial', color: 0x008888 }
+];
+
+/**
+ * Узел маневра в сцене: маркер и ручки prograde/normal/radial
+ */
+export class ManeuverGizmo {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.name = 'ManeuverGizmo';
+
+        this.marker = null;
+        this.handles = [];
+        this.node = null;
+
+        // Размер гизмо на экране как доля расстояния до камеры
+        this.screenScale = 0.04;
+
+        this.init();
+    }
+
+    /**
+     * Создание маркера и ручек
+     */
+    init() {
+        const markerGeometry = new THREE.SphereGeometry(0.25, 16, 16);
+        const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false, transparent: true });
+        this.marker = new THREE.Mesh(markerGeometry, markerMaterial);
+        this.marker.renderOrder = 2;
+        this.marker.userData = { maneuverGizmo: this };
+        this.group.add(this.marker);
+
+        const handleGeometry = new THREE.ConeGeometry(0.18, 0.45, 12);
+        handleGeometry.translate(0, 1, 0);
+
+        MANEUVER_HANDLES.forEach(config => {
+            const material = new THREE.MeshBasicMaterial({ color: config.color, depthTest: false, transparent: true });
+            const handle = new THREE.Mesh(handleGeometry, material);
+            handle.renderOrder = 2;
+            handle.userData = { maneuverGizmo: this, handle: config };
+            this.handles.push(handle);
+            this.group.add(handle);
+        });
+    }
+
+    /**
+     * Обновление положения и ориентации по узлу
+     * @param {Object} node - Узел маневра
+     * @param {boolean} isSelected - Выбран ли узел (ручки видны только у выбранного)
+     * @param {THREE.Camera} camera - Камера для постоянного экранного размера
+     */
+    update(node, isSelected, camera) {
+        this.node = node;
+        this.group.visible = Boolean(node.frame);
+        if (!node.frame) return;
+
+        this.group.position.copy(node.frame.position);
+        if (camera) {
+            this.group.scale.setScalar(camera.position.distanceTo(this.group.position) * this.screenScale);
+        }
+
+        this.marker.material.color.setHex(isSelected ? 0xffff00 : 0xffffff);
+
+        const up = new THREE.Vector3(0, 1, 0);
+        const direction = new THREE.Vector3();
+        this.handles.forEach(handle => {
+            const config = handle.userData.handle;
+            direction.copy(node.frame[config.frameAxis]).multiplyScalar(config.sign);
+            handle.quaternion.setFromUnitVectors(up, direction);
+            handle.visible = isSelected;
+        });
+    }
+
+    /**
+     * Мировое направление ручки
+     * @param {Object} config - Описание ручки из MANEUVER_HANDLES
+     * @returns {THREE.Vector3} Направление
+     */
+    getHandleDirection(config) {
+        return this.node.frame[config.frameAxis].clone().multiplyScalar(config.sign);
+    }
+
+    /**
+     * Получить объекты, доступные для выбора мышью
+     * @returns {THREE.Object3D[]} Маркер и видимые ручки
+     */
+    getPickables() {
+        if (!this.group.visible) return [];
+        return [this.marker, ...this.handles.filter(handle => handle.visible)];
+    }
+
+    /**
+     * Получить группу гизмо
+     * @returns {THREE.Group} Группа
+     */
+    getMesh() {
+        return this.group;
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        this.marker.geometry.dispose();
+        this.marker.material.dispose();
+        this.handles[0].geometry.dispose();
+        this.handles.forEach(handle => handle.material.dispose());
+    }
+}
@@ -1,4 +1,14 @@
 import * as THREE from 'three';
+import { KeplerOrbit } from '../physics/KeplerOrbit.js';
+import { PlanetTerrain, seedFromName } from './PlanetTerrain.js';
+import { Random } from '../core/Random.js';
+
+// Временный вектор для расчета положений по орбите
+const _orbitOffset = new THREE.Vector3();
+
+// Временные векторы для расчета высоты над поверхностью
+const _surfacePoint = new THREE.Vector3();
+const _surfaceCenter = new THREE.Vector3();
 
 /**
  * Класс планеты с орбитальным движением и вращением
@@ -11,9 +21,17 @@ export class Planet {
         this.color = config.color;
         this.emissive = config.emissive || 0x000000;
         this.rotation = config.rotation || { x: 0, y: 0.01, z: 0 };
-        this.orbit = config.orbit; // { radius, speed }
+        this.rotationPeriod = config.rotationPeriod || null; // Период вращения (часы)
+        this.orbit = config.orbit; // { radius, speed, eccentricity, inclination, ... }
+        this.keplerOrbit = this.orbit ? new KeplerOrbit(this.orbit) : null;
         this.hasRings = config.hasRings || false;
+        this.isStar = config.isStar || false;
+        this.mass = config.mass || 0; // Масса (массы Земли)
+        this.collisionResponse = config.collision || null; // Реакция на столкновение с кораблем (null - по умолчанию сцены)
+        this.terrainConfig = config.terrain || null; // Параметры рельефа {seed, amplitude, octaves} (null - гладкая сфера)
+        this.atmosphereColor = config.atmosphereColor !== undefined ? config.atmosphereColor : null;
         this.texture = config.texture || null;
+        this.random = config.random || new Random(seedFromName(this.name)); // Генератор процедурных деталей (кольца)
         
         // Интерактивность
         this.isSelected = false;
@@ -26,8 +44,17 @@ export class Planet {
         // Орбитальная группа (для движения по орбите)
         this.orbitGroup = new THREE.Group();
         
-        // Меш планеты
+        // Группа спутников - центр в планете, не вращается вместе с ней
+        this.satelliteGroup = new THREE.Group();
+        
+        // Меш планеты и его атмосфера
         this.mesh = null;
+        this.atmosphere = null;
+        
+        // Рельеф: строится при первом сближении, геометрия меша переключается на него вблизи
+        this.baseGeometry = null;
+        this.terrain = null;
+        this.isSurfaceDetailed = false;
         
         // Кольца (если есть)
         this.rings = null;
@@ -35,6 +62,16 @@ export class Planet {
         // Орбитальная линия
         this.orbitLine = null;
         
+        // Спутники и родительское тело (для спутников)
+        this.satellites = [];
+        this.parentBody = null;
+        
+        // Положение задается гравитационной симуляцией вместо орбиты Кеплера
+        this.isPhysicsDriven = false;
+        
+        // Время симуляции последнего обновления орбиты
+        this.orbitTime = 0;
+        
         // Время для анимации
         this.time = 0;
         
@@ -75,8 +112,8 @@ export class Planet {
         // Создание материала в зависимости от типа планеты
         let material;
         
-        if (this.name === 'Солнце') {
-            // Светящийся материал для солнца
+        if (this.isStar) {
+            // Светящийся материал для звезды
             material = new THREE.MeshBasicMaterial({
                 color: this.color,
                 emissive: this.emissive,
@@ -94,14 +131,15 @@ export class Planet {
             });
         }
         
+        this.baseGeometry = geometry;
         this.mesh = new THREE.Mesh(geometry, material);
         this.mesh.castShadow = true;
         this.mesh.receiveShadow = true;
         this.mesh.name = this.name;
         this.mesh.userData = { planet: this };
         
-        // Добавление атмосферы для некоторых планет
-        if (['Земля', 'Венера', 'Марс'].includes(this.name)) {
+        // Добавление атмосферы для планет, у которых задан её цвет
+        if (this.atmosphereColor !== null) {
             this.createAtmosphere();
         }
         
@@ -169,27 +207,14 @@ export class Planet {
     createAtmosphere() {
         const atmosphereGeometry = new THREE.SphereGeometry(this.radius * 1.05, 32, 32);
         const atmosphereMaterial = new THREE.MeshBasicMaterial({
-            color: this.getAtmosphereColor(),
+            color: this.atmosphereColor,
             transparent: true,
             opacity: 0.15,
             side: THREE.BackSide
         });
         
-        const atmosphereMesh = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
-        this.mesh.add(atmosphereMesh);
-    }
-
-    /**
-     * Получить цвет атмосферы
-     * @returns {number} Цвет атмосферы
-     */
-    getAtmosphereColor() {
-        switch (this.name) {
-            case 'Земля': return 0x87ceeb;
-            case 'Венера': return 0xffc649;
-            case 'Марс': return 0xcd5c5c;
-            default: return 0x87ceeb;
-        }
+        this.atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
+        this.mesh.add(this.atmosphere);
     }
 
     /**
@@ -239,11 +264,12 @@ export class Planet {
         ctx.fillStyle = gradient;
         ctx.fillRect(0, 0, 512, 512);
         
-        // Добавляем случайные промежутки в кольцах
+        // Добавляем случайные промежутки в кольцах (одни и те же при каждом создании)
+        const random = this.random.fork('rings');
         ctx.globalCompositeOperation = 'destination-out';
         for (let i = 0; i < 20; i++) {
-            const radius = 128 + Math.random() * 128;
-            const width = Math.random() * 10 + 2;
+            const radius = 128 + random.next() * 128;
+            const width = random.next() * 10 + 2;
             ctx.beginPath();
             ctx.arc(256, 256, radius, 0, Math.PI * 2);
             ctx.lineWidth = width;
@@ -259,15 +285,7 @@ export class Planet {
      * Создание орбитальной линии
      */
     createOrbitLine() {
-        const points = [];
-        const segments = 128;
-        
-        for (let i = 0; i <= segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            const x = Math.cos(angle) * this.orbit.radius;
-            const z = Math.sin(angle) * this.orbit.radius;
-            points.push(new THREE.Vector3(x, 0, z));
-        }
+        const points = this.keplerOrbit.getOrbitPoints(256);
         
         const geometry = new THREE.BufferGeometry().setFromPoints(points);
         const material = new THREE.LineBasicMaterial({
@@ -291,6 +309,9 @@ export class Planet {
             this.orbitGroup.add(this.rings);
         }
         
+        // Спутники движутся вместе с планетой, но не наследуют её вращение и масштаб
+        this.orbitGroup.add(this.satelliteGroup);
+        
         // Добавляем орбитальную группу в основную группу
         this.group.add(this.orbitGroup);
         
@@ -306,8 +327,8 @@ export class Planet {
      */
     setPosition(position) {
         if (this.orbit) {
-            // Для планет с орбитой устанавливаем начальную позицию орбитальной группы
-            this.orbitGroup.position.set(position[0], position[1], position[2]);
+            // Для планет с орбитой начальная позиция определяется элементами орбиты на эпоху
+            this.keplerOrbit.getPositionAt(0, this.orbitGroup.position);
         } else {
             // Для солнца устанавливаем позицию основной группы
             this.group.position.set(position[0], position[1], position[2]);
@@ -316,34 +337,41 @@ export class Planet {
 
     /**
      * Обновление планеты
-     * @param {number} deltaTime - Время с последнего кадра
-     * @param {number} totalTime - Общее время
+     * @param {SimulationClock} clock - Часы симуляции
      */
-    update(deltaTime, totalTime) {
-        this.time = totalTime;
+    update(clock) {
+        const totalTime = clock.getTime();
+        this.time = clock.animationTime;
+        this.orbitTime = totalTime;
         
         // Вращение планеты вокруг своей оси
-        this.mesh.rotation.x += this.rotation.x * deltaTime;
-        this.mesh.rotation.y += this.rotation.y * deltaTime;
-        this.mesh.rotation.z += this.rotation.z * deltaTime;
+        if (this.rotationPeriod) {
+            // Реальный период вращения задает угол как функцию времени симуляции
+            const turns = totalTime / (this.rotationPeriod * 3600);
+            this.mesh.rotation.y = THREE.MathUtils.euclideanModulo(turns, 1) * Math.PI * 2;
+        } else {
+            this.mesh.rotation.x += this.rotation.x * clock.animationDelta;
+            this.mesh.rotation.y += this.rotation.y * clock.animationDelta;
+            this.mesh.rotation.z += this.rotation.z * clock.animationDelta;
+        }
         
-        // Орбитальное движение
-        if (this.orbit) {
-            const angle = totalTime * this.orbit.speed;
-            const x = Math.cos(angle) * this.orbit.radius;
-            const z = Math.sin(angle) * this.orbit.radius;
-            this.orbitGroup.position.set(x, 0, z);
+        // Орбитальное движение по эллипсу Кеплера
+        if (this.orbit && !this.isPhysicsDriven) {
+            this.keplerOrbit.getPositionAt(totalTime, this.orbitGroup.position);
         }
         
         // Анимация колец
         if (this.rings) {
-            this.rings.rotation.z += this.rings.userData.rotationSpeed * deltaTime;
+            this.rings.rotation.z += this.rings.userData.rotationSpeed * clock.animationDelta;
         }
         
-        // Дополнительные эффекты для солнца
-        if (this.name === 'Солнце') {
+        // Дополнительные эффекты для звезды
+        if (this.isStar) {
             this.updateSunEffects();
         }
+        
+        // Обновление спутников
+        this.satellites.forEach(satellite => satellite.update(clock));
     }
 
     /**
@@ -385,6 +413,145 @@ export class Planet {
         return worldPosition;
     }
 
+    /**
+     * Получить положение тела в системе родителя
+     * @returns {THREE.Vector3} Положение (для планет верхнего уровня - мировое)
+     */
+    getSimulatedPosition() {
+        return this.group.position.clone().add(this.orbitGroup.position);
+    }
+
+    /**
+     * Установить положение тела, рассчитанное гравитационной симуляцией
+     * @param {THREE.Vector3} position - Положение в системе родителя
+     */
+    setSimulatedPosition(position) {
+        this.orbitGroup.position.copy(position).sub(this.group.position);
+    }
+
+    /**
+     * Положение тела на момент времени по орбитам Кеплера (с учетом орбит родителей)
+     * @param {number} time - Время от эпохи (с)
+     * @param {THREE.Vector3} target - Вектор для записи результата
+     * @param {Planet} [relativeTo] - Родитель, относительно центра которого считается положение
+     * @returns {THREE.Vector3} Мировое положение (или относительно relativeTo)
+     */
+    getOrbitalPositionAt(time, target = new THREE.Vector3(), relativeTo = null) {
+        if (this.parentBody && this.parentBody !== relativeTo) {
+            this.parentBody.getOrbitalPositionAt(time, target, relativeTo);
+        } else {
+            target.set(0, 0, 0);
+        }
+        
+        target.add(this.group.position);
+        if (this.keplerOrbit) {
+            target.add(this.keplerOrbit.getPositionAt(time, _orbitOffset));
+        } else {
+            target.add(this.orbitGroup.position);
+        }
+        return target;
+    }
+
+    /**
+     * Есть ли у тела рельеф
+     * @returns {boolean} Задан ли рельеф в описании тела
+     */
+    hasTerrain() {
+        return this.terrainConfig !== null;
+    }
+
+    /**
+     * Включить/выключить детальную поверхность с рельефом
+     * @param {boolean} detailed - Показывать рельеф
+     */
+    setSurfaceDetail(detailed) {
+        if (!this.hasTerrain() || detailed === this.isSurfaceDetailed) return;
+        
+        if (detailed && !this.terrain) {
+            // Высота рельефа из описания задана для стилизованного радиуса тела
+            const amplitude = this.terrainConfig.amplitude;
+            this.terrain = new PlanetTerrain(this.radius, {
+                seed: seedFromName(this.name),
+                ...this.terrainConfig,
+                amplitude: amplitude !== undefined ? amplitude * this.radius / this.config.radius : undefined
+            });
+        }
+        
+        this.isSurfaceDetailed = detailed;
+        this.mesh.geometry = detailed ? this.terrain.getGeometry() : this.baseGeometry;
+        console.log(`🏔️ ${this.name}: ${detailed ? 'рельеф поверхности' : 'упрощенная сфера'}`);
+    }
+
+    /**
+     * Радиус поверхности под точкой (с рельефом, если он показан)
+     * @param {THREE.Vector3} worldPosition - Мировая точка
+     * @returns {number} Расстояние от центра до поверхности в мировых единицах
+     */
+    getSurfaceRadiusAt(worldPosition) {
+        const scale = this.mesh.scale.x;
+        if (!this.isSurfaceDetailed) {
+            return this.radius * scale;
+        }
+        
+        this.mesh.updateWorldMatrix(true, false);
+        const direction = this.mesh.worldToLocal(_surfacePoint.copy(worldPosition)).normalize();
+        return this.terrain.getSurfaceRadius(direction) * scale;
+    }
+
+    /**
+     * Высота точки над поверхностью тела
+     * @param {THREE.Vector3} worldPosition - Мировая точка
+     * @returns {number} Высота (ед.)
+     */
+    getAltitude(worldPosition) {
+        this.mesh.getWorldPosition(_surfaceCenter);
+        return worldPosition.distanceTo(_surfaceCenter) - this.getSurfaceRadiusAt(worldPosition);
+    }
+
+    /**
+     * Изменить размеры тела и его орбиты (смена масштаба сцены)
+     *
+     * Геометрия тела, атмосферы, свечения и колец строится заново, рельеф - при следующем
+     * сближении. Период и остальные элементы орбиты не меняются.
+     * @param {number} radius - Радиус тела (ед.)
+     * @param {number|null} orbitRadius - Большая полуось орбиты (ед.)
+     */
+    setDimensions(radius, orbitRadius) {
+        if (this.isSurfaceDetailed) {
+            this.setSurfaceDetail(false);
+        }
+        if (this.terrain) {
+            this.terrain.dispose();
+            this.terrain = null;
+        }
+        
+        this.radius = radius;
+        
+        this.baseGeometry.dispose();
+        this.baseGeometry = new THREE.SphereGeometry(radius, 64, 64);
+        this.mesh.geometry = this.baseGeometry;
+        
+        this.selectionGlow.geometry.dispose();
+        this.selectionGlow.geometry = new THREE.SphereGeometry(radius * 1.2, 32, 32);
+        
+        if (this.atmosphere) {
+            this.atmosphere.geometry.dispose();
+            this.atmosphere.geometry = new THREE.SphereGeometry(radius * 1.05, 32, 32);
+        }
+        
+        if (this.rings) {
+            this.rings.geometry.dispose();
+            this.rings.geometry = new THREE.RingGeometry(radius * 1.5, radius * 2.5, 128);
+        }
+        
+        if (this.keplerOrbit && orbitRadius !== null) {
+            this.keplerOrbit.semiMajorAxis = orbitRadius;
+            this.orbitLine.geometry.dispose();
+            this.orbitLine.geometry = new THREE.BufferGeometry().setFromPoints(this.keplerOrbit.getOrbitPoints(256));
+            this.keplerOrbit.getPositionAt(this.orbitTime, this.orbitGroup.position);
+        }
+    }
+
     /**
      * Установить видимость орбитальной линии
      * @param {boolean} visible - Видимость
@@ -400,7 +567,68 @@ export class Planet {
      * @param {Planet} satellite - Спутник
      */
     addSatellite(satellite) {
-        this.orbitGroup.add(satellite.getGroup());
+        satellite.parentBody = this;
+        this.satellites.push(satellite);
+        this.satelliteGroup.add(satellite.getGroup());
+    }
+
+    /**
+     * Получить планету и все её спутники (рекурсивно)
+     * @returns {Planet[]} Массив тел
+     */
+    getBodies() {
+        return [this, ...this.satellites.flatMap(satellite => satellite.getBodies())];
+    }
+
+    /**
+     * Получить объекты, которые двигаются на шаге симуляции (без спутников)
+     * @returns {THREE.Object3D[]} Группа, орбитальная группа, меш и кольца
+     */
+    getInterpolatedObjects() {
+        const objects = [this.group, this.orbitGroup, this.mesh];
+        if (this.rings) {
+            objects.push(this.rings);
+        }
+        return objects;
+    }
+
+    /**
+     * Сериализация состояния планеты и её спутников
+     * @returns {Object} Состояние для сохранения
+     */
+    serialize() {
+        return {
+            name: this.name,
+            orbitTime: this.orbitTime,
+            rotation: [this.mesh.rotation.x, this.mesh.rotation.y, this.mesh.rotation.z],
+            ringsRotation: this.rings ? this.rings.rotation.z : null,
+            satellites: this.satellites.map(satellite => satellite.serialize())
+        };
+    }
+
+    /**
+     * Восстановление состояния планеты и её спутников
+     * @param {Object} data - Сохраненное состояние
+     */
+    deserialize(data) {
+        // Фаза орбиты следует из времени часов, элементы орбиты остаются из конфигурации сцены
+        if (this.keplerOrbit) {
+            this.keplerOrbit.getPositionAt(data.orbitTime, this.orbitGroup.position);
+        }
+        this.orbitTime = data.orbitTime;
+        
+        this.mesh.rotation.set(data.rotation[0], data.rotation[1], data.rotation[2]);
+        
+        if (this.rings && data.ringsRotation !== null) {
+            this.rings.rotation.z = data.ringsRotation;
+        }
+        
+        (data.satellites || []).forEach(satelliteData => {
+            const satellite = this.satellites.find(item => item.name === satelliteData.name);
+            if (satellite) {
+                satellite.deserialize(satelliteData);
+            }
+        });
     }
 
     /**
@@ -408,10 +636,14 @@ export class Planet {
      */
     dispose() {
         if (this.mesh) {
-            this.mesh.geometry.dispose();
+            this.baseGeometry.dispose();
             this.mesh.material.dispose();
         }
         
+        if (this.terrain) {
+            this.terrain.dispose();
+        }
+        
         if (this.rings) {
             this.rings.geometry.dispose();
             this.rings.material.dispose();
@@ -421,5 +653,7 @@ export class Planet {
             this.orbitLine.geometry.dispose();
             this.orbitLine.material.dispose();
         }
+        
+        this.satellites.forEach(satellite => satellite.dispose());
     }
 } 
\ No newline at end of file
@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import { hashString } from '../core/Random.js';
+
+/**
+ * Целочисленный хеш узла решетки шума
+ * @param {number} x - Индекс по X
+ * @param {number} y - Индекс по Y
+ * @param {number} z - Индекс по Z
+ * @param {number} seed - Зерно
+ * @returns {number} Значение от 0 до 1
+ */
+function hashLattice(x, y, z, seed) {
+    let h = seed ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(z, 0x5bd1e995);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967295;
+}
+
+/**
+ * Трехмерный шум значений с гладкой интерполяцией
+ * @returns {number} Значение от -1 до 1
+ */
+function valueNoise(x, y, z, seed) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const iz = Math.floor(z);
+    const smooth = (t) => t * t * (3 - 2 * t);
+    const fx = smooth(x - ix);
+    const fy = smooth(y - iy);
+    const fz = smooth(z - iz);
+
+    const lerp = THREE.MathUtils.lerp;
+    const corner = (dx, dy, dz) => hashLattice(ix + dx, iy + dy, iz + dz, seed);
+
+    const x00 = lerp(corner(0, 0, 0), corner(1, 0, 0), fx);
+    const x10 = lerp(corner(0, 1, 0), corner(1, 1, 0), fx);
+    const x01 = lerp(corner(0, 0, 1), corner(1, 0, 1), fx);
+    const x11 = lerp(corner(0, 1, 1), corner(1, 1, 1), fx);
+
+    return lerp(lerp(x00, x10, fy), lerp(x01, x11, fy), fz) * 2 - 1;
+}
+
+/**
+ * Зерно по умолчанию - хеш имени тела
+ * @param {string} name - Имя тела
+ * @returns {number} Зерно
+ */
+export function seedFromName(name) {
+    return hashString(name);
+}
+
+/**
+ * Рельеф поверхности тела по карте высот из зерна
+ *
+ * Карта высот - равнопромежуточная сетка (долгота × широта), заполненная фрактальным
+ * шумом на единичной сфере, поэтому рельеф не имеет шва и одинаков при каждом запуске.
+ * Из нее строится смещенная геометрия сферы и берется высота для расчета альтитуды.
+ */
+export class PlanetTerrain {
+    /**
+     * @param {number} radius - Радиус тела
+     * @param {Object} options - Параметры {seed, amplitude, octaves, frequency, segments, resolution}
+     */
+    constructor(radius, options = {}) {
+        this.radius = radius;
+        this.seed = options.seed !== undefined ? options.seed : 1;
+        this.amplitude = options.amplitude !== undefined ? options.amplitude : radius * 0.02;
+        this.octaves = options.octaves || 5;
+        this.frequency = options.frequency || 2;
+        this.segments = options.segments || 256;
+
+        // Карта высот: ширина по долготе, высота по широте
+        this.width = options.resolution || 512;
+        this.height = this.width / 2;
+        this.heights = null;
+
+        this.geometry = null;
+
+        this.generateHeightmap();
+    }
+
+    /**
+     * Заполнение карты высот фрактальным шумом
+     */
+    generateHeightmap() {
+        this.heights = new Float32Array(this.width * this.height);
+        const direction = new THREE.Vector3();
+
+        for (let row = 0; row < this.height; row++) {
+            const latitude = (row / (this.height - 1) - 0.5) * Math.PI;
+            for (let column = 0; column < this.width; column++) {
+                const longitude = (column / this.width) * Math.PI * 2;
+                direction.set(
+                    Math.cos(latitude) * Math.cos(longitude),
+                    Math.sin(latitude),
+                    Math.cos(latitude) * Math.sin(longitude)
+                );
+                this.heights[row * this.width + column] = this.sampleNoise(direction);
+            }
+        }
+    }
+
+    /**
+     * Фрактальный шум в точке единичной сферы
+     * @param {THREE.Vector3} direction - Направление из центра
+     * @returns {number} Значение примерно от -1 до 1
+     */
+    sampleNoise(direction) {
+        let value = 0;
+        let amplitude = 0.5;
+        let frequency = this.frequency;
+        let total = 0;
+
+        for (let octave = 0; octave < this.octaves; octave++) {
+            value += amplitude * valueNoise(
+                direction.x * frequency,
+                direction.y * frequency,
+                direction.z * frequency,
+                this.seed + octave
+            );
+            total += amplitude;
+            amplitude *= 0.5;
+            frequency *= 2;
+        }
+
+        return value / total;
+    }
+
+    /**
+     * Высота рельефа в направлении из центра (билинейная выборка карты высот)
+     * @param {THREE.Vector3} direction - Единичное направление в локальных осях тела
+     * @returns {number} Высота над базовым радиусом (ед.)
+     */
+    getHeight(direction) {
+        const latitude = Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1));
+        let longitude = Math.atan2(direction.z, direction.x);
+        if (longitude < 0) longitude += Math.PI * 2;
+
+        const u = (longitude / (Math.PI * 2)) * this.width;
+        const v = (latitude / Math.PI + 0.5) * (this.height - 1);
+
+        const column = Math.floor(u);
+        const row = Math.min(Math.floor(v), this.height - 2);
+        const fu = u - column;
+        const fv = v - row;
+        const sample = (c, r) => this.heights[r * this.width + (c % this.width)];
+
+        const top = THREE.MathUtils.lerp(sample(column, row), sample(column + 1, row), fu);
+        const bottom = THREE.MathUtils.lerp(sample(column, row + 1), sample(column + 1, row + 1), fu);
+        return THREE.MathUtils.lerp(top, bottom, fv) * this.amplitude;
+    }
+
+    /**
+     * Радиус поверхности в направлении из центра
+     * @param {THREE.Vector3} direction - Единичное направление в локальных осях тела
+     * @returns {number} Радиус (ед.)
+     */
+    getSurfaceRadius(direction) {
+        return this.radius + this.getHeight(direction);
+    }
+
+    /**
+     * Смещенная по карте высот геометрия сферы (создается при первом запросе)
+     * @returns {THREE.BufferGeometry} Геометрия с рельефом
+     */
+    getGeometry() {
+        if (this.geometry) return this.geometry;
+
+        const geometry = new THREE.SphereGeometry(this.radius, this.segments, this.segments / 2);
+        const positions = geometry.attributes.position;
+        const direction = new THREE.Vector3();
+
+        for (let i = 0; i < positions.count; i++) {
+            direction.fromBufferAttribute(positions, i).normalize();
+            const surfaceRadius = this.getSurfaceRadius(direction);
+            positions.setXYZ(i, direction.x * surfaceRadius, direction.y * surfaceRadius, direction.z * surfaceRadius);
+        }
+        geometry.computeVertexNormals();
+
+        this.geometry = geometry;
+        return geometry;
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        if (this.geometry) {
+            this.geometry.dispose();
+            this.geometry = null;
+        }
+    }
+}
@@ -1,4 +1,9 @@
 import * as THREE from 'three';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+
+// Временные объекты для расчетов без лишних аллокаций
+const _rotationStep = new THREE.Quaternion();
+const _axis = new THREE.Vector3();
 
 /**
  * Космический корабль - базовый класс для игровых объектов
@@ -7,9 +12,45 @@ export class SpaceShip {
     constructor() {
         this.mesh = null;
         this.velocity = new THREE.Vector3();
-        this.acceleration = new THREE.Vector3();
+        this.acceleration = new THREE.Vector3(); // Ускорение на последнем шаге
+        this.pendingAcceleration = new THREE.Vector3(); // Тяга, накопленная до следующего шага
+        this.pendingForce = 0; // Суммарная тяга двигателей до следующего шага (для расхода топлива)
         this.maxSpeed = 100;
-        this.thrust = 50;
+        
+        // Тяга двигателей (кН): ускорение зависит от текущей массы корабля
+        this.thrust = 500;
+        this.strafeThrust = 200; // Тяга маневровых двигателей
+        this.rcsThrust = 300; // Торможение маневровыми двигателями
+        
+        // Масса и топливо (т), скорость истечения (ед/с)
+        this.dryMass = 6;
+        this.maxFuelMass = 4;
+        this.fuelMass = this.maxFuelMass;
+        this.exhaustVelocity = 3000;
+        
+        // Вращение в локальных осях: x - тангаж, y - рыскание, z - крен (рад/с)
+        this.angularVelocity = new THREE.Vector3();
+        this.angularAcceleration = new THREE.Vector3();
+        this.pendingAngularAcceleration = new THREE.Vector3();
+        this.angularThrust = 2.0; // Угловое ускорение (рад/с²)
+        this.maxAngularSpeed = 2.0;
+        
+        // Модель полета: 'newtonian' - чистая инерция, 'arcade' - с демпфированием
+        this.flightModel = 'arcade';
+        this.linearDamping = 1.5;
+        this.angularDamping = 4.0;
+        this.isBraking = false;
+        
+        // Линейное движение интегрирует гравитационная симуляция, корабль задает только тягу
+        this.isPhysicsDriven = false;
+        
+        // Выпуклые оболочки частей корабля для столкновений (в локальных координатах корабля)
+        this.collisionHulls = [];
+        this.boundingRadius = 0;
+        
+        // Состояние после столкновений: разрушен или стоит на поверхности тела
+        this.isDestroyed = false;
+        this.landedOn = null;
         
         this.init();
     }
@@ -19,6 +60,7 @@ export class SpaceShip {
      */
     init() {
         this.createSpaceShip();
+        this.createCollisionHulls();
         console.log('🚀 Космический корабль создан');
     }
 
@@ -33,6 +75,7 @@ export class SpaceShip {
         const bodyGeometry = new THREE.ConeGeometry(1, 4, 8);
         const bodyMaterial = new THREE.MeshPhongMaterial({ color: 0x666666 });
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.name = 'Корпус';
         body.rotation.x = Math.PI / 2;
         group.add(body);
 
@@ -40,6 +83,7 @@ export class SpaceShip {
         const wingGeometry = new THREE.BoxGeometry(3, 0.2, 1);
         const wingMaterial = new THREE.MeshPhongMaterial({ color: 0x444444 });
         const wings = new THREE.Mesh(wingGeometry, wingMaterial);
+        wings.name = 'Крылья';
         wings.position.z = -1;
         group.add(wings);
 
@@ -48,11 +92,13 @@ export class SpaceShip {
         const engineMaterial = new THREE.MeshPhongMaterial({ color: 0x333333 });
         
         const leftEngine = new THREE.Mesh(engineGeometry, engineMaterial);
+        leftEngine.name = 'Левый двигатель';
         leftEngine.position.set(-1.5, 0, -2);
         leftEngine.rotation.x = Math.PI / 2;
         group.add(leftEngine);
 
         const rightEngine = new THREE.Mesh(engineGeometry, engineMaterial);
+        rightEngine.name = 'Правый двигатель';
         rightEngine.position.set(1.5, 0, -2);
         rightEngine.rotation.x = Math.PI / 2;
         group.add(rightEngine);
@@ -61,6 +107,52 @@ export class SpaceShip {
         this.mesh.name = 'SpaceShip';
     }
 
+    /**
+     * Построение выпуклых оболочек частей корабля
+     *
+     * Для каждой части хранятся вершины, ребра и плоскости граней оболочки
+     * в системе координат корабля; нормали граней направлены наружу.
+     */
+    createCollisionHulls() {
+        this.collisionHulls = [];
+        this.boundingRadius = 0;
+        
+        this.mesh.children.forEach(part => {
+            if (!part.isMesh) return;
+            
+            part.updateMatrix();
+            const positions = part.geometry.attributes.position;
+            const points = [];
+            for (let i = 0; i < positions.count; i++) {
+                points.push(new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(part.matrix));
+            }
+            
+            const hull = new ConvexHull().setFromPoints(points);
+            const vertices = hull.vertices.map(vertex => vertex.point.clone());
+            const edges = [];
+            const planes = hull.faces.map(face => {
+                // Обход полуребер грани: каждое ребро учитывается один раз
+                let edge = face.edge;
+                do {
+                    const head = hull.vertices.indexOf(edge.head());
+                    const tail = hull.vertices.indexOf(edge.tail());
+                    if (head < tail) {
+                        edges.push([tail, head]);
+                    }
+                    edge = edge.next;
+                } while (edge !== face.edge);
+                
+                return new THREE.Plane(face.normal.clone(), -face.constant);
+            });
+            
+            vertices.forEach(vertex => {
+                this.boundingRadius = Math.max(this.boundingRadius, vertex.length());
+            });
+            
+            this.collisionHulls.push({ name: part.name, vertices, edges, planes });
+        });
+    }
+
     /**
      * Установка позиции корабля
      * @param {number} x - X координата
@@ -75,19 +167,101 @@ export class SpaceShip {
 
     /**
      * Обновление корабля
-     * @param {number} deltaTime - Время с последнего кадра
+     * @param {number} deltaTime - Реальное время с последнего кадра, не меньше нуля
      */
     update(deltaTime) {
+        if (this.isDestroyed) {
+            this.pendingAcceleration.set(0, 0, 0);
+            this.pendingAngularAcceleration.set(0, 0, 0);
+            this.pendingForce = 0;
+            return;
+        }
+        
+        // Тяга действует в течение одного шага и задается заново каждый кадр
+        this.acceleration.copy(this.pendingAcceleration);
+        this.angularAcceleration.copy(this.pendingAngularAcceleration);
+        const force = this.pendingForce;
+        this.pendingAcceleration.set(0, 0, 0);
+        this.pendingAngularAcceleration.set(0, 0, 0);
+        this.pendingForce = 0;
+        
+        const hasThrust = this.acceleration.lengthSq() > 0;
+        const hasTorque = this.angularAcceleration.lengthSq() > 0;
+        
+        const integrateLinear = !this.isPhysicsDriven;
+        
+        // Расход топлива по уравнению Циолковского: dm/dt = F / v_e
+        if (this.consumesFuel()) {
+            this.burnFuel(force, deltaTime);
+        }
+        
         // Базовая физика движения
-        this.velocity.add(this.acceleration.clone().multiplyScalar(deltaTime));
-        this.velocity.clampLength(0, this.maxSpeed);
+        if (integrateLinear) {
+            this.velocity.addScaledVector(this.acceleration, deltaTime);
+        }
+        this.angularVelocity.addScaledVector(this.angularAcceleration, deltaTime);
+        
+        // Торможение маневровыми двигателями (RCS)
+        if (this.isBraking) {
+            this.applyBraking(deltaTime);
+        }
+        
+        // Аркадная модель: автоматическое гашение скорости без управляющих воздействий
+        if (this.flightModel === 'arcade') {
+            if (!hasThrust && integrateLinear) {
+                this.velocity.multiplyScalar(Math.exp(-this.linearDamping * deltaTime));
+            }
+            if (!hasTorque) {
+                this.angularVelocity.multiplyScalar(Math.exp(-this.angularDamping * deltaTime));
+            }
+            if (integrateLinear) {
+                this.velocity.clampLength(0, this.maxSpeed);
+            }
+        }
+        this.angularVelocity.clampLength(0, this.maxAngularSpeed);
         
         if (this.mesh) {
-            this.mesh.position.add(this.velocity.clone().multiplyScalar(deltaTime));
+            if (integrateLinear) {
+                this.mesh.position.addScaledVector(this.velocity, deltaTime);
+            }
+            
+            // Поворот в локальных осях корабля
+            const angle = this.angularVelocity.length() * deltaTime;
+            if (angle !== 0) {
+                _axis.copy(this.angularVelocity).normalize();
+                _rotationStep.setFromAxisAngle(_axis, angle);
+                this.mesh.quaternion.multiply(_rotationStep).normalize();
+            }
         }
+    }
 
-        // Затухание ускорения
-        this.acceleration.multiplyScalar(0.9);
+    /**
+     * Торможение линейного и углового движения
+     * @param {number} deltaTime - Время шага
+     */
+    applyBraking(deltaTime) {
+        const speed = this.velocity.length();
+        if (speed > 0) {
+            const consumesFuel = this.consumesFuel();
+            const maxDeceleration = consumesFuel && this.fuelMass <= 0 ? 0 : this.rcsThrust / this.getMass();
+            const deceleration = deltaTime > 0 ? Math.min(maxDeceleration, speed / deltaTime) : 0;
+            
+            if (consumesFuel) {
+                this.burnFuel(deceleration * this.getMass(), deltaTime);
+            }
+            
+            if (this.isPhysicsDriven) {
+                // Скоростью управляет симуляция - торможение передается ей как ускорение
+                this.acceleration.addScaledVector(this.velocity, -deceleration / speed);
+            } else {
+                this.velocity.multiplyScalar((speed - deceleration * deltaTime) / speed);
+            }
+        }
+        
+        const angularSpeed = this.angularVelocity.length();
+        if (angularSpeed > 0) {
+            this.angularVelocity.multiplyScalar(Math.max(0, angularSpeed - this.angularThrust * deltaTime) / angularSpeed);
+        }
     }
 
     /**
@@ -103,8 +277,195 @@ export class SpaceShip {
      * @param {THREE.Vector3} direction - Направление тяги
      */
     applyThrust(direction) {
-        const force = direction.clone().normalize().multiplyScalar(this.thrust);
-        this.acceleration.add(force);
+        if (!this.canThrust()) return;
+        
+        const force = direction.clone().normalize().multiplyScalar(this.thrust / this.getMass());
+        this.pendingAcceleration.add(force);
+        this.pendingForce += this.thrust;
+    }
+
+    /**
+     * Применить тягу в локальных осях корабля
+     * @param {THREE.Vector3} localDirection - Направление (x - вправо, y - вверх, z - вперед)
+     * @param {number} magnitude - Сила тяги (кН)
+     */
+    applyLocalThrust(localDirection, magnitude) {
+        if (localDirection.lengthSq() === 0 || !this.canThrust()) return;
+        
+        const force = localDirection.clone().normalize().applyQuaternion(this.mesh.quaternion);
+        this.pendingAcceleration.addScaledVector(force, magnitude / this.getMass());
+        this.pendingForce += magnitude;
+    }
+
+    /**
+     * Расходуется ли топливо: аркадная модель без гравитации летает бесплатно
+     * @returns {boolean} Расходуется ли топливо
+     */
+    consumesFuel() {
+        return this.flightModel === 'newtonian' || this.isPhysicsDriven;
+    }
+
+    /**
+     * Могут ли двигатели создавать тягу
+     * @returns {boolean} Есть ли топливо (или оно не расходуется)
+     */
+    canThrust() {
+        if (this.isDestroyed) return false;
+        return this.fuelMass > 0 || !this.consumesFuel();
+    }
+
+    /**
+     * Сжечь топливо
+     * @param {number} force - Сила тяги (кН)
+     * @param {number} deltaTime - Время работы двигателей (с)
+     */
+    burnFuel(force, deltaTime) {
+        this.fuelMass = Math.max(0, this.fuelMass - (force * deltaTime) / this.exhaustVelocity);
+    }
+
+    /**
+     * Текущая масса корабля
+     * @returns {number} Масса (т)
+     */
+    getMass() {
+        return this.dryMass + this.fuelMass;
+    }
+
+    /**
+     * Запас характеристической скорости по формуле Циолковского
+     * @returns {number} Delta-v (ед/с)
+     */
+    getDeltaVBudget() {
+        return this.exhaustVelocity * Math.log(this.getMass() / this.dryMass);
+    }
+
+    /**
+     * Время работы основного двигателя для набора скорости
+     * @param {number} deltaV - Требуемое изменение скорости (ед/с)
+     * @returns {number} Время (с), Infinity если топлива не хватит
+     */
+    getBurnTime(deltaV) {
+        if (deltaV > this.getDeltaVBudget()) return Infinity;
+        
+        const initialMass = this.getMass();
+        const finalMass = initialMass * Math.exp(-deltaV / this.exhaustVelocity);
+        return ((initialMass - finalMass) * this.exhaustVelocity) / this.thrust;
+    }
+
+    /**
+     * Заправить корабль
+     * @param {number} [amount] - Масса топлива (т), по умолчанию до полного бака
+     */
+    refuel(amount = this.maxFuelMass) {
+        this.fuelMass = Math.min(this.maxFuelMass, this.fuelMass + amount);
+    }
+
+    /**
+     * Разрушение корабля при столкновении
+     */
+    destroy() {
+        this.isDestroyed = true;
+        this.landedOn = null;
+        this.mesh.visible = false;
+        this.velocity.set(0, 0, 0);
+        this.acceleration.set(0, 0, 0);
+        this.angularVelocity.set(0, 0, 0);
+    }
+
+    /**
+     * Возрождение корабля с полным баком
+     * @param {THREE.Vector3} position - Точка появления
+     */
+    respawn(position) {
+        this.isDestroyed = false;
+        this.landedOn = null;
+        this.mesh.visible = true;
+        this.mesh.position.copy(position);
+        this.mesh.quaternion.identity();
+        this.velocity.set(0, 0, 0);
+        this.acceleration.set(0, 0, 0);
+        this.angularVelocity.set(0, 0, 0);
+        this.refuel();
+    }
+
+    /**
+     * Применить вращающее воздействие
+     * @param {number} pitch - Тангаж (от -1 до 1)
+     * @param {number} yaw - Рыскание (от -1 до 1)
+     * @param {number} roll - Крен (от -1 до 1)
+     */
+    applyRotation(pitch, yaw, roll) {
+        this.pendingAngularAcceleration.x += pitch * this.angularThrust;
+        this.pendingAngularAcceleration.y += yaw * this.angularThrust;
+        this.pendingAngularAcceleration.z += roll * this.angularThrust;
+    }
+
+    /**
+     * Включить/выключить торможение маневровыми двигателями
+     * @param {boolean} braking - Торможение
+     */
+    setBraking(braking) {
+        this.isBraking = braking;
+    }
+
+    /**
+     * Установить модель полета
+     * @param {string} model - 'newtonian' или 'arcade'
+     */
+    setFlightModel(model) {
+        this.flightModel = model;
+    }
+
+    /**
+     * Получить направление носа корабля в мировых координатах
+     * @returns {THREE.Vector3} Направление вперед
+     */
+    getForward() {
+        return new THREE.Vector3(0, 0, 1).applyQuaternion(this.mesh.quaternion);
+    }
+
+    /**
+     * Сериализация состояния корабля
+     * @returns {Object} Состояние для сохранения
+     */
+    serialize() {
+        return {
+            position: this.mesh.position.toArray(),
+            quaternion: this.mesh.quaternion.toArray(),
+            velocity: this.velocity.toArray(),
+            acceleration: this.acceleration.toArray(),
+            angularVelocity: this.angularVelocity.toArray(),
+            flightModel: this.flightModel,
+            fuelMass: this.fuelMass,
+            isDestroyed: this.isDestroyed,
+            landedOn: this.landedOn ? this.landedOn.name : null
+        };
+    }
+
+    /**
+     * Восстановление состояния корабля
+     * @param {Object} data - Сохраненное состояние
+     * @param {Function} [resolveBody] - Поиск тела по имени для восстановления посадки
+     */
+    deserialize(data, resolveBody = () => null) {
+        this.mesh.position.fromArray(data.position);
+        this.mesh.quaternion.fromArray(data.quaternion);
+        this.velocity.fromArray(data.velocity);
+        this.acceleration.fromArray(data.acceleration);
+        
+        if (data.angularVelocity) {
+            this.angularVelocity.fromArray(data.angularVelocity);
+        }
+        if (data.flightModel) {
+            this.flightModel = data.flightModel;
+        }
+        if (data.fuelMass !== undefined) {
+            this.fuelMass = data.fuelMass;
+        }
+        
+        this.isDestroyed = Boolean(data.isDestroyed);
+        this.mesh.visible = !this.isDestroyed;
+        this.landedOn = data.landedOn ? resolveBody(data.landedOn) : null;
     }
 
     /**
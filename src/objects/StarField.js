@@ -1,19 +1,27 @@
 import * as THREE from 'three';
+import { Random } from '../core/Random.js';
 
 /**
  * Звездное поле - создает фон из мерцающих звезд
  */
 export class StarField {
-    constructor(starCount = 15000) {
+    /**
+     * @param {number} starCount - Количество звезд
+     * @param {Object} options - Параметры {minRadius, maxRadius, twinkleSpeed, twinkleIntensity, random}
+     */
+    constructor(starCount = 15000, options = {}) {
         this.starCount = starCount;
+        this.minRadius = options.minRadius !== undefined ? options.minRadius : 2000;
+        this.maxRadius = options.maxRadius !== undefined ? options.maxRadius : 5000;
+        this.random = options.random || new Random(); // Генератор расположения звезд
         this.mesh = null;
         this.geometry = null;
         this.material = null;
         this.time = 0;
         
         // Параметры анимации
-        this.twinkleSpeed = 2.0;
-        this.twinkleIntensity = 0.5;
+        this.twinkleSpeed = options.twinkleSpeed !== undefined ? options.twinkleSpeed : 2.0;
+        this.twinkleIntensity = options.twinkleIntensity !== undefined ? options.twinkleIntensity : 0.5;
         
         this.init();
     }
@@ -32,6 +40,9 @@ export class StarField {
     createStars() {
         this.geometry = new THREE.BufferGeometry();
         
+        // Ответвление не сдвигает генератор поля: при смене количества первые звезды остаются на местах
+        const rng = this.random.fork('stars');
+        
         // Массивы для позиций, цветов и размеров звезд
         const positions = new Float32Array(this.starCount * 3);
         const colors = new Float32Array(this.starCount * 3);
@@ -53,32 +64,32 @@ export class StarField {
             const i3 = i * 3;
             
             // Случайные позиции в сфере большого радиуса
-            const radius = 2000 + Math.random() * 3000;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+            const radius = rng.range(this.minRadius, this.maxRadius);
+            const theta = rng.next() * Math.PI * 2;
+            const phi = Math.acos(2 * rng.next() - 1);
             
             positions[i3] = radius * Math.sin(phi) * Math.cos(theta);
             positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
             positions[i3 + 2] = radius * Math.cos(phi);
             
             // Случайный цвет звезды
-            const color = starColors[Math.floor(Math.random() * starColors.length)];
+            const color = rng.pick(starColors);
             colors[i3] = color.r;
             colors[i3 + 1] = color.g;
             colors[i3 + 2] = color.b;
             
             // Случайный размер звезды (больше звезды встречаются реже)
-            const random = Math.random();
+            const random = rng.next();
             if (random < 0.1) {
-                sizes[i] = 3 + Math.random() * 2; // Большие звезды
+                sizes[i] = 3 + rng.next() * 2; // Большие звезды
             } else if (random < 0.3) {
-                sizes[i] = 2 + Math.random() * 1; // Средние звезды
+                sizes[i] = 2 + rng.next() * 1; // Средние звезды
             } else {
-                sizes[i] = 1 + Math.random() * 1; // Маленькие звезды
+                sizes[i] = 1 + rng.next() * 1; // Маленькие звезды
             }
             
             // Случайная фаза мерцания
-            phases[i] = Math.random() * Math.PI * 2;
+            phases[i] = rng.next() * Math.PI * 2;
         }
 
         // Установка атрибутов геометрии
@@ -132,7 +143,9 @@ export class StarField {
                 
                 vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
                 gl_PointSize = size * twinkle * (300.0 / -mvPosition.z);
-                gl_Position = projectionMatrix * mvPosition;
+                
+                // Звезды на дальней плоскости: за любыми телами при любом масштабе и буфере глубины
+                gl_Position = (projectionMatrix * mvPosition).xyww;
             }
         `;
     }
@@ -175,6 +188,14 @@ export class StarField {
         }
     }
 
+    /**
+     * Перенести центр звездного поля (поле следует за камерой, чтобы звезды не приближались)
+     * @param {THREE.Vector3} position - Новый центр
+     */
+    setCenter(position) {
+        this.mesh.position.copy(position);
+    }
+
     /**
      * Получить меш звездного поля
      * @returns {THREE.Points} Меш звездного поля
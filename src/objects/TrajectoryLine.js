@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+
+/**
+ * Линия прогноза траектории корабля с отметками перицентра, апоцентра,
+ * максимального сближения и точки удара
+ */
+export class TrajectoryLine {
+    /**
+     * @param {number} maxPoints - Максимальное количество точек линии
+     * @param {number} color - Цвет линии
+     */
+    constructor(maxPoints = 512, color = 0x00ff88) {
+        this.maxPoints = maxPoints;
+        this.color = color;
+        this.group = new THREE.Group();
+        this.group.name = 'TrajectoryLine';
+        this.group.visible = false;
+
+        this.line = null;
+        this.markers = {};
+
+        this.init();
+    }
+
+    /**
+     * Инициализация линии и отметок
+     */
+    init() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.maxPoints * 3), 3));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.LineBasicMaterial({
+            color: this.color,
+            transparent: true,
+            opacity: 0.8
+        });
+
+        this.line = new THREE.Line(geometry, material);
+        this.line.frustumCulled = false;
+        this.group.add(this.line);
+
+        this.markers = {
+            periapsis: this.createMarker('Пе', '#00aaff'),
+            apoapsis: this.createMarker('Ап', '#ffaa00'),
+            closestApproach: this.createMarker('Сб', '#ff66ff'),
+            impact: this.createMarker('✕', '#ff3333')
+        };
+        Object.values(this.markers).forEach(marker => this.group.add(marker));
+    }
+
+    /**
+     * Создание отметки - спрайт постоянного экранного размера с подписью
+     * @param {string} label - Подпись
+     * @param {string} color - Цвет CSS
+     * @returns {THREE.Sprite} Отметка
+     */
+    createMarker(label, color) {
+        const size = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(size / 2, size / 2, size / 2 - 4, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = color;
+        ctx.font = 'bold 24px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, size / 2, size / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            sizeAttenuation: false,
+            depthTest: false,
+            transparent: true
+        });
+
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.setScalar(0.04);
+        sprite.renderOrder = 1;
+        sprite.visible = false;
+        return sprite;
+    }
+
+    /**
+     * Обновление линии по прогнозу
+     * @param {TrajectoryPredictor} predictor - Прогноз траектории
+     */
+    update(predictor) {
+        this.group.visible = predictor.enabled;
+        if (!predictor.enabled) return;
+
+        const points = predictor.getPathPoints();
+        const count = Math.min(points.length, this.maxPoints);
+        const positions = this.line.geometry.attributes.position;
+
+        for (let i = 0; i < count; i++) {
+            positions.setXYZ(i, points[i].x, points[i].y, points[i].z);
+        }
+        positions.needsUpdate = true;
+        this.line.geometry.setDrawRange(0, count);
+
+        this.updateMarker(this.markers.periapsis, predictor.periapsis);
+        this.updateMarker(this.markers.apoapsis, predictor.apoapsis);
+        this.updateMarker(this.markers.closestApproach, predictor.closestApproach);
+        this.updateMarker(this.markers.impact, predictor.impact);
+    }
+
+    /**
+     * Обновление отметки
+     * @param {THREE.Sprite} marker - Отметка
+     * @param {Object|null} data - Данные отметки {position}
+     */
+    updateMarker(marker, data) {
+        marker.visible = Boolean(data);
+        if (data) {
+            marker.position.copy(data.position);
+        }
+    }
+
+    /**
+     * Получить группу линии
+     * @returns {THREE.Group} Группа
+     */
+    getMesh() {
+        return this.group;
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        this.line.geometry.dispose();
+        this.line.material.dispose();
+        Object.values(this.markers).forEach(marker => {
+            marker.material.map.dispose();
+            marker.material.dispose();
+        });
+    }
+}
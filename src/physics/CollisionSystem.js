@@ -0,0 +1,514 @@
+import * as THREE from 'three';
+import { SpatialHashGrid } from './SpatialHashGrid.js';
+
+// Толщина колец как доля радиуса планеты
+const RING_THICKNESS = 0.02;
+
+// Временные объекты для расчетов без лишних аллокаций
+const _plane = new THREE.Plane();
+const _normalMatrix = new THREE.Matrix3();
+const _inverseMatrix = new THREE.Matrix4();
+const _hullToRings = new THREE.Matrix4();
+const _relativeStart = new THREE.Vector3();
+const _relativeEnd = new THREE.Vector3();
+const _relativeVelocity = new THREE.Vector3();
+const _bodyQuaternion = new THREE.Quaternion();
+const _rotationStep = new THREE.Quaternion();
+
+/**
+ * Подсистема столкновений корабля с телами и кольцами
+ *
+ * Широкая фаза - пространственная хеш-сетка по ограничивающим сферам тел.
+ * Узкая фаза: ограничивающая сфера тела против выпуклых оболочек частей корабля
+ * и кольцо (плоское кольцо между внутренним и внешним радиусом) против ребер оболочек.
+ * Чтобы быстрый корабль не проскакивал тела за кадр, движение относительно тела
+ * проверяется отрезком от прошлого положения.
+ *
+ * Реакции: 'bounce' - отскок с коэффициентом восстановления, 'destroy' - разрушение,
+ * 'land' - посадка, если относительная скорость не больше maxLandingSpeed, иначе разрушение.
+ * На кольца сесть нельзя - посадка на них заменяется отскоком.
+ */
+export class CollisionSystem {
+    /**
+     * @param {Object} options - Параметры {enabled, response, restitution, maxLandingSpeed, cellSize}
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : true;
+        this.response = options.response || 'land';
+        this.restitution = options.restitution !== undefined ? options.restitution : 0.5;
+        this.maxLandingSpeed = options.maxLandingSpeed !== undefined ? options.maxLandingSpeed : 5;
+
+        this.cellSize = options.cellSize || 50;
+        this.grid = new SpatialHashGrid(this.cellSize);
+        this.colliders = [];
+        this.spaceShip = null;
+
+        // Положение корабля на прошлом кадре для проверки отрезком
+        this.previousShipPosition = new THREE.Vector3();
+        this.hasPreviousState = false;
+
+        // Посадка: {collider, localPosition, bodyQuaternion}
+        this.landing = null;
+
+        // Колбэки событий столкновений
+        this.callbacks = {
+            collision: [],
+            takeoff: []
+        };
+    }
+
+    /**
+     * Установить тела сцены
+     * @param {Planet[]} bodies - Все тела, включая спутники
+     */
+    setBodies(bodies) {
+        this.colliders = bodies.filter(body => body.mesh).map(body => {
+            const ringParameters = body.rings ? body.rings.geometry.parameters : null;
+            return {
+                body,
+                radius: body.radius,
+                ringInnerRadius: ringParameters ? ringParameters.innerRadius : 0,
+                ringOuterRadius: ringParameters ? ringParameters.outerRadius : 0,
+                boundingRadius: ringParameters ? ringParameters.outerRadius : body.radius,
+                center: new THREE.Vector3(),
+                previousCenter: new THREE.Vector3(),
+                velocity: new THREE.Vector3()
+            };
+        });
+
+        // Ячейка не меньше крупнейшего тела, чтобы в реальном масштабе звезда не занимала тысячи ячеек
+        const largest = Math.max(0, ...this.colliders.map(collider => collider.boundingRadius));
+        this.grid.cellSize = Math.max(this.cellSize, largest);
+        this.grid.clear();
+        this.hasPreviousState = false;
+    }
+
+    /**
+     * Установить корабль
+     * @param {SpaceShip} spaceShip - Корабль
+     */
+    setSpaceShip(spaceShip) {
+        this.spaceShip = spaceShip;
+        this.reset();
+    }
+
+    /**
+     * Сброс посадки и истории положений (после телепортации или возрождения корабля)
+     */
+    reset() {
+        this.landing = null;
+        this.hasPreviousState = false;
+        if (this.spaceShip) {
+            this.spaceShip.landedOn = null;
+        }
+    }
+
+    /**
+     * Перенос истории положений при сдвиге начала координат
+     * Посадка хранится в осях тела и сдвига не требует
+     * @param {THREE.Vector3} delta - Сдвиг мира
+     */
+    shiftOrigin(delta) {
+        this.previousShipPosition.add(delta);
+        this.colliders.forEach(collider => {
+            collider.center.add(delta);
+            collider.previousCenter.add(delta);
+        });
+    }
+
+    /**
+     * Реакция на столкновение с телом
+     * @param {Object} collider - Тело
+     * @param {string} surface - 'surface' или 'rings'
+     * @returns {string} 'bounce', 'destroy' или 'land'
+     */
+    getResponse(collider, surface) {
+        const response = collider.body.collisionResponse || this.response;
+        return surface === 'rings' && response === 'land' ? 'bounce' : response;
+    }
+
+    /**
+     * Обновление столкновений
+     * @param {SimulationClock} clock - Часы симуляции
+     * @returns {boolean} Изменилось ли состояние корабля (нужно передать его гравитационной симуляции)
+     */
+    update(clock) {
+        const ship = this.spaceShip;
+        if (!this.enabled || !ship || ship.isDestroyed) {
+            this.hasPreviousState = false;
+            return false;
+        }
+
+        // Без хода времени ни корабль, ни тела не двигаются
+        const deltaTime = clock.animationDelta;
+        if (deltaTime === 0) return false;
+
+        this.updateColliders(deltaTime);
+
+        let changed = false;
+        if (this.landing) {
+            changed = this.updateLanding();
+        } else {
+            changed = this.detectCollisions();
+        }
+
+        this.previousShipPosition.copy(ship.mesh.position);
+        this.hasPreviousState = true;
+        return changed;
+    }
+
+    /**
+     * Обновление положений и скоростей тел
+     * @param {number} deltaTime - Реальное время шага (с)
+     */
+    updateColliders(deltaTime) {
+        this.colliders.forEach(collider => {
+            collider.previousCenter.copy(collider.center);
+            collider.body.mesh.getWorldPosition(collider.center);
+            if (collider.body.rings) {
+                collider.body.rings.updateWorldMatrix(true, false);
+            }
+
+            // Скорость тела в реальных единицах - в тех же, что и скорость корабля
+            if (this.hasPreviousState) {
+                collider.velocity.subVectors(collider.center, collider.previousCenter).divideScalar(deltaTime);
+            } else {
+                collider.previousCenter.copy(collider.center);
+                collider.velocity.set(0, 0, 0);
+            }
+        });
+    }
+
+    /**
+     * Поиск и обработка столкновений
+     * @returns {boolean} Изменилось ли состояние корабля
+     */
+    detectCollisions() {
+        const ship = this.spaceShip;
+        const start = this.hasPreviousState ? this.previousShipPosition : ship.mesh.position;
+        const end = ship.mesh.position;
+
+        // Широкая фаза: тела рядом с отрезком движения корабля за кадр
+        this.grid.clear();
+        this.colliders.forEach(collider => {
+            this.grid.insert(collider, collider.center, collider.boundingRadius);
+        });
+        const queryCenter = start.clone().add(end).multiplyScalar(0.5);
+        const queryRadius = start.distanceTo(end) / 2 + ship.boundingRadius;
+        const candidates = this.grid.query(queryCenter, queryRadius);
+
+        for (const collider of candidates) {
+            // Проверка отрезком: корабль возвращается в точку входа в тело, если проскочил его за кадр
+            this.sweep(collider, start);
+
+            ship.mesh.updateMatrixWorld();
+            const contact = this.testSurface(collider) || this.testRings(collider, start);
+            if (contact) {
+                this.respond(collider, contact);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Проверка отрезком движения корабля относительно тела
+     * @param {Object} collider - Тело
+     * @param {THREE.Vector3} start - Положение корабля на прошлом кадре
+     */
+    sweep(collider, start) {
+        const position = this.spaceShip.mesh.position;
+        _relativeStart.subVectors(start, collider.previousCenter);
+        _relativeEnd.subVectors(position, collider.center);
+
+        // Пересечение отрезка с поверхностью тела
+        const t = this.intersectSegmentSphere(_relativeStart, _relativeEnd, collider.radius);
+        if (t !== null) {
+            position.copy(collider.center).add(_relativeStart.lerp(_relativeEnd, t));
+            return;
+        }
+
+        // Пересечение плоскости колец в пределах колец
+        if (collider.ringOuterRadius > 0) {
+            const rings = collider.body.rings;
+            _inverseMatrix.copy(rings.matrixWorld).invert();
+            const localStart = _relativeStart.add(collider.center).applyMatrix4(_inverseMatrix);
+            const localEnd = _relativeEnd.copy(position).applyMatrix4(_inverseMatrix);
+            if (localStart.z * localEnd.z < 0) {
+                const crossing = localStart.lerp(localEnd, localStart.z / (localStart.z - localEnd.z));
+                const radius = Math.hypot(crossing.x, crossing.y);
+                if (radius >= collider.ringInnerRadius && radius <= collider.ringOuterRadius) {
+                    position.copy(crossing.applyMatrix4(rings.matrixWorld));
+                }
+            }
+        }
+    }
+
+    /**
+     * Параметр входа отрезка в сферу с центром в начале координат
+     * @param {THREE.Vector3} start - Начало отрезка
+     * @param {THREE.Vector3} end - Конец отрезка
+     * @param {number} radius - Радиус сферы
+     * @returns {number|null} Доля отрезка до точки входа или null
+     */
+    intersectSegmentSphere(start, end, radius) {
+        const c = start.lengthSq() - radius * radius;
+        if (c <= 0) return null; // Начало уже внутри - это обычное касание
+
+        const direction = end.clone().sub(start);
+        const a = direction.lengthSq();
+        if (a === 0) return null;
+
+        const b = start.dot(direction);
+        const discriminant = b * b - a * c;
+        if (discriminant < 0) return null;
+
+        const t = (-b - Math.sqrt(discriminant)) / a;
+        return t >= 0 && t <= 1 ? t : null;
+    }
+
+    /**
+     * Узкая фаза: сфера тела против оболочек частей корабля
+     * @param {Object} collider - Тело
+     * @returns {Object|null} Контакт {surface, part, depth, normal, point}
+     */
+    testSurface(collider) {
+        const ship = this.spaceShip;
+        const matrix = ship.mesh.matrixWorld;
+        _normalMatrix.getNormalMatrix(matrix);
+
+        // Радиус поверхности под кораблем - с учетом рельефа, если он показан
+        const radius = collider.body.getSurfaceRadiusAt(ship.mesh.position);
+
+        let contact = null;
+        ship.collisionHulls.forEach(hull => {
+            // Расстояние от центра тела до оболочки - наибольшее по плоскостям граней
+            let distance = -Infinity;
+            hull.planes.forEach(plane => {
+                _plane.copy(plane).applyMatrix4(matrix, _normalMatrix);
+                distance = Math.max(distance, _plane.distanceToPoint(collider.center));
+            });
+
+            const depth = radius - distance;
+            if (depth > 0 && (!contact || depth > contact.depth)) {
+                contact = { surface: 'surface', part: hull.name, depth };
+            }
+        });
+
+        if (contact) {
+            contact.normal = ship.mesh.position.clone().sub(collider.center).normalize();
+            contact.point = collider.center.clone().addScaledVector(contact.normal, radius);
+        }
+        return contact;
+    }
+
+    /**
+     * Узкая фаза: кольца против ребер и вершин оболочек корабля
+     * @param {Object} collider - Тело
+     * @param {THREE.Vector3} start - Положение корабля на прошлом кадре (задает сторону колец)
+     * @returns {Object|null} Контакт {surface, part, depth, normal, point}
+     */
+    testRings(collider, start) {
+        if (collider.ringOuterRadius === 0) return null;
+
+        const ship = this.spaceShip;
+        const rings = collider.body.rings;
+        const thickness = collider.radius * RING_THICKNESS;
+        _inverseMatrix.copy(rings.matrixWorld).invert();
+        _hullToRings.multiplyMatrices(_inverseMatrix, ship.mesh.matrixWorld);
+
+        // Сторона колец, с которой подлетает корабль (прошлое положение относительно тела)
+        const approach = start.clone().sub(collider.previousCenter).add(collider.center).applyMatrix4(_inverseMatrix);
+        const side = Math.sign(approach.z) || 1;
+        const inRing = (point) => {
+            const radius = Math.hypot(point.x, point.y);
+            return radius >= collider.ringInnerRadius && radius <= collider.ringOuterRadius;
+        };
+
+        let contact = null;
+        ship.collisionHulls.forEach(hull => {
+            const local = hull.vertices.map(vertex => vertex.clone().applyMatrix4(_hullToRings));
+            const hits = local.filter(point => Math.abs(point.z) <= thickness && inRing(point));
+
+            hull.edges.forEach(([a, b]) => {
+                if (local[a].z * local[b].z < 0) {
+                    const crossing = local[a].clone().lerp(local[b], local[a].z / (local[a].z - local[b].z));
+                    if (inRing(crossing)) {
+                        hits.push(crossing);
+                    }
+                }
+            });
+            if (hits.length === 0) return;
+
+            // Глубина - насколько оболочка зашла за плоскость колец с другой стороны
+            const depth = Math.max(0, ...local.map(point => -point.z * side)) + thickness;
+            if (!contact || depth > contact.depth) {
+                const point = hits.reduce((sum, hit) => sum.add(hit), new THREE.Vector3()).divideScalar(hits.length);
+                contact = { surface: 'rings', part: hull.name, depth, localPoint: point };
+            }
+        });
+
+        if (contact) {
+            contact.point = contact.localPoint.setZ(0).applyMatrix4(rings.matrixWorld);
+            delete contact.localPoint;
+            contact.normal = new THREE.Vector3(0, 0, side).transformDirection(rings.matrixWorld);
+        }
+        return contact;
+    }
+
+    /**
+     * Реакция на столкновение
+     * @param {Object} collider - Тело
+     * @param {Object} contact - Контакт
+     */
+    respond(collider, contact) {
+        const ship = this.spaceShip;
+        _relativeVelocity.subVectors(ship.velocity, collider.velocity);
+        const relativeSpeed = _relativeVelocity.length();
+
+        let response = this.getResponse(collider, contact.surface);
+        if (response === 'land' && relativeSpeed > this.maxLandingSpeed) {
+            response = 'destroy';
+        }
+
+        if (response === 'destroy') {
+            ship.destroy();
+            this.reset();
+        } else {
+            // Корабль выталкивается из тела вдоль нормали
+            ship.mesh.position.addScaledVector(contact.normal, contact.depth);
+
+            if (response === 'bounce') {
+                const normalSpeed = _relativeVelocity.dot(contact.normal);
+                if (normalSpeed < 0) {
+                    ship.velocity.addScaledVector(contact.normal, -(1 + this.restitution) * normalSpeed);
+                }
+            } else {
+                this.land(collider);
+            }
+        }
+
+        const event = {
+            body: collider.body,
+            surface: contact.surface,
+            part: contact.part,
+            response,
+            point: contact.point,
+            normal: contact.normal,
+            relativeSpeed
+        };
+        console.log(`💥 Столкновение: ${collider.body.name} (${contact.part}), ${response}`);
+        this.callbacks.collision.forEach(callback => callback(event));
+    }
+
+    /**
+     * Посадка на тело: корабль закрепляется в системе координат тела
+     * @param {Object} collider - Тело
+     */
+    land(collider) {
+        const ship = this.spaceShip;
+        const mesh = collider.body.mesh;
+
+        this.landing = {
+            collider,
+            localPosition: mesh.worldToLocal(ship.mesh.position.clone()),
+            bodyQuaternion: mesh.getWorldQuaternion(new THREE.Quaternion())
+        };
+        ship.landedOn = collider.body;
+        ship.velocity.copy(collider.velocity);
+        ship.angularVelocity.set(0, 0, 0);
+    }
+
+    /**
+     * Корабль на поверхности движется и вращается вместе с телом, пока тяга не оторвет его
+     * @returns {boolean} Изменилось ли состояние корабля
+     */
+    updateLanding() {
+        const ship = this.spaceShip;
+        const { collider } = this.landing;
+        const mesh = collider.body.mesh;
+
+        // Взлет - тяга от поверхности
+        const up = ship.mesh.position.clone().sub(collider.center).normalize();
+        if (ship.acceleration.dot(up) > 0) {
+            const body = collider.body;
+            this.reset();
+            this.callbacks.takeoff.forEach(callback => callback(body));
+            return false;
+        }
+
+        mesh.getWorldQuaternion(_bodyQuaternion);
+        _rotationStep.copy(this.landing.bodyQuaternion).invert().premultiply(_bodyQuaternion);
+        ship.mesh.quaternion.premultiply(_rotationStep);
+        this.landing.bodyQuaternion.copy(_bodyQuaternion);
+
+        ship.mesh.position.copy(mesh.localToWorld(this.landing.localPosition.clone()));
+        ship.velocity.copy(collider.velocity);
+        return true;
+    }
+
+    /**
+     * Добавить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    addCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            this.callbacks[eventType].push(callback);
+        }
+    }
+
+    /**
+     * Удалить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    removeCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            const index = this.callbacks[eventType].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[eventType].splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Сериализация посадки
+     * @returns {Object} {landedOn, localPosition}
+     */
+    serialize() {
+        return {
+            landedOn: this.landing ? this.landing.collider.body.name : null,
+            localPosition: this.landing ? this.landing.localPosition.toArray() : null
+        };
+    }
+
+    /**
+     * Восстановление посадки
+     * @param {Object} data - Сохраненное состояние
+     */
+    deserialize(data) {
+        // Без данных о посадке корабль садится на тело из своего сохранения
+        const shipBody = this.spaceShip ? this.spaceShip.landedOn : null;
+        const landedOn = data && data.landedOn ? data.landedOn : (shipBody ? shipBody.name : null);
+
+        this.reset();
+        if (!landedOn || !this.spaceShip) return;
+
+        const collider = this.colliders.find(item => item.body.name === landedOn);
+        if (!collider) return;
+
+        const mesh = collider.body.mesh;
+        mesh.updateWorldMatrix(true, false);
+
+        this.landing = {
+            collider,
+            localPosition: data && data.localPosition
+                ? new THREE.Vector3().fromArray(data.localPosition)
+                : mesh.worldToLocal(this.spaceShip.mesh.position.clone()),
+            bodyQuaternion: mesh.getWorldQuaternion(new THREE.Quaternion())
+        };
+        this.spaceShip.landedOn = collider.body;
+    }
+}
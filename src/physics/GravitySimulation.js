@@ -0,0 +1,450 @@
+import * as THREE from 'three';
+import { INTEGRATORS } from './Integrators.js';
+
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Гравитационный параметр (GM) одной массы Земли в единицах сцены (ед³/с²).
+ * Подобран так, чтобы Солнце (332 946 масс Земли) удерживало Землю на орбите
+ * радиусом 45 ед. с периодом в один год.
+ */
+export const DEFAULT_GRAVITATIONAL_PARAMETER =
+    (4 * Math.PI * Math.PI * Math.pow(45, 3)) / Math.pow(365.256 * SECONDS_PER_DAY, 2) / 332946;
+
+/**
+ * Гравитационная симуляция N тел
+ *
+ * Интегрирование идет во времени симуляции (секунды с учетом ускорения времени).
+ * Корабль живет в реальном времени, поэтому его скорость и тяга пересчитываются
+ * через текущее ускорение: v_сим = v / timeScale, a_сим = a / timeScale².
+ */
+export class GravitySimulation {
+    /**
+     * @param {Object} options - Параметры симуляции
+     * @param {string} [options.integrator='verlet'] - Интегратор: 'semi-implicit-euler', 'verlet' или 'rk4'
+     * @param {boolean} [options.integratePlanets=false] - Интегрировать планеты вместо орбит Кеплера
+     * @param {number} [options.gravitationalParameter] - GM одной массы Земли (ед³/с²)
+     * @param {number} [options.maxSubstep=3600] - Максимальный шаг интегрирования (с)
+     */
+    constructor(options = {}) {
+        this.enabled = false;
+        this.integrator = options.integrator || 'verlet';
+        this.integratePlanets = options.integratePlanets || false;
+        this.gravitationalParameter = options.gravitationalParameter || DEFAULT_GRAVITATIONAL_PARAMETER;
+        this.maxSubstep = options.maxSubstep || 3600;
+
+        // Сглаживание потенциала вблизи центров тел (ед.)
+        this.softening = 0.1;
+
+        // Тела сцены и корабль
+        this.planets = [];
+        this.spaceShip = null;
+
+        // Интегрируемые частицы и неподвижные в пределах шага притягивающие тела
+        this.particles = [];
+        this.kinematicBodies = [];
+
+        // Тяга корабля в единицах симуляции на текущем шаге
+        this.shipThrust = new THREE.Vector3();
+
+        this.computeAccelerations = this.computeAccelerations.bind(this);
+    }
+
+    /**
+     * Установить тела сцены
+     * @param {Planet[]} planets - Планеты верхнего уровня (спутники берутся из иерархии)
+     */
+    setPlanets(planets) {
+        this.planets = planets;
+    }
+
+    /**
+     * Установить корабль
+     * @param {SpaceShip} spaceShip - Корабль
+     */
+    setSpaceShip(spaceShip) {
+        this.spaceShip = spaceShip;
+    }
+
+    /**
+     * Гравитационный параметр тела
+     * @param {Planet} planet - Тело
+     * @returns {number} GM (ед³/с²)
+     */
+    getBodyParameter(planet) {
+        return planet.mass * this.gravitationalParameter;
+    }
+
+    /**
+     * Включить режим N тел
+     * @param {SimulationClock} clock - Часы симуляции
+     */
+    enable(clock) {
+        this.enabled = true;
+        this.rebuild(clock);
+        console.log(`🪐 Гравитационная симуляция включена (${this.integrator})`);
+    }
+
+    /**
+     * Выключить режим N тел: планеты возвращаются на орбиты Кеплера
+     */
+    disable() {
+        this.enabled = false;
+        this.planets.forEach(planet => {
+            planet.isPhysicsDriven = false;
+        });
+        if (this.spaceShip) {
+            this.spaceShip.isPhysicsDriven = false;
+        }
+        this.particles = [];
+        this.kinematicBodies = [];
+        console.log('🪐 Гравитационная симуляция выключена');
+    }
+
+    /**
+     * Переключить режим N тел
+     * @param {SimulationClock} clock - Часы симуляции
+     * @returns {boolean} Включен ли режим
+     */
+    toggle(clock) {
+        if (this.enabled) {
+            this.disable();
+        } else {
+            this.enable(clock);
+        }
+        return this.enabled;
+    }
+
+    /**
+     * Установить интегратор
+     * @param {string} name - Имя интегратора
+     */
+    setIntegrator(name) {
+        if (!INTEGRATORS[name]) {
+            console.warn(`Неизвестный интегратор: ${name}`);
+            return;
+        }
+        this.integrator = name;
+    }
+
+    /**
+     * Перейти к следующему интегратору
+     * @returns {string} Имя нового интегратора
+     */
+    cycleIntegrator() {
+        const names = Object.keys(INTEGRATORS);
+        this.setIntegrator(names[(names.indexOf(this.integrator) + 1) % names.length]);
+        return this.integrator;
+    }
+
+    /**
+     * Включить/выключить интегрирование планет
+     * @param {boolean} integratePlanets - Интегрировать планеты
+     * @param {SimulationClock} clock - Часы симуляции
+     */
+    setIntegratePlanets(integratePlanets, clock) {
+        this.integratePlanets = integratePlanets;
+        if (this.enabled) {
+            this.planets.forEach(planet => {
+                planet.isPhysicsDriven = false;
+            });
+            this.rebuild(clock);
+        }
+    }
+
+    /**
+     * Построение частиц по текущему состоянию сцены
+     * @param {SimulationClock} clock - Часы симуляции
+     */
+    rebuild(clock) {
+        this.particles = [];
+        this.kinematicBodies = [];
+
+        const time = clock.getTime();
+
+        // Центральные тела (без орбиты) притягивают планеты при расчете начальных скоростей
+        const centralParameter = this.planets
+            .filter(planet => !planet.orbit)
+            .reduce((sum, planet) => sum + this.getBodyParameter(planet), 0);
+
+        this.planets.forEach(planet => {
+            if (this.integratePlanets) {
+                const velocity = new THREE.Vector3();
+                if (planet.keplerOrbit && centralParameter > 0) {
+                    planet.keplerOrbit.getVelocityAt(time, velocity, centralParameter);
+                }
+
+                planet.isPhysicsDriven = true;
+                this.particles.push({
+                    name: planet.name,
+                    planet,
+                    position: planet.getSimulatedPosition(),
+                    velocity,
+                    gravitationalParameter: this.getBodyParameter(planet)
+                });
+
+                // Спутники движутся по орбитам Кеплера относительно своей планеты
+                planet.satellites.forEach(satellite => this.addKinematicBodies(satellite, planet));
+            } else {
+                this.addKinematicBodies(planet);
+            }
+        });
+
+        // Центральные тела получают встречный импульс, чтобы система не дрейфовала целиком
+        if (this.integratePlanets && centralParameter > 0) {
+            const momentum = new THREE.Vector3();
+            this.particles.forEach(particle => {
+                momentum.addScaledVector(particle.velocity, particle.gravitationalParameter);
+            });
+            this.particles
+                .filter(particle => !particle.planet.orbit)
+                .forEach(particle => {
+                    particle.velocity.addScaledVector(momentum, -1 / centralParameter);
+                });
+        }
+
+        if (this.spaceShip) {
+            this.spaceShip.isPhysicsDriven = true;
+            this.particles.push({
+                name: 'ship',
+                ship: this.spaceShip,
+                position: this.spaceShip.mesh.position.clone(),
+                velocity: this.spaceShip.velocity.clone().divideScalar(clock.timeScale),
+                gravitationalParameter: 0
+            });
+        }
+    }
+
+    /**
+     * Добавить тело и его спутники как притягивающие тела с заданным движением
+     * @param {Planet} planet - Тело
+     * @param {Planet} [anchor] - Интегрируемая планета, вокруг которой обращается тело
+     */
+    addKinematicBodies(planet, anchor = null) {
+        planet.getBodies().forEach(body => {
+            if (body.mass > 0) {
+                this.kinematicBodies.push({
+                    planet: body,
+                    anchor,
+                    position: body.getWorldPosition(),
+                    gravitationalParameter: this.getBodyParameter(body)
+                });
+            }
+        });
+    }
+
+    /**
+     * Расчет гравитационных ускорений частиц
+     * @param {THREE.Vector3[]} positions - Позиции частиц
+     * @returns {THREE.Vector3[]} Ускорения (ед/с²)
+     */
+    computeAccelerations(positions) {
+        return this.computeAccelerationsForState(this, positions);
+    }
+
+    /**
+     * Расчет гравитационных ускорений для произвольного состояния (текущего или снимка)
+     * @param {Object} state - Состояние {particles, kinematicBodies, shipThrust}
+     * @param {THREE.Vector3[]} positions - Позиции частиц
+     * @returns {THREE.Vector3[]} Ускорения (ед/с²)
+     */
+    computeAccelerationsForState(state, positions) {
+        const softeningSq = this.softening * this.softening;
+        const offset = new THREE.Vector3();
+
+        const attract = (acceleration, position, sourcePosition, gravitationalParameter) => {
+            offset.subVectors(sourcePosition, position);
+            const distanceSq = offset.lengthSq() + softeningSq;
+            acceleration.addScaledVector(offset, gravitationalParameter / (distanceSq * Math.sqrt(distanceSq)));
+        };
+
+        return positions.map((position, index) => {
+            const acceleration = new THREE.Vector3();
+
+            state.particles.forEach((source, sourceIndex) => {
+                if (sourceIndex !== index && source.gravitationalParameter > 0) {
+                    attract(acceleration, position, positions[sourceIndex], source.gravitationalParameter);
+                }
+            });
+
+            state.kinematicBodies.forEach(source => {
+                attract(acceleration, position, source.position, source.gravitationalParameter);
+            });
+
+            if (state.particles[index].ship) {
+                acceleration.add(state.shipThrust);
+            }
+
+            return acceleration;
+        });
+    }
+
+    /**
+     * Снимок состояния для прогноза: копии частиц и притягивающих тел
+     * @returns {Object} Состояние {particles, kinematicBodies, shipThrust}
+     */
+    createSnapshot() {
+        return {
+            particles: this.particles.map(particle => ({
+                ...particle,
+                position: particle.position.clone(),
+                velocity: particle.velocity.clone()
+            })),
+            kinematicBodies: this.kinematicBodies.map(body => ({
+                ...body,
+                position: body.position.clone()
+            })),
+            shipThrust: new THREE.Vector3()
+        };
+    }
+
+    /**
+     * Гравитационное ускорение в точке от всех тел
+     * @param {THREE.Vector3} position - Точка в мировых координатах
+     * @param {THREE.Vector3} target - Вектор для записи результата
+     * @returns {THREE.Vector3} Ускорение в единицах симуляции (ед/с²)
+     */
+    getGravityAt(position, target = new THREE.Vector3()) {
+        target.set(0, 0, 0);
+        const offset = new THREE.Vector3();
+        const softeningSq = this.softening * this.softening;
+
+        const sources = [
+            ...this.particles.filter(particle => particle.gravitationalParameter > 0),
+            ...this.kinematicBodies
+        ];
+        sources.forEach(source => {
+            offset.subVectors(source.position, position);
+            const distanceSq = offset.lengthSq() + softeningSq;
+            target.addScaledVector(offset, source.gravitationalParameter / (distanceSq * Math.sqrt(distanceSq)));
+        });
+
+        return target;
+    }
+
+    /**
+     * Шаг симуляции
+     * @param {number} deltaTime - Шаг времени симуляции (с), может быть отрицательным
+     * @param {number} timeScale - Текущее ускорение времени
+     */
+    step(deltaTime, timeScale) {
+        if (!this.enabled) return;
+
+        if (deltaTime !== 0) {
+            // Притягивающие тела с заданным движением уже обновлены на этот кадр
+            this.kinematicBodies.forEach(body => {
+                body.planet.mesh.getWorldPosition(body.position);
+            });
+
+            // Тяга корабля задана в реальном времени
+            if (this.spaceShip) {
+                this.shipThrust.copy(this.spaceShip.acceleration).divideScalar(timeScale * timeScale);
+            }
+
+            // Большие шаги при сильном ускорении времени дробятся на подшаги
+            const substeps = Math.max(1, Math.ceil(Math.abs(deltaTime) / this.maxSubstep));
+            const substep = deltaTime / substeps;
+            const integrate = INTEGRATORS[this.integrator];
+
+            for (let i = 0; i < substeps; i++) {
+                integrate(this.particles, substep, this.computeAccelerations);
+            }
+        }
+
+        this.applyToObjects(timeScale);
+    }
+
+    /**
+     * Перенос состояния частиц на объекты сцены
+     * @param {number} timeScale - Текущее ускорение времени
+     */
+    applyToObjects(timeScale) {
+        this.particles.forEach(particle => {
+            if (particle.planet) {
+                particle.planet.setSimulatedPosition(particle.position);
+            } else if (particle.ship) {
+                particle.ship.mesh.position.copy(particle.position);
+                particle.ship.velocity.copy(particle.velocity).multiplyScalar(timeScale);
+            }
+        });
+    }
+
+    /**
+     * Перенос состояния корабля в симуляцию после внешнего изменения (столкновение, возрождение)
+     * @param {number} timeScale - Текущее ускорение времени
+     */
+    syncSpaceShip(timeScale) {
+        const particle = this.particles.find(item => item.ship);
+        if (!particle) return;
+
+        particle.position.copy(particle.ship.mesh.position);
+        particle.velocity.copy(particle.ship.velocity).divideScalar(timeScale);
+    }
+
+    /**
+     * Перенос частиц и притягивающих тел при сдвиге начала координат
+     * @param {THREE.Vector3} delta - Сдвиг мира
+     */
+    shiftOrigin(delta) {
+        this.particles.forEach(particle => particle.position.add(delta));
+        this.kinematicBodies.forEach(body => body.position.add(delta));
+    }
+
+    /**
+     * Получить информацию о симуляции
+     * @returns {Object} Состояние симуляции
+     */
+    getInfo() {
+        return {
+            enabled: this.enabled,
+            integrator: this.integrator,
+            integratePlanets: this.integratePlanets,
+            particleCount: this.particles.length,
+            attractorCount: this.particles.filter(particle => particle.gravitationalParameter > 0).length
+                + this.kinematicBodies.length
+        };
+    }
+
+    /**
+     * Сериализация состояния симуляции
+     * @returns {Object} Состояние для сохранения
+     */
+    serialize() {
+        return {
+            enabled: this.enabled,
+            integrator: this.integrator,
+            integratePlanets: this.integratePlanets,
+            particles: this.particles.map(particle => ({
+                name: particle.name,
+                position: particle.position.toArray(),
+                velocity: particle.velocity.toArray()
+            }))
+        };
+    }
+
+    /**
+     * Восстановление состояния симуляции
+     * @param {Object} data - Сохраненное состояние
+     * @param {SimulationClock} clock - Часы симуляции (уже восстановленные)
+     */
+    deserialize(data, clock) {
+        if (this.enabled) {
+            this.disable();
+        }
+
+        this.setIntegrator(data.integrator || this.integrator);
+        this.integratePlanets = Boolean(data.integratePlanets);
+
+        if (!data.enabled) return;
+
+        this.enable(clock);
+        (data.particles || []).forEach(particleData => {
+            const particle = this.particles.find(item => item.name === particleData.name);
+            if (particle) {
+                particle.position.fromArray(particleData.position);
+                particle.velocity.fromArray(particleData.velocity);
+            }
+        });
+        this.applyToObjects(clock.timeScale);
+    }
+}
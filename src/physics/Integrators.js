@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+
+/**
+ * Численные интеграторы для N-body симуляции
+ *
+ * Каждый интегратор продвигает частицы {position, velocity} на шаг deltaTime.
+ * computeAccelerations(positions) возвращает ускорения частиц для заданных позиций.
+ */
+
+/**
+ * Полунеявный метод Эйлера: сначала скорость, затем позиция по новой скорости
+ * @param {Array<{position: THREE.Vector3, velocity: THREE.Vector3}>} particles - Частицы
+ * @param {number} deltaTime - Шаг
+ * @param {Function} computeAccelerations - Расчет ускорений
+ */
+function semiImplicitEuler(particles, deltaTime, computeAccelerations) {
+    const accelerations = computeAccelerations(particles.map(particle => particle.position));
+
+    particles.forEach((particle, index) => {
+        particle.velocity.addScaledVector(accelerations[index], deltaTime);
+        particle.position.addScaledVector(particle.velocity, deltaTime);
+    });
+}
+
+/**
+ * Скоростной метод Верле (kick-drift-kick), сохраняет энергию на длинных интервалах
+ * @param {Array<{position: THREE.Vector3, velocity: THREE.Vector3}>} particles - Частицы
+ * @param {number} deltaTime - Шаг
+ * @param {Function} computeAccelerations - Расчет ускорений
+ */
+function verlet(particles, deltaTime, computeAccelerations) {
+    const halfStep = deltaTime / 2;
+    const startAccelerations = computeAccelerations(particles.map(particle => particle.position));
+
+    particles.forEach((particle, index) => {
+        particle.velocity.addScaledVector(startAccelerations[index], halfStep);
+        particle.position.addScaledVector(particle.velocity, deltaTime);
+    });
+
+    const endAccelerations = computeAccelerations(particles.map(particle => particle.position));
+
+    particles.forEach((particle, index) => {
+        particle.velocity.addScaledVector(endAccelerations[index], halfStep);
+    });
+}
+
+/**
+ * Классический метод Рунге-Кутты 4-го порядка
+ * @param {Array<{position: THREE.Vector3, velocity: THREE.Vector3}>} particles - Частицы
+ * @param {number} deltaTime - Шаг
+ * @param {Function} computeAccelerations - Расчет ускорений
+ */
+function rk4(particles, deltaTime, computeAccelerations) {
+    const startPositions = particles.map(particle => particle.position.clone());
+    const startVelocities = particles.map(particle => particle.velocity.clone());
+
+    // Производные состояния в точке: dx/dt = v, dv/dt = a(x)
+    const evaluate = (stepScale, previous) => {
+        const positions = startPositions.map((position, index) => {
+            const result = position.clone();
+            if (previous) {
+                result.addScaledVector(previous.velocities[index], deltaTime * stepScale);
+            }
+            return result;
+        });
+        const velocities = startVelocities.map((velocity, index) => {
+            const result = velocity.clone();
+            if (previous) {
+                result.addScaledVector(previous.accelerations[index], deltaTime * stepScale);
+            }
+            return result;
+        });
+
+        return { velocities, accelerations: computeAccelerations(positions) };
+    };
+
+    const k1 = evaluate(0, null);
+    const k2 = evaluate(0.5, k1);
+    const k3 = evaluate(0.5, k2);
+    const k4 = evaluate(1, k3);
+
+    const weighted = new THREE.Vector3();
+    particles.forEach((particle, index) => {
+        weighted.copy(k1.velocities[index])
+            .addScaledVector(k2.velocities[index], 2)
+            .addScaledVector(k3.velocities[index], 2)
+            .add(k4.velocities[index]);
+        particle.position.copy(startPositions[index]).addScaledVector(weighted, deltaTime / 6);
+
+        weighted.copy(k1.accelerations[index])
+            .addScaledVector(k2.accelerations[index], 2)
+            .addScaledVector(k3.accelerations[index], 2)
+            .add(k4.accelerations[index]);
+        particle.velocity.copy(startVelocities[index]).addScaledVector(weighted, deltaTime / 6);
+    });
+}
+
+/**
+ * Доступные интеграторы по имени
+ */
+export const INTEGRATORS = {
+    'semi-implicit-euler': semiImplicitEuler,
+    'verlet': verlet,
+    'rk4': rk4
+};
+
+/**
+ * Названия интеграторов для интерфейса
+ */
+export const INTEGRATOR_LABELS = {
+    'semi-implicit-euler': 'Полунеявный Эйлер',
+    'verlet': 'Верле',
+    'rk4': 'Рунге-Кутта 4'
+};
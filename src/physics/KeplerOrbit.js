@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+
+const DEG_TO_RAD = Math.PI / 180;
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Кеплерова орбита - положение тела по классическим элементам орбиты
+ *
+ * Элементы задаются в эклиптической системе координат (ось Z - на северный
+ * полюс эклиптики) и переводятся в систему Three.js, где вверх смотрит ось Y.
+ */
+export class KeplerOrbit {
+    /**
+     * @param {Object} elements - Элементы орбиты
+     * @param {number} elements.radius - Большая полуось (ед.)
+     * @param {number} [elements.speed] - Среднее движение (рад/с), если не задан период
+     * @param {number} [elements.period] - Период обращения (сутки), отрицательный - ретроградная орбита
+     * @param {number} [elements.eccentricity=0] - Эксцентриситет (0 <= e < 1)
+     * @param {number} [elements.inclination=0] - Наклонение (градусы)
+     * @param {number} [elements.longitudeOfAscendingNode=0] - Долгота восходящего узла (градусы)
+     * @param {number} [elements.argumentOfPeriapsis=0] - Аргумент перицентра (градусы)
+     * @param {number} [elements.meanAnomalyAtEpoch=0] - Средняя аномалия на эпоху (градусы)
+     */
+    constructor(elements) {
+        this.semiMajorAxis = elements.radius;
+        this.eccentricity = elements.eccentricity || 0;
+        this.inclination = (elements.inclination || 0) * DEG_TO_RAD;
+        this.longitudeOfAscendingNode = (elements.longitudeOfAscendingNode || 0) * DEG_TO_RAD;
+        this.argumentOfPeriapsis = (elements.argumentOfPeriapsis || 0) * DEG_TO_RAD;
+        this.meanAnomalyAtEpoch = (elements.meanAnomalyAtEpoch || 0) * DEG_TO_RAD;
+
+        // Среднее движение (рад/с)
+        if (elements.period) {
+            this.meanMotion = (Math.PI * 2) / (elements.period * SECONDS_PER_DAY);
+        } else {
+            this.meanMotion = elements.speed || 0;
+        }
+
+        if (this.eccentricity < 0 || this.eccentricity >= 1) {
+            throw new RangeError(`Эксцентриситет должен быть в диапазоне [0, 1), получено: ${this.eccentricity}`);
+        }
+
+        // Единичные векторы перицентра (P) и полуоси (Q) в мировых координатах
+        this.periapsisDirection = new THREE.Vector3();
+        this.semiMinorDirection = new THREE.Vector3();
+        this.computeOrientation();
+    }
+
+    /**
+     * Вычисление ориентации плоскости орбиты
+     */
+    computeOrientation() {
+        const cosO = Math.cos(this.longitudeOfAscendingNode);
+        const sinO = Math.sin(this.longitudeOfAscendingNode);
+        const cosw = Math.cos(this.argumentOfPeriapsis);
+        const sinw = Math.sin(this.argumentOfPeriapsis);
+        const cosi = Math.cos(this.inclination);
+        const sini = Math.sin(this.inclination);
+
+        // Эклиптические компоненты векторов P и Q
+        const px = cosO * cosw - sinO * sinw * cosi;
+        const py = sinO * cosw + cosO * sinw * cosi;
+        const pz = sinw * sini;
+
+        const qx = -cosO * sinw - sinO * cosw * cosi;
+        const qy = -sinO * sinw + cosO * cosw * cosi;
+        const qz = cosw * sini;
+
+        // Эклиптика (X, Y, Z) -> Three.js (X, Z, -Y)
+        this.periapsisDirection.set(px, pz, -py);
+        this.semiMinorDirection.set(qx, qz, -qy);
+    }
+
+    /**
+     * Решение уравнения Кеплера M = E - e·sin(E) методом Ньютона
+     * @param {number} meanAnomaly - Средняя аномалия (рад)
+     * @param {number} eccentricity - Эксцентриситет
+     * @param {number} tolerance - Допустимая погрешность
+     * @param {number} maxIterations - Максимальное число итераций
+     * @returns {number} Эксцентрическая аномалия (рад)
+     */
+    static solveKeplerEquation(meanAnomaly, eccentricity, tolerance = 1e-12, maxIterations = 50) {
+        // Приведение к диапазону [-π, π] для быстрой сходимости
+        const M = THREE.MathUtils.euclideanModulo(meanAnomaly + Math.PI, Math.PI * 2) - Math.PI;
+
+        // Для больших эксцентриситетов стартуем с π, иначе с M
+        let E = eccentricity < 0.8 ? M : Math.sign(M) * Math.PI;
+
+        for (let i = 0; i < maxIterations; i++) {
+            const f = E - eccentricity * Math.sin(E) - M;
+            const fPrime = 1 - eccentricity * Math.cos(E);
+            const step = f / fPrime;
+            E -= step;
+
+            if (Math.abs(step) < tolerance) {
+                break;
+            }
+        }
+
+        return E;
+    }
+
+    /**
+     * Средняя аномалия в момент времени
+     * @param {number} time - Время от эпохи (с)
+     * @returns {number} Средняя аномалия (рад)
+     */
+    getMeanAnomaly(time) {
+        return this.meanAnomalyAtEpoch + this.meanMotion * time;
+    }
+
+    /**
+     * Эксцентрическая аномалия в момент времени
+     * @param {number} time - Время от эпохи (с)
+     * @returns {number} Эксцентрическая аномалия (рад)
+     */
+    getEccentricAnomaly(time) {
+        return KeplerOrbit.solveKeplerEquation(this.getMeanAnomaly(time), this.eccentricity);
+    }
+
+    /**
+     * Истинная аномалия в момент времени
+     * @param {number} time - Время от эпохи (с)
+     * @returns {number} Истинная аномалия (рад)
+     */
+    getTrueAnomaly(time) {
+        const E = this.getEccentricAnomaly(time);
+        const e = this.eccentricity;
+        return 2 * Math.atan2(
+            Math.sqrt(1 + e) * Math.sin(E / 2),
+            Math.sqrt(1 - e) * Math.cos(E / 2)
+        );
+    }
+
+    /**
+     * Позиция по эксцентрической аномалии
+     * @param {number} eccentricAnomaly - Эксцентрическая аномалия (рад)
+     * @param {THREE.Vector3} target - Вектор для записи результата
+     * @returns {THREE.Vector3} Позиция относительно фокуса орбиты
+     */
+    getPositionFromEccentricAnomaly(eccentricAnomaly, target = new THREE.Vector3()) {
+        const a = this.semiMajorAxis;
+        const e = this.eccentricity;
+
+        // Координаты в плоскости орбиты
+        const x = a * (Math.cos(eccentricAnomaly) - e);
+        const y = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+        return target
+            .copy(this.periapsisDirection).multiplyScalar(x)
+            .addScaledVector(this.semiMinorDirection, y);
+    }
+
+    /**
+     * Позиция тела в момент времени
+     * @param {number} time - Время от эпохи (с)
+     * @param {THREE.Vector3} target - Вектор для записи результата
+     * @returns {THREE.Vector3} Позиция относительно фокуса орбиты
+     */
+    getPositionAt(time, target = new THREE.Vector3()) {
+        return this.getPositionFromEccentricAnomaly(this.getEccentricAnomaly(time), target);
+    }
+
+    /**
+     * Скорость тела в момент времени
+     * @param {number} time - Время от эпохи (с)
+     * @param {THREE.Vector3} target - Вектор для записи результата
+     * @param {number} [gravitationalParameter] - GM центрального тела (ед³/с²); если не задан,
+     *   скорость соответствует заданному периоду орбиты
+     * @returns {THREE.Vector3} Скорость относительно фокуса орбиты (ед/с)
+     */
+    getVelocityAt(time, target = new THREE.Vector3(), gravitationalParameter) {
+        const a = this.semiMajorAxis;
+        const e = this.eccentricity;
+        const E = this.getEccentricAnomaly(time);
+
+        // Среднее движение по третьему закону Кеплера сохраняет форму орбиты при заданной массе
+        const direction = this.meanMotion < 0 ? -1 : 1;
+        const meanMotion = gravitationalParameter !== undefined
+            ? direction * Math.sqrt(gravitationalParameter / (a * a * a))
+            : this.meanMotion;
+
+        // dE/dt = n / (1 - e·cos E)
+        const eccentricAnomalyRate = meanMotion / (1 - e * Math.cos(E));
+        const vx = -a * Math.sin(E) * eccentricAnomalyRate;
+        const vy = a * Math.sqrt(1 - e * e) * Math.cos(E) * eccentricAnomalyRate;
+
+        return target
+            .copy(this.periapsisDirection).multiplyScalar(vx)
+            .addScaledVector(this.semiMinorDirection, vy);
+    }
+
+    /**
+     * Точки эллипса орбиты для отрисовки
+     * @param {number} segments - Количество сегментов
+     * @returns {THREE.Vector3[]} Замкнутый массив точек
+     */
+    getOrbitPoints(segments = 128) {
+        const points = [];
+
+        // Равномерный шаг по эксцентрической аномалии дает гладкий эллипс при любом эксцентриситете
+        for (let i = 0; i <= segments; i++) {
+            const E = (i / segments) * Math.PI * 2;
+            points.push(this.getPositionFromEccentricAnomaly(E));
+        }
+
+        return points;
+    }
+
+    /**
+     * Расстояние в перицентре
+     * @returns {number} Расстояние (ед.)
+     */
+    getPeriapsisDistance() {
+        return this.semiMajorAxis * (1 - this.eccentricity);
+    }
+
+    /**
+     * Расстояние в апоцентре
+     * @returns {number} Расстояние (ед.)
+     */
+    getApoapsisDistance() {
+        return this.semiMajorAxis * (1 + this.eccentricity);
+    }
+
+    /**
+     * Период обращения
+     * @returns {number} Период (с), Infinity для неподвижной орбиты
+     */
+    getPeriod() {
+        return this.meanMotion !== 0 ? (Math.PI * 2) / Math.abs(this.meanMotion) : Infinity;
+    }
+}
@@ -0,0 +1,376 @@
+import * as THREE from 'three';
+import { TrajectoryPredictor } from './TrajectoryPredictor.js';
+
+// Шаг численного дифференцирования положения тел по времени (с)
+const VELOCITY_SAMPLE_TIME = 60;
+
+/**
+ * Планировщик маневров - узлы с импульсами в орбитальных осях
+ *
+ * Узел хранит момент времени и изменение скорости по осям: x - по направлению
+ * движения (prograde), y - по нормали к орбите (normal), z - радиально от главного
+ * тела (radial). Скорости хранятся в единицах симуляции (ед/с времени симуляции),
+ * поэтому узел не зависит от ускорения времени; для корабля они пересчитываются
+ * в реальные единицы умножением на timeScale.
+ */
+export class ManeuverPlanner {
+    /**
+     * @param {TrajectoryPredictor} predictor - Прогноз текущей траектории корабля
+     * @param {GravitySimulation} gravity - Гравитационная симуляция
+     * @param {SpaceShip} spaceShip - Корабль
+     */
+    constructor(predictor, gravity, spaceShip) {
+        this.predictor = predictor;
+        this.gravity = gravity;
+        this.spaceShip = spaceShip;
+
+        this.nodes = [];
+        this.selectedNode = null;
+        this.nextId = 1;
+
+        // Пересчет цепочки прогнозов при изменении узлов или основного прогноза
+        this.isDirty = true;
+        this.predictorRevision = -1;
+
+        // Колбэки изменения списка узлов
+        this.callbacks = {
+            change: []
+        };
+    }
+
+    /**
+     * Добавить узел маневра
+     * @param {number} time - Время узла (с от J2000)
+     * @param {Array<number>} [deltaV] - Импульс [prograde, normal, radial] в единицах симуляции
+     * @returns {Object} Узел
+     */
+    addNode(time, deltaV = [0, 0, 0]) {
+        const node = {
+            id: this.nextId++,
+            time,
+            deltaV: new THREE.Vector3().fromArray(deltaV),
+            predictor: new TrajectoryPredictor(this.gravity, this.spaceShip, {
+                horizon: this.predictor.horizon,
+                segments: this.predictor.segments,
+                startsAtShip: false
+            }),
+            frame: null
+        };
+        node.predictor.enabled = true;
+
+        this.nodes.push(node);
+        this.sortNodes();
+        this.selectNode(node);
+        this.markDirty();
+        return node;
+    }
+
+    /**
+     * Удалить узел маневра
+     * @param {Object} node - Узел
+     */
+    removeNode(node) {
+        const index = this.nodes.indexOf(node);
+        if (index === -1) return;
+
+        this.nodes.splice(index, 1);
+        if (this.selectedNode === node) {
+            this.selectedNode = this.nodes[Math.min(index, this.nodes.length - 1)] || null;
+        }
+        this.markDirty();
+    }
+
+    /**
+     * Удалить все узлы
+     */
+    clearNodes() {
+        this.nodes = [];
+        this.selectedNode = null;
+        this.markDirty();
+    }
+
+    /**
+     * Выбрать узел
+     * @param {Object|null} node - Узел
+     */
+    selectNode(node) {
+        this.selectedNode = node;
+        this.notifyChange();
+    }
+
+    /**
+     * Получить узел по идентификатору
+     * @param {number} id - Идентификатор
+     * @returns {Object|null} Узел
+     */
+    getNodeById(id) {
+        return this.nodes.find(node => node.id === id) || null;
+    }
+
+    /**
+     * Установить импульс узла
+     * @param {Object} node - Узел
+     * @param {THREE.Vector3} deltaV - Импульс (prograde, normal, radial) в единицах симуляции
+     */
+    setNodeDeltaV(node, deltaV) {
+        node.deltaV.copy(deltaV);
+        this.markDirty();
+    }
+
+    /**
+     * Сдвинуть узел во времени
+     * @param {Object} node - Узел
+     * @param {number} seconds - Сдвиг (с)
+     */
+    shiftNode(node, seconds) {
+        node.time += seconds;
+        this.sortNodes();
+        this.markDirty();
+    }
+
+    /**
+     * Сортировка узлов по времени
+     */
+    sortNodes() {
+        this.nodes.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Отметить, что цепочку прогнозов нужно пересчитать
+     */
+    markDirty() {
+        this.isDirty = true;
+        this.notifyChange();
+    }
+
+    /**
+     * Ближайший предстоящий узел
+     * @param {number} now - Текущее время симуляции (с)
+     * @returns {Object|null} Узел
+     */
+    getNextNode(now) {
+        return this.nodes.find(node => node.time >= now) || null;
+    }
+
+    /**
+     * Обновление планировщика
+     * @param {SimulationClock} clock - Часы симуляции
+     * @param {Planet|null} targetBody - Тело для расчета сближения
+     */
+    update(clock, targetBody) {
+        if (this.nodes.length === 0) return;
+
+        const now = clock.getTime();
+
+        if (this.isDirty || this.predictorRevision !== this.predictor.revision) {
+            this.recompute(clock);
+        }
+
+        // Отметки итоговых орбит зависят от текущего времени и выбранного тела
+        this.nodes.forEach(node => {
+            if (node.predictor.points.length > 0) {
+                node.predictor.targetBody = targetBody && targetBody.mesh ? targetBody : null;
+                node.predictor.analyze(now);
+            }
+        });
+    }
+
+    /**
+     * Пересчет цепочки прогнозов: каждый узел стартует с траектории после предыдущего
+     * @param {SimulationClock} clock - Часы симуляции
+     */
+    recompute(clock) {
+        const now = clock.getTime();
+        let source = this.predictor;
+
+        this.nodes.forEach(node => {
+            const state = source.points.length > 0 ? source.getStateAt(node.time) : null;
+            if (!state) {
+                node.frame = null;
+                node.predictor.clear();
+                return;
+            }
+
+            node.frame = this.computeFrame(state, node.time, source);
+
+            const ship = state.particles.find(particle => particle.ship);
+            ship.velocity.add(this.getWorldDeltaV(node));
+
+            node.predictor.predictFrom(state, node.time, clock.direction, now);
+            source = node.predictor;
+        });
+
+        this.isDirty = false;
+        this.predictorRevision = this.predictor.revision;
+    }
+
+    /**
+     * Орбитальные оси корабля относительно главного тела
+     * @param {Object} state - Снимок состояния
+     * @param {number} time - Время снимка (с)
+     * @param {TrajectoryPredictor} source - Прогноз, из которого получен снимок (тот же порядок частиц)
+     * @returns {Object} {position, prograde, normal, radial, primaryBody, relativeSpeed}
+     */
+    computeFrame(state, time, source) {
+        const ship = state.particles.find(particle => particle.ship);
+        const point = {
+            time,
+            positions: state.particles.map(particle => particle.position),
+            velocities: state.particles.map(particle => particle.velocity)
+        };
+        const primaryBody = source.findPrimaryBody(point);
+
+        const relativePosition = ship.position.clone();
+        const relativeVelocity = ship.velocity.clone();
+
+        if (primaryBody) {
+            const bodyPosition = source.getBodyPositionAt(primaryBody, point);
+            const later = source.getBodyPositionAt(primaryBody, {
+                time: time + VELOCITY_SAMPLE_TIME,
+                positions: state.particles.map(particle => particle.position.clone()
+                    .addScaledVector(particle.velocity, VELOCITY_SAMPLE_TIME))
+            });
+            relativePosition.sub(bodyPosition);
+            relativeVelocity.sub(later.sub(bodyPosition).divideScalar(VELOCITY_SAMPLE_TIME));
+        }
+
+        const prograde = relativeVelocity.lengthSq() > 0
+            ? relativeVelocity.clone().normalize()
+            : new THREE.Vector3(0, 0, 1);
+        const normal = new THREE.Vector3().crossVectors(relativePosition, prograde);
+        if (normal.lengthSq() === 0) {
+            normal.set(0, 1, 0);
+        }
+        normal.normalize();
+        const radial = new THREE.Vector3().crossVectors(prograde, normal).normalize();
+
+        return {
+            position: ship.position.clone(),
+            prograde,
+            normal,
+            radial,
+            primaryBody,
+            relativeSpeed: relativeVelocity.length()
+        };
+    }
+
+    /**
+     * Перенос узлов и их прогнозов при сдвиге начала координат
+     * @param {THREE.Vector3} delta - Сдвиг мира
+     */
+    shiftOrigin(delta) {
+        this.nodes.forEach(node => {
+            if (node.frame) {
+                node.frame.position.add(delta);
+            }
+            node.predictor.shiftOrigin(delta);
+        });
+    }
+
+    /**
+     * Импульс узла в мировых координатах
+     * @param {Object} node - Узел
+     * @param {Object} [frame] - Орбитальные оси (по умолчанию - оси узла)
+     * @returns {THREE.Vector3} Импульс в единицах симуляции
+     */
+    getWorldDeltaV(node, frame = node.frame) {
+        if (!frame) return new THREE.Vector3();
+
+        return new THREE.Vector3()
+            .addScaledVector(frame.prograde, node.deltaV.x)
+            .addScaledVector(frame.normal, node.deltaV.y)
+            .addScaledVector(frame.radial, node.deltaV.z);
+    }
+
+    /**
+     * Сводка по узлам для интерфейса
+     * @param {SimulationClock} clock - Часы симуляции
+     * @returns {Object} {deltaVBudget, totalDeltaV, fuel, nodes}
+     */
+    getSummary(clock) {
+        const now = clock.getTime();
+        const timeScale = clock.timeScale;
+        let totalDeltaV = 0;
+
+        const nodes = this.nodes.map((node, index) => {
+            const deltaV = node.deltaV.length() * timeScale;
+            totalDeltaV += deltaV;
+            const info = node.predictor.getInfo(now);
+
+            return {
+                id: node.id,
+                index: index + 1,
+                isSelected: node === this.selectedNode,
+                timeUntil: node.time - now,
+                deltaV,
+                components: node.deltaV.clone().multiplyScalar(timeScale),
+                burnTime: this.spaceShip.getBurnTime(deltaV),
+                isPredicted: Boolean(node.frame),
+                orbit: info
+            };
+        });
+
+        return {
+            deltaVBudget: this.spaceShip.getDeltaVBudget(),
+            totalDeltaV,
+            fuel: this.spaceShip.fuelMass / this.spaceShip.maxFuelMass,
+            nodes
+        };
+    }
+
+    /**
+     * Добавить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    addCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            this.callbacks[eventType].push(callback);
+        }
+    }
+
+    /**
+     * Удалить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    removeCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            const index = this.callbacks[eventType].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[eventType].splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Оповещение об изменении узлов
+     */
+    notifyChange() {
+        this.callbacks.change.forEach(callback => {
+            callback(this.nodes);
+        });
+    }
+
+    /**
+     * Сериализация узлов
+     * @returns {Array<Object>} Узлы {time, deltaV}
+     */
+    serialize() {
+        return this.nodes.map(node => ({
+            time: node.time,
+            deltaV: node.deltaV.toArray()
+        }));
+    }
+
+    /**
+     * Восстановление узлов
+     * @param {Array<Object>} data - Сохраненные узлы
+     */
+    deserialize(data) {
+        this.nodes = [];
+        this.selectedNode = null;
+        data.forEach(nodeData => this.addNode(nodeData.time, nodeData.deltaV));
+        this.selectNode(this.nodes[0] || null);
+    }
+}
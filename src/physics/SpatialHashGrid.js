@@ -0,0 +1,86 @@
+/**
+ * Пространственная хеш-сетка - широкая фаза поиска столкновений
+ *
+ * Объекты заносятся во все ячейки, которые пересекает их ограничивающая сфера;
+ * запрос возвращает объекты из ячеек, пересекаемых сферой запроса.
+ */
+export class SpatialHashGrid {
+    /**
+     * @param {number} cellSize - Размер ячейки (ед.)
+     */
+    constructor(cellSize = 50) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    /**
+     * Очистка сетки
+     */
+    clear() {
+        this.cells.clear();
+    }
+
+    /**
+     * Ключ ячейки по ее индексам
+     * @param {number} x - Индекс по X
+     * @param {number} y - Индекс по Y
+     * @param {number} z - Индекс по Z
+     * @returns {string} Ключ
+     */
+    getCellKey(x, y, z) {
+        return `${x},${y},${z}`;
+    }
+
+    /**
+     * Обход ячеек, пересекаемых ограничивающим кубом сферы
+     * @param {THREE.Vector3} center - Центр сферы
+     * @param {number} radius - Радиус сферы
+     * @param {Function} callback - Вызывается с ключом каждой ячейки
+     */
+    forEachCell(center, radius, callback) {
+        const min = (value) => Math.floor((value - radius) / this.cellSize);
+        const max = (value) => Math.floor((value + radius) / this.cellSize);
+
+        for (let x = min(center.x); x <= max(center.x); x++) {
+            for (let y = min(center.y); y <= max(center.y); y++) {
+                for (let z = min(center.z); z <= max(center.z); z++) {
+                    callback(this.getCellKey(x, y, z));
+                }
+            }
+        }
+    }
+
+    /**
+     * Добавить объект
+     * @param {*} item - Объект
+     * @param {THREE.Vector3} center - Центр ограничивающей сферы
+     * @param {number} radius - Радиус ограничивающей сферы
+     */
+    insert(item, center, radius) {
+        this.forEachCell(center, radius, (key) => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = [];
+                this.cells.set(key, cell);
+            }
+            cell.push(item);
+        });
+    }
+
+    /**
+     * Найти объекты рядом со сферой
+     * @param {THREE.Vector3} center - Центр сферы запроса
+     * @param {number} radius - Радиус сферы запроса
+     * @returns {Set} Кандидаты на столкновение
+     */
+    query(center, radius) {
+        const result = new Set();
+        this.forEachCell(center, radius, (key) => {
+            const cell = this.cells.get(key);
+            if (cell) {
+                cell.forEach(item => result.add(item));
+            }
+        });
+        return result;
+    }
+}
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+// Временные объекты для расчетов без лишних аллокаций
+const _position = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _local = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+
+/**
+ * Сближение с поверхностью тел
+ *
+ * Следит за наблюдателем (камерой или кораблем): вблизи тела включает его рельеф
+ * и считает высоту над поверхностью, скорость относительно вращающейся поверхности
+ * и вертикальную скорость. Рельеф включается ближе detailDistance радиусов от центра
+ * и выключается дальше releaseDistance, чтобы не переключаться на границе.
+ */
+export class SurfaceProximity {
+    /**
+     * @param {Object} options - Параметры {detailDistance, releaseDistance, touchdownAltitude}
+     */
+    constructor(options = {}) {
+        this.detailDistance = options.detailDistance || 3;
+        this.releaseDistance = options.releaseDistance || 3.5;
+
+        // Высота касания для камеры как доля радиуса тела
+        this.touchdownAltitude = options.touchdownAltitude || 0.01;
+
+        this.bodies = [];
+        this.observer = null;
+        this.spaceShip = null;
+
+        // Ближайшее тело и показания приборов
+        this.body = null;
+        this.altitude = Infinity;
+        this.groundSpeed = 0;
+        this.verticalSpeed = 0;
+        this.isNear = false;
+        this.isLanded = false;
+
+        // Положение наблюдателя в осях тела на прошлом кадре
+        this.previousLocal = new THREE.Vector3();
+        this.previousBody = null;
+    }
+
+    /**
+     * Установить тела сцены
+     * @param {Planet[]} bodies - Все тела, включая спутники
+     */
+    setBodies(bodies) {
+        this.bodies = bodies.filter(body => body.mesh);
+    }
+
+    /**
+     * Установить наблюдателя
+     * @param {THREE.Object3D} observer - Камера или меш корабля
+     * @param {SpaceShip} [spaceShip] - Корабль, если наблюдатель - корабль (посадку определяет столкновение)
+     */
+    setObserver(observer, spaceShip = null) {
+        this.observer = observer;
+        this.spaceShip = spaceShip;
+        this.previousBody = null;
+    }
+
+    /**
+     * Обновление сближения
+     * @param {number} deltaTime - Реальное время кадра (с)
+     */
+    update(deltaTime) {
+        if (!this.observer) return;
+
+        this.observer.getWorldPosition(_position);
+
+        // Ближайшее по высоте тело и переключение рельефа
+        let nearest = null;
+        let nearestAltitude = Infinity;
+        this.bodies.forEach(body => {
+            const distance = _position.distanceTo(body.mesh.getWorldPosition(_center));
+            if (distance < body.radius * this.detailDistance) {
+                body.setSurfaceDetail(true);
+            } else if (distance > body.radius * this.releaseDistance) {
+                body.setSurfaceDetail(false);
+            }
+
+            const altitude = distance - body.radius;
+            if (altitude < nearestAltitude) {
+                nearest = body;
+                nearestAltitude = altitude;
+            }
+        });
+
+        this.body = nearest;
+        if (!nearest) return;
+
+        nearest.mesh.getWorldPosition(_center);
+        this.altitude = nearest.getAltitude(_position);
+        this.isNear = _position.distanceTo(_center) < nearest.radius * this.detailDistance;
+
+        // Скорость относительно поверхности - по смещению в осях вращающегося тела
+        nearest.mesh.worldToLocal(_local.copy(_position));
+        if (this.previousBody === nearest && deltaTime > 0) {
+            _velocity.subVectors(_local, this.previousLocal).divideScalar(deltaTime)
+                .applyQuaternion(nearest.mesh.getWorldQuaternion(_quaternion))
+                .multiplyScalar(nearest.mesh.scale.x);
+            _up.subVectors(_position, _center).normalize();
+            this.verticalSpeed = _velocity.dot(_up);
+            this.groundSpeed = _velocity.addScaledVector(_up, -this.verticalSpeed).length();
+        } else {
+            this.verticalSpeed = 0;
+            this.groundSpeed = 0;
+        }
+        this.previousLocal.copy(_local);
+        this.previousBody = nearest;
+
+        // Корабль садится по событию столкновения, камера - касаясь поверхности
+        this.isLanded = this.spaceShip
+            ? this.spaceShip.landedOn === nearest
+            : this.altitude <= nearest.radius * this.touchdownAltitude;
+    }
+
+    /**
+     * Получить показания приборов
+     * @returns {Object|null} {body, altitude, groundSpeed, verticalSpeed, isLanded} или null вдали от тел
+     */
+    getInfo() {
+        if (!this.body || !this.isNear) return null;
+
+        return {
+            body: this.body,
+            altitude: this.altitude,
+            groundSpeed: this.groundSpeed,
+            verticalSpeed: this.verticalSpeed,
+            isLanded: this.isLanded
+        };
+    }
+}
@@ -0,0 +1,544 @@
+import * as THREE from 'three';
+import { INTEGRATORS } from './Integrators.js';
+
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Прогноз траектории корабля
+ *
+ * Состояние корабля (и интегрируемых планет) распространяется вперед во времени
+ * симуляции под действием гравитации тел сцены. Прогноз достраивается по частям:
+ * пока корабль идет по предсказанному пути, каждый шаг лишь отбрасывает прошедшие
+ * точки и продлевает хвост, а полный пересчет запускается при тяге или отклонении.
+ */
+export class TrajectoryPredictor {
+    /**
+     * @param {GravitySimulation} gravity - Гравитационная симуляция
+     * @param {SpaceShip} spaceShip - Корабль
+     * @param {Object} options - Параметры прогноза
+     * @param {number} [options.horizon] - Горизонт прогноза во времени симуляции (с), по умолчанию 365 суток
+     * @param {number} [options.segments=400] - Количество отрезков траектории на горизонте
+     * @param {number} [options.maxStepsPerUpdate=400] - Максимум шагов интегрирования за одно обновление
+     * @param {number} [options.tolerance=0.05] - Допустимое отклонение корабля от прогноза (ед.)
+     * @param {boolean} [options.startsAtShip=true] - Линия начинается от текущего положения корабля
+     */
+    constructor(gravity, spaceShip, options = {}) {
+        this.gravity = gravity;
+        this.spaceShip = spaceShip;
+
+        this.horizon = options.horizon || 365 * SECONDS_PER_DAY;
+        this.segments = options.segments || 400;
+        this.maxStepsPerUpdate = options.maxStepsPerUpdate || 400;
+        this.tolerance = options.tolerance || 0.05;
+        this.startsAtShip = options.startsAtShip !== false;
+
+        this.enabled = false;
+
+        // Точки прогноза: {time, positions, velocities} - состояние частиц снимка на момент time
+        this.points = [];
+        this.state = null;
+        this.shipIndex = -1;
+        this.stepSize = 0;
+        this.signature = '';
+        
+        // Номер пересчета - растет при каждом построении прогноза заново
+        this.revision = 0;
+
+        // Тело, к которому ищется максимальное сближение
+        this.targetBody = null;
+
+        // Результаты анализа траектории
+        this.primaryBody = null;
+        this.periapsis = null;
+        this.apoapsis = null;
+        this.closestApproach = null;
+        this.impact = null;
+
+        this.computeAccelerations = (positions) => this.gravity.computeAccelerationsForState(this.state, positions);
+    }
+
+    /**
+     * Включить/выключить прогноз
+     * @param {boolean} enabled - Включить прогноз
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.clear();
+        }
+    }
+
+    /**
+     * Установить горизонт прогноза
+     * @param {number} horizon - Горизонт во времени симуляции (с)
+     */
+    setHorizon(horizon) {
+        this.horizon = horizon;
+        this.clear();
+    }
+
+    /**
+     * Сбросить прогноз
+     */
+    clear() {
+        this.points = [];
+        this.state = null;
+        this.primaryBody = null;
+        this.periapsis = null;
+        this.apoapsis = null;
+        this.closestApproach = null;
+        this.impact = null;
+    }
+
+    /**
+     * Обновление прогноза
+     * @param {SimulationClock} clock - Часы симуляции
+     * @param {Planet|null} targetBody - Тело для расчета сближения (выбранная планета)
+     */
+    update(clock, targetBody) {
+        if (!this.enabled || !this.spaceShip) return;
+
+        // Аркадная модель без гравитации сама гасит скорость, и полет по инерции расходился бы
+        // с кораблем на каждом шаге: прогноз не строится, пока не включена гравитация или инерциальная модель
+        if (!this.gravity.enabled && this.spaceShip.flightModel === 'arcade') {
+            // Новый номер пересчета сбрасывает прогнозы узлов маневров, построенные от старого пути
+            if (this.points.length > 0) {
+                this.clear();
+                this.revision++;
+            }
+            return;
+        }
+
+        const now = clock.getTime();
+        const signature = this.getSignature(clock);
+
+        if (this.points.length === 0 || signature !== this.signature || this.needsRestart(now)) {
+            this.restart(clock);
+            this.signature = signature;
+        } else {
+            this.dropPastPoints(now);
+        }
+
+        this.extend(now, this.maxStepsPerUpdate);
+
+        this.targetBody = targetBody && targetBody.mesh ? targetBody : null;
+        this.analyze(now);
+    }
+
+    /**
+     * Параметры, при изменении которых прогноз строится заново
+     * @param {SimulationClock} clock - Часы симуляции
+     * @returns {string} Сигнатура
+     */
+    getSignature(clock) {
+        const gravity = this.gravity;
+        return [
+            gravity.enabled,
+            gravity.integrator,
+            gravity.integratePlanets,
+            clock.direction,
+            this.horizon,
+            this.segments
+        ].join('|');
+    }
+
+    /**
+     * Нужен ли полный пересчет: корабль включил двигатели или ушел с прогноза
+     * @param {number} now - Текущее время симуляции (с)
+     * @returns {boolean} Нужен ли пересчет
+     */
+    needsRestart(now) {
+        if (this.spaceShip.acceleration.lengthSq() > 0) {
+            return true;
+        }
+
+        const predicted = this.getShipPositionAt(now);
+        return !predicted || predicted.distanceTo(this.spaceShip.mesh.position) > this.tolerance;
+    }
+
+    /**
+     * Начать прогноз заново от текущего состояния
+     * @param {SimulationClock} clock - Часы симуляции
+     */
+    restart(clock) {
+        this.clear();
+        this.revision++;
+
+        if (this.gravity.enabled) {
+            this.state = this.gravity.createSnapshot();
+            this.shipIndex = this.state.particles.findIndex(particle => particle.ship);
+        } else {
+            // Без гравитации корабль летит по инерции
+            this.state = {
+                particles: [{
+                    ship: this.spaceShip,
+                    position: this.spaceShip.mesh.position.clone(),
+                    velocity: this.spaceShip.velocity.clone().divideScalar(clock.timeScale),
+                    gravitationalParameter: 0
+                }],
+                kinematicBodies: [],
+                shipThrust: new THREE.Vector3()
+            };
+            this.shipIndex = 0;
+        }
+
+        this.stepSize = (this.horizon / this.segments) * clock.direction;
+        this.pushPoint(clock.getTime());
+    }
+
+    /**
+     * Построить прогноз целиком от заданного состояния (например, после маневра)
+     * @param {Object} state - Снимок состояния {particles, kinematicBodies, shipThrust}
+     * @param {number} time - Время снимка (с)
+     * @param {number} direction - Направление времени: 1 или -1
+     * @param {number} now - Текущее время симуляции (с)
+     */
+    predictFrom(state, time, direction, now) {
+        this.clear();
+        this.revision++;
+
+        this.state = state;
+        this.shipIndex = state.particles.findIndex(particle => particle.ship);
+        this.stepSize = (this.horizon / this.segments) * direction;
+        this.pushPoint(time);
+
+        this.extend(time, Infinity);
+        this.analyze(now);
+    }
+
+    /**
+     * Снимок состояния прогноза на момент времени
+     * @param {number} time - Время симуляции (с)
+     * @returns {Object|null} Состояние {particles, kinematicBodies, shipThrust} или null, если время вне прогноза
+     */
+    getStateAt(time) {
+        const direction = Math.sign(this.stepSize);
+        const index = this.points.findIndex((point, i) => {
+            const next = this.points[i + 1];
+            return next && (time - point.time) * direction >= 0 && (next.time - time) * direction >= 0;
+        });
+        if (index < 0) return null;
+
+        const point = this.points[index];
+        const state = {
+            particles: this.state.particles.map((particle, i) => ({
+                ...particle,
+                position: point.positions[i].clone(),
+                velocity: point.velocities[i].clone()
+            })),
+            kinematicBodies: this.state.kinematicBodies.map(body => ({
+                ...body,
+                position: body.position.clone()
+            })),
+            shipThrust: new THREE.Vector3()
+        };
+
+        // Дошагиваем от ближайшей точки до нужного момента
+        const remaining = time - point.time;
+        if (remaining !== 0) {
+            const previousState = this.state;
+            this.state = state;
+            this.updateKinematicBodies(point.time);
+            INTEGRATORS[this.gravity.integrator](state.particles, remaining, this.computeAccelerations);
+            this.state = previousState;
+        }
+
+        return state;
+    }
+
+    /**
+     * Отбросить точки, оставшиеся в прошлом (одна остается для интерполяции)
+     * @param {number} now - Текущее время симуляции (с)
+     */
+    dropPastPoints(now) {
+        const direction = Math.sign(this.stepSize);
+        let count = 0;
+        while (count + 1 < this.points.length && (this.points[count + 1].time - now) * direction <= 0) {
+            count++;
+        }
+        if (count > 0) {
+            this.points.splice(0, count);
+        }
+    }
+
+    /**
+     * Продлить прогноз до горизонта
+     * @param {number} now - Текущее время симуляции (с)
+     * @param {number} maxSteps - Максимум шагов за вызов
+     */
+    extend(now, maxSteps) {
+        if (this.shipIndex < 0) return;
+
+        const integrate = INTEGRATORS[this.gravity.integrator];
+        const endTime = now + this.horizon * Math.sign(this.stepSize);
+
+        for (let i = 0; i < maxSteps && !this.impact; i++) {
+            const last = this.points[this.points.length - 1];
+            if ((endTime - last.time) * Math.sign(this.stepSize) <= 0) break;
+
+            this.updateKinematicBodies(last.time);
+            integrate(this.state.particles, this.stepSize, this.computeAccelerations);
+            this.pushPoint(last.time + this.stepSize);
+            this.checkImpact(this.points[this.points.length - 1]);
+        }
+    }
+
+    /**
+     * Сохранить текущее состояние снимка как точку прогноза
+     * @param {number} time - Время симуляции (с)
+     */
+    pushPoint(time) {
+        this.points.push({
+            time,
+            positions: this.state.particles.map(particle => particle.position.clone()),
+            velocities: this.state.particles.map(particle => particle.velocity.clone())
+        });
+    }
+
+    /**
+     * Положения притягивающих тел с заданным движением на момент времени
+     * @param {number} time - Время симуляции (с)
+     */
+    updateKinematicBodies(time) {
+        this.state.kinematicBodies.forEach(body => {
+            if (body.anchor) {
+                const anchorIndex = this.state.particles.findIndex(particle => particle.planet === body.anchor);
+                body.planet.getOrbitalPositionAt(time, body.position, body.anchor)
+                    .add(this.state.particles[anchorIndex].position);
+            } else {
+                body.planet.getOrbitalPositionAt(time, body.position);
+            }
+        });
+    }
+
+    /**
+     * Положение тела в точке прогноза
+     * @param {Planet} planet - Тело
+     * @param {Object} point - Точка прогноза
+     * @param {THREE.Vector3} target - Вектор для записи результата
+     * @returns {THREE.Vector3} Мировое положение тела
+     */
+    getBodyPositionAt(planet, point, target = new THREE.Vector3()) {
+        const particles = this.state.particles;
+
+        // Тело интегрируется или обращается вокруг интегрируемой планеты
+        let ancestor = planet;
+        while (ancestor) {
+            const index = particles.findIndex(particle => particle.planet === ancestor);
+            if (index >= 0) {
+                if (ancestor === planet) {
+                    return target.copy(point.positions[index]);
+                }
+                return planet.getOrbitalPositionAt(point.time, target, ancestor).add(point.positions[index]);
+            }
+            ancestor = ancestor.parentBody;
+        }
+
+        return planet.getOrbitalPositionAt(point.time, target);
+    }
+
+    /**
+     * Проверка столкновения корабля с телами в точке прогноза
+     * @param {Object} point - Точка прогноза
+     */
+    checkImpact(point) {
+        const shipPosition = point.positions[this.shipIndex];
+        const bodyPosition = new THREE.Vector3();
+
+        for (const planet of this.getBodies()) {
+            this.getBodyPositionAt(planet, point, bodyPosition);
+            if (shipPosition.distanceTo(bodyPosition) < planet.radius) {
+                this.impact = { body: planet, time: point.time, position: shipPosition.clone() };
+                return;
+            }
+        }
+    }
+
+    /**
+     * Все тела сцены
+     * @returns {Planet[]} Массив тел
+     */
+    getBodies() {
+        return this.gravity.planets.flatMap(planet => planet.getBodies());
+    }
+
+    /**
+     * Положение корабля по прогнозу на момент времени (линейная интерполяция)
+     * @param {number} time - Время симуляции (с)
+     * @returns {THREE.Vector3|null} Положение или null, если время вне прогноза
+     */
+    getShipPositionAt(time) {
+        for (let i = 0; i + 1 < this.points.length; i++) {
+            const a = this.points[i];
+            const b = this.points[i + 1];
+            const alpha = (time - a.time) / (b.time - a.time);
+            if (alpha >= 0 && alpha <= 1) {
+                return a.positions[this.shipIndex].clone().lerp(b.positions[this.shipIndex], alpha);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Сфера влияния тела
+     *
+     * В стилизованном масштабе сцены сфера влияния по Лапласу меньше самих планет,
+     * поэтому она ограничена снизу несколькими радиусами тела.
+     * @param {Planet} planet - Тело
+     * @returns {number} Радиус сферы влияния (ед.)
+     */
+    getSphereOfInfluence(planet) {
+        if (!planet.keplerOrbit) return Infinity;
+
+        const parentMass = planet.parentBody
+            ? planet.parentBody.mass
+            : this.gravity.planets.filter(body => !body.orbit).reduce((sum, body) => sum + body.mass, 0);
+        const laplaceRadius = parentMass > 0
+            ? planet.keplerOrbit.semiMajorAxis * Math.pow(planet.mass / parentMass, 0.4)
+            : 0;
+
+        return Math.max(laplaceRadius, planet.radius * 5);
+    }
+
+    /**
+     * Тело, вокруг которого сейчас обращается корабль: самое глубокое по иерархии
+     * тело, в сферу влияния которого попадает корабль
+     * @param {Object} point - Точка прогноза
+     * @returns {Planet|null} Главное тело
+     */
+    findPrimaryBody(point) {
+        const shipPosition = point.positions[this.shipIndex];
+        const bodyPosition = new THREE.Vector3();
+
+        const search = (bodies) => {
+            for (const planet of bodies) {
+                if (planet.mass <= 0) continue;
+                this.getBodyPositionAt(planet, point, bodyPosition);
+                if (shipPosition.distanceTo(bodyPosition) < this.getSphereOfInfluence(planet)) {
+                    return search(planet.satellites) || planet;
+                }
+            }
+            return null;
+        };
+
+        return search(this.gravity.planets.filter(planet => planet.orbit))
+            || this.gravity.planets.find(planet => !planet.orbit && planet.mass > 0)
+            || null;
+    }
+
+    /**
+     * Анализ траектории: перицентр, апоцентр, сближение с выбранным телом
+     * @param {number} now - Текущее время симуляции (с)
+     */
+    analyze(now) {
+        this.primaryBody = null;
+        this.periapsis = null;
+        this.apoapsis = null;
+        this.closestApproach = null;
+
+        if (this.points.length < 3) return;
+
+        const bodyPosition = new THREE.Vector3();
+        const distancesTo = (planet) => this.points.map(point => {
+            this.getBodyPositionAt(planet, point, bodyPosition);
+            return point.positions[this.shipIndex].distanceTo(bodyPosition);
+        });
+
+        // Перицентр и апоцентр - первые локальные экстремумы расстояния до главного тела
+        this.primaryBody = this.findPrimaryBody(this.points[0]);
+        if (this.primaryBody) {
+            const distances = distancesTo(this.primaryBody);
+            for (let i = 1; i + 1 < distances.length; i++) {
+                const isMinimum = distances[i] < distances[i - 1] && distances[i] <= distances[i + 1];
+                const isMaximum = distances[i] > distances[i - 1] && distances[i] >= distances[i + 1];
+
+                if (isMinimum && !this.periapsis) {
+                    this.periapsis = this.createMarker(this.primaryBody, i, distances[i], now);
+                }
+                if (isMaximum && !this.apoapsis) {
+                    this.apoapsis = this.createMarker(this.primaryBody, i, distances[i], now);
+                }
+            }
+        }
+
+        // Максимальное сближение с выбранным телом
+        if (this.targetBody) {
+            const distances = distancesTo(this.targetBody);
+            let closestIndex = 0;
+            distances.forEach((distance, index) => {
+                if (distance < distances[closestIndex]) {
+                    closestIndex = index;
+                }
+            });
+            this.closestApproach = this.createMarker(this.targetBody, closestIndex, distances[closestIndex], now);
+        }
+    }
+
+    /**
+     * Описание отмеченной точки траектории
+     * @param {Planet} body - Тело, относительно которого измерено расстояние
+     * @param {number} index - Индекс точки прогноза
+     * @param {number} distance - Расстояние до центра тела (ед.)
+     * @param {number} now - Текущее время симуляции (с)
+     * @returns {Object} Отметка {body, position, distance, altitude, time, timeUntil}
+     */
+    createMarker(body, index, distance, now) {
+        const point = this.points[index];
+        return {
+            body,
+            position: point.positions[this.shipIndex].clone(),
+            distance,
+            altitude: distance - body.radius,
+            time: point.time,
+            timeUntil: Math.abs(point.time - now)
+        };
+    }
+
+    /**
+     * Перенос прогноза при сдвиге начала координат
+     * @param {THREE.Vector3} delta - Сдвиг мира
+     */
+    shiftOrigin(delta) {
+        this.points.forEach(point => {
+            point.positions.forEach(position => position.add(delta));
+        });
+        if (this.state) {
+            this.state.particles.forEach(particle => particle.position.add(delta));
+            this.state.kinematicBodies.forEach(body => body.position.add(delta));
+        }
+        [this.periapsis, this.apoapsis, this.closestApproach, this.impact].forEach(marker => {
+            if (marker) marker.position.add(delta);
+        });
+    }
+
+    /**
+     * Точки траектории корабля для отрисовки
+     * @returns {THREE.Vector3[]} Положения корабля, начиная с текущего
+     */
+    getPathPoints() {
+        if (this.points.length === 0) return [];
+
+        const path = this.points.map(point => point.positions[this.shipIndex]);
+        if (this.startsAtShip) {
+            path[0] = this.spaceShip.mesh.position;
+        }
+        return path;
+    }
+
+    /**
+     * Получить информацию о прогнозе
+     * @param {number} now - Текущее время симуляции (с)
+     * @returns {Object|null} {primaryBody, periapsis, apoapsis, closestApproach, impact} или null
+     */
+    getInfo(now) {
+        if (!this.enabled || this.points.length === 0) return null;
+
+        return {
+            primaryBody: this.primaryBody,
+            periapsis: this.periapsis,
+            apoapsis: this.apoapsis,
+            closestApproach: this.closestApproach,
+            impact: this.impact ? { ...this.impact, timeUntil: Math.abs(this.impact.time - now) } : null
+        };
+    }
+}
@@ -0,0 +1,55 @@
+import { validateScene, normalizeScene, SceneValidationError } from './SceneSchema.js';
+
+/**
+ * Адрес сцены по умолчанию
+ */
+export const DEFAULT_SCENE_URL = '/scenes/solar-system.json';
+
+/**
+ * Загрузчик описаний сцены из JSON
+ */
+export class SceneLoader {
+    /**
+     * Загрузка описания сцены
+     * @param {string|Object} source - URL JSON-файла или готовый объект описания
+     * @returns {Promise<Object>} Проверенное и нормализованное описание сцены
+     * @throws {SceneValidationError} Если описание не соответствует схеме
+     */
+    async load(source = DEFAULT_SCENE_URL) {
+        const data = typeof source === 'string' ? await this.fetchScene(source) : source;
+        return this.parse(data);
+    }
+
+    /**
+     * Загрузка JSON по URL
+     * @param {string} url - Адрес файла сцены
+     * @returns {Promise<Object>} Содержимое файла
+     */
+    async fetchScene(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Не удалось загрузить сцену "${url}": ${response.status} ${response.statusText}`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Файл сцены "${url}" не является корректным JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Проверка и нормализация описания сцены
+     * @param {Object} data - Описание сцены
+     * @returns {Object} Нормализованное описание
+     * @throws {SceneValidationError} Если описание не соответствует схеме
+     */
+    parse(data) {
+        const errors = validateScene(data);
+        if (errors.length > 0) {
+            throw new SceneValidationError(errors);
+        }
+
+        return normalizeScene(data);
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Километров в астрономической единице
+ */
+export const KM_PER_AU = 149597870.7;
+
+/**
+ * Гравитационный параметр Земли (км³/с²)
+ */
+export const EARTH_GRAVITATIONAL_PARAMETER_KM = 398600.4418;
+
+/**
+ * Режимы масштаба: stylised - компактная схема из описания сцены,
+ * real - реальные радиусы и расстояния
+ */
+export const SCALE_MODES = ['stylised', 'real'];
+
+/**
+ * Названия режимов масштаба для интерфейса
+ */
+export const SCALE_MODE_LABELS = {
+    stylised: 'Стилизованный',
+    real: 'Реальный'
+};
+
+/**
+ * Настройки камеры и вида для режимов масштаба
+ *
+ * moveSpeed и maxMoveSpeed ограничивают скорость свободной камеры, которая растет
+ * с высотой над ближайшим телом. В реальном масштабе расстояния до дальних планет
+ * в тысячи раз больше, поэтому дальняя плоскость отодвинута, а туман выключен.
+ */
+export const SCALE_VIEW_SETTINGS = {
+    stylised: {
+        near: 0.1,
+        far: 10000,
+        fog: { near: 100, far: 2000 },
+        minDistance: 10,
+        maxDistance: 1000,
+        moveSpeed: 10,
+        maxMoveSpeed: 100
+    },
+    real: {
+        near: 0.01,
+        far: 1e8,
+        fog: null,
+        minDistance: 0.01,
+        maxDistance: 1e7,
+        moveSpeed: 0.005,
+        maxMoveSpeed: 1e6
+    }
+};
+
+/**
+ * Масштаб сцены - размеры тел в стилизованном и реальном режимах
+ *
+ * Стилизованные размеры берутся из полей radius и orbit.radius описания тела,
+ * реальные - из блока real {radius, orbitRadius} в километрах, переведенных
+ * в единицы сцены делением на kmPerUnit.
+ */
+export class SceneScale {
+    /**
+     * @param {Object} config - Параметры {kmPerUnit}
+     */
+    constructor(config = {}) {
+        this.kmPerUnit = config.kmPerUnit || 1000;
+    }
+
+    /**
+     * Есть ли у всех тел реальные размеры
+     * @param {Object[]} bodyConfigs - Описания тел (спутники проверяются рекурсивно)
+     * @returns {boolean} Доступен ли реальный масштаб
+     */
+    isRealAvailable(bodyConfigs) {
+        return bodyConfigs.every(config =>
+            Boolean(config.real) &&
+            (!config.orbit || config.real.orbitRadius !== undefined) &&
+            this.isRealAvailable(config.moons || [])
+        );
+    }
+
+    /**
+     * Размеры тела в режиме масштаба
+     * @param {Object} config - Описание тела
+     * @param {string} mode - Режим масштаба
+     * @returns {Object} {radius, orbitRadius} в единицах сцены; orbitRadius - null для тел без орбиты
+     */
+    getBodyDimensions(config, mode) {
+        if (mode === 'real') {
+            return {
+                radius: config.real.radius / this.kmPerUnit,
+                orbitRadius: config.orbit ? config.real.orbitRadius / this.kmPerUnit : null
+            };
+        }
+
+        return {
+            radius: config.radius,
+            orbitRadius: config.orbit ? config.orbit.radius : null
+        };
+    }
+
+    /**
+     * Гравитационный параметр одной массы Земли в режиме масштаба
+     * @param {number} stylisedParameter - Параметр стилизованной схемы (ед³/с²)
+     * @param {string} mode - Режим масштаба
+     * @returns {number} GM одной массы Земли (ед³/с²)
+     */
+    getGravitationalParameter(stylisedParameter, mode) {
+        return mode === 'real'
+            ? EARTH_GRAVITATIONAL_PARAMETER_KM / Math.pow(this.kmPerUnit, 3)
+            : stylisedParameter;
+    }
+
+    /**
+     * Настройки камеры и вида
+     * @param {string} mode - Режим масштаба
+     * @returns {Object} {near, far, fog, minDistance, maxDistance, moveSpeed, maxMoveSpeed}
+     */
+    getViewSettings(mode) {
+        return SCALE_VIEW_SETTINGS[mode];
+    }
+
+    /**
+     * Перевод длины из единиц сцены в километры
+     * @param {number} units - Длина (ед.)
+     * @returns {number} Длина (км)
+     */
+    toKilometers(units) {
+        return units * this.kmPerUnit;
+    }
+}
@@ -0,0 +1,518 @@
+import { CAMERA_PATH_EASINGS, CAMERA_PATH_INTERPOLATIONS } from '../core/CameraPath.js';
+import { SCALE_MODES } from './SceneScale.js';
+
+/**
+ * Текущая версия формата описания сцены
+ */
+export const SCENE_FORMAT_VERSION = 1;
+
+/**
+ * Ошибка валидации описания сцены
+ */
+export class SceneValidationError extends Error {
+    /**
+     * @param {Array<{path: string, message: string}>} errors - Список ошибок с путями к полям
+     */
+    constructor(errors) {
+        const details = errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+        super(`Некорректное описание сцены:\n${details}`);
+        this.name = 'SceneValidationError';
+        this.errors = errors;
+    }
+}
+
+// Общие фрагменты схемы
+const vector3 = { type: 'vector3' };
+const color = { type: 'color' };
+// Цвет для холста процедурной текстуры остается строкой "#rrggbb"
+const cssColor = { type: 'string', format: 'color' };
+const positiveNumber = { type: 'number', min: 0, exclusiveMin: true };
+const angle = { type: 'number', min: -360, max: 360 };
+
+const orbitSchema = {
+    type: 'object',
+    required: ['radius'],
+    properties: {
+        radius: positiveNumber,
+        speed: { type: 'number' },
+        period: { type: 'number' },
+        eccentricity: { type: 'number', min: 0, max: 1, exclusiveMax: true },
+        inclination: { type: 'number', min: -180, max: 180 },
+        longitudeOfAscendingNode: angle,
+        argumentOfPeriapsis: angle,
+        meanAnomalyAtEpoch: angle
+    }
+};
+
+const bodySchema = {
+    type: 'object',
+    required: ['name', 'radius'],
+    properties: {
+        name: { type: 'string' },
+        radius: positiveNumber,
+        position: { ...vector3, default: [0, 0, 0] },
+        color: { ...color, default: 0xffffff },
+        emissive: { ...color, default: 0x000000 },
+        isStar: { type: 'boolean' },
+        mass: { type: 'number', min: 0 },
+        collision: { type: 'string', enum: ['bounce', 'destroy', 'land'] },
+        terrain: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                seed: { type: 'number', integer: true },
+                amplitude: { type: 'number', min: 0 },
+                octaves: { type: 'number', integer: true, min: 1, max: 10 }
+            }
+        },
+        atmosphereColor: color,
+        rotation: {
+            type: 'object',
+            required: ['x', 'y', 'z'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' },
+                z: { type: 'number' }
+            }
+        },
+        rotationPeriod: { type: 'number' },
+        orbit: { ...orbitSchema, nullable: true },
+        // Реальные размеры (км) для режима реального масштаба
+        real: {
+            type: 'object',
+            required: ['radius'],
+            properties: {
+                radius: positiveNumber,
+                orbitRadius: positiveNumber
+            }
+        },
+        hasRings: { type: 'boolean' },
+        textureUrl: { type: 'string' },
+        textureType: { type: 'string', enum: ['sun', 'earth', 'mars', 'gas_giant', 'basic'] },
+        textureColors: { type: 'array', items: cssColor },
+        // Спутники описываются той же схемой, что и тела
+        moons: { type: 'array', items: () => moonSchema }
+    }
+};
+
+const moonSchema = {
+    ...bodySchema,
+    required: ['name', 'radius', 'orbit']
+};
+
+const lightSchema = {
+    type: 'object',
+    properties: {
+        color: { ...color, default: 0xffffff },
+        intensity: { type: 'number', min: 0, default: 1 }
+    }
+};
+
+const cameraPresetSchema = {
+    type: 'object',
+    required: ['position', 'target'],
+    properties: {
+        position: vector3,
+        target: vector3
+    }
+};
+
+const cameraPathSchema = {
+    type: 'object',
+    required: ['keyframes'],
+    properties: {
+        version: { type: 'number' },
+        name: { type: 'string' },
+        interpolation: { type: 'string', enum: CAMERA_PATH_INTERPOLATIONS, default: 'catmullRom' },
+        loop: { type: 'boolean', default: false },
+        keyframes: {
+            type: 'array',
+            minItems: 2,
+            items: {
+                type: 'object',
+                required: ['time', 'position', 'target'],
+                properties: {
+                    time: { type: 'number', min: 0 },
+                    position: vector3,
+                    target: vector3,
+                    fov: { type: 'number', min: 1, max: 179 },
+                    roll: angle,
+                    anchor: { type: 'string' },
+                    easing: { type: 'string', enum: Object.keys(CAMERA_PATH_EASINGS) },
+                    handleIn: vector3,
+                    handleOut: vector3
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Схема описания сцены
+ */
+export const sceneSchema = {
+    type: 'object',
+    required: ['version', 'bodies'],
+    properties: {
+        version: { type: 'number', enum: [SCENE_FORMAT_VERSION] },
+        name: { type: 'string' },
+        startDate: { type: 'date' },
+        scale: {
+            type: 'object',
+            properties: {
+                mode: { type: 'string', enum: SCALE_MODES, default: 'stylised' },
+                kmPerUnit: { ...positiveNumber, default: 1000 }
+            }
+        },
+        bodies: { type: 'array', items: bodySchema, minItems: 1 },
+        lights: {
+            type: 'object',
+            properties: {
+                ambient: lightSchema,
+                directional: {
+                    type: 'object',
+                    properties: {
+                        ...lightSchema.properties,
+                        position: vector3,
+                        castShadow: { type: 'boolean' }
+                    }
+                },
+                points: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['position'],
+                        properties: {
+                            ...lightSchema.properties,
+                            position: vector3,
+                            distance: { type: 'number', min: 0, default: 200 }
+                        }
+                    }
+                }
+            }
+        },
+        starField: {
+            type: 'object',
+            properties: {
+                count: { type: 'number', integer: true, min: 0 },
+                minRadius: positiveNumber,
+                maxRadius: positiveNumber,
+                twinkleSpeed: { type: 'number', min: 0 },
+                twinkleIntensity: { type: 'number', min: 0, max: 1 }
+            }
+        },
+        ship: {
+            type: 'object',
+            required: ['position'],
+            properties: {
+                position: vector3,
+                thrust: positiveNumber,
+                dryMass: positiveNumber,
+                fuelMass: { type: 'number', min: 0 },
+                exhaustVelocity: positiveNumber
+            }
+        },
+        physics: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: false },
+                integrator: { type: 'string', enum: ['semi-implicit-euler', 'verlet', 'rk4'], default: 'verlet' },
+                integratePlanets: { type: 'boolean', default: false },
+                gravitationalParameter: positiveNumber,
+                maxSubstep: { ...positiveNumber, default: 3600 }
+            }
+        },
+        collisions: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean', default: true },
+                response: { type: 'string', enum: ['bounce', 'destroy', 'land'], default: 'land' },
+                restitution: { type: 'number', min: 0, max: 1, default: 0.5 },
+                maxLandingSpeed: { type: 'number', min: 0, default: 5 },
+                cellSize: { ...positiveNumber, default: 50 }
+            }
+        },
+        cameraPresets: {
+            type: 'map',
+            values: cameraPresetSchema
+        },
+        cameraPaths: {
+            type: 'map',
+            values: cameraPathSchema
+        }
+    }
+};
+
+/**
+ * Разрешение ленивой ссылки на схему (для рекурсивных структур)
+ * @param {Object|Function} schema - Схема или функция, возвращающая схему
+ * @returns {Object} Схема
+ */
+function resolveSchema(schema) {
+    return typeof schema === 'function' ? schema() : schema;
+}
+
+/**
+ * Собственное ли поле объекта (без унаследованных от Object.prototype, например constructor)
+ * @param {Object} object - Объект
+ * @param {string} key - Имя поля
+ * @returns {boolean} Есть ли у объекта собственное поле
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Проверка цвета: число 0x000000-0xffffff или строка "#rrggbb"
+ * @param {*} value - Значение
+ * @returns {boolean} Является ли значение цветом
+ */
+function isColor(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value >= 0 && value <= 0xffffff;
+    }
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * Рекурсивная валидация значения по схеме
+ * @param {*} value - Значение
+ * @param {Object} schema - Схема
+ * @param {string} path - Путь к полю
+ * @param {Array} errors - Массив для накопления ошибок
+ */
+function validateValue(value, schema, path, errors) {
+    schema = resolveSchema(schema);
+
+    if (value === null && schema.nullable) {
+        return;
+    }
+
+    switch (schema.type) {
+        case 'object':
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                errors.push({ path, message: 'ожидается объект' });
+                return;
+            }
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: `${path}.${key}`, message: 'обязательное поле' });
+                }
+            });
+            Object.keys(value).forEach(key => {
+                if (!hasOwn(schema.properties, key)) {
+                    errors.push({ path: `${path}.${key}`, message: 'неизвестное поле' });
+                    return;
+                }
+                validateValue(value[key], schema.properties[key], `${path}.${key}`, errors);
+            });
+            return;
+
+        case 'map':
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                errors.push({ path, message: 'ожидается объект' });
+                return;
+            }
+            Object.keys(value).forEach(key => {
+                // Записи ищутся по имени в обычных объектах: имя не должно совпадать с полем Object.prototype
+                if (hasOwn(Object.prototype, key)) {
+                    errors.push({ path: `${path}.${key}`, message: 'недопустимое имя' });
+                    return;
+                }
+                validateValue(value[key], schema.values, `${path}.${key}`, errors);
+            });
+            return;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: 'ожидается массив' });
+                return;
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `ожидается не менее ${schema.minItems} элементов` });
+            }
+            value.forEach((item, index) => {
+                validateValue(item, schema.items, `${path}[${index}]`, errors);
+            });
+            return;
+
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push({ path, message: 'ожидается число' });
+                return;
+            }
+            if (schema.integer && !Number.isInteger(value)) {
+                errors.push({ path, message: 'ожидается целое число' });
+            }
+            if (schema.min !== undefined && (value < schema.min || (schema.exclusiveMin && value === schema.min))) {
+                errors.push({ path, message: `значение должно быть ${schema.exclusiveMin ? '>' : '>='} ${schema.min}` });
+            }
+            if (schema.max !== undefined && (value > schema.max || (schema.exclusiveMax && value === schema.max))) {
+                errors.push({ path, message: `значение должно быть ${schema.exclusiveMax ? '<' : '<='} ${schema.max}` });
+            }
+            break;
+
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push({ path, message: 'ожидается строка' });
+                return;
+            }
+            if (schema.format === 'color' && !isColor(value)) {
+                errors.push({ path, message: 'ожидается цвет "#rrggbb"' });
+                return;
+            }
+            break;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push({ path, message: 'ожидается логическое значение' });
+            }
+            return;
+
+        case 'vector3':
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+                errors.push({ path, message: 'ожидается массив из трех чисел [x, y, z]' });
+            }
+            return;
+
+        case 'date':
+            if (typeof value !== 'string' || Number.isNaN(new Date(value).getTime())) {
+                errors.push({ path, message: 'ожидается дата ISO 8601, например "2025-01-01T00:00:00Z"' });
+            }
+            return;
+
+        case 'color':
+            if (!isColor(value)) {
+                errors.push({ path, message: 'ожидается цвет "#rrggbb" или число 0x000000-0xffffff' });
+            }
+            return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `допустимые значения: ${schema.enum.join(', ')}` });
+    }
+}
+
+/**
+ * Валидация описания сцены
+ * @param {Object} data - Описание сцены
+ * @returns {Array<{path: string, message: string}>} Список ошибок (пустой, если описание корректно)
+ */
+export function validateScene(data) {
+    const errors = [];
+    validateValue(data, sceneSchema, 'scene', errors);
+
+    // Перекрестные проверки, которые не выражаются схемой
+    if (data && data.starField) {
+        const { minRadius, maxRadius } = data.starField;
+        if (minRadius !== undefined && maxRadius !== undefined && minRadius > maxRadius) {
+            errors.push({ path: 'scene.starField.minRadius', message: 'не может превышать maxRadius' });
+        }
+    }
+
+    if (data && Array.isArray(data.bodies)) {
+        const names = new Set();
+        const checkNames = (bodies, path) => {
+            bodies.forEach((body, index) => {
+                if (!body || typeof body.name !== 'string') return;
+                if (names.has(body.name)) {
+                    errors.push({ path: `${path}[${index}].name`, message: `имя "${body.name}" уже используется` });
+                }
+                names.add(body.name);
+                if (Array.isArray(body.moons)) {
+                    checkNames(body.moons, `${path}[${index}].moons`);
+                }
+            });
+        };
+        checkNames(data.bodies, 'scene.bodies');
+
+        // Реальный масштаб по умолчанию требует реальных размеров у всех тел
+        if (data.scale && data.scale.mode === 'real') {
+            const checkReal = (bodies, path) => {
+                bodies.forEach((body, index) => {
+                    if (!body || typeof body !== 'object') return;
+                    if (!body.real) {
+                        errors.push({ path: `${path}[${index}].real`, message: 'обязательно для реального масштаба' });
+                    } else if (body.orbit && body.real.orbitRadius === undefined) {
+                        errors.push({ path: `${path}[${index}].real.orbitRadius`, message: 'обязательно для тела с орбитой' });
+                    }
+                    if (Array.isArray(body.moons)) {
+                        checkReal(body.moons, `${path}[${index}].moons`);
+                    }
+                });
+            };
+            checkReal(data.bodies, 'scene.bodies');
+        }
+
+        // Ключи путей камеры привязываются только к существующим телам
+        if (data.cameraPaths && typeof data.cameraPaths === 'object') {
+            Object.entries(data.cameraPaths).forEach(([pathName, path]) => {
+                if (!path || !Array.isArray(path.keyframes)) return;
+                path.keyframes.forEach((key, index) => {
+                    if (key && typeof key.anchor === 'string' && !names.has(key.anchor)) {
+                        errors.push({
+                            path: `scene.cameraPaths.${pathName}.keyframes[${index}].anchor`,
+                            message: `тело "${key.anchor}" не найдено`
+                        });
+                    }
+                });
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Приведение проверенного описания к виду, который ожидают объекты сцены:
+ * цвета переводятся в числа, пропущенные поля заполняются значениями по умолчанию
+ * @param {*} value - Значение
+ * @param {Object} schema - Схема
+ * @returns {*} Нормализованная копия значения
+ */
+function normalizeValue(value, schema) {
+    schema = resolveSchema(schema);
+
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    switch (schema.type) {
+        case 'object': {
+            const result = {};
+            Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+                const resolved = resolveSchema(propertySchema);
+                if (value[key] !== undefined) {
+                    result[key] = normalizeValue(value[key], resolved);
+                } else if (resolved.default !== undefined) {
+                    result[key] = Array.isArray(resolved.default) ? [...resolved.default] : resolved.default;
+                }
+            });
+            return result;
+        }
+        case 'map': {
+            const result = {};
+            Object.entries(value).forEach(([key, item]) => {
+                result[key] = normalizeValue(item, schema.values);
+            });
+            return result;
+        }
+        case 'array':
+            return value.map(item => normalizeValue(item, schema.items));
+        case 'vector3':
+            return [...value];
+        case 'color':
+            return typeof value === 'number' ? value : parseInt(value.slice(1), 16);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Нормализация описания сцены
+ * @param {Object} data - Проверенное описание сцены
+ * @returns {Object} Нормализованное описание
+ */
+export function normalizeScene(data) {
+    return normalizeValue(data, sceneSchema);
+}
@@ -2,41 +2,106 @@ import * as THREE from 'three';
 import { Planet } from '../objects/Planet.js';
 import { StarField } from '../objects/StarField.js';
 import { SpaceShip } from '../objects/SpaceShip.js';
+import { SimulationClock } from '../core/SimulationClock.js';
+import { FloatingOrigin } from '../core/FloatingOrigin.js';
+import { GravitySimulation } from '../physics/GravitySimulation.js';
+import { TrajectoryPredictor } from '../physics/TrajectoryPredictor.js';
+import { TrajectoryLine } from '../objects/TrajectoryLine.js';
+import { ManeuverPlanner } from '../physics/ManeuverPlanner.js';
+import { ManeuverGizmo } from '../objects/ManeuverGizmo.js';
+import { CollisionSystem } from '../physics/CollisionSystem.js';
+import { SurfaceProximity } from '../physics/SurfaceProximity.js';
+import { SceneLoader, DEFAULT_SCENE_URL } from './SceneLoader.js';
+import { SceneScale, SCALE_MODE_LABELS, KM_PER_AU } from './SceneScale.js';
+import { Random, DEFAULT_SEED } from '../core/Random.js';
+
+// Временные векторы привязки точек к телам при смене масштаба
+const _bindingCenter = new THREE.Vector3();
 
 /**
  * Космическая сцена - содержит все объекты космоса
  */
 export class SpaceScene {
-    constructor(scene, renderer) {
+    /**
+     * @param {THREE.Scene} scene - Сцена three.js
+     * @param {THREE.WebGLRenderer} renderer - Рендерер
+     * @param {Object} options - Параметры {seed}
+     */
+    constructor(scene, renderer, options = {}) {
         this.scene = scene;
         this.renderer = renderer;
         this.planets = [];
+        
+        // Зерно мира: звезды, процедурные текстуры и кольца одинаковы при одном зерне
+        this.random = new Random(options.seed !== undefined ? options.seed : DEFAULT_SEED);
         this.starField = null;
         this.spaceShip = null;
-        this.time = 0;
+        
+        // Часы симуляции - единый источник времени для всех объектов;
+        // начинают с эпохи J2000, пока описание сцены не задаст дату начала
+        this.clock = new SimulationClock();
+        
+        // Гравитационная симуляция N тел (создается по описанию сцены)
+        this.gravity = null;
+        
+        // Прогноз траектории корабля
+        this.trajectoryPredictor = null;
+        this.trajectoryLine = null;
+        
+        // Узлы маневров и их отображение: id узла -> {gizmo, line}
+        this.maneuverPlanner = null;
+        this.maneuverVisuals = new Map();
+        
+        // Столкновения корабля с телами
+        this.collisions = null;
+        
+        // Сближение с поверхностью: рельеф и показания высоты
+        this.surfaceProximity = new SurfaceProximity();
+        
+        // Масштаб: стилизованная схема или реальные размеры и расстояния
+        this.sceneScale = new SceneScale();
+        this.scaleMode = 'stylised';
+        this.stylisedGravitationalParameter = null;
+        this.shipSpawnBinding = null;
+        
+        // Плавающее начало координат: мир сдвигается к камере, когда она уходит далеко от нуля
+        this.floatingOrigin = new FloatingOrigin();
+        this.floatingOrigin.addCallback('rebase', (delta) => this.shiftOrigin(delta));
         
         // Система освещения
         this.ambientLight = null;
         this.directionalLight = null;
         this.pointLights = [];
+        this.lightIndicators = [];
         
-        // Загрузчик текстур
+        // Загрузчики текстур и описания сцены
         this.textureLoader = new THREE.TextureLoader();
+        this.sceneLoader = new SceneLoader();
+        this.definition = null;
+        this.cameraPresets = {};
+        this.cameraPaths = {};
         
         // Интерактивность
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.selectedPlanet = null;
         
+        // Колбэки выбора тел
+        this.callbacks = {
+            planetSelected: [],
+            planetDeselected: [],
+            bodyLink: []
+        };
+        
         this.setupInteraction();
     }
 
     /**
      * Настройка интерактивности
+     * Выбор тел касанием и кликом вызывает приложение по жесту tap из InputManager (onTap)
      */
     setupInteraction() {
-        window.addEventListener('click', (event) => this.onMouseClick(event));
-        window.addEventListener('mousemove', (event) => this.onMouseMove(event));
+        window.addEventListener('pointermove', (event) => this.onMouseMove(event));
     }
 
     /**
@@ -44,30 +109,79 @@ export class SpaceScene {
      */
     setCamera(camera) {
         this.camera = camera;
+        this.surfaceProximity.setObserver(camera);
+    }
+
+    /**
+     * Установить наблюдателя для сближения с поверхностью
+     * @param {THREE.Object3D} observer - Камера или меш корабля
+     * @param {SpaceShip} [spaceShip] - Корабль, если наблюдает корабль
+     */
+    setSurfaceObserver(observer, spaceShip = null) {
+        this.surfaceProximity.setObserver(observer, spaceShip);
     }
 
     /**
-     * Обработка клика мыши
+     * Получить показания у поверхности
+     * @returns {Object|null} {body, altitude, groundSpeed, verticalSpeed, isLanded} или null вдали от тел
      */
-    onMouseClick(event) {
+    getSurfaceInfo() {
+        return this.surfaceProximity.getInfo();
+    }
+
+    /**
+     * Обработка касания или клика: выбор тела под указателем
+     * @param {PointerEvent} event - Событие указателя
+     */
+    onTap(event) {
         if (!this.camera) return;
         
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        // Касания панелей интерфейса не должны менять выделение
+        if (event.target !== this.renderer.domElement) return;
+        
+        const clickedPlanet = this.pickBody(event.clientX, event.clientY);
+        if (clickedPlanet) {
+            this.selectPlanet(clickedPlanet);
+        } else {
+            this.deselectPlanet();
+        }
+    }
+
+    /**
+     * Тело под точкой экрана
+     * @param {number} clientX - Координата X в окне (px)
+     * @param {number} clientY - Координата Y в окне (px)
+     * @returns {Planet|null} Ближайшее тело под точкой или null
+     */
+    pickBody(clientX, clientY) {
+        if (!this.camera) return null;
+        
+        this.mouse.x = (clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(clientY / window.innerHeight) * 2 + 1;
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
-        const planetMeshes = this.planets.map(planet => planet.getMesh());
-        const intersects = this.raycaster.intersectObjects(planetMeshes);
+        const bodies = this.getAllBodies();
+        const intersects = this.raycaster.intersectObjects(bodies.map(body => body.getMesh()));
+
+        // Попадание может прийтись на атмосферу или свечение - поднимаемся до меша тела
+        return intersects.length > 0 ? this.findBodyByObject(intersects[0].object) : null;
+    }
 
-        if (intersects.length > 0) {
-            const clickedPlanet = this.planets.find(planet => planet.getMesh() === intersects[0].object);
-            if (clickedPlanet) {
-                this.selectPlanet(clickedPlanet);
+    /**
+     * Найти тело по объекту сцены (меш тела или его дочерний объект)
+     * @param {THREE.Object3D} object - Объект сцены
+     * @returns {Planet|null} Тело или null
+     */
+    findBodyByObject(object) {
+        let current = object;
+        while (current) {
+            if (current.userData && current.userData.planet) {
+                return current.userData.planet;
             }
-        } else {
-            this.deselectPlanet();
+            current = current.parent;
         }
+        return null;
     }
 
     /**
@@ -88,6 +202,8 @@ export class SpaceScene {
         
         // Показываем информацию о планете
         this.showPlanetInfo(planet);
+        
+        this.callbacks.planetSelected.forEach(callback => callback(planet));
     }
 
     /**
@@ -95,12 +211,39 @@ export class SpaceScene {
      */
     deselectPlanet() {
         if (this.selectedPlanet) {
-            this.selectedPlanet.setSelected(false);
+            const planet = this.selectedPlanet;
+            planet.setSelected(false);
             this.selectedPlanet = null;
+            this.callbacks.planetDeselected.forEach(callback => callback(planet));
         }
         this.hidePlanetInfo();
     }
 
+    /**
+     * Добавить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    addCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            this.callbacks[eventType].push(callback);
+        }
+    }
+
+    /**
+     * Удалить колбэк для события
+     * @param {string} eventType - Тип события
+     * @param {Function} callback - Функция колбэка
+     */
+    removeCallback(eventType, callback) {
+        if (this.callbacks[eventType]) {
+            const index = this.callbacks[eventType].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[eventType].splice(index, 1);
+            }
+        }
+    }
+
     /**
      * Показать информацию о планете
      */
@@ -132,15 +275,60 @@ export class SpaceScene {
         const config = planet.config;
         infoPanel.innerHTML = `
             <h3 style="color: #00ffff; margin-top: 0;">${config.name}</h3>
-            <p><strong>Радиус:</strong> ${config.radius} ед.</p>
-            <p><strong>Орбита:</strong> ${config.orbit ? config.orbit.radius + ' ед.' : 'Неподвижно'}</p>
-            <p><strong>Скорость вращения:</strong> ${config.rotation.y.toFixed(3)}</p>
-            ${config.orbit ? `<p><strong>Орбитальная скорость:</strong> ${config.orbit.speed.toFixed(3)}</p>` : ''}
+            ${planet.parentBody ? `<p><strong>Спутник:</strong> <a href="#" data-body="${planet.parentBody.name}" style="color: #00ffff;">${planet.parentBody.name}</a></p>` : ''}
+            <p><strong>Радиус:</strong> ${this.formatLength(planet.radius)}</p>
+            ${planet.mass ? `<p><strong>Масса:</strong> ${planet.mass} M⊕</p>` : ''}
+            <p><strong>Орбита:</strong> ${config.orbit ? this.formatLength(planet.keplerOrbit.semiMajorAxis) : 'Неподвижно'}</p>
+            ${config.orbit ? `<p><strong>Эксцентриситет:</strong> ${(config.orbit.eccentricity || 0).toFixed(4)}</p>` : ''}
+            ${config.orbit ? `<p><strong>Наклонение:</strong> ${(config.orbit.inclination || 0).toFixed(2)}°</p>` : ''}
+            ${config.rotationPeriod ? `<p><strong>Период вращения:</strong> ${config.rotationPeriod} ч</p>` : ''}
+            ${config.orbit ? `<p><strong>Период обращения:</strong> ${(planet.keplerOrbit.getPeriod() / 86400).toFixed(1)} сут.</p>` : ''}
             ${config.hasRings ? '<p style="color: #ffd700;"><strong>✨ Имеет кольца</strong></p>' : ''}
+            ${planet.satellites.length > 0 ? `
+                <p style="margin-bottom: 4px;"><strong>Спутники:</strong></p>
+                <ul style="margin: 0; padding-left: 18px;">
+                    ${planet.satellites.map(moon => `<li><a href="#" data-body="${moon.name}" style="color: #00ffff;">${moon.name}</a></li>`).join('')}
+                </ul>
+            ` : ''}
         `;
+        
+        // Переход к родительской планете или спутнику по клику в панели: с подписчиками bodyLink
+        // выбор делают они (например, через записываемый ввод), иначе тело выбирается сразу
+        infoPanel.querySelectorAll('[data-body]').forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                const name = link.dataset.body;
+                if (this.callbacks.bodyLink.length > 0) {
+                    this.callbacks.bodyLink.forEach(callback => callback(name));
+                    return;
+                }
+                
+                const body = this.getPlanetByName(name);
+                if (body) {
+                    this.selectPlanet(body);
+                }
+            });
+        });
         infoPanel.style.opacity = '1';
     }
 
+    /**
+     * Длина для панели информации: в реальном масштабе - в километрах или а.е.
+     * @param {number} units - Длина (ед.)
+     * @returns {string} Форматированная длина
+     */
+    formatLength(units) {
+        if (this.scaleMode !== 'real') {
+            return `${Number(units.toFixed(3))} ед.`;
+        }
+        
+        const km = this.sceneScale.toKilometers(units);
+        return km >= KM_PER_AU * 0.1
+            ? `${(km / KM_PER_AU).toFixed(3)} а.е.`
+            : `${Math.round(km).toLocaleString('ru-RU')} км`;
+    }
+
     /**
      * Скрыть информацию о планете
      */
@@ -149,7 +337,8 @@ export class SpaceScene {
         if (infoPanel) {
             infoPanel.style.opacity = '0';
             setTimeout(() => {
-                if (infoPanel.parentNode) {
+                // Панель могла быть снова показана для другого тела
+                if (infoPanel.parentNode && infoPanel.style.opacity === '0') {
                     infoPanel.parentNode.removeChild(infoPanel);
                 }
             }, 300);
@@ -158,8 +347,12 @@ export class SpaceScene {
 
     /**
      * Создание процедурных текстур
+     * @param {string} type - Тип текстуры
+     * @param {Array<string>} colors - Цвета
+     * @param {number} size - Размер холста (px)
+     * @param {Random} random - Генератор деталей текстуры
      */
-    createProceduralTexture(type, colors, size = 512) {
+    createProceduralTexture(type, colors, size = 512, random = this.random.fork(type)) {
         const canvas = document.createElement('canvas');
         canvas.width = size;
         canvas.height = size;
@@ -167,19 +360,19 @@ export class SpaceScene {
 
         switch (type) {
             case 'sun':
-                this.createSunTexture(ctx, size, colors);
+                this.createSunTexture(ctx, size, colors, random);
                 break;
             case 'earth':
-                this.createEarthTexture(ctx, size, colors);
+                this.createEarthTexture(ctx, size, colors, random);
                 break;
             case 'mars':
-                this.createMarsTexture(ctx, size, colors);
+                this.createMarsTexture(ctx, size, colors, random);
                 break;
             case 'gas_giant':
-                this.createGasGiantTexture(ctx, size, colors);
+                this.createGasGiantTexture(ctx, size, colors, random);
                 break;
             default:
-                this.createBasicPlanetTexture(ctx, size, colors);
+                this.createBasicPlanetTexture(ctx, size, colors, random);
         }
 
         const texture = new THREE.CanvasTexture(canvas);
@@ -192,7 +385,7 @@ export class SpaceScene {
     /**
      * Создание текстуры солнца
      */
-    createSunTexture(ctx, size, colors) {
+    createSunTexture(ctx, size, colors, random) {
         // Создаем градиент для солнца
         const gradient = ctx.createRadialGradient(size/2, size/2, 0, size/2, size/2, size/2);
         gradient.addColorStop(0, '#ffff00');
@@ -206,9 +399,9 @@ export class SpaceScene {
         // Добавляем солнечные пятна
         ctx.globalCompositeOperation = 'multiply';
         for (let i = 0; i < 50; i++) {
-            const x = Math.random() * size;
-            const y = Math.random() * size;
-            const radius = Math.random() * 20 + 5;
+            const x = random.next() * size;
+            const y = random.next() * size;
+            const radius = random.next() * 20 + 5;
             
             const spotGradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
             spotGradient.addColorStop(0, 'rgba(100, 50, 0, 0.8)');
@@ -222,7 +415,7 @@ export class SpaceScene {
     /**
      * Создание текстуры Земли
      */
-    createEarthTexture(ctx, size, colors) {
+    createEarthTexture(ctx, size, colors, random) {
         // Основной синий цвет океанов
         ctx.fillStyle = '#1e4d72';
         ctx.fillRect(0, 0, size, size);
@@ -232,9 +425,9 @@ export class SpaceScene {
         for (let i = 0; i < 20; i++) {
             ctx.beginPath();
             ctx.arc(
-                Math.random() * size,
-                Math.random() * size,
-                Math.random() * 80 + 40,
+                random.next() * size,
+                random.next() * size,
+                random.next() * 80 + 40,
                 0,
                 Math.PI * 2
             );
@@ -246,9 +439,9 @@ export class SpaceScene {
         for (let i = 0; i < 30; i++) {
             ctx.beginPath();
             ctx.arc(
-                Math.random() * size,
-                Math.random() * size,
-                Math.random() * 40 + 20,
+                random.next() * size,
+                random.next() * size,
+                random.next() * 40 + 20,
                 0,
                 Math.PI * 2
             );
@@ -259,7 +452,7 @@ export class SpaceScene {
     /**
      * Создание текстуры Марса
      */
-    createMarsTexture(ctx, size, colors) {
+    createMarsTexture(ctx, size, colors, random) {
         // Основной красный цвет
         const gradient = ctx.createLinearGradient(0, 0, 0, size);
         gradient.addColorStop(0, '#cd853f');
@@ -274,9 +467,9 @@ export class SpaceScene {
         for (let i = 0; i < 15; i++) {
             ctx.beginPath();
             ctx.arc(
-                Math.random() * size,
-                Math.random() * size,
-                Math.random() * 30 + 10,
+                random.next() * size,
+                random.next() * size,
+                random.next() * 30 + 10,
                 0,
                 Math.PI * 2
             );
@@ -296,12 +489,12 @@ export class SpaceScene {
     /**
      * Создание текстуры газового гиганта
      */
-    createGasGiantTexture(ctx, size, colors) {
+    createGasGiantTexture(ctx, size, colors, random) {
         // Создаем полосы газового гиганта
         const stripeHeight = size / 15;
         for (let i = 0; i < 15; i++) {
-            const hue = 30 + Math.random() * 60; // Оттенки оранжевого/коричневого
-            const lightness = 40 + Math.random() * 40;
+            const hue = 30 + random.next() * 60; // Оттенки оранжевого/коричневого
+            const lightness = 40 + random.next() * 40;
             ctx.fillStyle = `hsl(${hue}, 60%, ${lightness}%)`;
             ctx.fillRect(0, i * stripeHeight, size, stripeHeight);
         }
@@ -311,11 +504,11 @@ export class SpaceScene {
         for (let i = 0; i < 10; i++) {
             ctx.beginPath();
             ctx.ellipse(
-                Math.random() * size,
-                Math.random() * size,
-                Math.random() * 30 + 20,
-                Math.random() * 15 + 10,
-                Math.random() * Math.PI,
+                random.next() * size,
+                random.next() * size,
+                random.next() * 30 + 20,
+                random.next() * 15 + 10,
+                random.next() * Math.PI,
                 0,
                 Math.PI * 2
             );
@@ -326,7 +519,7 @@ export class SpaceScene {
     /**
      * Создание базовой текстуры планеты
      */
-    createBasicPlanetTexture(ctx, size, colors) {
+    createBasicPlanetTexture(ctx, size, colors, random) {
         const gradient = ctx.createRadialGradient(size/2, size/2, 0, size/2, size/2, size/2);
         gradient.addColorStop(0, colors[0] || '#888888');
         gradient.addColorStop(1, colors[1] || '#444444');
@@ -336,11 +529,11 @@ export class SpaceScene {
         
         // Добавляем случайные пятна
         for (let i = 0; i < 20; i++) {
-            const x = Math.random() * size;
-            const y = Math.random() * size;
-            const radius = Math.random() * 20 + 5;
+            const x = random.next() * size;
+            const y = random.next() * size;
+            const radius = random.next() * 20 + 5;
             
-            ctx.fillStyle = `rgba(${Math.random() * 255}, ${Math.random() * 255}, ${Math.random() * 255}, 0.3)`;
+            ctx.fillStyle = `rgba(${random.next() * 255}, ${random.next() * 255}, ${random.next() * 255}, 0.3)`;
             ctx.beginPath();
             ctx.arc(x, y, radius, 0, Math.PI * 2);
             ctx.fill();
@@ -349,37 +542,73 @@ export class SpaceScene {
 
     /**
      * Инициализация космической сцены
+     * @param {string|Object} source - URL JSON-описания сцены или готовый объект
      */
-    async init() {
+    async init(source = DEFAULT_SCENE_URL) {
         console.log('🌌 Создание космической сцены...');
         
+        // Загрузка и проверка описания сцены
+        this.definition = await this.sceneLoader.load(source);
+        this.cameraPresets = this.definition.cameraPresets || {};
+        this.cameraPaths = this.definition.cameraPaths || {};
+        this.sceneScale = new SceneScale(this.definition.scale || {});
+        
+        // Дата начала из описания: при одной сцене сеансы начинаются в одном состоянии
+        if (this.definition.startDate) {
+            this.clock.setDate(this.definition.startDate);
+        }
+        
         // Создание освещения
-        this.createLighting();
+        this.createLighting(this.definition.lights || {});
         
         // Создание звездного поля
-        this.createStarField();
+        this.createStarField(this.definition.starField || {});
         
         // Создание планет
-        this.createPlanets();
+        this.createPlanets(this.definition.bodies);
+        this.surfaceProximity.setBodies(this.getAllBodies());
         
         // Создание космического корабля
-        // this.createSpaceShip();
+        if (this.definition.ship) {
+            this.createSpaceShip(this.definition.ship);
+        }
+        
+        // Создание гравитационной симуляции
+        this.createGravitySimulation(this.definition.physics || {});
+        
+        // Столкновения корабля с телами и кольцами
+        if (this.spaceShip) {
+            this.createCollisionSystem(this.definition.collisions || {});
+        }
         
-        console.log('✨ Космическая сцена создана');
+        // Тела строятся в стилизованных размерах, реальный масштаб применяется поверх них
+        this.stylisedGravitationalParameter = this.gravity.gravitationalParameter;
+        if (this.spaceShip) {
+            this.scene.updateMatrixWorld();
+            this.shipSpawnBinding = this.bindToNearestBody(this.spaceShip.mesh.position);
+        }
+        if (this.definition.scale && this.definition.scale.mode !== 'stylised') {
+            this.setScaleMode(this.definition.scale.mode, this.camera ? [this.camera.position] : []);
+        }
+        
+        console.log(`✨ Космическая сцена "${this.definition.name || 'без названия'}" создана (зерно ${this.random.seed})`);
     }
 
     /**
      * Создание системы освещения
+     * @param {Object} lights - Описание освещения {ambient, directional, points}
      */
-    createLighting() {
+    createLighting(lights) {
         // Окружающий свет
-        this.ambientLight = new THREE.AmbientLight(0x2c4870, 0.3);
+        const ambient = lights.ambient || { color: 0x2c4870, intensity: 0.3 };
+        this.ambientLight = new THREE.AmbientLight(ambient.color, ambient.intensity);
         this.scene.add(this.ambientLight);
 
         // Основной направленный свет (солнце)
-        this.directionalLight = new THREE.DirectionalLight(0xffffff, 1.5);
-        this.directionalLight.position.set(100, 100, 50);
-        this.directionalLight.castShadow = true;
+        const directional = lights.directional || { color: 0xffffff, intensity: 1.5 };
+        this.directionalLight = new THREE.DirectionalLight(directional.color, directional.intensity);
+        this.directionalLight.position.set(...(directional.position || [100, 100, 50]));
+        this.directionalLight.castShadow = directional.castShadow !== false;
         
         // Настройка теней
         this.directionalLight.shadow.mapSize.width = 2048;
@@ -394,21 +623,16 @@ export class SpaceScene {
         this.scene.add(this.directionalLight);
 
         // Дополнительные точечные источники света
-        this.createPointLights();
+        this.createPointLights(lights.points || []);
     }
 
     /**
      * Создание точечных источников света
+     * @param {Array} lightConfigs - Описания источников {color, intensity, distance, position}
      */
-    createPointLights() {
-        const lightConfigs = [
-            { color: 0xff6b35, intensity: 2, position: [50, 30, 80] },
-            { color: 0x4ecdc4, intensity: 1.5, position: [-70, -20, 60] },
-            { color: 0xff6b9d, intensity: 1.8, position: [40, -50, -30] }
-        ];
-
+    createPointLights(lightConfigs) {
         lightConfigs.forEach(config => {
-            const light = new THREE.PointLight(config.color, config.intensity, 200);
+            const light = new THREE.PointLight(config.color, config.intensity, config.distance);
             light.position.set(...config.position);
             this.pointLights.push(light);
             this.scene.add(light);
@@ -418,168 +642,430 @@ export class SpaceScene {
             const lightMaterial = new THREE.MeshBasicMaterial({ color: config.color });
             const lightMesh = new THREE.Mesh(lightGeometry, lightMaterial);
             lightMesh.position.copy(light.position);
+            this.lightIndicators.push(lightMesh);
             this.scene.add(lightMesh);
         });
     }
 
     /**
      * Создание звездного поля
+     * @param {Object} config - Параметры {count, minRadius, maxRadius, twinkleSpeed, twinkleIntensity}
      */
-    createStarField() {
-        this.starField = new StarField();
+    createStarField(config) {
+        this.starField = new StarField(config.count, { ...config, random: this.random.fork('starField') });
         this.scene.add(this.starField.getMesh());
     }
 
     /**
      * Создание планет
+     * @param {Array} bodyConfigs - Описания тел из файла сцены
      */
-    createPlanets() {
-        const planetConfigs = [
-            {
-                name: 'Солнце',
-                radius: 8,
-                position: [0, 0, 0],
-                color: 0xffaa00,
-                emissive: 0xff6600,
-                rotation: { x: 0, y: 0.01, z: 0 },
-                orbit: null,
-                textureUrl: '/textures/sun_texture.png'
-            },
-            {
-                name: 'Меркурий',
-                radius: 1.5,
-                position: [20, 0, 0],
-                color: 0x8c7853,
-                emissive: 0x000000,
-                rotation: { x: 0, y: 0.02, z: 0 },
-                orbit: { radius: 20, speed: 0.02 },
-                textureType: 'basic',
-                textureColors: ['#8c7853', '#5a4a35']
-            },
-            {
-                name: 'Венера',
-                radius: 2.2,
-                position: [30, 0, 0],
-                color: 0xffc649,
-                emissive: 0x000000,
-                rotation: { x: 0, y: 0.015, z: 0 },
-                orbit: { radius: 30, speed: 0.015 },
-                textureType: 'basic',
-                textureColors: ['#ffc649', '#cc9933']
-            },
-            {
-                name: 'Земля',
-                radius: 2.5,
-                position: [45, 0, 0],
-                color: 0x6b93d6,
-                emissive: 0x000000,
-                rotation: { x: 0, y: 0.01, z: 0 },
-                orbit: { radius: 45, speed: 0.01 },
-                textureUrl: '/textures/earth_texture.png'
-            },
-            {
-                name: 'Марс',
-                radius: 2,
-                position: [60, 0, 0],
-                color: 0xcd5c5c,
-                emissive: 0x000000,
-                rotation: { x: 0, y: 0.008, z: 0 },
-                orbit: { radius: 60, speed: 0.008 },
-                textureUrl: '/textures/mars_texture.png'
-            },
-            {
-                name: 'Юпитер',
-                radius: 5,
-                position: [85, 0, 0],
-                color: 0xd2691e,
-                emissive: 0x000000,
-                rotation: { x: 0, y: 0.006, z: 0 },
-                orbit: { radius: 85, speed: 0.006 },
-                textureUrl: '/textures/jupiter_texture.png'
-            },
-            {
-                name: 'Сатурн',
-                radius: 4.5,
-                position: [110, 0, 0],
-                color: 0xfad5a5,
-                emissive: 0x000000,
-                rotation: { x: 0, y: 0.005, z: 0 },
-                orbit: { radius: 110, speed: 0.005 },
-                hasRings: true,
-                textureType: 'gas_giant'
-            },
-            {
-                name: 'Уран',
-                radius: 3,
-                position: [130, 0, 0],
-                color: 0x4fd0e4,
-                emissive: 0x000000,
-                rotation: { x: 0, y: 0.004, z: 0 },
-                orbit: { radius: 130, speed: 0.004 },
-                textureType: 'basic',
-                textureColors: ['#4fd0e4', '#2fa8cc']
-            },
-            {
-                name: 'Нептун',
-                radius: 3,
-                position: [150, 0, 0],
-                color: 0x4169e1,
-                emissive: 0x000000,
-                rotation: { x: 0, y: 0.003, z: 0 },
-                orbit: { radius: 150, speed: 0.003 },
-                textureType: 'basic',
-                textureColors: ['#4169e1', '#2947a1']
-            }
-        ];
-
-        planetConfigs.forEach(config => {
-            // Загружаем текстуру из файла или создаем процедурную
-            if (config.textureUrl) {
-                config.texture = this.textureLoader.load(config.textureUrl);
-                config.texture.colorSpace = THREE.SRGBColorSpace;
-            } else if (config.textureType) {
-                config.texture = this.createProceduralTexture(
-                    config.textureType, 
-                    config.textureColors || [],
-                    512
-                );
-            }
-            
-            const planet = new Planet(config);
+    createPlanets(bodyConfigs) {
+        bodyConfigs.forEach(config => {
+            const planet = this.createBody(config);
             this.planets.push(planet);
             this.scene.add(planet.getGroup());
         });
     }
 
+    /**
+     * Создание тела вместе со спутниками
+     * @param {Object} config - Описание тела
+     * @returns {Planet} Созданное тело
+     */
+    createBody(config) {
+        // Загружаем текстуру из файла или создаем процедурную
+        if (config.textureUrl) {
+            config.texture = this.textureLoader.load(config.textureUrl);
+            config.texture.colorSpace = THREE.SRGBColorSpace;
+        } else if (config.textureType) {
+            config.texture = this.createProceduralTexture(
+                config.textureType, 
+                config.textureColors || [],
+                512,
+                this.random.fork(`texture:${config.name}`)
+            );
+        }
+        
+        // Детали тела зависят от зерна мира и имени, а не от порядка создания
+        config.random = this.random.fork(`body:${config.name}`);
+        
+        const planet = new Planet(config);
+        
+        (config.moons || []).forEach(moonConfig => {
+            planet.addSatellite(this.createBody(moonConfig));
+        });
+        
+        return planet;
+    }
+
     /**
      * Создание космического корабля
+     * @param {Object} config - Параметры корабля {position, thrust, dryMass, fuelMass, exhaustVelocity}
      */
-    createSpaceShip() {
+    createSpaceShip(config) {
         this.spaceShip = new SpaceShip();
-        this.spaceShip.setPosition(0, 10, 50);
+        this.spaceShip.setPosition(...config.position);
+        
+        // Двигатель и запас топлива
+        ['thrust', 'dryMass', 'exhaustVelocity'].forEach(key => {
+            if (config[key] !== undefined) {
+                this.spaceShip[key] = config[key];
+            }
+        });
+        if (config.fuelMass !== undefined) {
+            this.spaceShip.maxFuelMass = config.fuelMass;
+            this.spaceShip.fuelMass = config.fuelMass;
+        }
+        
         this.scene.add(this.spaceShip.getMesh());
     }
 
+    /**
+     * Создание гравитационной симуляции
+     * @param {Object} config - Параметры {enabled, integrator, integratePlanets, gravitationalParameter, maxSubstep}
+     */
+    createGravitySimulation(config) {
+        this.gravity = new GravitySimulation(config);
+        this.gravity.setPlanets(this.planets);
+        this.gravity.setSpaceShip(this.spaceShip);
+        
+        if (config.enabled) {
+            this.gravity.enable(this.clock);
+        }
+        
+        if (this.spaceShip) {
+            this.trajectoryPredictor = new TrajectoryPredictor(this.gravity, this.spaceShip);
+            this.trajectoryLine = new TrajectoryLine();
+            this.scene.add(this.trajectoryLine.getMesh());
+            
+            this.maneuverPlanner = new ManeuverPlanner(this.trajectoryPredictor, this.gravity, this.spaceShip);
+        }
+    }
+
+    /**
+     * Создание подсистемы столкновений
+     * @param {Object} config - Параметры {enabled, response, restitution, maxLandingSpeed, cellSize}
+     */
+    createCollisionSystem(config) {
+        this.collisions = new CollisionSystem(config);
+        this.collisions.setBodies(this.getAllBodies());
+        this.collisions.setSpaceShip(this.spaceShip);
+    }
+
+    /**
+     * Вернуть корабль в точку появления из описания сцены
+     */
+    respawnShip() {
+        if (!this.spaceShip) return;
+        
+        // Точка появления задана в стилизованной схеме; в реальном масштабе - у того же тела
+        const position = this.scaleMode === 'stylised'
+            ? this.floatingOrigin.universeToWorld(new THREE.Vector3().fromArray(this.definition.ship.position))
+            : this.resolveBinding(this.shipSpawnBinding, new THREE.Vector3());
+        this.spaceShip.respawn(position);
+        this.collisions.reset();
+        if (this.gravity.enabled) {
+            this.gravity.syncSpaceShip(this.clock.timeScale);
+        }
+    }
+
+    /**
+     * Привязать точку к ближайшему телу
+     *
+     * Ближайшим считается тело с наименьшей высотой в своих радиусах, чтобы точка
+     * у маленькой луны не привязывалась к большой планете рядом с ней.
+     * @param {THREE.Vector3} point - Мировая точка
+     * @returns {Object} Привязка {body, offset}; offset - смещение от центра в радиусах тела
+     */
+    bindToNearestBody(point) {
+        let nearest = null;
+        let nearestAltitude = Infinity;
+        this.getAllBodies().forEach(body => {
+            const altitude = point.distanceTo(body.mesh.getWorldPosition(_bindingCenter)) / body.radius - 1;
+            if (altitude < nearestAltitude) {
+                nearest = body;
+                nearestAltitude = altitude;
+            }
+        });
+        
+        nearest.mesh.getWorldPosition(_bindingCenter);
+        return {
+            body: nearest,
+            offset: point.clone().sub(_bindingCenter).divideScalar(nearest.radius)
+        };
+    }
+
+    /**
+     * Точка по привязке к телу при текущих размерах тела
+     * @param {Object} binding - Привязка {body, offset}
+     * @param {THREE.Vector3} target - Вектор для результата
+     * @returns {THREE.Vector3} Мировая точка
+     */
+    resolveBinding(binding, target) {
+        binding.body.mesh.getWorldPosition(target);
+        return target.addScaledVector(binding.offset, binding.body.radius);
+    }
+
+    /**
+     * Проверка, доступен ли режим масштаба для сцены
+     * @param {string} mode - Режим масштаба
+     * @returns {boolean} Доступен ли режим
+     */
+    isScaleModeAvailable(mode) {
+        return mode !== 'real' || this.sceneScale.isRealAvailable(this.definition.bodies);
+    }
+
+    /**
+     * Сменить масштаб сцены
+     *
+     * Тела и орбиты получают размеры режима, гравитационная симуляция пересобирается
+     * с гравитационным параметром режима. Корабль и переданные точки (например, камера
+     * и ее цель) сохраняют положение относительно ближайшего тела в его радиусах.
+     * @param {string} mode - 'stylised' или 'real'
+     * @param {THREE.Vector3[]} points - Мировые точки, переносимые вместе с телами
+     * @returns {boolean} Сменился ли масштаб
+     */
+    setScaleMode(mode, points = []) {
+        if (!this.isScaleModeAvailable(mode)) {
+            console.warn('Реальный масштаб недоступен: не у всех тел заданы реальные размеры');
+            return false;
+        }
+        
+        this.scene.updateMatrixWorld();
+        const bindings = points.map(point => this.bindToNearestBody(point));
+        const shipBinding = this.spaceShip ? this.bindToNearestBody(this.spaceShip.mesh.position) : null;
+        
+        // Симуляция N тел перезапускается от орбит Кеплера в новых размерах
+        const gravityEnabled = this.gravity.enabled;
+        if (gravityEnabled) {
+            this.gravity.disable();
+        }
+        
+        this.scaleMode = mode;
+        this.getAllBodies().forEach(body => {
+            const { radius, orbitRadius } = this.sceneScale.getBodyDimensions(body.config, mode);
+            body.setDimensions(radius, orbitRadius);
+        });
+        this.gravity.gravitationalParameter = this.sceneScale.getGravitationalParameter(this.stylisedGravitationalParameter, mode);
+        
+        this.scene.updateMatrixWorld();
+        bindings.forEach((binding, index) => this.resolveBinding(binding, points[index]));
+        
+        if (shipBinding) {
+            this.resolveBinding(shipBinding, this.spaceShip.mesh.position);
+            this.spaceShip.velocity.set(0, 0, 0);
+            this.collisions.setBodies(this.getAllBodies());
+            this.collisions.reset();
+        }
+        
+        if (gravityEnabled) {
+            this.gravity.enable(this.clock);
+        }
+        
+        if (this.selectedPlanet) {
+            this.showPlanetInfo(this.selectedPlanet);
+        }
+        
+        console.log(`📏 Масштаб сцены: ${SCALE_MODE_LABELS[mode]}`);
+        return true;
+    }
+
+    /**
+     * Во сколько раз расстояния текущего масштаба больше стилизованных
+     * @returns {number} Отношение больших полуосей самой дальней планеты
+     */
+    getDistanceScale() {
+        const outermost = this.planets
+            .filter(planet => planet.keplerOrbit)
+            .reduce((farthest, planet) => (!farthest || planet.config.orbit.radius > farthest.config.orbit.radius ? planet : farthest), null);
+        return outermost ? outermost.keplerOrbit.semiMajorAxis / outermost.config.orbit.radius : 1;
+    }
+
+    /**
+     * Получить настройки камеры и вида для текущего масштаба
+     * @returns {Object} {near, far, fog, minDistance, maxDistance, moveSpeed, maxMoveSpeed}
+     */
+    getViewSettings() {
+        return this.sceneScale.getViewSettings(this.scaleMode);
+    }
+
+    /**
+     * Получить плавающее начало координат
+     * @returns {FloatingOrigin} Начало координат и перевод между мировыми координатами и координатами вселенной
+     */
+    getFloatingOrigin() {
+        return this.floatingOrigin;
+    }
+
+    /**
+     * Сдвиг мира при переносе начала координат
+     *
+     * Тела верхнего уровня сдвигаются вместе со своими орбитами и спутниками, корабль и
+     * источники света - по положению. Подсистемы физики переносят свои мировые состояния,
+     * чтобы гравитация, прогноз и столкновения продолжались без скачка.
+     * @param {THREE.Vector3} delta - Сдвиг мира
+     */
+    shiftOrigin(delta) {
+        this.planets.forEach(planet => planet.getGroup().position.add(delta));
+        this.pointLights.forEach(light => light.position.add(delta));
+        this.lightIndicators.forEach(mesh => mesh.position.add(delta));
+        
+        if (this.spaceShip) {
+            this.spaceShip.mesh.position.add(delta);
+        }
+        if (this.gravity) {
+            this.gravity.shiftOrigin(delta);
+        }
+        if (this.trajectoryPredictor) {
+            this.trajectoryPredictor.shiftOrigin(delta);
+            this.maneuverPlanner.shiftOrigin(delta);
+        }
+        if (this.collisions) {
+            this.collisions.shiftOrigin(delta);
+        }
+        
+        this.scene.updateMatrixWorld();
+    }
+
+    /**
+     * Получить подсистему столкновений
+     * @returns {CollisionSystem|null} Подсистема или null, если в сцене нет корабля
+     */
+    getCollisionSystem() {
+        return this.collisions;
+    }
+
+    /**
+     * Синхронизация гизмо и линий итоговых орбит с узлами маневров
+     */
+    updateManeuverVisuals() {
+        const nodes = this.trajectoryPredictor.enabled ? this.maneuverPlanner.nodes : [];
+        
+        // Удаление отображения удаленных узлов
+        this.maneuverVisuals.forEach((visual, id) => {
+            if (!nodes.some(node => node.id === id)) {
+                this.scene.remove(visual.gizmo.getMesh());
+                this.scene.remove(visual.line.getMesh());
+                visual.gizmo.dispose();
+                visual.line.dispose();
+                this.maneuverVisuals.delete(id);
+            }
+        });
+        
+        nodes.forEach(node => {
+            let visual = this.maneuverVisuals.get(node.id);
+            if (!visual) {
+                visual = {
+                    gizmo: new ManeuverGizmo(),
+                    line: new TrajectoryLine(512, 0xffaa00)
+                };
+                this.scene.add(visual.gizmo.getMesh());
+                this.scene.add(visual.line.getMesh());
+                this.maneuverVisuals.set(node.id, visual);
+            }
+            
+            visual.gizmo.update(node, node === this.maneuverPlanner.selectedNode, this.camera);
+            visual.line.update(node.predictor);
+        });
+    }
+
+    /**
+     * Получить объекты узлов маневров, доступные для выбора мышью
+     * @returns {THREE.Object3D[]} Маркеры и ручки узлов
+     */
+    getManeuverPickables() {
+        const pickables = [];
+        this.maneuverVisuals.forEach(visual => pickables.push(...visual.gizmo.getPickables()));
+        return pickables;
+    }
+
+    /**
+     * Получить планировщик маневров
+     * @returns {ManeuverPlanner|null} Планировщик или null, если в сцене нет корабля
+     */
+    getManeuverPlanner() {
+        return this.maneuverPlanner;
+    }
+
+    /**
+     * Показать/скрыть прогноз траектории корабля
+     * @param {boolean} visible - Показывать прогноз
+     */
+    setTrajectoryVisible(visible) {
+        if (this.trajectoryPredictor) {
+            this.trajectoryPredictor.setEnabled(visible);
+        }
+    }
+
+    /**
+     * Получить информацию о прогнозе траектории
+     * @returns {Object|null} Отметки прогноза или null
+     */
+    getTrajectoryInfo() {
+        return this.trajectoryPredictor ? this.trajectoryPredictor.getInfo(this.clock.getTime()) : null;
+    }
+
+    /**
+     * Переключить режим N тел
+     * @returns {boolean} Включен ли режим
+     */
+    togglePhysics() {
+        return this.gravity.toggle(this.clock);
+    }
+
     /**
      * Обновление сцены
      * @param {number} deltaTime - Время с последнего кадра в секундах
      */
     update(deltaTime) {
-        this.time += deltaTime;
+        // Камера уже на месте: мир сдвигается до шага, чтобы кадр целиком считался в новых координатах
+        if (this.camera) {
+            this.floatingOrigin.update(this.camera.position);
+        }
+        
+        this.clock.update(deltaTime);
 
         // Обновление планет
         this.planets.forEach(planet => {
-            planet.update(deltaTime, this.time);
+            planet.update(this.clock);
         });
 
-        // Обновление звездного поля
+        // Обновление звездного поля: небо всегда вокруг камеры
         if (this.starField) {
-            this.starField.update(deltaTime);
+            this.starField.update(this.clock.animationDelta);
+            if (this.camera) {
+                this.starField.setCenter(this.camera.position);
+            }
         }
 
-        // Обновление космического корабля
+        // Обновление космического корабля: управление и расход топлива идут в реальном времени,
+        // обратный ход часов не разворачивает тягу и не возвращает топливо
         if (this.spaceShip) {
-            this.spaceShip.update(deltaTime);
+            this.spaceShip.update(Math.abs(this.clock.animationDelta));
+        }
+
+        // Гравитация: после обновления орбит и тяги корабля на этом шаге
+        if (this.gravity) {
+            this.gravity.step(this.clock.delta, this.clock.timeScale);
+        }
+
+        // Столкновения: реакция на них меняет состояние корабля, которое передается симуляции
+        if (this.collisions && this.collisions.update(this.clock) && this.gravity.enabled) {
+            this.gravity.syncSpaceShip(this.clock.timeScale);
+        }
+
+        // Рельеф и показания у поверхности - по реальному времени кадра
+        this.surfaceProximity.update(deltaTime);
+
+        // Прогноз траектории достраивается от нового состояния корабля
+        if (this.trajectoryPredictor) {
+            this.trajectoryPredictor.update(this.clock, this.selectedPlanet);
+            this.trajectoryLine.update(this.trajectoryPredictor);
+            
+            // Итоговые орбиты узлов маневров строятся от основного прогноза
+            this.maneuverPlanner.update(this.clock, this.selectedPlanet);
+            this.updateManeuverVisuals();
         }
 
         // Анимация точечных источников света
@@ -590,16 +1076,109 @@ export class SpaceScene {
      * Анимация освещения
      */
     animateLights() {
+        const time = this.clock.animationTime;
+        
         this.pointLights.forEach((light, index) => {
             const offset = index * 2;
-            light.intensity = 1.5 + Math.sin(this.time * 2 + offset) * 0.5;
+            light.intensity = 1.5 + Math.sin(time * 2 + offset) * 0.5;
             
             // Медленное движение источников света
             const baseX = light.position.x;
             const baseZ = light.position.z;
-            light.position.x = baseX + Math.sin(this.time * 0.5 + offset) * 10;
-            light.position.z = baseZ + Math.cos(this.time * 0.3 + offset) * 10;
+            light.position.x = baseX + Math.sin(time * 0.5 + offset) * 10;
+            light.position.z = baseZ + Math.cos(time * 0.3 + offset) * 10;
+        });
+    }
+
+    /**
+     * Сериализация состояния симуляции
+     * @returns {Object} Состояние для сохранения
+     */
+    serialize() {
+        return {
+            sceneName: this.definition ? this.definition.name || null : null,
+            scaleMode: this.scaleMode,
+            origin: this.floatingOrigin.origin.toArray(),
+            clock: this.clock.serialize(),
+            planets: this.planets.map(planet => planet.serialize()),
+            selectedPlanet: this.selectedPlanet ? this.selectedPlanet.name : null,
+            spaceShip: this.spaceShip ? this.spaceShip.serialize() : null,
+            gravity: this.gravity ? this.gravity.serialize() : null,
+            maneuvers: this.maneuverPlanner ? this.maneuverPlanner.serialize() : [],
+            collisions: this.collisions ? this.collisions.serialize() : null
+        };
+    }
+
+    /**
+     * Восстановление состояния симуляции
+     * @param {Object} data - Сохраненное состояние
+     */
+    deserialize(data) {
+        const sceneName = this.definition ? this.definition.name || null : null;
+        if (data.sceneName !== sceneName) {
+            console.warn(`Сохранение создано для сцены "${data.sceneName}", текущая сцена "${sceneName}"`);
+        }
+        
+        this.clock.deserialize(data.clock);
+        
+        // Мировые координаты сохранения отсчитаны от его начала координат
+        this.floatingOrigin.setOrigin(data.origin || [0, 0, 0]);
+        
+        // Масштаб - до состояния тел и корабля, сохраненного в его единицах
+        if (data.scaleMode && data.scaleMode !== this.scaleMode) {
+            this.setScaleMode(data.scaleMode);
+        }
+        
+        data.planets.forEach(planetData => {
+            const planet = this.getPlanetByName(planetData.name);
+            if (planet) {
+                planet.deserialize(planetData);
+            } else {
+                console.warn(`Планета "${planetData.name}" из сохранения отсутствует в сцене`);
+            }
         });
+        
+        if (data.selectedPlanet) {
+            const planet = this.getPlanetByName(data.selectedPlanet);
+            if (planet) {
+                this.selectPlanet(planet);
+            }
+        } else {
+            this.deselectPlanet();
+        }
+        
+        if (this.spaceShip && data.spaceShip) {
+            this.spaceShip.deserialize(data.spaceShip, (name) => this.getPlanetByName(name));
+        }
+        
+        // Симуляция восстанавливается последней - поверх орбит и состояния корабля
+        if (this.gravity && data.gravity) {
+            this.gravity.deserialize(data.gravity, this.clock);
+        }
+        
+        if (this.maneuverPlanner) {
+            this.maneuverPlanner.deserialize(data.maneuvers || []);
+        }
+        
+        if (this.collisions) {
+            this.collisions.deserialize(data.collisions);
+        }
+    }
+
+    /**
+     * Получить часы симуляции
+     * @returns {SimulationClock} Часы симуляции
+     */
+    getClock() {
+        return this.clock;
+    }
+
+    /**
+     * Получить гравитационную симуляцию
+     * @returns {GravitySimulation} Симуляция N тел
+     */
+    getGravitySimulation() {
+        return this.gravity;
     }
 
     /**
@@ -611,12 +1190,32 @@ export class SpaceScene {
     }
 
     /**
-     * Получить планету по имени
-     * @param {string} name - Имя планеты
+     * Получить все тела сцены, включая спутники
+     * @returns {Planet[]} Массив тел
+     */
+    getAllBodies() {
+        return this.planets.flatMap(planet => planet.getBodies());
+    }
+
+    /**
+     * Получить объекты сцены, положение которых интерполируется между шагами
+     * @returns {THREE.Object3D[]} Объекты тел и корабля
+     */
+    getInterpolatedObjects() {
+        const objects = this.getAllBodies().flatMap(body => body.getInterpolatedObjects());
+        if (this.spaceShip) {
+            objects.push(this.spaceShip.getMesh());
+        }
+        return objects;
+    }
+
+    /**
+     * Получить планету или спутник по имени
+     * @param {string} name - Имя тела
      * @returns {Planet|null} Планета или null
      */
     getPlanetByName(name) {
-        return this.planets.find(planet => planet.name === name) || null;
+        return this.getAllBodies().find(planet => planet.name === name) || null;
     }
 
     /**
@@ -0,0 +1,124 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// InputManager подписывается на события окна и документа при создании
+globalThis.window = { addEventListener() {} };
+globalThis.document = { addEventListener() {} };
+
+// Подключенные геймпады, которые возвращает navigator.getGamepads()
+let connectedPads = [];
+Object.defineProperty(globalThis, 'navigator', {
+    value: { getGamepads: () => connectedPads },
+    configurable: true,
+    writable: true
+});
+
+const { InputManager } = await import('../src/managers/InputManager.js');
+
+/**
+ * Геймпад в формате Gamepad API
+ * @param {Object} options - Параметры {index, id, mapping, axes, buttons}
+ * @returns {Object} Геймпад
+ */
+function createPad({ index = 0, id = 'Test Pad', mapping = 'standard', axes = [0, 0, 0, 0], buttons = [] } = {}) {
+    const values = Array.from({ length: 17 }, (_, i) => buttons[i] || 0);
+    return {
+        index,
+        id,
+        mapping,
+        axes,
+        buttons: values.map(value => ({ value, pressed: value > 0 }))
+    };
+}
+
+/**
+ * Один шаг опроса с заданным набором геймпадов
+ * @param {InputManager} input - Менеджер ввода
+ * @param {Array<Object|null>} pads - Геймпады
+ */
+function poll(input, pads) {
+    connectedPads = pads;
+    input.update(1 / 60);
+}
+
+let input;
+
+beforeEach(() => {
+    connectedPads = [];
+    input = new InputManager();
+});
+
+test('стик внутри радиальной мертвой зоны дает ноль', () => {
+    poll(input, [createPad({ axes: [0.1, 0.1, 0, 0] })]);
+
+    assert.equal(input.getInputValue('GamepadAxis0+'), 0);
+    assert.equal(input.getInputValue('GamepadAxis1+'), 0);
+});
+
+test('стик за мертвой зоной проходит через кривую отклика', () => {
+    poll(input, [createPad({ axes: [0.3, 0, 0, 0] })]);
+
+    const expected = Math.pow((0.3 - 0.15) / 0.85, 2);
+    assert.ok(Math.abs(input.getInputValue('GamepadAxis0+') - expected) < 1e-9);
+    assert.equal(input.getInputValue('GamepadAxis0-'), 0);
+    assert.equal(input.getInputValue('GamepadAxis1+'), 0);
+});
+
+test('радиальная зона не срезает диагональ и сохраняет направление', () => {
+    poll(input, [createPad({ axes: [-0.6, 0.8, 0, 0] })]);
+
+    assert.ok(Math.abs(input.getInputValue('GamepadAxis0-') - 0.6) < 1e-9);
+    assert.ok(Math.abs(input.getInputValue('GamepadAxis1+') - 0.8) < 1e-9);
+});
+
+test('курок считается нажатием только за порогом после кривой отклика', () => {
+    const events = [];
+    input.addCallback('gamepadButtonDown', (name) => events.push(['down', name]));
+    input.addCallback('gamepadButtonUp', (name) => events.push(['up', name]));
+
+    // 0.6 после мертвой зоны и кривой - около 0.34, ниже порога 0.5
+    poll(input, [createPad({ buttons: { 7: 0.6 } })]);
+    assert.ok(input.getInputValue('Gamepad7') > 0);
+    assert.deepEqual(events, []);
+
+    poll(input, [createPad({ buttons: { 7: 0.8 } })]);
+    assert.deepEqual(events, [['down', 'Gamepad7']]);
+
+    poll(input, [createPad({ buttons: { 7: 0 } })]);
+    assert.deepEqual(events, [['down', 'Gamepad7'], ['up', 'Gamepad7']]);
+});
+
+test('подключение и отключение геймпада вызывают колбэки', () => {
+    const connected = [];
+    const disconnected = [];
+    input.addCallback('gamepadConnected', (gamepad) => connected.push(gamepad.id));
+    input.addCallback('gamepadDisconnected', (index, id) => disconnected.push([index, id]));
+
+    poll(input, [createPad({ index: 0, id: 'Pad A' })]);
+    poll(input, [createPad({ index: 0, id: 'Pad A' })]);
+    assert.deepEqual(connected, ['Pad A']);
+    assert.equal(input.gamepadIndex, 0);
+
+    poll(input, [null]);
+    assert.deepEqual(disconnected, [[0, 'Pad A']]);
+    assert.equal(input.gamepadIndex, null);
+});
+
+test('геймпад не в стандартной раскладке работает с предупреждением один раз', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const connected = [];
+    input.addCallback('gamepadConnected', (gamepad) => connected.push([gamepad.id, gamepad.mapping]));
+
+    poll(input, [createPad({ index: 0, id: 'Joystick', mapping: '', axes: [1, 0, 0, 0] })]);
+
+    assert.deepEqual(connected, [['Joystick', '']]);
+    assert.equal(input.gamepadIndex, 0);
+    assert.equal(input.getInputValue('GamepadAxis0+'), 1);
+    assert.equal(warn.mock.callCount(), 1);
+
+    // Повторное подключение того же геймпада не предупреждает снова
+    poll(input, [null]);
+    poll(input, [createPad({ index: 0, id: 'Joystick', mapping: '' })]);
+    assert.equal(connected.length, 2);
+    assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,109 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// InputManager подписывается на события окна и документа при создании
+globalThis.window = { addEventListener() {} };
+globalThis.document = { addEventListener() {}, exitPointerLock() {} };
+Object.defineProperty(globalThis, 'navigator', {
+    value: { getGamepads: () => [] },
+    configurable: true,
+    writable: true
+});
+
+const { InputManager } = await import('../src/managers/InputManager.js');
+const { ReplayManager } = await import('../src/managers/ReplayManager.js');
+const { SimulationClock } = await import('../src/core/SimulationClock.js');
+
+const FRAME_TIME = 1000 / 60;
+
+let input;
+let replays;
+let clock;
+let commands;
+
+beforeEach(() => {
+    input = new InputManager();
+    replays = new ReplayManager(input);
+    clock = new SimulationClock();
+    commands = [];
+
+    // Как в приложении: команды интерфейса выполняются колбэком command
+    input.addCallback('command', (name, args) => {
+        commands.push([replays.tick, name, args]);
+        if (name === 'increaseWarp') clock.increaseWarp();
+        if (name === 'decreaseWarp') clock.decreaseWarp();
+        if (name === 'togglePause') clock.togglePause();
+    });
+});
+
+/**
+ * Один шаг приложения в порядке игрового цикла
+ */
+function step() {
+    replays.beginTick();
+    input.update(FRAME_TIME / 1000);
+    clock.update(FRAME_TIME / 1000);
+    replays.endTick();
+}
+
+/**
+ * Запись сеанса: команды отправляются между шагами, как клики по панелям
+ * @returns {Object} Повтор после упаковки и распаковки через JSON
+ */
+function recordSession() {
+    replays.startRecording(clock.serialize(), { frameTime: FRAME_TIME, startTick: 0, config: {} });
+
+    step();
+    input.sendCommand('decreaseWarp');
+    step();
+    step();
+    input.sendCommand('setManeuverDeltaV', 1, [0.5, -0.25, 2]);
+    input.sendCommand('togglePause');
+    step();
+    input.sendCommand('togglePause');
+    step();
+
+    const replay = replays.stopRecording();
+    return replays.decode(JSON.parse(JSON.stringify(replays.encode(replay))));
+}
+
+test('команды интерфейса записываются вместе с шагом', () => {
+    recordSession();
+
+    assert.deepEqual(commands, [
+        [1, 'decreaseWarp', []],
+        [3, 'setManeuverDeltaV', [1, [0.5, -0.25, 2]]],
+        [3, 'togglePause', []],
+        [4, 'togglePause', []]
+    ]);
+});
+
+test('изменение ускорения времени и правка узла повторяются на тех же шагах', () => {
+    const replay = recordSession();
+    const recordedCommands = commands;
+    const recordedClock = clock.serialize();
+
+    // Повтор с начального состояния записи
+    clock = new SimulationClock();
+    clock.deserialize(replay.startState);
+    commands = [];
+
+    replays.startPlayback(replay);
+    while (replays.isPlaying()) {
+        step();
+    }
+
+    assert.deepEqual(commands, recordedCommands);
+    assert.deepEqual(clock.serialize(), recordedClock);
+});
+
+test('во время воспроизведения команды интерфейса не выполняются', () => {
+    const replay = recordSession();
+    commands = [];
+
+    replays.startPlayback(replay);
+    input.sendCommand('increaseWarp');
+
+    assert.deepEqual(commands, []);
+    replays.stopPlayback();
+});